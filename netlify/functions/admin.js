@@ -0,0 +1,293 @@
+// netlify/functions/admin.js
+// Staff dashboard: outstanding balances across all deals, with filters and a
+// CSV export. Protected by HTTP Basic auth (ADMIN_USERS), separate from the
+// families' signed portal links.
+//
+// Query params:
+//   q         – program name search (dealname tokens)
+//   pipeline  – HubSpot deal pipeline ID
+//   filter    – all | outstanding | deposit_not_paid | overdue | overpaid
+//   after     – HubSpot search cursor for the next page
+//   format    – "csv" exports every matching deal instead of one page
+//   activity  – a deal ID: that deal's audit trail instead (format=json for
+//               the raw events), when AUDIT_SINK is one that can be read back
+
+const {
+  searchDealsPage,
+  searchDeals,
+  getDealPipelines,
+} = require("../lib/hubspot");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { isAdminConfigured, adminUserFrom } = require("../lib/access");
+const {
+  ADMIN_DEAL_PROPERTIES,
+  BALANCE_FILTERS,
+  depositLabel,
+  dealSummary,
+  filterSummaries,
+  summariesToCsv,
+} = require("../lib/admin-report");
+const { todayIso } = require("../lib/plans");
+const {
+  auditEventsForDeal,
+  isAuditQueryable,
+  auditSummary,
+} = require("../lib/audit");
+const { formatMoney } = require("../lib/currency");
+const {
+  htmlResponse,
+  textResponse,
+  csvResponse,
+  jsonResponse,
+} = require("../lib/http");
+const { formatDate } = require("../lib/util");
+const { dashboardPage, activityPage } = require("../templates/admin");
+
+const PAGE_SIZE = 50;
+// Audit events shown on a deal's activity page
+const ACTIVITY_LIMIT = 200;
+// HubSpot pages scanned per request when balance filters drop most rows
+const MAX_SEARCH_PAGES = 5;
+
+const FILTER_LABELS = {
+  all: "All deals",
+  outstanding: "Balance outstanding",
+  deposit_not_paid: "Deposit not paid",
+  overdue: "Overdue",
+  overpaid: "Overpaid",
+};
+
+const SORTS = [{ propertyName: "createdate", direction: "DESCENDING" }];
+
+exports.handler = withHubSpotStats("admin", async (event) => {
+  if (!process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
+    return textResponse(
+      500,
+      "HubSpot token not configured. Please set HUBSPOT_PRIVATE_APP_TOKEN."
+    );
+  }
+
+  if (!isAdminConfigured()) {
+    return textResponse(500, "Admin access not configured. Set ADMIN_USERS.");
+  }
+
+  const user = adminUserFrom(event.headers || {});
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers: {
+        "WWW-Authenticate": 'Basic realm="Payments admin", charset="UTF-8"',
+        "Content-Type": "text/plain; charset=utf-8",
+      },
+      body: "Staff sign-in required.",
+    };
+  }
+
+  try {
+    const url = new URL(event.rawUrl);
+    const activity = url.searchParams.get("activity");
+    if (activity) return await handleActivity(activity, url);
+
+    const query = {
+      q: (url.searchParams.get("q") || "").trim(),
+      pipeline: url.searchParams.get("pipeline") || "",
+      filter: BALANCE_FILTERS[url.searchParams.get("filter")]
+        ? url.searchParams.get("filter")
+        : "all",
+      after: url.searchParams.get("after") || undefined,
+    };
+
+    const pipelines = await getDealPipelines();
+    const labels = pipelineLabels(pipelines);
+    const filterGroups = dealFilterGroups(query);
+    const today = todayIso();
+
+    if (url.searchParams.get("format") === "csv") {
+      const deals = await searchDeals(filterGroups, ADMIN_DEAL_PROPERTIES, SORTS);
+      const rows = filterSummaries(
+        deals.map((deal) => dealSummary(deal, today)),
+        query.filter
+      );
+      return csvResponse(`balances-${today}.csv`, summariesToCsv(rows, labels));
+    }
+
+    const { rows, after } = await loadPage(filterGroups, query, today);
+    return htmlResponse(
+      200,
+      renderDashboard({ rows, after, query, pipelines, labels, url, user })
+    );
+  } catch (err) {
+    console.error("Admin error:", err);
+    return textResponse(500, "Unexpected error");
+  }
+});
+
+/* =========================================================
+   SEARCH
+========================================================= */
+
+function dealFilterGroups({ q, pipeline }) {
+  const filters = [{ propertyName: "amount", operator: "GT", value: "0" }];
+
+  if (pipeline) {
+    filters.push({ propertyName: "pipeline", operator: "EQ", value: pipeline });
+  }
+  q.split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) =>
+      filters.push({
+        propertyName: "dealname",
+        operator: "CONTAINS_TOKEN",
+        value: `*${word}*`,
+      })
+    );
+
+  return [{ filters }];
+}
+
+// Balance filters run after the search, so keep reading HubSpot pages until
+// there's a full page of matches (or we've read enough for one request).
+async function loadPage(filterGroups, query, today) {
+  const rows = [];
+  let after = query.after;
+
+  for (let i = 0; i < MAX_SEARCH_PAGES; i++) {
+    const page = await searchDealsPage(filterGroups, {
+      properties: ADMIN_DEAL_PROPERTIES,
+      sorts: SORTS,
+      after,
+    });
+    rows.push(
+      ...filterSummaries(
+        page.deals.map((deal) => dealSummary(deal, today)),
+        query.filter
+      )
+    );
+    after = page.after;
+    if (!after || rows.length >= PAGE_SIZE) break;
+  }
+
+  return { rows, after };
+}
+
+// The deal's audit trail, newest first
+async function handleActivity(dealId, url) {
+  if (!isAuditQueryable()) {
+    return textResponse(
+      501,
+      "Audit events aren't stored anywhere they can be read back. Set AUDIT_SINK to hubspot (or file, off Netlify)."
+    );
+  }
+
+  const events = await auditEventsForDeal(dealId, { limit: ACTIVITY_LIMIT });
+  if (url.searchParams.get("format") === "json") {
+    return jsonResponse(200, { dealId, events });
+  }
+
+  const back = new URL(url.toString());
+  back.search = "";
+  return htmlResponse(200, renderActivity({ dealId, events, back, url }));
+}
+
+function pipelineLabels(pipelines) {
+  const labels = {};
+  pipelines.forEach((pl) => {
+    labels[pl.id] = pl.label;
+    pl.stages.forEach((st) => {
+      labels[st.id] = st.label;
+    });
+  });
+  return labels;
+}
+
+/* =========================================================
+   UI
+========================================================= */
+
+function renderDashboard({ rows, after, query, pipelines, labels, url, user }) {
+  const link = (changes) => {
+    const next = new URL(url.toString());
+    next.search = "";
+    Object.entries({ ...query, after: "", ...changes }).forEach(([k, v]) => {
+      if (v) next.searchParams.set(k, v);
+    });
+    return next.toString();
+  };
+
+  const hubSpotPortalId = process.env.HUBSPOT_PORTAL_ID;
+
+  return dashboardPage({
+    user,
+    q: query.q,
+    rows: rows.map((row) => {
+      const money = (minor) => formatMoney(minor, row.currency);
+      return {
+        name: row.name || `Deal ${row.id}`,
+        hubSpotUrl:
+          hubSpotPortalId &&
+          `https://app.hubspot.com/contacts/${encodeURIComponent(
+            hubSpotPortalId
+          )}/record/0-3/${encodeURIComponent(row.id)}`,
+        stage: labels[row.stage] || row.stage,
+        activityUrl: link({ activity: row.id }),
+        tuition: money(row.tuition),
+        paid: money(row.paid),
+        processing: row.processing > 0 ? money(row.processing) : "",
+        remaining: money(row.remaining),
+        overpaid: row.remaining < 0,
+        adjustments: row.adjustments > 0 ? money(row.adjustments) : "",
+        depositStatus: row.depositStatus,
+        depositLabel: depositLabel(row.depositStatus),
+        dueDate: formatDate(row.dueDate),
+        overdue: row.overdue,
+        lastPaymentDate: formatDate(row.lastPaymentDate),
+      };
+    }),
+    pipelines: pipelines.map((pl) => ({
+      value: pl.id,
+      label: pl.label,
+      selected: pl.id === query.pipeline,
+    })),
+    filters: Object.entries(FILTER_LABELS).map(([value, label]) => ({
+      value,
+      label,
+      selected: value === query.filter,
+    })),
+    csvUrl: link({ format: "csv" }),
+    nextUrl: after ? link({ after }) : "",
+  });
+}
+
+// Fields every event has; the rest are shown as details
+const AUDIT_COLUMNS = [
+  "at",
+  "type",
+  "dealId",
+  "contactId",
+  "role",
+  "amount",
+  "currency",
+  "ipHash",
+];
+
+function renderActivity({ dealId, events, back, url }) {
+  const json = new URL(url.toString());
+  json.searchParams.set("format", "json");
+
+  return activityPage({
+    dealId,
+    events: events.map((entry) => ({
+      at: String(entry.at).replace("T", " ").slice(0, 19),
+      summary: auditSummary(entry),
+      details: Object.entries(entry)
+        .filter(([key]) => !AUDIT_COLUMNS.includes(key))
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(", "),
+      contactId: entry.contactId,
+      role: entry.role,
+      ipHash: entry.ipHash,
+    })),
+    backUrl: back.toString(),
+    jsonUrl: json.toString(),
+  });
+}
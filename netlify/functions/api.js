@@ -0,0 +1,511 @@
+// netlify/functions/api.js
+// Versioned JSON API for the website's balance widget and the mobile app.
+// netlify.toml routes /api/* here.
+//
+// Deal routes authenticate with a portal access token (the `token` from a
+// portal link) sent as "Authorization: Bearer <token>":
+//   POST /api/v1/contacts/lookup                { email } – emails a portal link
+//   GET  /api/v1/deals                          deals the token covers
+//   GET  /api/v1/deals/:dealId                  totals, milestones, payments,
+//                                               payment types
+//   POST /api/v1/deals/:dealId/checkout-sessions
+//        { type, method: "card" | "bank", amount, successUrl, cancelUrl, locale }
+//        201 with a new session, 200 when the caller's identical open session
+//        is reused, 409 payment_in_progress while someone else's is open
+//        (or payment_already_made when the caller's has just been paid).
+//        Checkout is shown in `locale`, else the Accept-Language language.
+//
+// Amounts are integer minor units of the deal currency. Errors are
+// { error: { code, message } }. Browsers may call the API from the origins in
+// API_ALLOWED_ORIGINS (comma-separated); redirect URLs passed to checkout must
+// be on one of them too.
+
+const { isStripeConfigured, getStripe } = require("../lib/stripe");
+const {
+  PAYMENT_METHODS,
+  dealBalance,
+  methodLabel,
+  statusLabel,
+} = require("../lib/payments");
+const { parsePlan } = require("../lib/plans");
+const { adjustmentDescription } = require("../lib/adjustments");
+const { balanceDueDateFor } = require("../lib/reminders");
+const {
+  chargeFor,
+  cardFeeTerms,
+  paymentTypeLabel,
+  paymentOptions,
+  checkoutAmount,
+  parseOpenSessions,
+} = require("../lib/checkout");
+const { startCheckout } = require("../lib/checkout-sessions");
+const { resolveLocale } = require("../lib/i18n");
+const {
+  findContactByEmail,
+  getDealsByIds,
+  getDealById,
+} = require("../lib/hubspot");
+const {
+  isHubSpotUnavailable,
+  withHubSpotStats,
+} = require("../lib/hubspot-client");
+const {
+  ACCESS_ROLES,
+  isAccessConfigured,
+  isPortalUrlConfigured,
+  verifyAccessToken,
+  accessRoleFor,
+  portalBaseUrl,
+  buildPortalLink,
+} = require("../lib/access");
+const { emailPortalLink } = require("../lib/portal-links");
+const {
+  AUDIT_EVENTS,
+  auditContext,
+  recordAudit,
+  withAuditFlush,
+} = require("../lib/audit");
+const { isMailConfigured } = require("../lib/mailer");
+const { jsonResponse, rawBody } = require("../lib/http");
+const { dealCurrency, currencyExponent } = require("../lib/currency");
+
+const API_VERSION = "v1";
+
+const ALLOWED_ORIGINS = (
+  process.env.API_ALLOWED_ORIGINS ||
+  "https://www.pacificdiscovery.org,https://pacificdiscovery.org"
+)
+  .split(",")
+  .map((o) => o.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+
+exports.handler = withHubSpotStats("api", withAuditFlush(async (event) => {
+  const cors = corsHeaders(event.headers || {});
+
+  if (event.httpMethod === "OPTIONS") {
+    return cors
+      ? { statusCode: 204, headers: cors, body: "" }
+      : apiError(403, "origin_not_allowed", "Origin not allowed.");
+  }
+
+  const response = await route(event);
+  return cors
+    ? { ...response, headers: { ...response.headers, ...cors } }
+    : response;
+}));
+
+async function route(event) {
+  if (!process.env.HUBSPOT_PRIVATE_APP_TOKEN || !isAccessConfigured()) {
+    return apiError(
+      500,
+      "not_configured",
+      "The payments API is not configured."
+    );
+  }
+  const [version, ...parts] = routePath(event);
+  if (version !== API_VERSION) {
+    return apiError(404, "unknown_version", `Use /api/${API_VERSION}.`);
+  }
+
+  const method = event.httpMethod;
+  const path = parts.join("/");
+
+  try {
+    if (path === "contacts/lookup") {
+      if (method !== "POST") return methodNotAllowed();
+      return await lookupContact(event);
+    }
+
+    if (parts[0] !== "deals") {
+      return apiError(404, "not_found", "No such endpoint.");
+    }
+
+    const access = verifyAccessToken(bearerToken(event.headers || {}));
+    if (!access) {
+      return apiError(
+        401,
+        "invalid_token",
+        "This link is invalid or has expired."
+      );
+    }
+
+    if (parts.length === 1) {
+      if (method !== "GET") return methodNotAllowed();
+      return await listDeals(access);
+    }
+
+    const dealId = parts[1];
+    if (parts.length === 2) {
+      if (method !== "GET") return methodNotAllowed();
+      return await showDeal(event, access, dealId);
+    }
+
+    if (parts.length === 3 && parts[2] === "checkout-sessions") {
+      if (method !== "POST") return methodNotAllowed();
+      return await createCheckout(event, access, dealId);
+    }
+
+    return apiError(404, "not_found", "No such endpoint.");
+  } catch (err) {
+    console.error("API error:", method, path, err);
+    if (isHubSpotUnavailable(err)) {
+      return apiError(
+        503,
+        "crm_unavailable",
+        "Payment details are temporarily unavailable. Try again shortly."
+      );
+    }
+    return apiError(500, "internal_error", "Unexpected error");
+  }
+}
+
+/* =========================================================
+   ENDPOINTS
+========================================================= */
+
+// Same as the portal's "email me my link" form: the response never says
+// whether the address matched, so the API can't be used to probe for accounts.
+async function lookupContact(event) {
+  if (!isPortalUrlConfigured()) return portalUrlNotConfigured();
+
+  const input = parseJson(event);
+  if (!input) return apiError(400, "invalid_json", "Body must be JSON.");
+
+  const email = String(input.email || "").trim();
+  if (!email) return apiError(400, "missing_email", "Provide email.");
+
+  if (!isMailConfigured()) {
+    return apiError(503, "mail_unavailable", "Link requests are unavailable.");
+  }
+
+  const contact = await findContactByEmail(email);
+  if (contact) await emailPortalLink(contact);
+
+  return jsonResponse(202, { sent: true });
+}
+
+async function listDeals(access) {
+  const deals = await getDealsByIds(
+    [...access.dealIds, ...access.payerDealIds],
+    access.email,
+    { cached: true }
+  );
+
+  return jsonResponse(200, {
+    deals: deals.map((deal) => {
+      const role = accessRoleFor(access, deal.id);
+      const { currency, tuition, remaining } = dealBalance(deal.properties);
+      return {
+        id: deal.id,
+        name: deal.properties.dealname || "",
+        role,
+        currency,
+        ...(role === ACCESS_ROLES.FAMILY ? { tuition } : {}),
+        remaining,
+      };
+    }),
+  });
+}
+
+async function showDeal(event, access, dealId) {
+  if (!isPortalUrlConfigured()) return portalUrlNotConfigured();
+
+  const role = accessRoleFor(access, dealId);
+  const deal = role ? await getDealById(dealId, { cached: true }) : null;
+  if (!deal) return apiError(404, "deal_not_found", "Deal not found.");
+
+  const { currency, remaining } = dealBalance(deal.properties || {});
+  await recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, {
+    ...auditContext(event, access),
+    dealId,
+    role,
+    amount: remaining,
+    currency,
+    channel: "api",
+  });
+
+  return jsonResponse(200, { deal: dealResource(deal, role) });
+}
+
+async function createCheckout(event, access, dealId) {
+  if (!isStripeConfigured()) {
+    return apiError(500, "not_configured", "Payments are not configured.");
+  }
+  if (!isPortalUrlConfigured()) return portalUrlNotConfigured();
+
+  const input = parseJson(event);
+  if (!input) return apiError(400, "invalid_json", "Body must be JSON.");
+
+  const role = accessRoleFor(access, dealId);
+  const method =
+    input.method === "bank" ? PAYMENT_METHODS.BANK : PAYMENT_METHODS.CARD;
+  const audit = (outcome, fields) =>
+    recordAudit(outcome, {
+      ...auditContext(event, access),
+      dealId,
+      role,
+      method,
+      paymentType: input.type,
+      channel: "api",
+      ...fields,
+    });
+  const reject = async (statusCode, code, message, fields) => {
+    await audit(AUDIT_EVENTS.CHECKOUT_REJECTED, { code, ...fields });
+    return apiError(statusCode, code, message);
+  };
+
+  // Never cached: the amount charged must match the deal as it is now
+  const deal = role ? await getDealById(dealId) : null;
+  if (!deal) return reject(404, "deal_not_found", "Deal not found.");
+
+  const p = deal.properties || {};
+  const currency = dealCurrency(p);
+  if (!paymentOptions(p).methods.includes(method)) {
+    return reject(
+      400,
+      "method_unavailable",
+      "Bank payments are only available in USD.",
+      { currency }
+    );
+  }
+
+  const amount = checkoutAmount(p, input.type, input.amount);
+  if (!amount.ok) {
+    return reject(400, amount.code, amount.error, {
+      currency,
+      requestedAmount: input.amount,
+    });
+  }
+
+  const token = bearerToken(event.headers || {});
+  const portalUrl = new URL(buildPortalLink(token));
+  portalUrl.searchParams.set("dealId", dealId);
+  const receiptUrl = new URL(buildPortalLink(token));
+  receiptUrl.searchParams.set("receipt", "1");
+
+  const successUrl = input.successUrl || receiptUrl.toString();
+  const cancelUrl = input.cancelUrl || portalUrl.toString();
+  if (![successUrl, cancelUrl].every(isAllowedRedirect)) {
+    return reject(
+      400,
+      "invalid_redirect_url",
+      "successUrl and cancelUrl must be on an approved origin.",
+      { amount: amount.base, currency }
+    );
+  }
+
+  // Stripe substitutes {CHECKOUT_SESSION_ID} itself, so it must stay unencoded
+  const started = await startCheckout(getStripe(), {
+    deal,
+    type: amount.type,
+    base: amount.base,
+    label: amount.label,
+    method,
+    role,
+    access,
+    successUrl: `${successUrl}${
+      successUrl.includes("?") ? "&" : "?"
+    }session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl,
+    locale: resolveLocale({
+      lang: input.locale,
+      acceptLanguage: (event.headers || {})["accept-language"],
+    }).locale,
+  });
+  if (!started.ok) {
+    return reject(409, started.code, started.error, {
+      amount: amount.base,
+      currency,
+    });
+  }
+
+  await audit(AUDIT_EVENTS.CHECKOUT_STARTED, {
+    amount: amount.base,
+    currency,
+    paymentType: amount.type,
+    sessionId: started.session.id,
+    charged: started.session.amount_total,
+    reused: started.reused,
+  });
+
+  return jsonResponse(started.reused ? 200 : 201, {
+    id: started.session.id,
+    url: started.session.url,
+    type: amount.type,
+    method,
+    ...chargeFor(amount.base, method, cardFeeTerms(paymentOptions(p).pricing).rate),
+  });
+}
+
+/* =========================================================
+   RESOURCES
+========================================================= */
+
+// What renderDealPortal shows, as data. Payers get the same limited view as
+// in the portal: the balance and the ways to pay.
+function dealResource(deal, role) {
+  const p = deal.properties || {};
+  const balance = dealBalance(p);
+  const { pricing, methods, options, milestones, custom } = paymentOptions(p);
+  const payer = role === ACCESS_ROLES.PAYER;
+  // Checkout, which the API starts, can't tell one card from another
+  const cardFee = cardFeeTerms(pricing);
+
+  const resource = {
+    id: deal.id,
+    name: p.dealname || "",
+    role,
+    currency: balance.currency,
+    currencyExponent: currencyExponent(balance.currency),
+    dueDate: custom ? balanceDueDateFor(p) : null,
+    totals: payer
+      ? { remaining: balance.remaining, payable: balance.payable }
+      : {
+          tuition: balance.tuition,
+          adjustments: balance.totalAdjustments,
+          paid: balance.totalPaid,
+          processing: balance.processing,
+          remaining: balance.remaining,
+          payable: balance.payable,
+        },
+    milestones: milestones.map((m) => ({
+      id: m.id,
+      label: paymentTypeLabel(m.id, milestones),
+      amount: m.amount,
+      dueDate: m.dueDate || null,
+      status: m.status,
+      owing: m.owing,
+    })),
+    paymentMethods: methods,
+    cardFeeRate: cardFee.rate,
+    paymentTypes: options.map((opt) => ({
+      type: opt.type,
+      label: paymentTypeLabel(opt.type, milestones),
+      amount: opt.amount,
+      charges: methods.map((method) => ({
+        method,
+        ...chargeFor(opt.amount, method, cardFee.rate),
+      })),
+    })),
+    customPayment: custom,
+    paymentsInProgress: parseOpenSessions(p).map((s) => ({
+      type: s.type,
+      method: s.method,
+      amount: s.base,
+      expiresAt: new Date(s.expiresAt * 1000).toISOString(),
+    })),
+  };
+  if (payer) return resource;
+
+  const plan = parsePlan(p);
+  return {
+    ...resource,
+    payments: balance.payments.map((pay) => ({
+      amount: pay.amount,
+      date: pay.date,
+      method: pay.method,
+      methodLabel: methodLabel(pay.method),
+      status: pay.status,
+      statusLabel: statusLabel(pay.status, pay.kind),
+      kind: pay.kind,
+      txn: pay.txn,
+      paidBy:
+        pay.paidBy?.role === ACCESS_ROLES.PAYER
+          ? pay.paidBy.name || pay.paidBy.email
+          : null,
+    })),
+    adjustments: balance.adjustments.map((adj) => ({
+      id: adj.id,
+      type: adj.type,
+      description: adjustmentDescription(adj),
+      amount: adj.amount,
+      date: adj.date,
+      code: adj.code,
+    })),
+    plan: plan
+      ? {
+          status: plan.status,
+          instalments: plan.instalments.map((inst) => ({
+            n: inst.n,
+            due: inst.due,
+            amount: inst.amount,
+            status: inst.status,
+          })),
+        }
+      : null,
+  };
+}
+
+/* =========================================================
+   HELPERS
+========================================================= */
+
+function apiError(statusCode, code, message) {
+  return jsonResponse(statusCode, { error: { code, message } });
+}
+
+function methodNotAllowed() {
+  return apiError(405, "method_not_allowed", "Method not allowed.");
+}
+
+// For the endpoints whose links, emails and checkout redirects point back to
+// the portal
+function portalUrlNotConfigured() {
+  return apiError(
+    500,
+    "not_configured",
+    "The portal URL is not configured. Set PORTAL_URL (or URL)."
+  );
+}
+
+// ["v1", "deals", "123"] from /api/v1/deals/123, whether the request came
+// through the /api/* rewrite or straight to the function.
+function routePath(event) {
+  const path = event.path || new URL(event.rawUrl).pathname;
+  return path
+    .replace(/^\/(\.netlify\/functions\/)?api\/?/, "")
+    .split("/")
+    .filter(Boolean)
+    .map(decodeURIComponent);
+}
+
+function bearerToken(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  return match ? match[1].trim() : "";
+}
+
+function parseJson(event) {
+  try {
+    const input = JSON.parse(rawBody(event) || "{}");
+    return input && typeof input === "object" ? input : null;
+  } catch {
+    return null;
+  }
+}
+
+function corsHeaders(headers) {
+  const origin = (headers.origin || "").replace(/\/+$/, "");
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return null;
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Max-Age": "600",
+    Vary: "Origin",
+  };
+}
+
+// Checkout may only send people back to the portal or an approved site
+function isAllowedRedirect(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  return (
+    url.origin === new URL(portalBaseUrl()).origin ||
+    ALLOWED_ORIGINS.includes(url.origin)
+  );
+}
@@ -0,0 +1,215 @@
+// netlify/functions/charge-instalments.js
+// Scheduled (see netlify.toml): charges due payment-plan instalments
+// off-session, records them in the deal's ledger and handles failed charges
+// with retries and dunning emails. The card fee is the one the saved card
+// pays under the surcharge rules (see surcharge.js).
+
+const { isStripeConfigured, getStripe } = require("../lib/stripe");
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  dealBalance,
+  findPayment,
+  ledgerUpdateWith,
+} = require("../lib/payments");
+const {
+  PLAN_STATUS_FIELD,
+  PLAN_STATUS,
+  INSTALMENT_STATUS,
+  todayIso,
+  parsePlan,
+  planProperties,
+  dueInstalments,
+  markInstalmentFailed,
+  markInstalmentPaid,
+  refreshPlanStatus,
+} = require("../lib/plans");
+const { cardChargeFor } = require("../lib/checkout");
+const { cardDetailsFor } = require("../lib/surcharge");
+const { searchDeals, getContactById } = require("../lib/hubspot");
+const { updateLedger } = require("../lib/ledger");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { issuePortalLink } = require("../lib/portal-links");
+const { isMailConfigured, sendMail } = require("../lib/mailer");
+const { textResponse, jsonResponse } = require("../lib/http");
+const { formatMoney } = require("../lib/currency");
+const { formatDate } = require("../lib/util");
+
+exports.handler = withHubSpotStats("charge-instalments", async () => {
+  if (!isStripeConfigured() || !process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
+    return textResponse(
+      500,
+      "Set STRIPE_SECRET_KEY and HUBSPOT_PRIVATE_APP_TOKEN to charge instalments."
+    );
+  }
+
+  const today = todayIso();
+  const summary = { deals: 0, charged: 0, failed: 0, skipped: 0, errors: 0 };
+
+  const deals = await searchDeals([
+    {
+      filters: [
+        {
+          propertyName: PLAN_STATUS_FIELD,
+          operator: "EQ",
+          value: PLAN_STATUS.ACTIVE,
+        },
+      ],
+    },
+  ]);
+
+  for (const deal of deals) {
+    summary.deals++;
+    try {
+      await chargeDueInstalments(deal, today, summary);
+    } catch (err) {
+      summary.errors++;
+      console.error("Instalment run failed for deal", deal.id, err);
+    }
+  }
+
+  console.log("Instalment run:", today, summary);
+  return jsonResponse(200, summary);
+});
+
+/* =========================================================
+   CHARGING
+========================================================= */
+
+async function chargeDueInstalments(deal, today, summary) {
+  let p = deal.properties || {};
+  const plan = parsePlan(p);
+
+  for (const inst of dueInstalments(plan, today)) {
+    const { payable } = dealBalance(p);
+    let entry = null;
+
+    if (isNaN(payable) || payable <= 0) {
+      // Manual or pending bank payments already cover the rest of the balance
+      inst.status = INSTALMENT_STATUS.SKIPPED;
+      summary.skipped++;
+    } else {
+      const base = Math.min(inst.amount, payable);
+
+      try {
+        const intent = await chargeInstalment(deal, plan, inst, base);
+        markInstalmentPaid(inst, intent.id, base, today);
+        entry = {
+          amount: base,
+          currency: plan.currency,
+          method: PAYMENT_METHODS.CARD,
+          txn: intent.id,
+          status: PAYMENT_STATUS.SUCCEEDED,
+        };
+        summary.charged++;
+      } catch (err) {
+        // Anything other than a decline or authentication failure is ours to
+        // fix; leave the instalment untouched so the next run tries again.
+        if (err.type !== "StripeCardError") throw err;
+
+        const exhausted = markInstalmentFailed(inst, err.message, today);
+        summary.failed++;
+        await sendDunningEmail(deal, plan, inst, exhausted);
+      }
+    }
+
+    refreshPlanStatus(plan);
+    // Save after every instalment so a later failure can't lose a charge. The
+    // webhook may be recording a payment on the same deal meanwhile, so the
+    // entry goes onto the ledger as it is then.
+    const saved = await updateLedger(deal.id, (fresh) => ({
+      update: {
+        ...(entry && !findPayment(fresh, entry.txn) ? ledgerUpdateWith(fresh, entry) : {}),
+        ...planProperties(plan),
+      },
+    }));
+    p = saved.properties;
+  }
+}
+
+async function chargeInstalment(deal, plan, inst, base) {
+  // Guard against charging twice when a previous run charged but failed to
+  // save the result to HubSpot.
+  const existing = await getStripe().paymentIntents.search({
+    query: `status:"succeeded" AND metadata["dealId"]:"${deal.id}" AND metadata["planInstalment"]:"${inst.n}" AND metadata["planSession"]:"${plan.setupSession}"`,
+  });
+  if (existing.data.length > 0) return existing.data[0];
+
+  const paymentMethod = await getStripe().paymentMethods.retrieve(plan.paymentMethod);
+  const { fee, total, reason } = cardChargeFor(
+    deal.properties || {},
+    base,
+    PAYMENT_METHODS.CARD,
+    cardDetailsFor(paymentMethod)
+  );
+  const programName = deal.properties?.dealname || "Program Payment";
+
+  return getStripe().paymentIntents.create(
+    {
+      amount: total,
+      currency: plan.currency,
+      customer: plan.customer,
+      payment_method: plan.paymentMethod,
+      off_session: true,
+      confirm: true,
+      description: `${programName} – Instalment ${inst.n} of ${plan.instalments.length} – Deal ID: ${deal.id}`,
+      metadata: {
+        dealId: deal.id,
+        paymentType: "instalment",
+        paymentMethod: PAYMENT_METHODS.CARD,
+        planInstalment: String(inst.n),
+        planSession: plan.setupSession,
+        baseAmountMinor: String(base),
+        cardFeeMinor: String(fee),
+        cardFeeReason: reason,
+      },
+    },
+    {
+      idempotencyKey: `plan-${plan.setupSession}-${inst.n}-${inst.attempts || 0}`,
+    }
+  );
+}
+
+/* =========================================================
+   DUNNING
+========================================================= */
+
+async function sendDunningEmail(deal, plan, inst, exhausted) {
+  console.warn(
+    `Instalment ${inst.n} failed for deal ${deal.id}:`,
+    inst.lastError,
+    exhausted ? "(retries exhausted)" : `(retrying ${inst.retryOn})`
+  );
+
+  if (!isMailConfigured() || !plan.contactId) return;
+
+  try {
+    const contact = await getContactById(plan.contactId);
+    if (!contact?.properties?.email) return;
+
+    const link = await issuePortalLink(contact);
+    const programName = deal.properties?.dealname || "your program";
+    const amount = formatMoney(inst.amount, plan.currency);
+
+    const next = exhausted
+      ? "We won't try this card again. Please make the payment through your portal, where you can also set up a new plan with a different card."
+      : `We'll try again on ${formatDate(inst.retryOn)}. If your card details have changed, you can pay through your portal instead.`;
+
+    await sendMail({
+      to: contact.properties.email,
+      subject: `Payment plan instalment failed – ${programName}`,
+      text: [
+        `Hi ${contact.properties.firstname || "there"},`,
+        "",
+        `We couldn't collect instalment ${inst.n} (${amount}) for ${programName}: ${inst.lastError}`,
+        "",
+        next,
+        "",
+        link.url,
+      ].join("\n"),
+    });
+  } catch (err) {
+    // A failed email must not stop the plan update from being saved
+    console.error("Dunning email failed for deal", deal.id, err);
+  }
+}
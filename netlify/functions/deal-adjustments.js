@@ -0,0 +1,93 @@
+// netlify/functions/deal-adjustments.js
+// Staff / HubSpot workflow endpoint that records scholarships, discounts and
+// credits against a deal, instead of editing the deal amount.
+//
+// POST with "Authorization: Bearer <PORTAL_LINK_API_KEY>" (or X-Api-Key) and
+// a JSON body:
+//   { dealId, type: "scholarship" | "discount" | "credit", amount, label,
+//     note, addedBy, id }
+// `amount` is a decimal in the deal currency. `id` is optional; pass a stable
+// one from workflows so a retried request isn't recorded twice.
+
+const crypto = require("crypto");
+const {
+  ADJUSTMENT_TYPES,
+  findAdjustment,
+  adjustmentsUpdateWith,
+} = require("../lib/adjustments");
+const { dealBalance, overpaymentProperties } = require("../lib/payments");
+const { getDealById, updateDeal } = require("../lib/hubspot");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { hasApiKey } = require("../lib/access");
+const { dealCurrency, toMinor, minorToDecimalString } = require("../lib/currency");
+const { textResponse, jsonResponse, rawBody } = require("../lib/http");
+
+exports.handler = withHubSpotStats("deal-adjustments", async (event) => {
+  if (event.httpMethod !== "POST") {
+    return textResponse(405, "Method not allowed.");
+  }
+
+  if (!process.env.PORTAL_LINK_API_KEY) {
+    return textResponse(500, "API key not configured. Set PORTAL_LINK_API_KEY.");
+  }
+
+  if (!hasApiKey(event.headers || {})) {
+    return textResponse(401, "Unauthorized.");
+  }
+
+  let input;
+  try {
+    input = JSON.parse(rawBody(event) || "{}");
+  } catch {
+    return textResponse(400, "Body must be JSON.");
+  }
+
+  const dealId = input.dealId || input.objectId;
+  if (!dealId) return textResponse(400, "Provide dealId.");
+  if (!Object.values(ADJUSTMENT_TYPES).includes(input.type)) {
+    return textResponse(400, "type must be scholarship, discount or credit.");
+  }
+
+  try {
+    const deal = await getDealById(dealId);
+    if (!deal) return textResponse(404, "Deal not found.");
+
+    const p = deal.properties || {};
+    const currency = dealCurrency(p);
+    const amount = toMinor(input.amount, currency);
+    if (isNaN(amount) || amount <= 0) {
+      return textResponse(400, "amount must be a positive number.");
+    }
+
+    const id = input.id ? String(input.id) : `adj_${crypto.randomUUID()}`;
+    const existing = findAdjustment(p, id);
+    let update = {};
+    if (!existing) {
+      update = adjustmentsUpdateWith(p, {
+        id,
+        type: input.type,
+        label: input.label,
+        amount,
+        note: input.note,
+        addedBy: input.addedBy,
+      });
+      // A credit after the balance was paid leaves the family overpaid
+      update = { ...update, ...overpaymentProperties({ ...p, ...update }) };
+      await updateDeal(dealId, update);
+    }
+
+    const { totalAdjustments, remaining } = dealBalance({ ...p, ...update });
+
+    return jsonResponse(existing ? 200 : 201, {
+      dealId,
+      id,
+      recorded: !existing,
+      currency,
+      totalAdjustments: minorToDecimalString(totalAdjustments, currency),
+      remaining: minorToDecimalString(remaining, currency),
+    });
+  } catch (err) {
+    console.error("Deal adjustment error:", err);
+    return textResponse(500, "Unexpected error");
+  }
+});
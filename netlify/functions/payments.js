@@ -1,28 +1,132 @@
 // netlify/functions/payments.js
 
-const HUBSPOT_BASE = "https://api.hubapi.com";
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-
-const PAYMENT_FIELDS = [
-  "payment_1",
-  "payment_2",
-  "payment_3",
-  "payment_4",
-  "payment_5",
-];
-
-// Constants
-const APP_FEE = 250; // USD
-const DEPOSIT_TARGET = 2500; // USD
-const DEPOSIT_BUTTON_HIDE_AT_PAID = 2250; // Show deposit button if paid < 2250 (your rule)
-const CARD_FEE_RATE = 0.035; // 3.5%
-
-exports.handler = async (event) => {
+const {
+  isStripeConfigured,
+  getStripe,
+  stripePublishableKey,
+  isPaymentElementEnabled,
+  billingPortalConfiguration,
+} = require("../lib/stripe");
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  ENTRY_KINDS,
+  feeFor,
+  offersBankPayments,
+  dealBalance,
+  methodLabel,
+  statusLabel,
+} = require("../lib/payments");
+const {
+  PLAN_STATUS,
+  INSTALMENT_STATUS,
+  planCutoffFor,
+  planOptions,
+  parsePlan,
+  isPlanActive,
+} = require("../lib/plans");
+const { pricingFor } = require("../lib/pricing");
+const {
+  PAYMENT_ELEMENT_FLOW,
+  chargeFor,
+  cardFeeTerms,
+  quotePaymentIntent,
+  paymentOptions,
+  checkoutAmount,
+  parseOpenSessions,
+} = require("../lib/checkout");
+const { startCheckout, startPaymentIntent } = require("../lib/checkout-sessions");
+const { customerIdFor, customerForContact } = require("../lib/customers");
+const {
+  adjustmentTypeLabel,
+  adjustmentDescription,
+  adjustmentsUpdateWith,
+} = require("../lib/adjustments");
+const {
+  PROMO_CODES_FIELD,
+  normalizeCode,
+  hasPromoCodes,
+  findPromoCode,
+  validatePromoCode,
+  promoAdjustment,
+  promoCodesUpdateWith,
+} = require("../lib/promo-codes");
+const {
+  findContactByEmail,
+  getContactById,
+  getDealsByIds,
+  getDealById,
+  searchDeals,
+  updateDeal,
+} = require("../lib/hubspot");
+const {
+  isHubSpotUnavailable,
+  withHubSpotStats,
+} = require("../lib/hubspot-client");
+const {
+  ACCESS_ROLES,
+  isAccessConfigured,
+  verifyAccessToken,
+  accessRoleFor,
+  canAccessDeal,
+} = require("../lib/access");
+const { emailPortalLink, issuePayerLink } = require("../lib/portal-links");
+const {
+  AUDIT_EVENTS,
+  auditContext,
+  recordAudit,
+  withAuditFlush,
+} = require("../lib/audit");
+const { balanceDueDateFor } = require("../lib/reminders");
+const { isMailConfigured } = require("../lib/mailer");
+const {
+  CONTACT_LANGUAGE_PROPERTY,
+  matchLocale,
+  resolveLocale,
+  i18nFor,
+} = require("../lib/i18n");
+const {
+  buildReceipt,
+  buildStatement,
+  statementFilename,
+  renderStatementPdf,
+} = require("../lib/statements");
+const {
+  htmlResponse,
+  textResponse,
+  jsonResponse,
+  pdfResponse,
+  rawBody,
+} = require("../lib/http");
+const {
+  dealCurrency,
+  currencyExponent,
+  toMinor,
+  minorToDecimalString,
+  formatMoney,
+} = require("../lib/currency");
+const { safeNumber, formatPercent, formatDate } = require("../lib/util");
+const { html } = require("../lib/templates");
+const { brandFor } = require("../lib/brand");
+const { messagePage, linkRequestPage } = require("../templates/message");
+const { selectionPage } = require("../templates/selection");
+const { portalPage } = require("../templates/portal");
+const { receiptPage } = require("../templates/receipt");
+const { statementPage } = require("../templates/statement");
+
+const BRAND = brandFor();
+
+exports.handler = withHubSpotStats("payments", withAuditFlush(async (event) => {
+  // English until the request has been read far enough to pick a language
+  let i18n = i18nFor();
+
   try {
     const url = new URL(event.rawUrl);
     const email = url.searchParams.get("email");
     const dealId = url.searchParams.get("dealId");
     const checkout = url.searchParams.get("checkout");
+    const plan = url.searchParams.get("plan");
+    const token = url.searchParams.get("token");
 
     if (!process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
       return textResponse(
@@ -31,859 +135,1437 @@ exports.handler = async (event) => {
       );
     }
 
+    if (!isAccessConfigured()) {
+      return textResponse(
+        500,
+        "Portal link secret not configured. Please set PORTAL_LINK_SECRET."
+      );
+    }
+
+    // Every view and checkout needs a signed, unexpired link
+    const access = verifyAccessToken(token);
+    i18n = await requestI18n(event, url, access);
+
     // Stripe redirect flow
     if (checkout === "1") {
-      return await handleStripeCheckout(event, url);
+      if (!access) return textResponse(401, i18n.text("errors.linkInvalid"));
+      return await handleStripeCheckout(event, url, access, token, i18n);
     }
 
-    // If dealId present, render portal for that deal
-    if (dealId) {
-      const deal = await getDealById(dealId);
-      if (!deal) {
-        return htmlResponse(
-          404,
-          basicPage("Could not find that program", `<p>Deal not found.</p>`)
-        );
+    // The embedded payment form's PaymentIntent
+    if (url.searchParams.get("intent") === "1") {
+      if (!access) {
+        return jsonResponse(401, {
+          error: { code: "invalid_token", message: i18n.text("errors.linkInvalid") },
+        });
+      }
+      return await handlePaymentIntent(event, url, access, token, i18n);
+    }
+
+    // The card fee for the card entered in the embedded form
+    if (url.searchParams.get("quote") === "1") {
+      if (!access) {
+        return jsonResponse(401, {
+          error: { code: "invalid_token", message: i18n.text("errors.linkInvalid") },
+        });
+      }
+      return await handlePaymentQuote(event, url, access, i18n);
+    }
+
+    // Paying the embedded form's intent with the card that was quoted
+    if (url.searchParams.get("pay") === "1") {
+      if (event.httpMethod !== "POST") return textResponse(405, "Method Not Allowed");
+      if (!access) {
+        return jsonResponse(401, {
+          error: { code: "invalid_token", message: i18n.text("errors.linkInvalid") },
+        });
       }
-      deal.properties.email = email || deal.properties.email || "";
-      return htmlResponse(200, renderDealPortal(deal));
+      return await handlePaymentConfirm(event, url, access, token, i18n);
     }
 
-    // Otherwise we expect an email to look up deals
-    if (!email) {
+    // Payment plan card setup
+    if (plan === "1") {
+      if (!access) return textResponse(401, i18n.text("errors.linkInvalid"));
+      return await handlePlanSetup(event, url, access, token, i18n);
+    }
+
+    // Stripe's Customer Portal, for billing details and saved cards
+    if (url.searchParams.get("billing") === "1") {
+      if (!access) return textResponse(401, i18n.text("errors.linkInvalid"));
+      return await handleBillingPortal(event, url, access, token, i18n);
+    }
+
+    if (!access) {
+      // "Email me my link": typing an address only ever sends mail to it
+      if (email) return await handleLinkRequest(email, url, i18n);
+
       return htmlResponse(
-        400,
-        basicPage(
-          "Missing email",
-          `<p>Please access this page via the portal form so we know which account to look up.</p>`
+        401,
+        renderLinkRequestPage(
+          i18n.text(token ? "link.expired" : "link.prompt"),
+          i18n
         )
       );
     }
 
-    const contact = await findContactByEmail(email);
-    if (!contact) {
+    // Receipt page Stripe returns to after a completed payment
+    if (url.searchParams.get("receipt") === "1") {
+      return await handleReceipt(url, access, token, i18n);
+    }
+
+    // Printable / PDF statement for one deal
+    if (dealId && url.searchParams.get("statement") === "1") {
+      return await handleStatement(url, access, token, i18n);
+    }
+
+    // Promo code form on the portal. Applying a code changes the deal, so
+    // it's posted: a GET (a prefetch, a shared link) mustn't redeem it.
+    if (dealId && url.searchParams.get("promo") === "1") {
+      if (event.httpMethod !== "POST") return textResponse(405, "Method Not Allowed");
+      return await handlePromoCode(event, url, access, token, i18n);
+    }
+
+    // If dealId present, render portal for that deal
+    if (dealId) {
+      const deal = canAccessDeal(access, dealId)
+        ? await getDealById(dealId, { cached: true })
+        : null;
+      if (!deal) return dealNotFoundPage(i18n);
+
+      await auditView(AUDIT_EVENTS.PORTAL_VIEWED, event, access, deal);
+      deal.properties.email = access.email;
       return htmlResponse(
-        404,
-        basicPage(
-          "No account found",
-          `<p>We couldn't find any records for <strong>${escapeHtml(
-            email
-          )}</strong>.</p>`
-        )
+        200,
+        renderDealPortal(deal, token, {
+          ...(await portalOptions(url, access, deal.id, i18n)),
+          planSetup: url.searchParams.get("planSetup") === "1",
+          promoApplied: url.searchParams.get("promoApplied") === "1",
+        })
       );
     }
 
-    const deals = await getDealsForContact(contact.id, email);
+    const deals = await getDealsByIds(
+      [...access.dealIds, ...access.payerDealIds],
+      access.email,
+      { cached: true }
+    );
 
     if (!deals || deals.length === 0) {
       return htmlResponse(
         404,
         basicPage(
-          "No programs found",
-          `<p>We found your contact (<strong>${escapeHtml(
-            email
-          )}</strong>) but no program payment records yet.</p>`
+          i18n.text("errors.noProgramsTitle"),
+          access.email
+            ? html`<p>${i18n.html("errors.noProgramsForContact", {
+                email: html`<strong>${access.email}</strong>`,
+              })}</p>`
+            : html`<p>${i18n.t("errors.noProgramsForLink")}</p>`,
+          i18n
         )
       );
     }
 
     if (deals.length === 1) {
-      return htmlResponse(200, renderDealPortal(deals[0]));
+      await auditView(AUDIT_EVENTS.PORTAL_VIEWED, event, access, deals[0]);
+      return htmlResponse(
+        200,
+        renderDealPortal(
+          deals[0],
+          token,
+          await portalOptions(url, access, deals[0].id, i18n)
+        )
+      );
     }
 
-    return htmlResponse(200, renderDealSelectionPage(deals, url, email));
+    await Promise.all(
+      deals.map((deal) =>
+        auditView(AUDIT_EVENTS.DEALS_LISTED, event, access, deal)
+      )
+    );
+    return htmlResponse(
+      200,
+      renderDealSelectionPage(deals, url, token, access, i18n)
+    );
   } catch (err) {
     console.error("Handler error:", err);
+    if (isHubSpotUnavailable(err)) {
+      return htmlResponse(
+        503,
+        basicPage(
+          i18n.text("errors.busyTitle"),
+          html`<p>${i18n.t("errors.busy")}</p>`,
+          i18n
+        )
+      );
+    }
     return textResponse(500, "Unexpected error");
   }
-};
+}));
+
+// Payers get the limited view; families also get a link to pass on to
+// whoever is paying for them. Either gets "Manage billing" for their own
+// Stripe Customer.
+async function portalOptions(url, access, dealId, i18n) {
+  const role = accessRoleFor(access, dealId);
+  const contactId = access.contactId || "";
+  const billing = await hasBilling(contactId);
+  if (role !== ACCESS_ROLES.FAMILY) return { role, contactId, billing, i18n };
+
+  const baseUrl = new URL(url.toString());
+  baseUrl.search = "";
+  return {
+    role,
+    contactId,
+    billing,
+    i18n,
+    payerLink: issuePayerLink(dealId, baseUrl.toString()).url,
+  };
+}
+
+// "Manage billing" is offered once the contact has a Stripe Customer, i.e.
+// after their first checkout
+async function hasBilling(contactId) {
+  if (!contactId || !isStripeConfigured()) return false;
+  try {
+    return Boolean(await customerIdFor(contactId, { cached: true }));
+  } catch (err) {
+    console.warn("Couldn't read the contact's Stripe customer:", err.message);
+    return false;
+  }
+}
+
+// Views are audited with the balance the page showed
+function auditView(type, event, access, deal) {
+  const { currency, remaining } = dealBalance(deal.properties || {});
+  return recordAudit(type, {
+    ...auditContext(event, access),
+    dealId: deal.id,
+    role: accessRoleFor(access, deal.id),
+    amount: remaining,
+    currency,
+  });
+}
 
 /* =========================================================
-   STRIPE CHECKOUT
+   LANGUAGE
 ========================================================= */
 
-async function handleStripeCheckout(event, url) {
-  if (!process.env.STRIPE_SECRET_KEY) {
-    return textResponse(500, "Stripe key not configured. Set STRIPE_SECRET_KEY.");
+// The `lang` parameter, then the contact's HubSpot language, then the
+// browser's Accept-Language. The contact lookup is only a preference, so a
+// failed read falls back to the browser rather than failing the page.
+async function requestI18n(event, url, access) {
+  const lang = url.searchParams.get("lang");
+  let contactLanguage = "";
+
+  if (!matchLocale(lang) && access?.contactId) {
+    try {
+      const contact = await getContactById(access.contactId, { cached: true });
+      contactLanguage = contact?.properties?.[CONTACT_LANGUAGE_PROPERTY] || "";
+    } catch (err) {
+      console.warn("Couldn't read contact language:", err.message);
+    }
   }
 
-  const dealId = url.searchParams.get("dealId");
-  const type = url.searchParams.get("type"); // appfee | deposit | remaining | custom
-  const email = url.searchParams.get("email") || "";
+  return i18nFor(
+    resolveLocale({
+      lang,
+      contactLanguage,
+      acceptLanguage: (event.headers || {})["accept-language"],
+    })
+  );
+}
 
-  if (!dealId) return textResponse(400, "Missing dealId.");
+// Carries an explicit `lang` choice on to the links a page builds
+function langParam(i18n) {
+  return i18n.override ? `&lang=${encodeURIComponent(i18n.locale)}` : "";
+}
 
-  const deal = await getDealById(dealId);
-  if (!deal) return textResponse(404, "Deal not found.");
+// Ledger labels in the page's language, falling back to the English ones
+function methodText(method, i18n) {
+  const key = `labels.methods.${method}`;
+  return i18n.has(key) ? i18n.text(key) : methodLabel(method);
+}
 
-  const p = deal.properties || {};
-  const programName = p.dealname || "Program Payment";
+function statusText(status, kind, i18n) {
+  const group = !kind || kind === ENTRY_KINDS.PAYMENT ? "statuses" : kind;
+  const key = `labels.${group}.${status || PAYMENT_STATUS.SUCCEEDED}`;
+  return i18n.has(key) ? i18n.text(key) : statusLabel(status, kind);
+}
 
-  const payments = parsePayments(p);
-  const tuition = safeNumber(p.amount);
+// Staff-entered labels stay as written; only the type is translated
+function adjustmentText(adj, i18n) {
+  const key = `labels.adjustments.${adj.type}`;
+  if (!i18n.has(key)) return adjustmentDescription(adj);
 
-  const totalPaid =
-    !isNaN(safeNumber(p.total_amount_paid))
-      ? safeNumber(p.total_amount_paid)
-      : payments.reduce((s, pay) => s + pay.amount, 0);
+  const type = i18n.text(key);
+  return adj.label && adj.label !== adjustmentTypeLabel(adj.type)
+    ? `${type} – ${adj.label}`
+    : type;
+}
 
-  const remaining = !isNaN(tuition) ? tuition - totalPaid : NaN;
-  const depositRemaining = Math.max(0, DEPOSIT_TARGET - totalPaid);
+/* =========================================================
+   PORTAL LINK REQUESTS
+========================================================= */
 
-  let base = 0;
-  let label = "";
+async function handleLinkRequest(email, url, i18n) {
+  if (!isMailConfigured()) {
+    return htmlResponse(
+      503,
+      basicPage(
+        i18n.text("link.unavailableTitle"),
+        html`<p>${i18n.t("link.unavailable")}</p>`,
+        i18n
+      )
+    );
+  }
 
-  if (type === "appfee") {
-    base = APP_FEE;
-    label = "Application Fee";
-  } else if (type === "deposit") {
-    base = depositRemaining;
-    label = "Program Deposit";
-  } else if (type === "custom") {
-    const amt = safeNumber(url.searchParams.get("amount"));
-    if (isNaN(amt)) return textResponse(400, "Invalid amount.");
-    if (amt < APP_FEE) return textResponse(400, "Minimum payment is $250.");
-    if (!isNaN(remaining) && amt > remaining)
-      return textResponse(400, "Amount cannot exceed remaining balance.");
-    base = amt;
-    label = "Custom Payment";
-  } else {
-    base = remaining;
-    label = "Remaining Program Balance";
+  const contact = await findContactByEmail(email);
+  if (contact) {
+    const baseUrl = new URL(url.toString());
+    baseUrl.search = "";
+    await emailPortalLink(contact, baseUrl.toString());
   }
 
-  if (!base || isNaN(base) || base <= 0) {
-    return textResponse(400, "No balance due.");
+  // Same response either way so the form can't be used to probe for accounts
+  return htmlResponse(
+    200,
+    basicPage(
+      i18n.text("link.sentTitle"),
+      html`<p>${i18n.html("link.sent", {
+        email: html`<strong>${email}</strong>`,
+      })}</p>`,
+      i18n
+    )
+  );
+}
+
+/* =========================================================
+   STRIPE CHECKOUT
+========================================================= */
+
+// What a checkout request asks to pay, checked against the deal as it is
+// now. Returns { ok: true, deal, role, method, currency, amount, audit } or,
+// once the refusal has been audited, { ok: false, status, code, message }.
+// `fields` are added to every audit entry.
+async function resolveCheckout(event, url, access, i18n, fields = {}) {
+  const dealId = url.searchParams.get("dealId");
+  const type = url.searchParams.get("type"); // a milestone id | remaining | custom
+  const wantsBank = url.searchParams.get("method") === "bank";
+  const method = wantsBank ? PAYMENT_METHODS.BANK : PAYMENT_METHODS.CARD;
+  const audit = (outcome, entry) =>
+    recordAudit(outcome, {
+      ...auditContext(event, access),
+      dealId,
+      role: accessRoleFor(access, dealId),
+      method,
+      paymentType: type,
+      ...fields,
+      ...entry,
+    });
+  const refuse = async (status, code, message, entry) => {
+    await audit(AUDIT_EVENTS.CHECKOUT_REJECTED, { code, ...entry });
+    return { ok: false, status, code, message };
+  };
+
+  if (!dealId) {
+    return refuse(400, "missing_deal", i18n.text("errors.missingDeal"));
   }
+  const role = accessRoleFor(access, dealId);
 
-  const fee = base * CARD_FEE_RATE;
-  const total = base + fee;
+  // Never cached: the amount charged must match the deal as it is now
+  const deal = role ? await getDealById(dealId) : null;
+  if (!deal) {
+    return refuse(404, "deal_not_found", i18n.text("errors.dealNotFound"));
+  }
+
+  const p = deal.properties || {};
+  const currency = dealCurrency(p);
+  if (wantsBank && !offersBankPayments(currency)) {
+    return refuse(400, "method_unavailable", i18n.text("errors.bankUsdOnly"), {
+      currency,
+    });
+  }
+
+  const amount = checkoutAmount(p, type, url.searchParams.get("amount"));
+  if (!amount.ok) {
+    return refuse(
+      400,
+      amount.code,
+      i18n.text(`checkout.${amount.code}`, {
+        amount: formatMoney(
+          amount.minimum ?? pricingFor(p).minPayment,
+          currency,
+          i18n.intl
+        ),
+      }),
+      { currency, requestedAmount: url.searchParams.get("amount") }
+    );
+  }
+
+  return { ok: true, deal, role, method, currency, amount, audit };
+}
+
+async function handleStripeCheckout(event, url, access, token, i18n) {
+  if (!isStripeConfigured()) {
+    return textResponse(500, "Stripe key not configured. Set STRIPE_SECRET_KEY.");
+  }
+
+  const checkout = await resolveCheckout(event, url, access, i18n);
+  if (!checkout.ok) return textResponse(checkout.status, checkout.message);
+  const { deal, role, method, currency, amount, audit } = checkout;
+  const dealId = deal.id;
 
   // Cancel should return to the previous step (the deal portal)
-  // Include email so the portal can preserve it if needed
+  // Include the access token so the portal still opens
   const baseUrl = new URL(event.rawUrl);
   baseUrl.search = "";
-  const cancelUrl = new URL(baseUrl.toString());
-  cancelUrl.searchParams.set("dealId", dealId);
-  if (email) cancelUrl.searchParams.set("email", email);
-
-  const session = await stripe.checkout.sessions.create({
-    mode: "payment",
-    customer_email: email || undefined,
-    line_items: [
-      {
-        price_data: {
-          currency: "usd",
-          product_data: {
-            name: programName,
-            description: `${label} – Deal ID: ${dealId}`,
-          },
-          unit_amount: Math.round(total * 100),
-        },
-        quantity: 1,
-      },
-    ],
-    success_url:
-      "https://pacificdiscovery.org/success?session_id={CHECKOUT_SESSION_ID}",
-    cancel_url: cancelUrl.toString(),
-    metadata: { dealId, paymentType: type || "remaining" },
+  const cancelUrl = `${portalLink(baseUrl, dealId, token)}${langParam(i18n)}`;
+
+  // Stripe substitutes {CHECKOUT_SESSION_ID} itself, so it must stay unencoded
+  const successUrl = `${receiptLink(baseUrl, token, i18n)}&session_id={CHECKOUT_SESSION_ID}`;
+
+  const started = await startCheckout(getStripe(), {
+    deal,
+    type: amount.type,
+    base: amount.base,
+    label: amount.label,
+    method,
+    role,
+    access,
+    locale: i18n.locale,
+    successUrl,
+    cancelUrl,
   });
 
+  if (!started.ok) {
+    await audit(AUDIT_EVENTS.CHECKOUT_REJECTED, {
+      code: started.code,
+      amount: amount.base,
+      currency,
+    });
+    return htmlResponse(
+      409,
+      basicPage(
+        i18n.text("checkout.inProgressTitle"),
+        html`<p>${i18n.t(`checkout.${started.code}`)}</p>
+         <p><a href="${cancelUrl}">${i18n.t("checkout.backToPortal")}</a></p>`,
+        i18n
+      )
+    );
+  }
+
+  await audit(AUDIT_EVENTS.CHECKOUT_STARTED, {
+    amount: amount.base,
+    currency,
+    paymentType: amount.type,
+    sessionId: started.session.id,
+    charged: started.session.amount_total,
+    reused: started.reused,
+  });
   return {
     statusCode: 302,
-    headers: { Location: session.url },
+    headers: { Location: started.session.url },
     body: "",
   };
 }
 
-/* =========================================================
-   HUBSPOT HELPERS
-========================================================= */
+// The embedded payment form asks for a PaymentIntent with the same query as
+// a Checkout link (intent=1 in place of checkout=1) and gets JSON back:
+// { intentId, clientSecret, method, amount, currency, reused, base, fee,
+// total, feeVaries, display, returnUrl, receiptUrl }, or
+// { error: { code, message } }. The intent is for the base amount; `fee` is
+// what a credit card pays, and when `feeVaries` the form asks for the card's
+// own fee (quote=1) and the server confirms the payment with the card it
+// quoted (pay=1), so clientSecret is only given out when the fee can't
+// depend on the card. Stripe sends the browser to returnUrl when a payment
+// needs a redirect (3-D Secure, bank authorisation); otherwise the form
+// fetches receiptUrl itself.
+async function handlePaymentIntent(event, url, access, token, i18n) {
+  const fail = (status, code, message) =>
+    jsonResponse(status, { error: { code, message } });
+
+  if (!isPaymentElementEnabled()) {
+    return fail(404, "not_enabled", "The embedded payment form is not enabled.");
+  }
 
-async function hubSpotFetch(path, options = {}) {
-  const res = await fetch(`${HUBSPOT_BASE}${path}`, {
-    ...options,
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${process.env.HUBSPOT_PRIVATE_APP_TOKEN}`,
-      ...(options.headers || {}),
-    },
+  const checkout = await resolveCheckout(event, url, access, i18n, {
+    flow: PAYMENT_ELEMENT_FLOW,
+  });
+  if (!checkout.ok) return fail(checkout.status, checkout.code, checkout.message);
+  const { deal, role, method, currency, amount, audit } = checkout;
+
+  const started = await startPaymentIntent(getStripe(), {
+    deal,
+    type: amount.type,
+    base: amount.base,
+    label: amount.label,
+    method,
+    role,
+    access,
   });
 
-  if (!res.ok) {
-    const body = await res.text();
-    console.error("HubSpot error:", res.status, body);
-    throw new Error(`HubSpot API error ${res.status}`);
+  if (!started.ok) {
+    await audit(AUDIT_EVENTS.CHECKOUT_REJECTED, {
+      code: started.code,
+      amount: amount.base,
+      currency,
+    });
+    return fail(409, started.code, i18n.text(`checkout.${started.code}`));
   }
 
-  return res.json();
+  const { intent } = started;
+  await audit(AUDIT_EVENTS.CHECKOUT_STARTED, {
+    amount: amount.base,
+    currency,
+    paymentType: amount.type,
+    paymentIntent: intent.id,
+    charged: intent.amount,
+    reused: started.reused,
+  });
+
+  const terms = cardFeeTerms(pricingFor(deal.properties), { cardChecked: true });
+  const charge = chargeFor(amount.base, method, terms.rate);
+  const money = (minor) => formatMoney(minor, currency, i18n.intl);
+  const baseUrl = new URL(event.rawUrl);
+  baseUrl.search = "";
+  const returnUrl = receiptLink(baseUrl, token, i18n);
+
+  const feeVaries = charge.fee > 0 && terms.varies;
+
+  return jsonResponse(started.reused ? 200 : 201, {
+    intentId: intent.id,
+    clientSecret: feeVaries ? undefined : intent.client_secret,
+    method,
+    amount: intent.amount,
+    currency: intent.currency,
+    reused: started.reused,
+    ...charge,
+    feeVaries,
+    display: {
+      base: money(charge.base),
+      fee: money(charge.fee),
+      total: money(charge.total),
+    },
+    returnUrl,
+    receiptUrl: `${returnUrl}&payment_intent=${encodeURIComponent(intent.id)}`,
+  });
 }
 
-async function findContactByEmail(email) {
-  const body = {
-    filterGroups: [
-      { filters: [{ propertyName: "email", operator: "EQ", value: email }] },
-    ],
-    properties: ["email", "firstname", "lastname"],
-    limit: 1,
-  };
+// The embedded form's intent behind payment_intent=…, with its deal, or null
+// when there's no such intent or it isn't this link's: it has to be for the
+// deal the form was opened on (dealId=…), and started by the same contact.
+async function embeddedPaymentFor(stripe, intentId, access, dealId) {
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.retrieve(intentId);
+  } catch (err) {
+    if (err.type === "StripeInvalidRequestError") return null;
+    throw err;
+  }
 
-  const data = await hubSpotFetch("/crm/v3/objects/contacts/search", {
-    method: "POST",
-    body: JSON.stringify(body),
-  });
+  const metadata = intent.metadata || {};
+  const ours =
+    metadata.paymentFlow === PAYMENT_ELEMENT_FLOW &&
+    dealId &&
+    metadata.dealId === dealId &&
+    (metadata.contactId || "") === (access.contactId || "") &&
+    canAccessDeal(access, dealId);
+  const deal = ours ? await getDealById(dealId) : null;
+  return deal ? { intent, deal, dealId } : null;
+}
 
-  if (!data.results || data.results.length === 0) return null;
-  return { id: data.results[0].id, properties: data.results[0].properties || {} };
+// The card in a ConfirmationToken Stripe.js created, or null for an unknown
+// token
+async function confirmationFor(stripe, tokenId) {
+  try {
+    return await stripe.confirmationTokens.retrieve(tokenId);
+  } catch (err) {
+    if (err.type === "StripeInvalidRequestError") return null;
+    throw err;
+  }
+}
+
+// A card charge as the embedded form shows it
+function quoteBody(charge, currency, i18n) {
+  const money = (minor) => formatMoney(minor, currency, i18n.intl);
+  return {
+    base: charge.base,
+    fee: charge.fee,
+    total: charge.total,
+    reason: charge.reason,
+    display: {
+      base: money(charge.base),
+      fee: money(charge.fee),
+      total: money(charge.total),
+    },
+  };
 }
 
-async function getDealsForContact(contactId, email) {
-  const assoc = await hubSpotFetch(
-    `/crm/v4/objects/contacts/${contactId}/associations/deals`
+// quote=1&dealId=…&payment_intent=…&confirmation_token=… sets the embedded form's
+// intent to the fee for the card in the ConfirmationToken, and returns
+// { base, fee, total, reason, display } for the form to show before the
+// payer pays with that token (pay=1).
+async function handlePaymentQuote(event, url, access, i18n) {
+  const fail = (status, code, message = "") =>
+    jsonResponse(status, { error: { code, message } });
+
+  const intentId = url.searchParams.get("payment_intent");
+  const tokenId = url.searchParams.get("confirmation_token");
+  if (!intentId || !tokenId) return fail(400, "missing_payment");
+
+  const stripe = getStripe();
+  const payment = await embeddedPaymentFor(
+    stripe,
+    intentId,
+    access,
+    url.searchParams.get("dealId")
   );
+  if (!payment) return fail(404, "payment_not_found");
+  const { intent, deal, dealId } = payment;
 
-  const dealIds =
-    assoc.results?.map((r) => r.toObjectId).filter(Boolean) || [];
+  if (["succeeded", "processing", "canceled"].includes(intent.status)) {
+    return fail(409, "payment_already_made", i18n.text("checkout.payment_already_made"));
+  }
 
-  if (dealIds.length === 0) return [];
+  const confirmation = await confirmationFor(stripe, tokenId);
+  if (!confirmation) return fail(400, "invalid_confirmation_token");
+  const charge = await quotePaymentIntent(
+    stripe,
+    intent,
+    deal.properties || {},
+    confirmation.payment_method_preview
+  );
 
-  const batch = await hubSpotFetch("/crm/v3/objects/deals/batch/read", {
-    method: "POST",
-    body: JSON.stringify({
-      properties: ["dealname", "amount", "total_amount_paid", ...PAYMENT_FIELDS],
-      inputs: dealIds.map((id) => ({ id })),
-    }),
+  await recordAudit(AUDIT_EVENTS.CARD_FEE_QUOTED, {
+    ...auditContext(event, access),
+    dealId,
+    role: accessRoleFor(access, dealId),
+    amount: charge.base,
+    currency: intent.currency,
+    method: intent.metadata.paymentMethod,
+    paymentIntent: intent.id,
+    cardFee: charge.fee,
+    cardFeeReason: charge.reason,
+    region: charge.region,
   });
 
-  return (
-    batch.results?.map((d) => ({
-      id: d.id,
-      properties: {
-        ...(d.properties || {}),
-        email,
-      },
-    })) || []
-  );
+  return jsonResponse(200, quoteBody(charge, intent.currency, i18n));
 }
 
-async function getDealById(dealId) {
-  const data = await hubSpotFetch(
-    `/crm/v3/objects/deals/${dealId}?properties=${encodeURIComponent(
-      ["dealname", "amount", "total_amount_paid", ...PAYMENT_FIELDS].join(",")
-    )}`
+// POST pay=1&dealId=…&payment_intent=…&confirmation_token=…&total=… confirms the
+// embedded form's intent with the card that was quoted, so the fee charged is
+// the one that card was shown (`total`). A card charged another fee by now
+// is refused (409 card_fee_changed, with the new quote) for the payer to
+// check. Returns { status }, plus clientSecret when the payment still needs
+// the payer (3-D Secure) for stripe.handleNextAction.
+async function handlePaymentConfirm(event, url, access, token, i18n) {
+  const fail = (status, code, message = "", extra = {}) =>
+    jsonResponse(status, { error: { code, message }, ...extra });
+
+  const intentId = url.searchParams.get("payment_intent");
+  const tokenId = url.searchParams.get("confirmation_token");
+  const shown = Number(url.searchParams.get("total"));
+  if (!intentId || !tokenId) return fail(400, "missing_payment");
+
+  const stripe = getStripe();
+  const payment = await embeddedPaymentFor(
+    stripe,
+    intentId,
+    access,
+    url.searchParams.get("dealId")
+  );
+  if (!payment) return fail(404, "payment_not_found");
+  const { intent, deal, dealId } = payment;
+
+  if (["succeeded", "processing", "canceled"].includes(intent.status)) {
+    return fail(409, "payment_already_made", i18n.text("checkout.payment_already_made"));
+  }
+
+  // Quoted again from the same token: the fee is that card's, whatever the
+  // browser last showed
+  const confirmation = await confirmationFor(stripe, tokenId);
+  if (!confirmation) return fail(400, "invalid_confirmation_token");
+  const charge = await quotePaymentIntent(
+    stripe,
+    intent,
+    deal.properties || {},
+    confirmation.payment_method_preview
   );
+  if (charge.total !== shown) {
+    return fail(409, "card_fee_changed", i18n.text("embedded.cardFeeChanged"), {
+      quote: quoteBody(charge, intent.currency, i18n),
+    });
+  }
 
-  if (!data || !data.id) return null;
-  return { id: data.id, properties: data.properties || {} };
+  const baseUrl = new URL(event.rawUrl);
+  baseUrl.search = "";
+  let confirmed;
+  try {
+    confirmed = await stripe.paymentIntents.confirm(intent.id, {
+      confirmation_token: tokenId,
+      return_url: `${receiptLink(baseUrl, token, i18n)}&payment_intent=${encodeURIComponent(
+        intent.id
+      )}`,
+    });
+  } catch (err) {
+    // Declines are the payer's to act on; anything else is ours
+    if (err.type !== "StripeCardError") throw err;
+    return fail(402, err.code || "card_declined", err.message || i18n.text("embedded.failed"));
+  }
+
+  await recordAudit(AUDIT_EVENTS.CARD_PAYMENT_CONFIRMED, {
+    ...auditContext(event, access),
+    dealId,
+    role: accessRoleFor(access, dealId),
+    amount: charge.base,
+    currency: intent.currency,
+    paymentIntent: intent.id,
+    charged: charge.total,
+    cardFee: charge.fee,
+    status: confirmed.status,
+  });
+
+  return jsonResponse(200, {
+    status: confirmed.status,
+    clientSecret:
+      confirmed.status === "requires_action" ? confirmed.client_secret : undefined,
+  });
 }
 
 /* =========================================================
-   UI: Deal Selection
+   RECEIPTS + STATEMENTS
 ========================================================= */
 
-function renderDealSelectionPage(deals, currentUrl, email) {
-  const baseUrl = new URL(currentUrl);
-  baseUrl.search = ""; // keep same function path
-
-  const cards = deals
-    .map((deal) => {
-      const p = deal.properties || {};
-      const name = p.dealname || "Program";
-
-      const amount = safeNumber(p.amount);
-      const amountStr = isNaN(amount)
-        ? ""
-        : `$${amount.toLocaleString("en-US", {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2,
-          })}`;
-
-      const link = new URL(baseUrl.toString());
-      link.searchParams.set("dealId", deal.id);
-      link.searchParams.set("email", email);
-
-      return `
-        <a href="${link.toString()}" class="program-card">
-          <div class="program-name">${escapeHtml(name)}</div>
-          ${amountStr ? `<div class="program-amount">Program tuition: ${amountStr}</div>` : ""}
-          <div class="program-view">View payments →</div>
-        </a>
-      `;
-    })
-    .join("");
-
-  return stripeStylePage(
-    "Select a Program",
-    `
-      <div class="container">
-        <h1>Select your program</h1>
-        <p>More than one active program is associated with your account. Please choose which one you'd like to view.</p>
-        <div class="program-grid">${cards}</div>
-      </div>
-    `
+// Checkout returns with session_id; the embedded form, and Stripe after a
+// redirect from it, with payment_intent. format=json is the embedded form
+// refreshing the balance in place.
+async function handleReceipt(url, access, token, i18n) {
+  const sessionId = url.searchParams.get("session_id");
+  const intentId = url.searchParams.get("payment_intent");
+  if (!sessionId && !intentId) return textResponse(400, "Missing session_id.");
+  if (!isStripeConfigured()) {
+    return textResponse(500, "Stripe key not configured. Set STRIPE_SECRET_KEY.");
+  }
+
+  const payment = await receiptPaymentFor(getStripe(), sessionId, intentId);
+  const dealId = payment?.metadata?.dealId;
+  const json = url.searchParams.get("format") === "json";
+
+  const deal =
+    dealId && canAccessDeal(access, dealId) ? await getDealById(dealId) : null;
+  if (!deal) {
+    if (json) return jsonResponse(404, { error: { code: "receipt_not_found" } });
+    return htmlResponse(
+      404,
+      basicPage(
+        i18n.text("errors.receiptNotFoundTitle"),
+        html`<p>${i18n.t("errors.receiptNotFound")}</p>`,
+        i18n
+      )
+    );
+  }
+
+  const backUrl = `${portalLink(url, dealId, token)}${langParam(i18n)}`;
+
+  // A redirect that didn't end in a payment, e.g. a declined 3-D Secure check
+  if (intentId && !["succeeded", "processing"].includes(payment.status)) {
+    if (json) return jsonResponse(409, { error: { code: "payment_not_completed" } });
+    return htmlResponse(
+      200,
+      basicPage(
+        i18n.text("checkout.notCompletedTitle"),
+        html`<p>${i18n.t("checkout.notCompleted")}</p>
+         <p><a href="${backUrl}">${i18n.t("checkout.backToPortal")}</a></p>`,
+        i18n
+      )
+    );
+  }
+
+  const receipt = buildReceipt(payment, deal);
+  if (json) {
+    const money = (minor) => formatMoney(minor, receipt.currency, i18n.intl);
+    return jsonResponse(200, {
+      txn: receipt.txn,
+      status: receipt.status,
+      base: receipt.base,
+      total: receipt.total,
+      remaining: receipt.remaining,
+      display: { total: money(receipt.total), remaining: money(receipt.remaining) },
+      receiptUrl: `${receiptLink(url, token, i18n)}&payment_intent=${encodeURIComponent(
+        receipt.txn
+      )}`,
+    });
+  }
+
+  return htmlResponse(200, renderReceiptPage(receipt, backUrl, i18n));
+}
+
+// The Checkout Session or PaymentIntent a receipt is for, or null when Stripe
+// doesn't know it (a mistyped or test-mode id)
+async function receiptPaymentFor(stripe, sessionId, intentId) {
+  try {
+    return sessionId
+      ? await stripe.checkout.sessions.retrieve(sessionId)
+      : await stripe.paymentIntents.retrieve(intentId);
+  } catch (err) {
+    if (err.type === "StripeInvalidRequestError") return null;
+    throw err;
+  }
+}
+
+// Statements are formal documents and, like the PDF, stay in English
+async function handleStatement(url, access, token, i18n) {
+  const dealId = url.searchParams.get("dealId");
+  const deal =
+    accessRoleFor(access, dealId) === ACCESS_ROLES.FAMILY
+      ? await getDealById(dealId, { cached: true })
+      : null;
+  if (!deal) return dealNotFoundPage(i18n);
+
+  const statement = buildStatement(deal, { email: access.email });
+
+  if (url.searchParams.get("format") === "pdf") {
+    return pdfResponse(
+      statementFilename(statement),
+      await renderStatementPdf(statement)
+    );
+  }
+
+  const pdfUrl = new URL(url.toString());
+  pdfUrl.searchParams.set("format", "pdf");
+
+  return htmlResponse(
+    200,
+    renderStatementPage(
+      statement,
+      `${portalLink(url, dealId, token)}${langParam(i18n)}`,
+      pdfUrl.toString()
+    )
   );
 }
 
+// Where a payment returns to; Stripe adds the session or intent ID
+function receiptLink(currentUrl, token, i18n) {
+  const link = new URL(currentUrl.toString());
+  link.search = "";
+  link.searchParams.set("receipt", "1");
+  link.searchParams.set("token", token);
+  return `${link.toString()}${langParam(i18n)}`;
+}
+
+function portalLink(currentUrl, dealId, token) {
+  const link = new URL(currentUrl.toString());
+  link.search = "";
+  link.searchParams.set("dealId", dealId);
+  link.searchParams.set("token", token);
+  return link.toString();
+}
+
 /* =========================================================
-   UI: Deal Portal
+   PROMO CODES
 ========================================================= */
 
-function renderDealPortal(deal) {
+// Validates the code and records it as a discount on the deal before any
+// checkout, so sessions are built from the reduced balance.
+// The code arrives in the form body; the deal and token stay in the query
+async function handlePromoCode(event, url, access, token, i18n) {
+  const dealId = url.searchParams.get("dealId");
+  const code = new URLSearchParams(rawBody(event)).get("code") || "";
+  const deal =
+    accessRoleFor(access, dealId) === ACCESS_ROLES.FAMILY
+      ? await getDealById(dealId)
+      : null;
+  if (!deal) return dealNotFoundPage(i18n);
+
   const p = deal.properties || {};
-  const programName = p.dealname || "Your Program";
-
-  const tuition = safeNumber(p.amount);
-  const payments = parsePayments(p);
-
-  const totalPaid =
-    !isNaN(safeNumber(p.total_amount_paid))
-      ? safeNumber(p.total_amount_paid)
-      : payments.reduce((sum, pay) => sum + pay.amount, 0);
-
-  const remaining =
-    !isNaN(tuition) && !isNaN(totalPaid) ? tuition - totalPaid : NaN;
-
-  const depositRemaining = Math.max(0, DEPOSIT_TARGET - totalPaid);
-
-  const paymentRows =
-    payments.length > 0
-      ? payments
-          .map(
-            (pay) => `
-            <tr>
-              <td>${formatCurrency(pay.amount)}</td>
-              <td>${escapeHtml(pay.date || "")}</td>
-              <td class="mono">${escapeHtml(pay.txn || "")}</td>
-            </tr>`
-          )
-          .join("")
-      : `<tr><td colspan="3" class="empty-row">No payments have been recorded yet.</td></tr>`;
-
-  const showAppFee = totalPaid === 0;
-  const showDeposit = totalPaid > 0 && totalPaid < DEPOSIT_BUTTON_HIDE_AT_PAID;
-  const showRemaining = !isNaN(remaining) && remaining > 0;
-
-  const email = p.email || "";
-
-  const body = `
-    <div class="container">
-      <div class="header-row">
-        <div>
-          <h1>${escapeHtml(programName)}</h1>
-          <p class="subtitle">Payment overview for your program.</p>
-        </div>
-      </div>
-
-      <div class="summary-grid">
-        <div class="summary-card">
-          <div class="label">Program Tuition</div>
-          <div class="value">${formatCurrency(tuition)}</div>
-        </div>
-        <div class="summary-card">
-          <div class="label">Paid so far</div>
-          <div class="value">${formatCurrency(totalPaid)}</div>
-        </div>
-        <div class="summary-card highlight">
-          <div class="label">Remaining balance</div>
-          <div class="value">${formatCurrency(remaining)}</div>
-        </div>
-      </div>
-
-      <div class="payment-layout">
-        <div class="actions">
-          ${showAppFee ? renderPayBlock("Pay Application Fee", "appfee", APP_FEE, deal.id, email) : ""}
-          ${showDeposit ? renderPayBlock("Pay Deposit", "deposit", depositRemaining, deal.id, email) : ""}
-          ${showRemaining ? renderPayBlock("Pay Remaining Balance", "remaining", remaining, deal.id, email) : `<div class="paid-in-full">Your balance is fully paid.</div>`}
-        </div>
-
-        ${
-          showRemaining
-            ? `
-          <div class="custom-card">
-            <h3>Make a Payment</h3>
-            <p class="sub">Minimum $250, up to your remaining balance.</p>
-
-            <input id="customAmount" type="number" min="${APP_FEE}" max="${remaining}" step="0.01" placeholder="250.00" />
-            <div id="customError" class="error"></div>
-            <div id="customCalc" class="calc"></div>
-
-            <button id="customPayBtn" disabled type="button">Make a Payment</button>
-          </div>
-        `
-            : ""
-        }
-      </div>
-
-      <!-- INFO CALLOUT DISCLAIMER -->
-      <div class="payment-disclaimer info">
-        <strong>Payment note:</strong>
-        A 3.5% transaction fee is applied to all credit card payments.
-        To pay by wire transfer or ACH without the transaction fee,
-        <a href="https://www.pacificdiscovery.org/student/payment/pay-now/wire-transfer-payment" target="_blank" rel="noopener noreferrer">
-          click here to view wire transfer payment instructions
-        </a>.
-      </div>
-
-      <div class="section">
-        <h2>Payment history</h2>
-        <div class="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                <th>Amount</th>
-                <th>Date</th>
-                <th>Transaction ID</th>
-              </tr>
-            </thead>
-            <tbody>${paymentRows}</tbody>
-          </table>
-        </div>
-      </div>
-    </div>
-
-    ${showRemaining ? renderCustomPaymentScript(deal.id, email, remaining) : ""}
-  `;
-
-  return stripeStylePage("Payment Summary", body);
-}
-
-function renderPayBlock(label, type, amount, dealId, email) {
-  const base = safeNumber(amount);
-  const fee = base * CARD_FEE_RATE;
-  const total = base + fee;
-
-  const href = `?checkout=1&type=${encodeURIComponent(type)}&dealId=${encodeURIComponent(
-    dealId
-  )}&email=${encodeURIComponent(email)}`;
-
-  return `
-    <div class="pay-block">
-      <a class="btn" href="${href}">
-        ${escapeHtml(label)} (${formatCurrency(base)})
-      </a>
-      <div class="fee">
-        Base ${formatCurrency(base)} | Fee ${formatCurrency(fee)} | <strong>Total ${formatCurrency(
-    total
-  )}</strong>
-      </div>
-    </div>
-  `;
-}
-
-function renderCustomPaymentScript(dealId, email, remaining) {
-  return `<script>
-(function(){
-  const MIN = ${APP_FEE};
-  const MAX = ${Number(remaining)};
-  const RATE = ${CARD_FEE_RATE};
-
-  const input = document.getElementById('customAmount');
-  const calc  = document.getElementById('customCalc');
-  const err   = document.getElementById('customError');
-  const btn   = document.getElementById('customPayBtn');
-
-  function fmt(n){
-    return '$' + n.toLocaleString('en-US',{minimumFractionDigits:2, maximumFractionDigits:2});
-  }
-
-  function setState(message, html, enabled){
-    err.textContent = message || '';
-    calc.innerHTML = html || '';
-    btn.disabled = !enabled;
-  }
-
-  function validateAndRender(){
-    const v = parseFloat(input.value);
-    if (Number.isNaN(v)) return setState('Please enter an amount.', '', false);
-    if (v < MIN) return setState('Minimum payment is $250.', '', false);
-    if (v > MAX) return setState('Amount cannot exceed your remaining balance.', '', false);
-
-    const fee = v * RATE;
-    const total = v + fee;
-    setState('', 'Base ' + fmt(v) + ' | Fee ' + fmt(fee) + ' | <strong>Total ' + fmt(total) + '</strong>', true);
-  }
-
-  input.addEventListener('input', validateAndRender);
-  validateAndRender();
-
-  btn.addEventListener('click', function(){
-    const v = parseFloat(input.value);
-    if (Number.isNaN(v) || v < MIN || v > MAX) return;
-
-    const qs = new URLSearchParams();
-    qs.set('checkout','1');
-    qs.set('type','custom');
-    qs.set('amount', v.toFixed(2));
-    qs.set('dealId', '${String(dealId)}');
-    qs.set('email', '${String(email || "")}');
-    window.location.search = qs.toString();
+  const promo = findPromoCode(code);
+  const { payable } = dealBalance(p);
+  const uses = promo?.maxUses ? await countPromoUses(promo.code) : 0;
+
+  const result = validatePromoCode(promo, p, { payable, uses });
+  if (!result.ok) {
+    deal.properties.email = access.email;
+    return htmlResponse(
+      400,
+      renderDealPortal(deal, token, {
+        ...(await portalOptions(url, access, dealId, i18n)),
+        promoError: i18n.text(`promo.${result.code}`),
+        promoCode: code,
+      })
+    );
+  }
+
+  await updateDeal(dealId, {
+    ...adjustmentsUpdateWith(p, promoAdjustment(promo, result.amount)),
+    ...promoCodesUpdateWith(p, promo.code),
   });
-})();
-</script>`;
+
+  const next = new URL(portalLink(url, dealId, token));
+  next.searchParams.set("promoApplied", "1");
+  return {
+    statusCode: 302,
+    headers: { Location: `${next.toString()}${langParam(i18n)}` },
+    body: "",
+  };
+}
+
+// Two families redeeming the last use at the same moment can both succeed;
+// that's acceptable for marketing codes.
+async function countPromoUses(code) {
+  const deals = await searchDeals(
+    [
+      {
+        filters: [
+          {
+            propertyName: PROMO_CODES_FIELD,
+            operator: "CONTAINS_TOKEN",
+            value: normalizeCode(code),
+          },
+        ],
+      },
+    ],
+    ["dealname"]
+  );
+  return deals.length;
 }
 
 /* =========================================================
-   PAYMENT PARSING
+   PAYMENT PLAN SETUP
 ========================================================= */
 
-function parsePayments(p) {
-  const payments = [];
+// Saves a card through a setup-mode Checkout Session. The webhook stores the
+// schedule once the card is saved; charge-instalments does the charging.
+async function handlePlanSetup(event, url, access, token, i18n) {
+  if (!isStripeConfigured()) {
+    return textResponse(500, "Stripe key not configured. Set STRIPE_SECRET_KEY.");
+  }
 
-  PAYMENT_FIELDS.forEach((key) => {
-    const raw = p[key];
-    if (!raw) return;
+  const dealId = url.searchParams.get("dealId");
+  const count = parseInt(url.searchParams.get("instalments"), 10);
+
+  if (!dealId) return textResponse(400, i18n.text("errors.missingDeal"));
+  // Plans charge the saved card for months, so only the family can set one up
+  if (accessRoleFor(access, dealId) !== ACCESS_ROLES.FAMILY) {
+    return textResponse(404, i18n.text("errors.dealNotFound"));
+  }
 
-    // Expected: "amount, txnId, date"
-    const parts = raw.split(",").map((s) => s.trim());
-    if (!parts[0]) return;
+  const deal = await getDealById(dealId);
+  if (!deal) return textResponse(404, i18n.text("errors.dealNotFound"));
 
-    const amount = safeNumber(parts[0]);
-    const txn = parts[1] || "";
-    const date = parts[2] || "";
+  const p = deal.properties || {};
+  if (isPlanActive(parsePlan(p))) {
+    return textResponse(409, i18n.text("errors.planActive"));
+  }
 
-    if (!isNaN(amount)) payments.push({ amount, txn, date });
+  const { currency, payable } = dealBalance(p);
+  const options = planOptions(payable, planCutoffFor(p), {
+    minAmount: pricingFor(p).minPayment,
   });
+  if (!options.some((opt) => opt.count === count)) {
+    return textResponse(400, i18n.text("errors.planUnavailable"));
+  }
 
-  return payments;
+  // The family's own customer, so the saved card shows under Manage billing.
+  // Unlike a payment, a plan can't go ahead without one.
+  let customer;
+  try {
+    customer = await customerForContact(getStripe(), access.contactId);
+  } catch (err) {
+    console.error("Couldn't set up the Stripe customer for contact", access.contactId, err.message);
+    return htmlResponse(
+      503,
+      basicPage(i18n.text("errors.busyTitle"), html`<p>${i18n.t("errors.busy")}</p>`, i18n)
+    );
+  }
+  if (!customer) return textResponse(404, i18n.text("errors.dealNotFound"));
+
+  const portalUrl = new URL(portalLink(event.rawUrl, dealId, token));
+  if (i18n.override) portalUrl.searchParams.set("lang", i18n.locale);
+
+  const successUrl = new URL(portalUrl.toString());
+  successUrl.searchParams.set("planSetup", "1");
+
+  const session = await getStripe().checkout.sessions.create({
+    mode: "setup",
+    currency,
+    customer,
+    locale: i18n.locale,
+    payment_method_types: ["card"],
+    success_url: successUrl.toString(),
+    cancel_url: portalUrl.toString(),
+    metadata: {
+      dealId,
+      planInstalments: String(count),
+      contactId: access.contactId,
+    },
+  });
+
+  await recordAudit(AUDIT_EVENTS.CHECKOUT_STARTED, {
+    ...auditContext(event, access),
+    dealId,
+    role: ACCESS_ROLES.FAMILY,
+    amount: payable,
+    currency,
+    method: PAYMENT_METHODS.CARD,
+    paymentType: "plan",
+    instalments: count,
+    sessionId: session.id,
+  });
+  return {
+    statusCode: 302,
+    headers: { Location: session.url },
+    body: "",
+  };
+}
+
+// Opens Stripe's Customer Portal for the contact's customer, returning to the
+// deal's portal page (or the program list without a dealId)
+async function handleBillingPortal(event, url, access, token, i18n) {
+  if (!isStripeConfigured()) {
+    return textResponse(500, "Stripe key not configured. Set STRIPE_SECRET_KEY.");
+  }
+
+  const dealId = url.searchParams.get("dealId") || "";
+  if (dealId && !canAccessDeal(access, dealId)) {
+    return textResponse(404, i18n.text("errors.dealNotFound"));
+  }
+
+  const customer = await customerIdFor(access.contactId);
+  if (!customer) return textResponse(404, i18n.text("errors.noBilling"));
+
+  const returnUrl = new URL(event.rawUrl);
+  returnUrl.search = "";
+  if (dealId) returnUrl.searchParams.set("dealId", dealId);
+  returnUrl.searchParams.set("token", token);
+  if (i18n.override) returnUrl.searchParams.set("lang", i18n.locale);
+
+  const session = await getStripe().billingPortal.sessions.create({
+    customer,
+    return_url: returnUrl.toString(),
+    locale: i18n.locale,
+    configuration: billingPortalConfiguration() || undefined,
+  });
+
+  if (dealId) {
+    await recordAudit(AUDIT_EVENTS.BILLING_OPENED, {
+      ...auditContext(event, access),
+      dealId,
+      role: accessRoleFor(access, dealId),
+    });
+  }
+  return {
+    statusCode: 302,
+    headers: { Location: session.url },
+    body: "",
+  };
 }
 
 /* =========================================================
-   HTML SHELL + STYLES
+   UI: Deal Selection
 ========================================================= */
 
-function stripeStylePage(title, innerHtml) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <title>${escapeHtml(title)}</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <style>
-    :root {
-      font-family: system-ui, -apple-system, BlinkMacSystemFont, "SF Pro Text",
-        "Segoe UI", sans-serif;
-      color: #0f172a;
-      background-color: #f8fafc;
-    }
-    body {
-      margin: 0;
-      background: radial-gradient(circle at top left, #eff6ff, #f9fafb);
-    }
-    .container {
-      max-width: 820px;
-      margin: 40px auto;
-      padding: 24px;
-      background: #ffffff;
-      border-radius: 16px;
-      box-shadow: 0 18px 45px rgba(15, 23, 42, 0.12);
-    }
-    h1 {
-      margin: 0 0 4px;
-      font-size: 1.5rem;
-      font-weight: 650;
-      color: #0f172a;
-    }
-    h2 {
-      font-size: 1.1rem;
-      margin: 0 0 12px;
-      font-weight: 650;
-      color: #111827;
-    }
-    .subtitle {
-      margin: 0 0 20px;
-      color: #6b7280;
-      font-size: 0.95rem;
-    }
+function renderDealSelectionPage(deals, currentUrl, token, access, i18n) {
+  const programs = deals.map((deal) => {
+    const p = deal.properties || {};
+    const amount = toMinor(p.amount, dealCurrency(p));
+    return {
+      name: p.dealname || i18n.text("selection.defaultProgram"),
+      href: `${portalLink(currentUrl, deal.id, token)}${langParam(i18n)}`,
+      amount: isNaN(amount) ? "" : formatMoney(amount, dealCurrency(p), i18n.intl),
+      payer: accessRoleFor(access, deal.id) === ACCESS_ROLES.PAYER,
+    };
+  });
 
-    .summary-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
-      gap: 12px;
-      margin-bottom: 22px;
-    }
-    .summary-card {
-      padding: 14px 16px;
-      border-radius: 14px;
-      border: 1px solid #e5e7eb;
-      background: linear-gradient(to bottom right, #ffffff, #f9fafb);
-    }
-    .summary-card.highlight {
-      border-color: #4f46e5;
-      background: radial-gradient(circle at top left, #eef2ff, #f9fafb);
-    }
-    .label {
-      font-size: 0.75rem;
-      text-transform: uppercase;
-      letter-spacing: 0.08em;
-      color: #6b7280;
-      margin-bottom: 4px;
-    }
-    .value {
-      font-size: 1.15rem;
-      font-weight: 700;
-      color: #111827;
-    }
+  return selectionPage({ programs, brand: BRAND, i18n });
+}
 
-    .payment-layout {
-      display: grid;
-      grid-template-columns: 1fr 320px;
-      gap: 28px;
-      align-items: start;
-      margin-top: 8px;
-    }
-    @media (max-width: 900px) {
-      .payment-layout {
-        grid-template-columns: 1fr;
-      }
-    }
+/* =========================================================
+   UI: Deal Portal
+========================================================= */
 
-    .pay-block {
-      margin-bottom: 18px;
-    }
-    .btn {
-      display: inline-block;
-      padding: 10px 18px;
-      border-radius: 999px;
-      background: #4f46e5;
-      color: #fff;
-      text-decoration: none;
-      font-weight: 650;
-      font-size: 0.95rem;
-    }
-    .fee {
-      margin-top: 6px;
-      font-size: 0.86rem;
-      color: #4b5563;
-    }
+// Payers (role "payer") get a limited view: the balance and the ways to pay,
+// without the payment history, statements, promo codes or payment plans.
+function renderDealPortal(
+  deal,
+  token,
+  {
+    role = ACCESS_ROLES.FAMILY,
+    contactId = "",
+    billing = false,
+    i18n = i18nFor(),
+    payerLink = "",
+    planSetup = false,
+    promoApplied = false,
+    promoError = "",
+    promoCode = "",
+  } = {}
+) {
+  const p = deal.properties || {};
+  const payer = role === ACCESS_ROLES.PAYER;
+
+  const {
+    currency,
+    tuition,
+    adjustments,
+    totalAdjustments,
+    payments,
+    totalPaid,
+    processing,
+    remaining,
+    payable,
+  } = dealBalance(p);
+  const { pricing, options, milestones, custom } = paymentOptions(p);
+  const money = (minor) => formatMoney(minor, currency, i18n.intl);
+  const date = (val) => formatDate(val, i18n.intl);
+  const bank = offersBankPayments(currency);
+  const milestoneFor = (type) => milestones.find((m) => m.id === type);
+
+  const showRemaining = Boolean(custom);
+  const dueDate = showRemaining ? balanceDueDateFor(p) : null;
+  // The embedded form checks the card before charging its fee; hosted
+  // Checkout can't, so its fee is the same for every card
+  const embedded = showRemaining && isPaymentElementEnabled();
+  const cardFee = cardFeeTerms(pricing, { cardChecked: embedded });
+  const dealQuery = `dealId=${encodeURIComponent(
+    deal.id
+  )}&token=${encodeURIComponent(token)}${langParam(i18n)}`;
+
+  return portalPage({
+    brand: BRAND,
+    i18n,
+    programName: p.dealname || i18n.text("portal.defaultProgram"),
+    payer,
+    statementHref: payer ? "" : `?statement=1&${dealQuery}`,
+    billingHref: billing ? `?billing=1&${dealQuery}` : "",
+    summary: {
+      tuition: money(tuition),
+      adjustments: totalAdjustments > 0 ? money(totalAdjustments) : "",
+      paid: money(totalPaid),
+      processing: processing > 0 ? money(processing) : "",
+      remaining: money(remaining),
+      dueDate: dueDate ? date(dueDate) : "",
+    },
+    processingNotice: processing > 0 ? money(processing) : "",
+    inProgress: inProgressSessions(parseOpenSessions(p), contactId, money),
+    promoApplied,
+    promoError,
+    // Without the deal's amount the schedule would stop short of the balance
+    milestones: isNaN(tuition)
+      ? []
+      : milestones.map((m) => ({
+          name: milestoneName(m, i18n),
+          amount: money(m.amount),
+          due: m.dueDate ? date(m.dueDate) : "",
+          status: m.status,
+          owing: m.owing > 0 && m.owing < m.amount ? money(m.owing) : "",
+        })),
+    payBlocks: options.map((opt) => {
+      const base = safeNumber(opt.amount);
+      const { fee, total } = chargeFor(
+        base,
+        PAYMENT_METHODS.CARD,
+        cardFee.rate
+      );
+      return {
+        type: opt.type,
+        // Milestones without a button label of their own are named in it
+        name:
+          milestoneFor(opt.type) && !i18n.has(`pay.${opt.type}`)
+            ? milestoneName(milestoneFor(opt.type), i18n)
+            : "",
+        base: money(base),
+        fee: cardFee.rate > 0 ? money(fee) : "",
+        total: money(total),
+        feeVaries: cardFee.varies,
+        href: `?checkout=1&type=${encodeURIComponent(opt.type)}&${dealQuery}`,
+        bank,
+      };
+    }),
+    paidInFull: !showRemaining && processing <= 0,
+    custom: showRemaining
+      ? {
+          minLabel: money(pricing.minPayment),
+          min: minorToDecimalString(pricing.minPayment, currency),
+          max: minorToDecimalString(payable, currency),
+          step: currencyExponent(currency) === 0 ? "1" : "0.01",
+          bank,
+          script: customPaymentOptions(deal.id, token, payable, pricing, cardFee, i18n),
+        }
+      : null,
+    embedded: embedded ? paymentElementOptions(i18n) : null,
+    promoForm:
+      showRemaining && !payer && hasPromoCodes()
+        ? {
+            dealId: deal.id,
+            token,
+            lang: i18n.override ? i18n.locale : "",
+            code: promoCode,
+          }
+        : null,
+    plan: payer ? null : planView(deal, token, payable, pricing, planSetup, i18n),
+    payerLink: showRemaining ? payerLink : "",
+    disclaimer: {
+      rate: cardFee.rate > 0 ? formatPercent(cardFee.rate) : "",
+      feeVaries: cardFee.varies,
+      bank,
+      wireUrl: BRAND.wireTransferUrl,
+    },
+    history: payer
+      ? null
+      : {
+          payments: payments.map((pay) => ({
+            refund: pay.kind !== ENTRY_KINDS.PAYMENT,
+            amount: money(pay.amount),
+            date: date(pay.date),
+            method: methodText(pay.method, i18n),
+            paidBy: paidByName(pay),
+            status: statusText(pay.status, pay.kind, i18n),
+            txn: pay.txn || "",
+          })),
+          adjustments: adjustments.map((adj) => ({
+            amount: money(adj.amount),
+            date: date(adj.date),
+            description: adjustmentText(adj, i18n),
+            code: adj.code,
+          })),
+        },
+  });
+}
 
-    .custom-card {
-      border: 1px solid #e5e7eb;
-      border-radius: 14px;
-      padding: 18px;
-      background: #fafafa;
-      position: sticky;
-      top: 24px;
-    }
-    @media (max-width: 900px) {
-      .custom-card {
-        position: static;
-      }
-    }
-    .custom-card h3 {
-      margin: 0 0 6px;
-      font-size: 1.05rem;
-    }
-    .custom-card .sub {
-      margin: 0 0 10px;
-      color: #6b7280;
-      font-size: 0.9rem;
-    }
-    .custom-card input {
-      width: 100%;
-      box-sizing: border-box;
-      padding: 10px 12px;
-      border-radius: 10px;
-      border: 1px solid #d1d5db;
-      font-size: 1rem;
-      outline: none;
-    }
-    .custom-card input:focus {
-      border-color: #4f46e5;
-      box-shadow: 0 0 0 3px rgba(79, 70, 229, 0.14);
-    }
-    .custom-card button {
-      margin-top: 10px;
-      width: 100%;
-      padding: 10px 12px;
-      border-radius: 10px;
-      border: none;
-      background: #111827;
-      color: #fff;
-      font-weight: 650;
-      cursor: pointer;
-    }
-    .custom-card button:disabled {
-      opacity: 0.55;
-      cursor: not-allowed;
-    }
-    .error {
-      margin-top: 6px;
-      font-size: 0.86rem;
-      color: #b91c1c;
-      min-height: 1.1em;
-    }
-    .calc {
-      margin-top: 6px;
-      font-size: 0.86rem;
-      color: #374151;
-      min-height: 1.1em;
-    }
+// The standard milestones are translated; the rest show their configured label
+function milestoneName(milestone, i18n) {
+  const key = `milestones.${milestone.id}`;
+  return i18n.has(key) ? i18n.text(key) : milestone.label;
+}
 
-    /* Info callout */
-    .payment-disclaimer.info {
-      margin: 28px 0 20px;
-      padding: 14px 16px;
-      border-radius: 12px;
-      background: #eff6ff;
-      border: 1px solid #bfdbfe;
-      color: #1e3a8a;
-      font-size: 0.92rem;
-      line-height: 1.45;
-    }
-    .payment-disclaimer.info a {
-      color: #1d4ed8;
-      font-weight: 650;
-      text-decoration: underline;
-    }
+// The schedule of an active or past-due plan, then either the card-saved
+// notice or the plans on offer
+function planView(deal, token, payable, pricing, planSetup, i18n) {
+  const p = deal.properties || {};
+  const plan = parsePlan(p);
+  const money = (minor) => formatMoney(minor, pricing.currency, i18n.intl);
+  const date = (val) => formatDate(val, i18n.intl);
 
-    .table-wrapper {
-      border-radius: 12px;
-      border: 1px solid #e5e7eb;
-      overflow: hidden;
-      background: #ffffff;
-    }
-    table {
-      width: 100%;
-      border-collapse: collapse;
-      font-size: 0.9rem;
-    }
-    thead {
-      background: #f9fafb;
-    }
-    th, td {
-      padding: 10px 12px;
-      border-bottom: 1px solid #e5e7eb;
-      text-align: left;
-    }
-    th {
-      font-weight: 650;
-      color: #4b5563;
-      font-size: 0.8rem;
-      text-transform: uppercase;
-      letter-spacing: 0.06em;
-    }
-    tbody tr:last-child td {
-      border-bottom: none;
-    }
-    .empty-row {
-      text-align: center;
-      color: #9ca3af;
-      font-style: italic;
-    }
-    .mono {
-      font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas,
-        "Liberation Mono", "Courier New", monospace;
-      font-size: 0.82rem;
-    }
+  if (isPlanActive(plan)) return { schedule: planScheduleView(plan, i18n) };
 
-    /* Deal selection cards */
-    .program-grid {
-      display: grid;
-      grid-template-columns: 1fr;
-      gap: 12px;
-      margin-top: 16px;
-    }
-    .program-card {
-      display: block;
-      padding: 14px 16px;
-      border-radius: 12px;
-      border: 1px solid #e5e7eb;
-      background: #ffffff;
-      text-decoration: none;
-      color: inherit;
-      transition: box-shadow 0.15s ease, transform 0.15s ease,
-        border-color 0.15s ease;
-    }
-    .program-card:hover {
-      transform: translateY(-1px);
-      border-color: #4f46e5;
-      box-shadow: 0 12px 24px rgba(15, 23, 42, 0.12);
-    }
-    .program-name {
-      font-weight: 650;
-      margin-bottom: 4px;
-    }
-    .program-amount {
-      color: #6b7280;
-      font-size: 0.92rem;
-      margin-bottom: 8px;
-    }
-    .program-view {
-      color: #4f46e5;
-      font-weight: 650;
-      font-size: 0.92rem;
-    }
+  const schedule =
+    plan && plan.status === PLAN_STATUS.PAST_DUE
+      ? planScheduleView(plan, i18n)
+      : null;
+  if (planSetup) return { schedule, saved: true };
 
-    .paid-in-full {
-      padding: 12px 14px;
-      border-radius: 12px;
-      border: 1px solid #e5e7eb;
-      background: #f9fafb;
-      color: #111827;
-      font-weight: 650;
-    }
-  </style>
-</head>
-<body>
-  ${innerHtml}
-</body>
-</html>`;
+  const cutoff = planCutoffFor(p);
+  const choices = planOptions(payable, cutoff, {
+    minAmount: pricing.minPayment,
+  });
+  // Each instalment is charged its card's own fee (see charge-instalments.js),
+  // so this is what a credit card pays at most
+  const cardFee = cardFeeTerms(pricing, { cardChecked: true });
+
+  return {
+    schedule,
+    options:
+      choices.length > 0
+        ? {
+            cutoff: date(cutoff),
+            cards: choices.map(({ count, schedule: instalments }) => {
+              const first = instalments[0];
+              return {
+                count,
+                amount: money(first.amount),
+                fee: money(feeFor(first.amount, PAYMENT_METHODS.CARD, cardFee.rate)),
+                feeVaries: cardFee.varies,
+                first: date(first.due),
+                last: date(instalments[instalments.length - 1].due),
+                href: `?plan=1&instalments=${count}&dealId=${encodeURIComponent(
+                  deal.id
+                )}&token=${encodeURIComponent(token)}${langParam(i18n)}`,
+              };
+            }),
+          }
+        : null,
+  };
 }
 
-/* =========================================================
-   SIMPLE PAGES + RESPONSES
-========================================================= */
+function planScheduleView(plan, i18n) {
+  return {
+    pastDue: plan.status === PLAN_STATUS.PAST_DUE,
+    rows: plan.instalments.map((inst) => {
+      const status = i18n.has(`plan.statuses.${inst.status}`)
+        ? i18n.text(`plan.statuses.${inst.status}`)
+        : inst.status;
+      return {
+        n: inst.n,
+        due: formatDate(inst.due, i18n.intl),
+        amount: formatMoney(inst.amount, plan.currency, i18n.intl),
+        status:
+          inst.status === INSTALMENT_STATUS.FAILED && inst.retryOn
+            ? i18n.text("plan.retrying", {
+                status,
+                date: formatDate(inst.retryOn, i18n.intl),
+              })
+            : status,
+      };
+    }),
+  };
+}
 
-function basicPage(title, contentHtml) {
-  return stripeStylePage(
-    title,
-    `<div class="container"><h1>${escapeHtml(title)}</h1>${contentHtml}</div>`
-  );
+// Checkouts started but not yet paid or expired, with the minutes left
+function inProgressSessions(sessions, contactId, money) {
+  return sessions.map((s) => ({
+    mine: s.contactId === contactId,
+    amount: money(s.base),
+    minutes: Math.max(1, Math.ceil((s.expiresAt * 1000 - Date.now()) / 60000)),
+    url: s.url,
+  }));
+}
+
+function paidByName(pay) {
+  if (pay.paidBy?.role !== ACCESS_ROLES.PAYER) return "";
+  return pay.paidBy.name || pay.paidBy.email || "";
 }
 
-function htmlResponse(statusCode, html) {
+// `cardFee` is cardFeeTerms' result, so the preview uses the rate charged
+function customPaymentOptions(dealId, token, payable, pricing, cardFee, i18n) {
+  const { currency } = pricing;
   return {
-    statusCode,
-    headers: { "Content-Type": "text/html; charset=utf-8" },
-    body: html,
+    dealId,
+    token,
+    lang: i18n.override ? i18n.locale : "",
+    min: Number(pricing.minPayment),
+    max: Number(payable),
+    rate: Number(cardFee.rate),
+    feeVaries: cardFee.varies,
+    currency,
+    exponent: currencyExponent(currency),
+    locale: i18n.intl,
+    messages: {
+      enterAmount: i18n.text("pay.enterAmount"),
+      minimum: i18n.text("pay.minimum"),
+      maximum: i18n.text("pay.maximum"),
+      total: i18n.text("pay.total"),
+      cardBreakdown: i18n.text("pay.cardBreakdown"),
+      cardNoFee: i18n.text("pay.cardNoFee"),
+      cardFeeVaries: i18n.text("pay.cardFeeVaries"),
+      bankBreakdown: i18n.text("pay.bankBreakdown"),
+    },
   };
 }
 
-function textResponse(statusCode, text) {
+// The embedded payment form's Stripe.js settings and translated messages
+function paymentElementOptions(i18n) {
   return {
-    statusCode,
-    headers: { "Content-Type": "text/plain; charset=utf-8" },
-    body: text,
+    publishableKey: stripePublishableKey(),
+    locale: i18n.locale,
+    color: BRAND.colors.primary,
+    messages: {
+      pay: i18n.text("embedded.pay"),
+      review: i18n.text("embedded.review"),
+      noCardFee: i18n.text("embedded.noCardFee"),
+      loading: i18n.text("embedded.loading"),
+      failed: i18n.text("embedded.failed"),
+      paid: i18n.text("embedded.paid"),
+      submitted: i18n.text("embedded.submitted"),
+      viewReceipt: i18n.text("embedded.viewReceipt"),
+      total: i18n.text("pay.total"),
+      cardBreakdown: i18n.text("pay.cardBreakdown"),
+      cardNoFee: i18n.text("pay.cardNoFee"),
+      cardFeeVaries: i18n.text("pay.cardFeeVaries"),
+      bankBreakdown: i18n.text("pay.bankBreakdown"),
+    },
   };
 }
 
 /* =========================================================
-   UTILS
+   UI: Receipt + Statement
 ========================================================= */
 
-function safeNumber(val) {
-  if (val === null || val === undefined || val === "") return NaN;
-  const num = Number(val);
-  return isNaN(num) ? NaN : num;
+function renderReceiptPage(receipt, portalUrl, i18n) {
+  const money = (minor) => formatMoney(minor, receipt.currency, i18n.intl);
+
+  return receiptPage({
+    receipt: {
+      processing: receipt.status === PAYMENT_STATUS.PROCESSING,
+      programName: receipt.programName,
+      date: formatDate(receipt.date, i18n.intl),
+      email: receipt.email,
+      method: methodText(receipt.method, i18n),
+      txn: receipt.txn,
+      base: money(receipt.base),
+      fee: money(receipt.fee),
+      total: money(receipt.total),
+      remaining: money(receipt.remaining),
+    },
+    portalUrl,
+    brand: BRAND,
+    i18n,
+  });
 }
 
-function num(val) {
-  const n = Number(val);
-  return isNaN(n) ? NaN : n;
+// Statements stay in English, footer included
+function renderStatementPage(statement, portalUrl, pdfUrl) {
+  const money = (minor) => formatMoney(minor, statement.currency);
+
+  return statementPage({
+    statement: {
+      programName: statement.programName,
+      date: formatDate(statement.date),
+      reference: statement.reference,
+      email: statement.email,
+      tuition: money(statement.tuition),
+      totalAdjustments:
+        statement.totalAdjustments > 0 ? money(statement.totalAdjustments) : "",
+      totalPaid: money(statement.totalPaid),
+      processing: statement.processing > 0 ? money(statement.processing) : "",
+      remaining: money(statement.remaining),
+      payments: statement.payments.map((pay) => ({
+        refund: pay.kind !== ENTRY_KINDS.PAYMENT,
+        date: formatDate(pay.date),
+        method: methodLabel(pay.method),
+        paidBy: paidByName(pay),
+        status: statusLabel(pay.status, pay.kind),
+        txn: pay.txn || "",
+        amount: money(pay.amount),
+      })),
+      adjustments: statement.adjustments.map((adj) => ({
+        date: formatDate(adj.date),
+        description: adjustmentDescription(adj),
+        code: adj.code,
+        amount: money(adj.amount),
+      })),
+    },
+    portalUrl,
+    pdfUrl,
+    brand: BRAND,
+    i18n: i18nFor(),
+  });
 }
 
-function formatCurrency(n) {
-  if (isNaN(n)) return "—";
-  return `$${n.toLocaleString("en-US", {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  })}`;
+/* =========================================================
+   SIMPLE PAGES + RESPONSES
+========================================================= */
+
+// `content` is markup: html`<p>...</p>`
+function basicPage(title, content, i18n = i18nFor()) {
+  return messagePage({ title, content, brand: BRAND, i18n });
 }
 
-function escapeHtml(str) {
-  return String(str || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+function dealNotFoundPage(i18n) {
+  return htmlResponse(
+    404,
+    basicPage(
+      i18n.text("errors.programNotFoundTitle"),
+      html`<p>${i18n.t("errors.dealNotFound")}</p>`,
+      i18n
+    )
+  );
+}
+
+function renderLinkRequestPage(message, i18n) {
+  return linkRequestPage({
+    message,
+    lang: i18n.override ? i18n.locale : "",
+    brand: BRAND,
+    i18n,
+  });
 }
@@ -0,0 +1,120 @@
+// netlify/functions/portal-link.js
+// Staff / HubSpot workflow endpoint that issues signed portal links.
+//
+// POST with "Authorization: Bearer <PORTAL_LINK_API_KEY>" (or X-Api-Key) and
+// a JSON body naming the contact: { email } or { contactId }. HubSpot workflow
+// webhooks send the contact as { objectId }, which is accepted too.
+//
+// { payerDealId } instead issues a "pay for this student" link for that deal,
+// not tied to any contact, for passing on to a parent or sponsor.
+//
+// Options:
+//   send: true  – also email the link to the contact
+//   save: true  – write the link to the contact's payment_portal_link property
+//                 so workflow emails can merge it in
+
+const {
+  findContactByEmail,
+  getContactById,
+  getDealById,
+  updateContact,
+} = require("../lib/hubspot");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const {
+  isAccessConfigured,
+  isPortalUrlConfigured,
+  hasApiKey,
+} = require("../lib/access");
+const {
+  issuePortalLink,
+  issuePayerLink,
+  emailPortalLink,
+} = require("../lib/portal-links");
+const { isMailConfigured } = require("../lib/mailer");
+const { textResponse, jsonResponse, rawBody } = require("../lib/http");
+
+const PORTAL_LINK_PROPERTY = "payment_portal_link";
+
+exports.handler = withHubSpotStats("portal-link", async (event) => {
+  if (event.httpMethod !== "POST") {
+    return textResponse(405, "Method not allowed.");
+  }
+
+  if (!process.env.PORTAL_LINK_API_KEY || !isAccessConfigured()) {
+    return textResponse(
+      500,
+      "Portal links not configured. Set PORTAL_LINK_API_KEY and PORTAL_LINK_SECRET."
+    );
+  }
+
+  if (!isPortalUrlConfigured()) {
+    return textResponse(500, "Portal URL not configured. Set PORTAL_URL (or URL).");
+  }
+
+  if (!hasApiKey(event.headers || {})) {
+    return textResponse(401, "Unauthorized.");
+  }
+
+  let input;
+  try {
+    input = JSON.parse(rawBody(event) || "{}");
+  } catch {
+    return textResponse(400, "Body must be JSON.");
+  }
+
+  if (input.payerDealId) return payerLinkResponse(String(input.payerDealId));
+
+  const contactId = input.contactId || input.objectId;
+  if (!contactId && !input.email) {
+    return textResponse(400, "Provide email or contactId.");
+  }
+
+  try {
+    const contact = contactId
+      ? await getContactById(contactId)
+      : await findContactByEmail(input.email);
+    if (!contact) return textResponse(404, "Contact not found.");
+
+    if (input.send && !isMailConfigured()) {
+      return textResponse(500, "Mail not configured. Set SMTP_HOST and MAIL_FROM.");
+    }
+
+    const link = input.send
+      ? await emailPortalLink(contact)
+      : await issuePortalLink(contact);
+
+    if (input.save) {
+      await updateContact(contact.id, { [PORTAL_LINK_PROPERTY]: link.url });
+    }
+
+    return jsonResponse(200, {
+      contactId: contact.id,
+      url: link.url,
+      dealIds: link.dealIds,
+      payerDealIds: link.payerDealIds,
+      expiresAt: link.expiresAt.toISOString(),
+      sent: Boolean(input.send),
+      saved: Boolean(input.save),
+    });
+  } catch (err) {
+    console.error("Portal link error:", err);
+    return textResponse(500, "Unexpected error");
+  }
+});
+
+async function payerLinkResponse(dealId) {
+  try {
+    const deal = await getDealById(dealId);
+    if (!deal) return textResponse(404, "Deal not found.");
+
+    const link = issuePayerLink(deal.id);
+    return jsonResponse(200, {
+      dealId: deal.id,
+      url: link.url,
+      expiresAt: link.expiresAt.toISOString(),
+    });
+  } catch (err) {
+    console.error("Payer link error:", err);
+    return textResponse(500, "Unexpected error");
+  }
+}
@@ -0,0 +1,74 @@
+// netlify/functions/reconcile-payments.js
+// Scheduled (see netlify.toml): compares the last RECONCILE_HOURS (default
+// 48) of Stripe payments with what the deals record, and mails the issues to
+// RECONCILIATION_EMAIL when there are any. The window only has to cover the
+// time since the last daily run, with room for a missed one, so the run
+// stays well inside the function time limit. It only reports; a longer look
+// back and writing the missing records are for `npm run reconcile -- --days=35
+// --fix` (scripts/reconcile.js).
+
+const { isStripeConfigured, getStripe } = require("../lib/stripe");
+const {
+  runReconciliation,
+  summarizeIssues,
+  issuesToCsv,
+} = require("../lib/reconcile");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { isMailConfigured, sendMail } = require("../lib/mailer");
+const { textResponse, jsonResponse } = require("../lib/http");
+
+const DEFAULT_HOURS = 48;
+
+exports.handler = withHubSpotStats("reconcile-payments", async () => {
+  if (!isStripeConfigured() || !process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
+    return textResponse(
+      500,
+      "Set STRIPE_SECRET_KEY and HUBSPOT_PRIVATE_APP_TOKEN to reconcile payments."
+    );
+  }
+
+  const hours = Number(process.env.RECONCILE_HOURS) || DEFAULT_HOURS;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const report = await runReconciliation(getStripe(), { since });
+  const counts = summarizeIssues(report.issues);
+  const summary = {
+    since: report.since,
+    payments: report.payments,
+    deals: report.deals,
+    ...counts,
+  };
+  console.log("Reconciliation run:", summary);
+
+  if (report.issues.length > 0) await mailReport(report, counts);
+  return jsonResponse(200, { ...summary, issues: report.issues });
+});
+
+// Finance gets the issues as CSV in the body, ready to paste into a sheet
+async function mailReport(report, counts) {
+  const to = process.env.RECONCILIATION_EMAIL;
+  if (!to || !isMailConfigured()) return;
+
+  try {
+    await sendMail({
+      to,
+      subject: `Payment reconciliation: ${report.issues.length} issue${
+        report.issues.length === 1 ? "" : "s"
+      } to check`,
+      text: [
+        `Stripe payments since ${report.since.slice(0, 10)}: ${report.payments}`,
+        `Deals checked: ${report.deals}`,
+        "",
+        ...Object.entries(counts)
+          .filter(([, count]) => count > 0)
+          .map(([type, count]) => `${type}: ${count}`),
+        "",
+        "Missing records can be written with `npm run reconcile -- --fix`.",
+        "",
+        issuesToCsv(report.issues),
+      ].join("\n"),
+    });
+  } catch (err) {
+    console.error("Reconciliation email failed:", err);
+  }
+}
@@ -0,0 +1,160 @@
+// netlify/functions/send-reminders.js
+// Scheduled (see netlify.toml): emails families a reminder, with their portal
+// link, as a deal's balance due date approaches and once it has passed. Each
+// send is logged on the contact's HubSpot timeline and recorded on the deal so
+// it isn't repeated.
+
+const { dealBalance } = require("../lib/payments");
+const {
+  PLAN_CUTOFF_PROPERTY,
+  todayIso,
+  parsePlan,
+  isPlanActive,
+} = require("../lib/plans");
+const {
+  BALANCE_DUE_PROPERTY,
+  balanceDueDateFor,
+  reminderStageFor,
+  reminderSearchWindow,
+  reminderKey,
+  sentReminderKeys,
+  remindersUpdateWith,
+  reminderEmail,
+} = require("../lib/reminders");
+const {
+  searchDeals,
+  getContactIdsForDeal,
+  getContactById,
+  updateDeal,
+  logEmailOnTimeline,
+} = require("../lib/hubspot");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { isAccessConfigured, isPortalUrlConfigured } = require("../lib/access");
+const { issuePortalLink } = require("../lib/portal-links");
+const { isMailConfigured, sendMail } = require("../lib/mailer");
+const { textResponse, jsonResponse } = require("../lib/http");
+
+exports.handler = withHubSpotStats("send-reminders", async () => {
+  if (!process.env.HUBSPOT_PRIVATE_APP_TOKEN || !isAccessConfigured()) {
+    return textResponse(
+      500,
+      "Set HUBSPOT_PRIVATE_APP_TOKEN and PORTAL_LINK_SECRET to send reminders."
+    );
+  }
+
+  if (!isMailConfigured()) {
+    return textResponse(500, "Mail not configured. Set SMTP_HOST and MAIL_FROM.");
+  }
+
+  // Every reminder carries a portal link
+  if (!isPortalUrlConfigured()) {
+    return textResponse(500, "Portal URL not configured. Set PORTAL_URL (or URL).");
+  }
+
+  const today = todayIso();
+  const summary = { deals: 0, sent: 0, skipped: 0, errors: 0 };
+
+  const deals = await searchDeals(reminderFilterGroups(today));
+
+  for (const deal of deals) {
+    summary.deals++;
+    try {
+      await remindDeal(deal, today, summary);
+    } catch (err) {
+      summary.errors++;
+      console.error("Reminder run failed for deal", deal.id, err);
+    }
+  }
+
+  console.log("Reminder run:", today, summary);
+  return jsonResponse(200, summary);
+});
+
+/* =========================================================
+   SEARCH
+========================================================= */
+
+// HubSpot compares date properties as epoch milliseconds at UTC midnight.
+// Deals without their own due date fall back to the program start date.
+function reminderFilterGroups(today) {
+  const [from, to] = reminderSearchWindow(today).map((d) =>
+    String(Date.parse(`${d}T00:00:00Z`))
+  );
+  const hasBalance = { propertyName: "amount", operator: "GT", value: "0" };
+  const dueBetween = (propertyName) => ({
+    propertyName,
+    operator: "BETWEEN",
+    value: from,
+    highValue: to,
+  });
+
+  return [
+    { filters: [hasBalance, dueBetween(BALANCE_DUE_PROPERTY)] },
+    {
+      filters: [
+        hasBalance,
+        { propertyName: BALANCE_DUE_PROPERTY, operator: "NOT_HAS_PROPERTY" },
+        dueBetween(PLAN_CUTOFF_PROPERTY),
+      ],
+    },
+  ];
+}
+
+/* =========================================================
+   SENDING
+========================================================= */
+
+async function remindDeal(deal, today, summary) {
+  let p = deal.properties || {};
+  const dueDate = balanceDueDateFor(p);
+  const due = reminderStageFor(dueDate, today);
+
+  // Same balance the portal shows; pending bank payments count as paid here
+  // so families aren't chased for money that's already on its way.
+  const { currency, payable } = dealBalance(p);
+
+  // Active plans are collected automatically
+  if (!due || isNaN(payable) || payable <= 0 || isPlanActive(parsePlan(p))) {
+    summary.skipped++;
+    return;
+  }
+
+  const sent = sentReminderKeys(p);
+  const contactIds = await getContactIdsForDeal(deal.id);
+
+  for (const contactId of contactIds) {
+    const key = reminderKey(dueDate, due.stage, contactId);
+    if (sent.includes(key)) continue;
+
+    // The same parent is often on several deals in one run
+    const contact = await getContactById(contactId, { cached: true });
+    const to = contact?.properties?.email;
+    if (!to) continue;
+
+    const link = await issuePortalLink(contact);
+    const email = reminderEmail({
+      ...due,
+      name: contact.properties.firstname,
+      programName: p.dealname || "your program",
+      amount: payable,
+      currency,
+      dueDate,
+      url: link.url,
+    });
+
+    await sendMail({ to, ...email });
+
+    // Record the send before anything else can fail, so a retry can't email
+    // this contact again
+    const update = remindersUpdateWith(p, key);
+    await updateDeal(deal.id, update);
+    p = { ...p, ...update };
+    summary.sent++;
+
+    try {
+      await logEmailOnTimeline({ contactId, dealId: deal.id, to, ...email });
+    } catch (err) {
+      console.error("Couldn't log reminder on timeline for deal", deal.id, err);
+    }
+  }
+}
@@ -0,0 +1,499 @@
+// netlify/functions/stripe-webhook.js
+// Records completed Checkout payments, payments made in the portal's
+// embedded form, saved payment-plan cards, refunds and disputes on the
+// HubSpot deal.
+// Requires STRIPE_WEBHOOK_SECRET (the endpoint's signing secret). Subscribe
+// the endpoint to checkout.session.*, payment_intent.succeeded,
+// payment_intent.processing, payment_intent.payment_failed,
+// payment_intent.canceled, charge.refunded and charge.dispute.*.
+
+const { getStripe } = require("../lib/stripe");
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  ENTRY_KINDS,
+  baseShare,
+  dealBalance,
+  findPayment,
+  sessionBaseAmount,
+  ledgerUpdateWith,
+  ledgerUpdateFor,
+} = require("../lib/payments");
+const {
+  PLAN_STATUS,
+  todayIso,
+  buildSchedule,
+  parsePlan,
+  planProperties,
+  isPlanActive,
+} = require("../lib/plans");
+const {
+  PAYMENT_ELEMENT_FLOW,
+  openSessionsUpdateWithout,
+} = require("../lib/checkout");
+const {
+  getDealById,
+  getContactById,
+  updateDeal,
+} = require("../lib/hubspot");
+const { withHubSpotStats } = require("../lib/hubspot-client");
+const { updateLedger } = require("../lib/ledger");
+const { ACCESS_ROLES } = require("../lib/access");
+const { issuePortalLink } = require("../lib/portal-links");
+const { isMailConfigured, sendMail } = require("../lib/mailer");
+const {
+  AUDIT_EVENTS,
+  auditContext,
+  recordAudit,
+  withAuditFlush,
+} = require("../lib/audit");
+const { textResponse, jsonResponse, rawBody } = require("../lib/http");
+const { dealCurrency, formatMoney } = require("../lib/currency");
+
+exports.handler = withHubSpotStats("stripe-webhook", withAuditFlush(async (event) => {
+  if (event.httpMethod !== "POST") {
+    return textResponse(405, "Method not allowed.");
+  }
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    return textResponse(
+      500,
+      "Webhook secret not configured. Set STRIPE_WEBHOOK_SECRET."
+    );
+  }
+
+  let stripeEvent;
+  try {
+    stripeEvent = getStripe().webhooks.constructEvent(
+      rawBody(event),
+      event.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    console.warn("Stripe signature verification failed:", err.message);
+    return textResponse(400, "Invalid signature.");
+  }
+
+  try {
+    const result = await handleStripeEvent(stripeEvent);
+    await auditStripeEvent(AUDIT_EVENTS.WEBHOOK_PROCESSED, event, stripeEvent, {
+      result,
+    });
+    return jsonResponse(200, { received: true, result });
+  } catch (err) {
+    // Non-2xx makes Stripe retry the delivery later
+    console.error("Webhook error:", stripeEvent.type, stripeEvent.id, err);
+    await auditStripeEvent(AUDIT_EVENTS.WEBHOOK_FAILED, event, stripeEvent, {
+      error: err.message,
+    });
+    return textResponse(500, "Webhook handler failed.");
+  }
+}));
+
+// Checkout Sessions and the embedded form's PaymentIntents name their deal in
+// the metadata; refunds and disputes usually only name the payment, so those
+// may be audited without one.
+function auditStripeEvent(outcome, event, stripeEvent, fields) {
+  const object = stripeEvent.data?.object || {};
+  const metadata = object.metadata || {};
+  const session = object.object === "checkout.session";
+  const embedded = isEmbeddedPayment(object);
+  return recordAudit(outcome, {
+    ...auditContext(event),
+    dealId: metadata.dealId,
+    contactId: metadata.contactId,
+    role: metadata.payerRole,
+    amount:
+      (session && object.mode === "payment") || embedded
+        ? sessionBaseAmount(object)
+        : object.amount,
+    currency: object.currency,
+    method: metadata.paymentMethod,
+    stripeEvent: stripeEvent.type,
+    stripeEventId: stripeEvent.id,
+    paymentIntent: embedded ? object.id : object.payment_intent,
+    sessionId: session ? object.id : "",
+    ...fields,
+  });
+}
+
+/* =========================================================
+   EVENT ROUTING
+========================================================= */
+
+async function handleStripeEvent(stripeEvent) {
+  const session = stripeEvent.data.object;
+
+  switch (stripeEvent.type) {
+    case "checkout.session.completed":
+      if (session.mode === "setup") {
+        return savePaymentPlan(session, stripeEvent.created);
+      }
+      // Bank debits complete as "unpaid" and settle days later through the
+      // async_payment_* events; show them as processing until then.
+      return recordCheckoutPayment(
+        session,
+        stripeEvent.created,
+        session.payment_status === "paid"
+          ? PAYMENT_STATUS.SUCCEEDED
+          : PAYMENT_STATUS.PROCESSING
+      );
+
+    case "checkout.session.expired":
+      return forgetCheckoutSession(session);
+
+    case "checkout.session.async_payment_succeeded":
+      return recordCheckoutPayment(
+        session,
+        stripeEvent.created,
+        PAYMENT_STATUS.SUCCEEDED
+      );
+
+    case "checkout.session.async_payment_failed": {
+      const result = await recordCheckoutPayment(
+        session,
+        stripeEvent.created,
+        PAYMENT_STATUS.FAILED
+      );
+      if (result !== "already_recorded") await notifyFailedPayment(session);
+      return result;
+    }
+
+    // The embedded form's payments. Checkout and instalment payments have
+    // PaymentIntents too, but are recorded through their own events.
+    case "payment_intent.succeeded":
+    case "payment_intent.processing":
+      if (!isEmbeddedPayment(session)) return "ignored";
+      return recordCheckoutPayment(
+        session,
+        stripeEvent.created,
+        stripeEvent.type === "payment_intent.succeeded"
+          ? PAYMENT_STATUS.SUCCEEDED
+          : PAYMENT_STATUS.PROCESSING
+      );
+
+    case "payment_intent.payment_failed":
+      if (!isEmbeddedPayment(session)) return "ignored";
+      return recordFailedIntent(session, stripeEvent.created);
+
+    case "payment_intent.canceled":
+      if (!isEmbeddedPayment(session)) return "ignored";
+      return forgetCheckoutSession(session);
+
+    case "charge.refunded":
+      return recordRefund(stripeEvent.data.object, stripeEvent.created);
+
+    case "charge.dispute.created":
+    case "charge.dispute.closed":
+      return recordDispute(stripeEvent.data.object, stripeEvent.created);
+
+    default:
+      return "ignored";
+  }
+}
+
+/* =========================================================
+   RECORDING
+========================================================= */
+
+// Only a processing entry may still change status; everything else is final.
+const SETTLEMENT_STATUSES = [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED];
+
+async function recordCheckoutPayment(session, createdAt, status) {
+  const dealId = session.metadata?.dealId;
+  if (!dealId) return "no_deal";
+
+  const txn = session.payment_intent || session.id;
+  const { result, properties } = await updateLedger(dealId, (p) => {
+    // Idempotency: the transaction ID is the dedupe key, so replays and
+    // duplicate deliveries never add a second ledger entry.
+    const existing = findPayment(p, txn);
+    if (existing) {
+      const settles =
+        existing.status === PAYMENT_STATUS.PROCESSING &&
+        SETTLEMENT_STATUSES.includes(status);
+      if (!settles) return { result: "already_recorded" };
+      return { update: ledgerUpdateFor(p, txn, { status }), result: status };
+    }
+
+    // The session is paid, so it no longer holds the balance
+    return {
+      update: {
+        ...ledgerUpdateWith(p, {
+          amount: sessionBaseAmount(session),
+          currency: session.currency,
+          method: session.metadata?.paymentMethod || PAYMENT_METHODS.CARD,
+          txn,
+          date: new Date((createdAt || Date.now() / 1000) * 1000).toISOString(),
+          status,
+          paidBy: payerFor(session),
+        }),
+        ...openSessionsUpdateWithout(p, session.id),
+      },
+      result: status,
+    };
+  });
+
+  if (result !== "already_recorded") warnIfOverpaid(dealId, properties);
+  return result;
+}
+
+// The ledger update has already set overpayment_amount for staff; this just
+// makes it stand out in the logs.
+function warnIfOverpaid(dealId, p) {
+  const { currency, remaining } = dealBalance(p);
+  if (remaining < 0) {
+    console.warn(
+      `Deal ${dealId} is overpaid by ${formatMoney(-remaining, currency)}`
+    );
+  }
+}
+
+// A PaymentIntent started by the portal's embedded form
+function isEmbeddedPayment(object) {
+  return (
+    object.object === "payment_intent" &&
+    object.metadata?.paymentFlow === PAYMENT_ELEMENT_FLOW
+  );
+}
+
+// A declined card leaves the embedded form's intent open for another try, so
+// only a bank debit that was already processing has failed for good.
+async function recordFailedIntent(intent, createdAt) {
+  const deal = await getDealById(intent.metadata.dealId);
+  if (!deal) throw new Error(`Deal ${intent.metadata.dealId} not found`);
+  if (!findPayment(deal.properties || {}, intent.id)) return "not_recorded";
+
+  const result = await recordCheckoutPayment(intent, createdAt, PAYMENT_STATUS.FAILED);
+  if (result !== "already_recorded") await notifyFailedPayment(intent);
+  return result;
+}
+
+// An abandoned session expired, or an embedded form's intent was cancelled;
+// stop holding the balance for it.
+async function forgetCheckoutSession(session) {
+  const dealId = session.metadata?.dealId;
+  if (!dealId || session.mode === "setup") return "no_deal";
+
+  const deal = await getDealById(dealId);
+  if (!deal) throw new Error(`Deal ${dealId} not found`);
+
+  const update = openSessionsUpdateWithout(deal.properties || {}, session.id);
+  if (!update) return "not_tracked";
+
+  await updateDeal(dealId, update);
+  return "session_closed";
+}
+
+// Who paid: the billing details entered at checkout, plus the portal role
+// and HubSpot contact (if any) of the link they paid through.
+function payerFor(session) {
+  const details = session.customer_details || {};
+  return {
+    name: details.name || "",
+    email: details.email || session.customer_email || session.receipt_email || "",
+    role: session.metadata?.payerRole || ACCESS_ROLES.FAMILY,
+    contactId: session.metadata?.contactId || "",
+  };
+}
+
+// A setup-mode session saved the card for an instalment plan; build the
+// schedule against the balance as it stands now.
+async function savePaymentPlan(session, createdAt) {
+  const dealId = session.metadata?.dealId;
+  const count = Number(session.metadata?.planInstalments);
+  if (!dealId || !count) return "no_plan";
+
+  const deal = await getDealById(dealId);
+  if (!deal) throw new Error(`Deal ${dealId} not found`);
+
+  const p = deal.properties || {};
+  const existing = parsePlan(p);
+  if (existing && existing.setupSession === session.id) {
+    return "already_recorded";
+  }
+  if (isPlanActive(existing)) {
+    console.warn(`Deal ${dealId} already has an active plan; ignoring ${session.id}`);
+    return "plan_exists";
+  }
+
+  const { payable } = dealBalance(p);
+  if (isNaN(payable) || payable <= 0) return "no_balance";
+
+  const setupIntent = await getStripe().setupIntents.retrieve(
+    session.setup_intent
+  );
+  const created = new Date((createdAt || Date.now() / 1000) * 1000);
+
+  const plan = {
+    status: PLAN_STATUS.ACTIVE,
+    setupSession: session.id,
+    customer: session.customer,
+    paymentMethod: setupIntent.payment_method,
+    contactId: session.metadata.contactId || "",
+    currency: dealCurrency(p),
+    createdAt: created.toISOString(),
+    instalments: buildSchedule(payable, count, todayIso(created)),
+  };
+
+  await updateDeal(dealId, planProperties(plan));
+  return "plan_saved";
+}
+
+/* =========================================================
+   REFUNDS + DISPUTES
+========================================================= */
+
+// The deal a PaymentIntent belongs to. Instalments and newer Checkout
+// payments carry the deal ID on the intent; older Checkout payments only
+// have it on their session.
+async function dealForPaymentIntent(paymentIntentId) {
+  const intent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+  let dealId = intent.metadata?.dealId;
+
+  if (!dealId) {
+    const sessions = await getStripe().checkout.sessions.list({
+      payment_intent: paymentIntentId,
+      limit: 1,
+    });
+    dealId = sessions.data[0]?.metadata?.dealId;
+  }
+
+  const deal = dealId ? await getDealById(dealId) : null;
+  if (dealId && !deal) throw new Error(`Deal ${dealId} not found`);
+  return { intent, deal };
+}
+
+// One refund entry per payment holds the cumulative refunded amount, so
+// partial refunds and replayed events just move it to the latest total.
+async function recordRefund(charge, createdAt) {
+  const txn = charge.payment_intent;
+  if (!txn) return "no_payment_intent";
+
+  const { deal } = await dealForPaymentIntent(txn);
+  if (!deal) return "no_deal";
+
+  const { result } = await updateLedger(deal.id, (p) => {
+    const payment = findPayment(p, txn);
+    if (!payment) return { result: "payment_not_found" };
+
+    const refunded = baseShare(charge.amount_refunded, charge.amount, payment.amount);
+    const refundTxn = `${txn}:refund`;
+    const existing = findPayment(p, refundTxn);
+
+    if (existing) {
+      // Events can arrive out of order; refunds only ever grow
+      if (-existing.amount >= refunded) return { result: "already_recorded" };
+      return {
+        update: ledgerUpdateFor(p, refundTxn, { amount: -refunded }),
+        result: "refund_updated",
+      };
+    }
+
+    return {
+      update: ledgerUpdateWith(p, {
+        amount: -refunded,
+        currency: payment.currency,
+        method: payment.method,
+        txn: refundTxn,
+        date: new Date((createdAt || Date.now() / 1000) * 1000).toISOString(),
+        status: PAYMENT_STATUS.SUCCEEDED,
+        kind: ENTRY_KINDS.REFUND,
+        original: txn,
+      }),
+      result: "refund_recorded",
+    };
+  });
+
+  if (result === "payment_not_found") {
+    // Payments from before the ledger have to be corrected by hand
+    console.warn(`Refund for ${txn} on deal ${deal.id}, but the payment isn't in the ledger`);
+  }
+  return result;
+}
+
+// Stripe withdraws disputed funds when the dispute opens and returns them if
+// we win, so the entry counts against the balance until then.
+const DISPUTE_REVERSED_STATUSES = ["won", "warning_closed"];
+
+async function recordDispute(dispute, createdAt) {
+  const txn = dispute.payment_intent;
+  if (!txn) return "no_payment_intent";
+
+  const { intent, deal } = await dealForPaymentIntent(txn);
+  if (!deal) return "no_deal";
+
+  const status = DISPUTE_REVERSED_STATUSES.includes(dispute.status)
+    ? PAYMENT_STATUS.REVERSED
+    : PAYMENT_STATUS.SUCCEEDED;
+
+  const { result } = await updateLedger(deal.id, (p) => {
+    const payment = findPayment(p, txn);
+    if (!payment) return { result: "payment_not_found" };
+
+    const existing = findPayment(p, dispute.id);
+    if (existing) {
+      if (existing.status === status) return { result: "already_recorded" };
+      return {
+        update: ledgerUpdateFor(p, dispute.id, { status }),
+        result: `dispute_${dispute.status}`,
+      };
+    }
+
+    return {
+      update: ledgerUpdateWith(p, {
+        amount: -baseShare(dispute.amount, intent.amount, payment.amount),
+        currency: payment.currency,
+        method: payment.method,
+        txn: dispute.id,
+        date: new Date((createdAt || Date.now() / 1000) * 1000).toISOString(),
+        status,
+        kind: ENTRY_KINDS.DISPUTE,
+        original: txn,
+      }),
+      result: "dispute_recorded",
+    };
+  });
+
+  if (result === "payment_not_found") {
+    console.warn(`Dispute ${dispute.id} on deal ${deal.id}, but ${txn} isn't in the ledger`);
+  }
+  return result;
+}
+
+/* =========================================================
+   NOTIFICATIONS
+========================================================= */
+
+// Tells the family a bank debit bounced so they can pay another way.
+async function notifyFailedPayment(session) {
+  const dealId = session.metadata?.dealId;
+  console.warn("Async payment failed:", session.id, "deal", dealId);
+
+  const contactId = session.metadata?.contactId;
+  if (!isMailConfigured() || !contactId) return;
+
+  try {
+    const contact = await getContactById(contactId);
+    if (!contact?.properties?.email) return;
+
+    const link = await issuePortalLink(contact);
+    await sendMail({
+      to: contact.properties.email,
+      subject: "Your bank payment could not be completed",
+      text: [
+        `Hi ${contact.properties.firstname || "there"},`,
+        "",
+        `Your bank payment of ${formatMoney(
+          sessionBaseAmount(session),
+          session.currency
+        )} was returned by your bank and has not been applied to your balance.`,
+        "",
+        "Please make the payment again through your portal:",
+        link.url,
+      ].join("\n"),
+    });
+  } catch (err) {
+    console.error("Failed-payment email failed for deal", dealId, err);
+  }
+}
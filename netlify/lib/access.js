@@ -0,0 +1,196 @@
+// netlify/lib/access.js
+// HMAC-signed, expiring portal access tokens.
+// Token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload)).
+// A token grants the family view of its deals, and a limited pay-only view of
+// deals where the holder is a payer (a parent or sponsor, or anyone with a
+// "pay for this student" link).
+// Requires PORTAL_LINK_SECRET; PORTAL_LINK_TTL_DAYS is optional.
+// Staff/workflow endpoints authenticate with PORTAL_LINK_API_KEY instead, and
+// the admin dashboard with HTTP Basic credentials from ADMIN_USERS.
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_DAYS = 30;
+
+const ACCESS_ROLES = {
+  FAMILY: "family",
+  PAYER: "payer",
+};
+
+function isAccessConfigured() {
+  return Boolean(process.env.PORTAL_LINK_SECRET);
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac("sha256", process.env.PORTAL_LINK_SECRET)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+function linkTtlSeconds() {
+  const days = Number(process.env.PORTAL_LINK_TTL_DAYS);
+  return (days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60;
+}
+
+function createAccessToken({
+  contactId,
+  email,
+  dealIds,
+  payerDealIds,
+  ttlSeconds,
+}) {
+  const payload = {
+    c: String(contactId || ""),
+    e: email || "",
+    d: (dealIds || []).map(String),
+    ...(payerDealIds?.length ? { p: payerDealIds.map(String) } : {}),
+    exp: Math.floor(Date.now() / 1000) + (ttlSeconds || linkTtlSeconds()),
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encoded}.${sign(encoded)}`;
+}
+
+// Returns { contactId, email, dealIds, payerDealIds, expiresAt } or null when
+// the token is missing, tampered with or expired.
+function verifyAccessToken(token) {
+  if (!token || !isAccessConfigured()) return null;
+
+  const [encoded, signature] = String(token).split(".");
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+
+  return {
+    contactId: payload.c,
+    email: payload.e,
+    dealIds: Array.isArray(payload.d) ? payload.d : [],
+    payerDealIds: Array.isArray(payload.p) ? payload.p : [],
+    expiresAt: new Date(payload.exp * 1000),
+  };
+}
+
+// The holder's role on a deal, or null when the token doesn't cover it. A
+// family link wins if the deal is somehow in both lists.
+function accessRoleFor(access, dealId) {
+  if (!access) return null;
+  if (access.dealIds.includes(String(dealId))) return ACCESS_ROLES.FAMILY;
+  if (access.payerDealIds.includes(String(dealId))) return ACCESS_ROLES.PAYER;
+  return null;
+}
+
+function canAccessDeal(access, dealId) {
+  return accessRoleFor(access, dealId) !== null;
+}
+
+// Absolute portal URL for links generated outside a request (emails,
+// HubSpot workflows). Netlify sets URL to the site's primary address;
+// PORTAL_URL overrides it. Null when neither gives an absolute URL.
+function configuredPortalUrl() {
+  const value =
+    process.env.PORTAL_URL ||
+    (process.env.URL && `${process.env.URL}/.netlify/functions/payments`);
+  if (!value) return null;
+  try {
+    new URL(value);
+    return value;
+  } catch {
+    return null;
+  }
+}
+
+function isPortalUrlConfigured() {
+  return configuredPortalUrl() !== null;
+}
+
+// Throws when the URL isn't configured; endpoints that issue links check
+// isPortalUrlConfigured first and answer with a config error instead
+function portalBaseUrl() {
+  const url = configuredPortalUrl();
+  if (!url) {
+    throw new Error("Portal URL not configured. Set PORTAL_URL (or URL) to an absolute URL.");
+  }
+  return url;
+}
+
+function buildPortalLink(token, baseUrl = portalBaseUrl()) {
+  const link = new URL(baseUrl);
+  link.search = "";
+  link.searchParams.set("token", token);
+  return link.toString();
+}
+
+// "Authorization: Bearer <PORTAL_LINK_API_KEY>" or an X-Api-Key header
+function hasApiKey(headers = {}) {
+  if (!process.env.PORTAL_LINK_API_KEY) return false;
+
+  const bearer = (headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const provided = Buffer.from(bearer || headers["x-api-key"] || "");
+  const expected = Buffer.from(process.env.PORTAL_LINK_API_KEY);
+
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+function isAdminConfigured() {
+  return Boolean(process.env.ADMIN_USERS);
+}
+
+// ADMIN_USERS="alice:secret-one,bob:secret-two". Returns the username for a
+// valid "Authorization: Basic ..." header, otherwise null.
+function adminUserFrom(headers = {}) {
+  const match = /^Basic\s+(.+)$/i.exec(headers.authorization || "");
+  if (!match || !isAdminConfigured()) return null;
+
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const sep = decoded.indexOf(":");
+  if (sep < 1) return null;
+  const username = decoded.slice(0, sep);
+  const provided = Buffer.from(decoded.slice(sep + 1));
+
+  const entry = process.env.ADMIN_USERS.split(",")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.includes(":"))
+    .find((pair) => pair.slice(0, pair.indexOf(":")) === username);
+  if (!entry) return null;
+
+  const expected = Buffer.from(entry.slice(entry.indexOf(":") + 1));
+  return provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+    ? username
+    : null;
+}
+
+module.exports = {
+  ACCESS_ROLES,
+  isAccessConfigured,
+  createAccessToken,
+  verifyAccessToken,
+  accessRoleFor,
+  canAccessDeal,
+  isPortalUrlConfigured,
+  portalBaseUrl,
+  buildPortalLink,
+  hasApiKey,
+  isAdminConfigured,
+  adminUserFrom,
+};
@@ -0,0 +1,123 @@
+// netlify/lib/adjustments.js
+// Scholarships, discounts and credits that reduce what a family owes without
+// touching the deal amount.
+//
+// Adjustments live in the `payment_adjustments` deal property as a JSON array
+// of entries: { id, type, label, amountMinor, currency, date, code, note,
+// addedBy }. `amountMinor` is a positive reduction in minor units of the deal
+// currency. `id` is the dedupe key: promo codes use "promo:<CODE>" so a code
+// can only be applied to a deal once.
+
+const {
+  dealCurrency,
+  normalizeCurrency,
+  readMinor,
+  minorToDecimalString,
+} = require("./currency");
+
+const ADJUSTMENTS_FIELD = "payment_adjustments";
+const ADJUSTMENTS_TOTAL_FIELD = "total_adjustments";
+
+const ADJUSTMENT_TYPES = {
+  SCHOLARSHIP: "scholarship",
+  DISCOUNT: "discount",
+  CREDIT: "credit",
+};
+
+const TYPE_LABELS = {
+  [ADJUSTMENT_TYPES.SCHOLARSHIP]: "Scholarship",
+  [ADJUSTMENT_TYPES.DISCOUNT]: "Discount",
+  [ADJUSTMENT_TYPES.CREDIT]: "Credit",
+};
+
+function adjustmentTypeLabel(type) {
+  return TYPE_LABELS[type] || "Adjustment";
+}
+
+// "Scholarship – Smith Foundation", or just the type when there's no label
+function adjustmentDescription(adj) {
+  const type = adjustmentTypeLabel(adj.type);
+  return adj.label && adj.label !== type ? `${type} – ${adj.label}` : type;
+}
+
+function parseAdjustments(p) {
+  const currency = dealCurrency(p);
+  const raw = p[ADJUSTMENTS_FIELD];
+  if (!raw || !String(raw).trim()) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    console.error("Unreadable payment adjustments:", err.message);
+    return [];
+  }
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .map((e) => ({
+      id: e.id || "",
+      type: TYPE_LABELS[e.type] ? e.type : ADJUSTMENT_TYPES.CREDIT,
+      label: e.label || "",
+      amount: readMinor(e, e.currency || currency),
+      currency: normalizeCurrency(e.currency || currency),
+      date: e.date || "",
+      code: e.code || "",
+      note: e.note || "",
+      addedBy: e.addedBy || "",
+    }))
+    .filter((e) => !isNaN(e.amount) && e.amount > 0);
+}
+
+function sumAdjustments(adjustments) {
+  return adjustments.reduce((sum, adj) => sum + adj.amount, 0);
+}
+
+function findAdjustment(p, id) {
+  return parseAdjustments(p).find((adj) => adj.id === id) || null;
+}
+
+// Deal properties that append `entry` (with `amount` in minor units) and
+// refresh the total_adjustments rollup.
+function adjustmentsUpdateWith(p, entry) {
+  const currency = dealCurrency(p);
+  const adjustments = [
+    ...parseAdjustments(p),
+    {
+      id: entry.id,
+      type: entry.type || ADJUSTMENT_TYPES.CREDIT,
+      label: entry.label || adjustmentTypeLabel(entry.type),
+      amount: Math.round(entry.amount),
+      currency,
+      date: entry.date || new Date().toISOString(),
+      code: entry.code || "",
+      note: entry.note || "",
+      addedBy: entry.addedBy || "",
+    },
+  ];
+
+  const stored = adjustments.map(({ amount, ...rest }) => ({
+    amountMinor: amount,
+    ...rest,
+  }));
+
+  return {
+    [ADJUSTMENTS_FIELD]: JSON.stringify(stored),
+    [ADJUSTMENTS_TOTAL_FIELD]: minorToDecimalString(
+      sumAdjustments(adjustments),
+      currency
+    ),
+  };
+}
+
+module.exports = {
+  ADJUSTMENTS_FIELD,
+  ADJUSTMENTS_TOTAL_FIELD,
+  ADJUSTMENT_TYPES,
+  adjustmentTypeLabel,
+  adjustmentDescription,
+  parseAdjustments,
+  sumAdjustments,
+  findAdjustment,
+  adjustmentsUpdateWith,
+};
@@ -0,0 +1,174 @@
+// netlify/lib/admin-report.js
+// Per-deal balance summaries for the staff dashboard and its CSV export.
+
+const {
+  PAYMENT_STATUS,
+  ENTRY_KINDS,
+  dealBalance,
+} = require("./payments");
+const { pricingFor } = require("./pricing");
+const {
+  PLAN_STATUS,
+  todayIso,
+  parsePlan,
+} = require("./plans");
+const { balanceDueDateFor } = require("./reminders");
+const { dealMilestones } = require("./milestones");
+const { DEAL_PROPERTIES } = require("./hubspot");
+const { minorToDecimalString } = require("./currency");
+
+const ADMIN_DEAL_PROPERTIES = [...DEAL_PROPERTIES, "pipeline", "dealstage"];
+
+const DEPOSIT_STATUS = {
+  PAID: "paid",
+  PARTIAL: "partial",
+  NOT_PAID: "not_paid",
+};
+
+const DEPOSIT_LABELS = {
+  [DEPOSIT_STATUS.PAID]: "Paid",
+  [DEPOSIT_STATUS.PARTIAL]: "Partly paid",
+  [DEPOSIT_STATUS.NOT_PAID]: "Not paid",
+};
+
+// Balance filters applied after the HubSpot search
+const BALANCE_FILTERS = {
+  all: () => true,
+  outstanding: (row) => row.remaining > 0,
+  deposit_not_paid: (row) => row.depositStatus !== DEPOSIT_STATUS.PAID,
+  overdue: (row) => row.overdue,
+  overpaid: (row) => row.remaining < 0,
+};
+
+function depositLabel(status) {
+  return DEPOSIT_LABELS[status] || status;
+}
+
+// Latest settled or processing payment with a real date; legacy free-text
+// dates can't be compared and are skipped.
+function lastPaymentDate(payments) {
+  return payments
+    .filter(
+      (pay) =>
+        pay.kind === ENTRY_KINDS.PAYMENT &&
+        pay.status !== PAYMENT_STATUS.FAILED &&
+        /^\d{4}-\d{2}-\d{2}/.test(pay.date)
+    )
+    .map((pay) => pay.date)
+    .sort()
+    .pop() || "";
+}
+
+// A balance is overdue once its due date (balance_due_date, else the program
+// start date) has passed, or when a payment plan has run out of retries.
+function dealSummary(deal, today = todayIso()) {
+  const p = deal.properties || {};
+  const balance = dealBalance(p);
+  const plan = parsePlan(p);
+  const dueDate = balanceDueDateFor(p);
+
+  // The deposit is paid once the schedule's deposit milestone is, or the
+  // pricing rule's deposit target when the schedule has none
+  const deposit = dealMilestones(p, today).milestones.find((m) => m.id === "deposit");
+  const depositTarget = deposit ? deposit.target : pricingFor(p).depositTarget;
+
+  const committed = balance.totalPaid + balance.processing;
+  const depositStatus =
+    committed >= depositTarget
+      ? DEPOSIT_STATUS.PAID
+      : committed > 0
+      ? DEPOSIT_STATUS.PARTIAL
+      : DEPOSIT_STATUS.NOT_PAID;
+
+  const owes = !isNaN(balance.payable) && balance.payable > 0;
+  const overdue =
+    owes &&
+    ((dueDate && dueDate < today) || plan?.status === PLAN_STATUS.PAST_DUE);
+
+  return {
+    id: deal.id,
+    name: p.dealname || "",
+    pipeline: p.pipeline || "",
+    stage: p.dealstage || "",
+    currency: balance.currency,
+    tuition: balance.tuition,
+    adjustments: balance.totalAdjustments,
+    paid: balance.totalPaid,
+    processing: balance.processing,
+    remaining: balance.remaining,
+    depositStatus,
+    dueDate: dueDate || "",
+    overdue: Boolean(overdue),
+    planStatus: plan?.status || "",
+    lastPaymentDate: lastPaymentDate(balance.payments),
+  };
+}
+
+function filterSummaries(rows, filter = "all") {
+  return rows.filter(BALANCE_FILTERS[filter] || BALANCE_FILTERS.all);
+}
+
+/* =========================================================
+   CSV
+========================================================= */
+
+// Text that a spreadsheet would run as a formula is prefixed with a quote;
+// negative amounts are left alone.
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+@\t]|^-(?!\d)/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// `labels` maps pipeline and stage IDs to their names
+function summariesToCsv(rows, labels = {}) {
+  const header = [
+    "Deal ID",
+    "Program",
+    "Pipeline",
+    "Stage",
+    "Currency",
+    "Tuition",
+    "Scholarships & credits",
+    "Paid",
+    "Processing",
+    "Remaining",
+    "Deposit",
+    "Balance due date",
+    "Overdue",
+    "Last payment",
+  ];
+
+  const lines = rows.map((row) => {
+    const amount = (minor) => minorToDecimalString(minor, row.currency);
+    return [
+      row.id,
+      row.name,
+      labels[row.pipeline] || row.pipeline,
+      labels[row.stage] || row.stage,
+      row.currency.toUpperCase(),
+      amount(row.tuition),
+      amount(row.adjustments),
+      amount(row.paid),
+      amount(row.processing),
+      amount(row.remaining),
+      depositLabel(row.depositStatus),
+      row.dueDate,
+      row.overdue ? "Yes" : "No",
+      row.lastPaymentDate.slice(0, 10),
+    ];
+  });
+
+  return [header, ...lines].map((cells) => cells.map(csvCell).join(",")).join("\r\n");
+}
+
+module.exports = {
+  ADMIN_DEAL_PROPERTIES,
+  DEPOSIT_STATUS,
+  BALANCE_FILTERS,
+  depositLabel,
+  dealSummary,
+  filterSummaries,
+  csvCell,
+  summariesToCsv,
+};
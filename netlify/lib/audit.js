@@ -0,0 +1,296 @@
+// netlify/lib/audit.js
+// Audit trail of what happens on each deal: portal views, the program list,
+// checkouts started or refused, card fees quoted and charged, billing opened,
+// and what the Stripe webhook made of each event. Every event carries the
+// deal, the contact, the amount (minor units of `currency`), a hashed client
+// IP and a timestamp.
+//
+// AUDIT_SINK picks where events go:
+//   log (default) – one JSON line per event in the function log
+//   file          – JSON lines appended to AUDIT_LOG_FILE
+//   hubspot       – a note on the deal's HubSpot timeline
+//   off           – nothing is recorded
+// The file and HubSpot sinks can be read back per deal (the admin dashboard's
+// deal activity page); the log can't. Tests swap in their own sink with
+// setAuditSink().
+//
+// The file sink is for running the functions on a server of your own (or
+// `netlify dev`): deployed functions have a read-only filesystem apart from
+// /tmp, which belongs to one instance and is gone when it's recycled, so on
+// Netlify AUDIT_SINK=file logs instead.
+//
+// HubSpot notes are written alongside the request's own work: recordAudit
+// starts the note and returns, and a note that fails is logged. A deployed
+// function's instance can be frozen as soon as it has answered, so handlers
+// that record events are wrapped in withAuditFlush, which waits for the notes
+// still in flight before the response goes back.
+//
+// IPs are kept as an HMAC keyed with AUDIT_IP_SALT (PORTAL_LINK_SECRET if
+// unset), so repeat visits can be linked without storing the address.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { createDealNote, getDealNotes } = require("./hubspot");
+const { formatMoney } = require("./currency");
+const { escapeHtml } = require("./util");
+
+const AUDIT_EVENTS = {
+  PORTAL_VIEWED: "portal.viewed",
+  DEALS_LISTED: "portal.deals_listed",
+  BILLING_OPENED: "portal.billing_opened",
+  CHECKOUT_STARTED: "checkout.started",
+  CHECKOUT_REJECTED: "checkout.rejected",
+  CARD_FEE_QUOTED: "checkout.card_fee_quoted",
+  CARD_PAYMENT_CONFIRMED: "checkout.card_payment_confirmed",
+  WEBHOOK_PROCESSED: "webhook.processed",
+  WEBHOOK_FAILED: "webhook.failed",
+};
+
+// Heading of the HubSpot notes, and how they're told apart from staff notes
+const NOTE_TITLE = "Payments audit";
+
+let sink;
+// Deferred writes still in flight (see flushAudit)
+const pending = new Set();
+
+/* =========================================================
+   SINKS
+========================================================= */
+
+function sinkName() {
+  return (process.env.AUDIT_SINK || "log").toLowerCase();
+}
+
+function createSink() {
+  switch (sinkName()) {
+    case "off":
+      return null;
+    case "file":
+      if (!process.env.AUDIT_LOG_FILE) {
+        console.warn("AUDIT_SINK=file needs AUDIT_LOG_FILE; logging instead");
+        return logSink;
+      }
+      if (isDeployedFunction()) {
+        console.warn("AUDIT_SINK=file doesn't persist on Netlify; logging instead");
+        return logSink;
+      }
+      return fileSink(process.env.AUDIT_LOG_FILE);
+    case "hubspot":
+      return hubSpotSink;
+    default:
+      return logSink;
+  }
+}
+
+// Netlify runs deployed functions on AWS Lambda
+function isDeployedFunction() {
+  return Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+const logSink = {
+  async write(entry) {
+    console.log(`Audit: ${JSON.stringify(entry)}`);
+  },
+};
+
+function fileSink(file) {
+  return {
+    async write(entry) {
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+    async query(dealId, { limit }) {
+      let text;
+      try {
+        text = await fs.promises.readFile(file, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      return text
+        .split("\n")
+        .filter(Boolean)
+        .map(parseEntry)
+        .filter((entry) => entry?.dealId === String(dealId))
+        .reverse()
+        .slice(0, limit);
+    },
+  };
+}
+
+// One note per event: a line staff can read on the timeline, then the event
+// itself as JSON so it can be read back. Events without a deal have nowhere
+// to go and are only logged. `deferred`: recordAudit doesn't wait for it.
+const hubSpotSink = {
+  deferred: true,
+  async write(entry) {
+    if (!entry.dealId) return logSink.write(entry);
+    await createDealNote(entry.dealId, {
+      timestamp: entry.at,
+      body: `<p><strong>${NOTE_TITLE}</strong>: ${escapeHtml(
+        auditSummary(entry)
+      )}</p><p>${escapeHtml(JSON.stringify(entry))}</p>`,
+    });
+  },
+  async query(dealId, { limit }) {
+    const notes = await getDealNotes(dealId, { limit });
+    return notes
+      .filter((note) => note.body.includes(NOTE_TITLE))
+      .map((note) => /<p>(\{.*\})<\/p>\s*$/s.exec(note.body)?.[1])
+      .filter(Boolean)
+      .map((json) => parseEntry(unescapeHtml(json)))
+      .filter(Boolean);
+  },
+};
+
+function parseEntry(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+function unescapeHtml(str) {
+  return str
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function getSink() {
+  if (sink === undefined) sink = createSink();
+  return sink;
+}
+
+// Anything with write(entry) and, to be queryable, query(dealId, { limit });
+// null restores the sink AUDIT_SINK configures.
+function setAuditSink(next) {
+  sink = next === null ? undefined : next;
+}
+
+/* =========================================================
+   EVENTS
+========================================================= */
+
+// Who made the request: the portal link's contact and a hash of their IP
+function auditContext(event, access) {
+  return {
+    contactId: access?.contactId || "",
+    ipHash: hashIp(clientIp((event && event.headers) || {})),
+  };
+}
+
+function clientIp(headers) {
+  return (
+    headers["x-nf-client-connection-ip"] ||
+    String(headers["x-forwarded-for"] || "").split(",")[0].trim()
+  );
+}
+
+function hashIp(ip) {
+  const key = process.env.AUDIT_IP_SALT || process.env.PORTAL_LINK_SECRET;
+  if (!ip || !key) return "";
+  return crypto.createHmac("sha256", key).update(ip).digest("hex").slice(0, 16);
+}
+
+// Anything beyond the common fields (method, code, sessionId…) is kept as
+// given; empty ones are dropped.
+function auditEntry(
+  type,
+  { dealId, contactId, role, amount, currency, ipHash, ...details } = {}
+) {
+  return {
+    at: new Date().toISOString(),
+    type,
+    dealId: String(dealId || ""),
+    contactId: String(contactId || ""),
+    role: role || "",
+    amount: Number.isInteger(amount) ? amount : null,
+    currency: String(currency || "").toLowerCase(),
+    ipHash: ipHash || "",
+    ...Object.fromEntries(
+      Object.entries(details).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    ),
+  };
+}
+
+// Never fails the request it describes: a sink that can't be written to is
+// logged, with the event, and the request carries on. A `deferred` sink's
+// write isn't waited for at all.
+async function recordAudit(type, fields) {
+  const entry = auditEntry(type, fields);
+  const target = getSink();
+  if (!target) return entry;
+
+  const written = (async () => target.write(entry))().catch((err) => {
+    console.error("Audit write failed:", err.message, JSON.stringify(entry));
+  });
+  if (!target.deferred) {
+    await written;
+    return entry;
+  }
+
+  pending.add(written);
+  written.finally(() => pending.delete(written));
+  return entry;
+}
+
+// Waits for the deferred writes in flight, e.g. before reading them back
+async function flushAudit() {
+  await Promise.all([...pending]);
+}
+
+// Wraps a handler so it only returns once its deferred writes are done
+function withAuditFlush(handler) {
+  return async (...args) => {
+    try {
+      return await handler(...args);
+    } finally {
+      await flushAudit();
+    }
+  };
+}
+
+// Newest first, or null when the sink can't be read back
+async function auditEventsForDeal(dealId, { limit = 100 } = {}) {
+  const target = getSink();
+  if (!target?.query) return null;
+  await flushAudit();
+  return target.query(String(dealId), { limit });
+}
+
+function isAuditQueryable() {
+  return Boolean(getSink()?.query);
+}
+
+// One line per event, for the timeline notes and the admin page
+function auditSummary(entry) {
+  const outcome = entry.result || entry.code || "";
+  return [
+    entry.type,
+    entry.amount !== null && entry.currency
+      ? formatMoney(entry.amount, entry.currency)
+      : "",
+    entry.method || "",
+    outcome,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+module.exports = {
+  AUDIT_EVENTS,
+  setAuditSink,
+  auditContext,
+  hashIp,
+  recordAudit,
+  flushAudit,
+  withAuditFlush,
+  auditEventsForDeal,
+  isAuditQueryable,
+  auditSummary,
+};
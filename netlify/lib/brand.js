@@ -0,0 +1,70 @@
+// netlify/lib/brand.js
+// Branding for the portal pages: name, logo, colours, support contact and the
+// legal links in the footer.
+//
+// Comes from netlify/config/brand.json, with the BRAND_CONFIG env var (JSON)
+// overriding any of its sections without a redeploy of code:
+//
+//   {
+//     "logo": { "url": "https://cdn.example.org/logo.png", "height": 40 },
+//     "colors": { "primary": "#0f766e" },
+//     "support": { "email": "payments@example.org" },
+//     "legal": { "privacy": "https://example.org/privacy" }
+//   }
+//
+// Empty values are left out of the pages: no logo falls back to the name, and
+// a legal link without a URL isn't shown.
+
+const bundledBrand = require("../config/brand.json");
+const { cssColor } = require("./templates");
+
+// Footer links in display order; their labels are in the message catalogs
+const LEGAL_LINKS = ["privacy", "terms", "refunds"];
+
+function loadBrand(raw = process.env.BRAND_CONFIG) {
+  if (!raw) return bundledBrand;
+  try {
+    const override = JSON.parse(raw);
+    const merged = { ...bundledBrand };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...bundledBrand[key], ...value }
+          : value;
+    }
+    return merged;
+  } catch (err) {
+    console.error("Invalid BRAND_CONFIG, using the bundled brand:", err.message);
+    return bundledBrand;
+  }
+}
+
+const BRAND = loadBrand();
+
+// The brand with colours checked and legal links in order, ready for the
+// templates
+function brandFor(brand = BRAND) {
+  const colors = brand.colors || {};
+  return {
+    name: brand.name || "",
+    website: brand.website || "",
+    logoUrl: brand.logo?.url || "",
+    logoHeight: Number(brand.logo?.height) || 40,
+    colors: {
+      primary: cssColor(colors.primary, "#4f46e5"),
+      primarySoft: cssColor(colors.primarySoft, "#eef2ff"),
+      primaryBorder: cssColor(colors.primaryBorder, "#c7d2fe"),
+      text: cssColor(colors.text, "#0f172a"),
+      background: cssColor(colors.background, "#eff6ff"),
+    },
+    supportEmail: brand.support?.email || "",
+    supportPhone: brand.support?.phone || "",
+    wireTransferUrl: brand.links?.wireTransfer || "",
+    legalLinks: LEGAL_LINKS.filter((key) => brand.legal?.[key]).map((key) => ({
+      key,
+      url: brand.legal[key],
+    })),
+  };
+}
+
+module.exports = { LEGAL_LINKS, loadBrand, brandFor };
@@ -0,0 +1,148 @@
+// netlify/lib/checkout-sessions.js
+// Starts Checkout (or the portal's embedded payment form) for a deal without
+// letting two payments collect the same balance: a repeated click reuses the
+// open one, a family member who changes the amount or method replaces their
+// own, and anyone else waits until the open one is paid or expires. New
+// payments are made as the contact's Stripe Customer (see customers.js).
+
+const {
+  OPEN_PAYMENT_KINDS,
+  createPaymentSession,
+  createPaymentIntent,
+  parseOpenSessions,
+  openSessionEntry,
+  openSessionsProperties,
+  fitsBalance,
+} = require("./checkout");
+const { getDealById, updateDeal } = require("./hubspot");
+const { customerForContact } = require("./customers");
+
+const IN_PROGRESS_ERROR =
+  "A payment on this balance is already in progress. Please try again once it has gone through, or in half an hour if it was abandoned.";
+const JUST_PAID_ERROR =
+  "This payment has just been made and will show on the balance shortly.";
+
+// The states that matter here are "open" (can still be paid), "complete"
+// (paid, or a bank debit under way) and anything else (closed)
+const PAYMENT_KINDS = {
+  [OPEN_PAYMENT_KINDS.SESSION]: {
+    create: createPaymentSession,
+    retrieve: (stripe, id) => stripe.checkout.sessions.retrieve(id),
+    state: (session) => session.status,
+    close: (stripe, id) => stripe.checkout.sessions.expire(id),
+  },
+  [OPEN_PAYMENT_KINDS.INTENT]: {
+    create: createPaymentIntent,
+    retrieve: (stripe, id) => stripe.paymentIntents.retrieve(id),
+    state: (intent) =>
+      ["succeeded", "processing"].includes(intent.status)
+        ? "complete"
+        : intent.status === "canceled"
+        ? "closed"
+        : "open",
+    close: (stripe, id) => stripe.paymentIntents.cancel(id),
+  },
+};
+
+const kindOf = (entry) => entry.kind || OPEN_PAYMENT_KINDS.SESSION;
+
+// `args` are createPaymentSession's, with `deal` read fresh. Returns
+// { ok: true, session, reused } or { ok: false, code, error } where code is
+// payment_in_progress or payment_already_made.
+async function startCheckout(stripe, args) {
+  const started = await startPayment(stripe, args, OPEN_PAYMENT_KINDS.SESSION);
+  if (!started.ok) return started;
+  return { ok: true, session: started.payment, reused: started.reused };
+}
+
+// The same for the embedded form's PaymentIntent: `args` are
+// createPaymentIntent's, and the result has `intent` in place of `session`.
+async function startPaymentIntent(stripe, args) {
+  const started = await startPayment(stripe, args, OPEN_PAYMENT_KINDS.INTENT);
+  if (!started.ok) return started;
+  return { ok: true, intent: started.payment, reused: started.reused };
+}
+
+async function startPayment(stripe, args, kind) {
+  const { deal, type, base, method, access } = args;
+  const p = deal.properties || {};
+  const contactId = access.contactId || "";
+  const open = parseOpenSessions(p);
+
+  const same = open.find(
+    (s) =>
+      kindOf(s) === kind &&
+      s.contactId === contactId &&
+      s.type === type &&
+      s.method === method &&
+      s.base === base
+  );
+  if (same) {
+    const payment = await PAYMENT_KINDS[kind].retrieve(stripe, same.id);
+    const state = PAYMENT_KINDS[kind].state(payment);
+    if (state === "open") return { ok: true, payment, reused: true };
+    // Paid, but the webhook hasn't recorded it yet
+    if (state === "complete") {
+      return { ok: false, code: "payment_already_made", error: JUST_PAID_ERROR };
+    }
+  }
+
+  const others = open.filter((s) => s !== same);
+  const theirs = others.filter((s) => s.contactId !== contactId);
+  if (!fitsBalance(p, base, theirs)) return inProgress(IN_PROGRESS_ERROR);
+
+  await closePayments(
+    stripe,
+    others.filter((s) => s.contactId === contactId)
+  );
+
+  const customer = await customerFor(stripe, access);
+  const payment = await PAYMENT_KINDS[kind].create(stripe, { ...args, customer });
+  const entry = openSessionEntry(payment, args);
+  await updateDeal(deal.id, openSessionsProperties([...theirs, entry]));
+
+  // Check the balance again now that the payment is stored: two checkouts
+  // started at the same moment both get past the check above, and the one
+  // that lost the write backs out. Anything that still slips through is
+  // flagged as an overpayment when the webhook records it.
+  const fresh = await getDealById(deal.id);
+  const stored = parseOpenSessions(fresh?.properties || {});
+  if (
+    !stored.some((s) => s.id === payment.id) ||
+    !fitsBalance(fresh.properties, 0, stored)
+  ) {
+    await closePayments(stripe, [entry]);
+    return inProgress(IN_PROGRESS_ERROR);
+  }
+
+  return { ok: true, payment, reused: false };
+}
+
+// A payment doesn't wait on the customer: without one, Checkout takes the
+// payer's email as before
+async function customerFor(stripe, access) {
+  try {
+    return await customerForContact(stripe, access.contactId);
+  } catch (err) {
+    console.error("Couldn't find the Stripe customer for contact", access.contactId, err.message);
+    return "";
+  }
+}
+
+function inProgress(error) {
+  return { ok: false, code: "payment_in_progress", error };
+}
+
+// Best effort: a payment made in the meantime can't be expired or cancelled,
+// and still reaches the ledger through the webhook.
+async function closePayments(stripe, entries) {
+  for (const entry of entries) {
+    try {
+      await PAYMENT_KINDS[kindOf(entry)].close(stripe, entry.id);
+    } catch (err) {
+      console.warn("Couldn't close open payment", entry.id, err.message);
+    }
+  }
+}
+
+module.exports = { startCheckout, startPaymentIntent };
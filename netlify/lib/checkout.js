@@ -0,0 +1,456 @@
+// netlify/lib/checkout.js
+// What can be paid on a deal right now, and the Stripe Checkout Sessions and
+// PaymentIntents that collect it. Shared by the portal pages and the JSON API
+// so both offer the same amounts. Amounts are integer minor units of the deal
+// currency.
+//
+// Payments that may still be made are tracked on the deal in the
+// `open_checkout_sessions` property as a JSON array of { id, kind, url, type,
+// method, base, contactId, expiresAt } (expiresAt in epoch seconds), so a
+// second click or a second family member doesn't start another payment for
+// the same balance. `kind` is "intent" for the PaymentIntents behind the
+// portal's embedded payment form, else absent. See checkout-sessions.js.
+//
+// Card fees follow surcharge.js: Checkout charges them as a line item of
+// their own when the rules charge unknown cards, and the embedded form quotes
+// them for the card entered before the payment is confirmed.
+//
+// CHECKOUT_SESSION_TTL_MINUTES sets how long a session stays payable
+// (default 30, Stripe's minimum).
+
+const crypto = require("crypto");
+const {
+  PAYMENT_METHODS,
+  feeFor,
+  offersBankPayments,
+  dealBalance,
+  parsePayments,
+  sessionBaseAmount,
+} = require("./payments");
+const { pricingFor } = require("./pricing");
+const { cardDetailsFor, cardFeeRateFor } = require("./surcharge");
+const { dealMilestones, milestoneLabel, owingThrough } = require("./milestones");
+const { ACCESS_ROLES } = require("./access");
+const { dealCurrency, toMinor, formatMoney, minimumCharge } = require("./currency");
+const { safeNumber } = require("./util");
+
+const PAYMENT_TYPES = {
+  APP_FEE: "appfee",
+  DEPOSIT: "deposit",
+  REMAINING: "remaining",
+  CUSTOM: "custom",
+};
+
+const OPEN_SESSIONS_FIELD = "open_checkout_sessions";
+
+// Tracked payments are Checkout Sessions unless they say otherwise
+const OPEN_PAYMENT_KINDS = { SESSION: "session", INTENT: "intent" };
+
+// Stamped on PaymentIntents the embedded form collects, so the webhook can
+// tell them from the ones Checkout and payment plans create
+const PAYMENT_ELEMENT_FLOW = "payment_element";
+
+// Checkout's line item for the card fee
+const CARD_FEE_ITEM = "Card fee";
+
+// Stripe accepts 30 minutes to 24 hours
+const SESSION_TTL_SECONDS =
+  Math.min(
+    Math.max(Number(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30, 30),
+    23 * 60
+  ) * 60;
+
+// Identical checkout requests within one window share an idempotency key, so
+// a double click gets the same session back from Stripe.
+const IDEMPOTENCY_WINDOW_SECONDS = 600;
+
+const PAYMENT_TYPE_LABELS = {
+  [PAYMENT_TYPES.APP_FEE]: "Application Fee",
+  [PAYMENT_TYPES.DEPOSIT]: "Program Deposit",
+  [PAYMENT_TYPES.REMAINING]: "Remaining Program Balance",
+  [PAYMENT_TYPES.CUSTOM]: "Custom Payment",
+};
+
+function paymentMethodsFor(currency) {
+  return offersBankPayments(currency)
+    ? [PAYMENT_METHODS.CARD, PAYMENT_METHODS.BANK]
+    : [PAYMENT_METHODS.CARD];
+}
+
+// { base, fee, total } for paying `base` by `method`
+function chargeFor(base, method, cardFeeRate) {
+  const fee = feeFor(base, method, cardFeeRate);
+  return { base, fee, total: base + fee };
+}
+
+// What paying `base` on the deal by `method` charges with `card` (see
+// cardDetailsFor in surcharge.js; null while the card isn't known), as
+// chargeFor's result plus the surcharge rule's { reason, region }
+function cardChargeFor(p, base, method, card) {
+  const { rate, reason, region } = cardFeeRateFor(pricingFor(p).cardFeeRate, card);
+  return { ...chargeFor(base, method, rate), reason, region };
+}
+
+// The card fee to show before the card is known, as { rate, varies }. Where
+// the card is checked before paying (the embedded form) it's what a credit
+// card pays at most, and `varies` says other cards pay less; otherwise it's
+// what hosted Checkout charges every card.
+function cardFeeTerms(pricing, { cardChecked = false } = {}) {
+  if (cardChecked) {
+    return { rate: pricing.cardFeeRate, varies: pricing.cardFeeRate > 0 };
+  }
+  return { rate: cardFeeRateFor(pricing.cardFeeRate, null).rate, varies: false };
+}
+
+// English label for a payment type, which may be one of the deal's
+// milestone ids
+function paymentTypeLabel(type, milestones = []) {
+  const milestone = milestones.find((m) => m.id === type);
+  return milestone ? milestoneLabel(milestone) : PAYMENT_TYPE_LABELS[type] || type;
+}
+
+// The payment buttons the portal shows: the next unpaid milestone of the
+// deal's schedule (see milestones.js), typed by its id, plus the remaining
+// balance, unless it's less than Stripe will charge. `custom` holds the
+// limits for a payment of the family's choosing, or null when nothing is
+// owed.
+function paymentOptions(p) {
+  const { currency, payable } = dealBalance(p);
+  const pricing = pricingFor(p);
+  const { milestones, next } = dealMilestones(p);
+
+  const owes = !isNaN(payable) && payable > 0;
+  const options = [];
+
+  // Pending bank payments count towards the milestones so nothing is
+  // charged twice; once only the balance is left, that's its own button
+  if (next && !(owes && next.owing >= payable)) {
+    options.push({ type: next.id, amount: next.owing });
+  }
+  if (owes && payable >= minimumCharge(currency)) {
+    options.push({ type: PAYMENT_TYPES.REMAINING, amount: payable });
+  }
+
+  return {
+    currency,
+    pricing,
+    methods: paymentMethodsFor(currency),
+    options,
+    milestones,
+    custom: owes ? { min: pricing.minPayment, max: payable } : null,
+  };
+}
+
+function belowMinimum(minimum, currency) {
+  return {
+    ok: false,
+    code: "amount_below_minimum",
+    error: `Minimum payment is ${formatMoney(minimum, currency)}.`,
+    minimum,
+  };
+}
+
+// Resolves what a checkout for `type` would charge, before the card fee.
+// `type` is a milestone id, `remaining` or `custom`; paying a milestone
+// covers anything still owed on the ones before it. `amount` is the decimal
+// a family typed, for custom payments, which have to reach the pricing
+// rule's minimum payment; nothing is charged below Stripe's minimum. Returns
+// { ok: true, base, label } or { ok: false, code, error }, with the `minimum`
+// when the amount is below it.
+function checkoutAmount(p, type, amount) {
+  const currency = dealCurrency(p);
+  const pricing = pricingFor(p);
+  const { payable } = dealBalance(p);
+  const { milestones, committed } = dealMilestones(p);
+  const milestone = milestones.find((m) => m.id === type && !m.balance);
+
+  let base = 0;
+
+  if (milestone) {
+    base = owingThrough(milestone, committed);
+  } else if (type === PAYMENT_TYPES.CUSTOM) {
+    base = toMinor(safeNumber(amount), currency);
+    if (isNaN(base)) {
+      return { ok: false, code: "invalid_amount", error: "Invalid amount." };
+    }
+    if (base < pricing.minPayment) return belowMinimum(pricing.minPayment, currency);
+    if (!isNaN(payable) && base > payable) {
+      return {
+        ok: false,
+        code: "amount_above_balance",
+        error: "Amount cannot exceed remaining balance.",
+      };
+    }
+  } else {
+    type = PAYMENT_TYPES.REMAINING;
+    base = payable;
+  }
+
+  if (!base || isNaN(base) || base <= 0) {
+    return { ok: false, code: "no_balance_due", error: "No balance due." };
+  }
+
+  if (base < minimumCharge(currency)) {
+    return belowMinimum(minimumCharge(currency), currency);
+  }
+
+  return { ok: true, type, base, label: paymentTypeLabel(type, milestones) };
+}
+
+// Derived from the idempotency window rather than the clock so a retried
+// request sends identical parameters; the extra minute keeps Stripe's
+// minimum session lifetime.
+function holdExpiresAt(now) {
+  const windowStart =
+    Math.floor(now / 1000 / IDEMPOTENCY_WINDOW_SECONDS) *
+    IDEMPOTENCY_WINDOW_SECONDS;
+  return windowStart + IDEMPOTENCY_WINDOW_SECONDS + SESSION_TTL_SECONDS + 60;
+}
+
+// baseAmountMinor lets the webhook record the payment without the card fee
+function paymentMetadata({ deal, type, base, method, role, access }) {
+  return {
+    dealId: deal.id,
+    contactId: access.contactId,
+    paymentType: type,
+    paymentMethod: method,
+    payerRole: role,
+    baseAmountMinor: String(base),
+  };
+}
+
+// Bank accounts are linked instantly through Financial Connections
+function paymentMethodOptions(method) {
+  return method === PAYMENT_METHODS.BANK
+    ? {
+        us_bank_account: {
+          financial_connections: { permissions: ["payment_method"] },
+          verification_method: "instant",
+        },
+      }
+    : undefined;
+}
+
+// The ledger length is part of the key so paying the same amount again
+// after a payment has been recorded starts a new payment.
+function idempotencyKeyFor(prefix, deal, params) {
+  return `${prefix}-${deal.id}-${crypto
+    .createHash("sha256")
+    .update(JSON.stringify([params, parsePayments(deal.properties || {}).length]))
+    .digest("hex")}`;
+}
+
+// Creates the Checkout Session for a resolved amount. `access` is the portal
+// token the payment is made through; `customer` the Stripe Customer of its
+// contact, else its email (never the student's, for a payer) prefills
+// checkout. Use startCheckout (checkout-sessions.js) rather than calling this
+// directly, so the session is tracked on the deal.
+async function createPaymentSession(
+  stripe,
+  {
+    deal,
+    type,
+    base,
+    label,
+    method,
+    role,
+    access,
+    customer,
+    successUrl,
+    cancelUrl,
+    locale,
+  },
+  now = Date.now()
+) {
+  const p = deal.properties || {};
+  const programName = p.dealname || "Program Payment";
+  const currency = dealCurrency(p);
+  const { fee } = cardChargeFor(p, base, method, null);
+  const metadata = paymentMetadata({ deal, type, base, method, role, access });
+
+  const params = {
+    mode: "payment",
+    customer: customer || undefined,
+    customer_email: customer ? undefined : access.email || undefined,
+    // Payers pay with their own billing details, recorded on the payment
+    billing_address_collection:
+      role === ACCESS_ROLES.PAYER ? "required" : undefined,
+    payment_method_types: [method],
+    payment_method_options: paymentMethodOptions(method),
+    line_items: [
+      {
+        price_data: {
+          currency,
+          product_data: {
+            name: programName,
+            description: `${label} – Deal ID: ${deal.id}`,
+          },
+          unit_amount: base,
+        },
+        quantity: 1,
+      },
+      // The card fee is its own line so the payer sees it on Checkout
+      fee > 0 && {
+        price_data: {
+          currency,
+          product_data: { name: CARD_FEE_ITEM },
+          unit_amount: fee,
+        },
+        quantity: 1,
+      },
+    ].filter(Boolean),
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    expires_at: holdExpiresAt(now),
+    // The portal's language, so Checkout doesn't switch to the browser's
+    locale: locale || undefined,
+    metadata,
+    // Refund and dispute events only reference the PaymentIntent
+    payment_intent_data: { metadata },
+  };
+
+  return stripe.checkout.sessions.create(params, {
+    idempotencyKey: idempotencyKeyFor("checkout", deal, params),
+  });
+}
+
+// Creates the PaymentIntent the portal's embedded form confirms, for `base`
+// alone: quotePaymentIntent adds the card fee once the card is known. Card
+// payments include the wallets (Apple Pay, Google Pay) the browser offers.
+// Use startPaymentIntent (checkout-sessions.js) so the intent is tracked on
+// the deal.
+async function createPaymentIntent(
+  stripe,
+  { deal, type, base, label, method, role, access, customer },
+  now = Date.now()
+) {
+  const p = deal.properties || {};
+  const currency = dealCurrency(p);
+
+  const params = {
+    amount: base,
+    currency,
+    payment_method_types: [method],
+    payment_method_options: paymentMethodOptions(method),
+    customer: customer || undefined,
+    description: `${p.dealname || "Program Payment"} – ${label} – Deal ID: ${deal.id}`,
+    receipt_email: access.email || undefined,
+    metadata: {
+      ...paymentMetadata({ deal, type, base, method, role, access }),
+      paymentFlow: PAYMENT_ELEMENT_FLOW,
+    },
+  };
+
+  // Keyed to the window as sessions are through expires_at, so a double
+  // click gets the same intent but a later visit doesn't
+  return stripe.paymentIntents.create(params, {
+    idempotencyKey: idempotencyKeyFor("intent", deal, [params, holdExpiresAt(now)]),
+  });
+}
+
+// Sets the embedded form's PaymentIntent to what the card in
+// `paymentMethod` (a ConfirmationToken's payment_method_preview) is charged,
+// just before the payer confirms with it. Returns cardChargeFor's result.
+async function quotePaymentIntent(stripe, intent, p, paymentMethod) {
+  const base = sessionBaseAmount(intent);
+  const charge = cardChargeFor(
+    p,
+    base,
+    intent.metadata?.paymentMethod || PAYMENT_METHODS.CARD,
+    cardDetailsFor(paymentMethod)
+  );
+
+  if (intent.amount !== charge.total || intent.metadata?.cardFeeMinor !== String(charge.fee)) {
+    await stripe.paymentIntents.update(intent.id, {
+      amount: charge.total,
+      metadata: { cardFeeMinor: String(charge.fee), cardFeeReason: charge.reason },
+    });
+  }
+  return charge;
+}
+
+/* =========================================================
+   OPEN SESSIONS
+========================================================= */
+
+// Tracked sessions that haven't expired yet
+function parseOpenSessions(p, now = Date.now()) {
+  const raw = p[OPEN_SESSIONS_FIELD];
+  if (!raw || !String(raw).trim()) return [];
+
+  let sessions;
+  try {
+    sessions = JSON.parse(raw);
+  } catch (err) {
+    console.error("Unreadable open checkout sessions:", err.message);
+    return [];
+  }
+  if (!Array.isArray(sessions)) return [];
+
+  return sessions.filter(
+    (s) => s && s.id && Number(s.expiresAt) * 1000 > now
+  );
+}
+
+// The tracked form of a session or intent created for `args` (see
+// createPaymentSession). Intents don't expire, so they hold the balance for
+// as long as a session would.
+function openSessionEntry(payment, { type, method, base, access }, now = Date.now()) {
+  const intent = payment.object === "payment_intent";
+  return {
+    id: payment.id,
+    ...(intent && { kind: OPEN_PAYMENT_KINDS.INTENT }),
+    url: intent ? "" : payment.url,
+    type,
+    method,
+    base,
+    contactId: access.contactId || "",
+    expiresAt: intent ? holdExpiresAt(now) : payment.expires_at,
+  };
+}
+
+function openSessionsProperties(sessions) {
+  return {
+    [OPEN_SESSIONS_FIELD]: sessions.length ? JSON.stringify(sessions) : "",
+  };
+}
+
+// Deal properties that stop tracking `sessionId`, or null when it isn't
+// tracked (expired entries are dropped along the way).
+function openSessionsUpdateWithout(p, sessionId) {
+  const sessions = parseOpenSessions(p);
+  if (!sessions.some((s) => s.id === sessionId)) return null;
+  return openSessionsProperties(sessions.filter((s) => s.id !== sessionId));
+}
+
+// Open sessions hold their amount against the balance until they complete or
+// expire. True when `base` more still fits within what's payable.
+function fitsBalance(p, base, sessions) {
+  const { payable } = dealBalance(p);
+  if (isNaN(payable)) return true;
+  const held = sessions.reduce((sum, s) => sum + safeNumber(s.base), 0);
+  return held + base <= payable;
+}
+
+module.exports = {
+  PAYMENT_TYPES,
+  PAYMENT_TYPE_LABELS,
+  OPEN_SESSIONS_FIELD,
+  OPEN_PAYMENT_KINDS,
+  PAYMENT_ELEMENT_FLOW,
+  paymentMethodsFor,
+  chargeFor,
+  cardChargeFor,
+  cardFeeTerms,
+  paymentTypeLabel,
+  paymentOptions,
+  checkoutAmount,
+  createPaymentSession,
+  createPaymentIntent,
+  quotePaymentIntent,
+  parseOpenSessions,
+  openSessionEntry,
+  openSessionsProperties,
+  openSessionsUpdateWithout,
+  fitsBalance,
+};
@@ -0,0 +1,120 @@
+// netlify/lib/currency.js
+// Money helpers. Amounts are handled internally as integer minor units
+// (cents, pence, or whole yen for zero-decimal currencies) in the deal's
+// currency, and only converted to decimals at the HubSpot/UI edges.
+
+const DEFAULT_CURRENCY = "usd";
+
+// HubSpot deal property holding the ISO 4217 code
+const DEAL_CURRENCY_PROPERTY = "deal_currency_code";
+
+// Stripe's zero-decimal currencies: amounts are already in whole units.
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+];
+
+// The smallest charge Stripe accepts, in minor units, where it isn't the
+// equivalent of 50 US cents.
+// https://docs.stripe.com/currencies#minimum-and-maximum-charge-amounts
+const MINIMUM_CHARGES = {
+  gbp: 30,
+  dkk: 250,
+  nok: 300,
+  sek: 300,
+  hkd: 400,
+  mxn: 1000,
+  czk: 1500,
+  huf: 17500,
+  jpy: 50,
+};
+const DEFAULT_MINIMUM_CHARGE = 50;
+
+function normalizeCurrency(code) {
+  const c = String(code || "").trim().toLowerCase();
+  return /^[a-z]{3}$/.test(c) ? c : DEFAULT_CURRENCY;
+}
+
+function dealCurrency(p) {
+  return normalizeCurrency(p[DEAL_CURRENCY_PROPERTY]);
+}
+
+function currencyExponent(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 0 : 2;
+}
+
+// Decimal (major-unit) amount -> integer minor units. NaN passes through.
+function toMinor(amount, currency) {
+  const n = Number(amount);
+  if (amount === null || amount === undefined || amount === "" || isNaN(n)) {
+    return NaN;
+  }
+  return Math.round(n * 10 ** currencyExponent(currency));
+}
+
+function fromMinor(minor, currency) {
+  if (isNaN(minor)) return NaN;
+  return minor / 10 ** currencyExponent(currency);
+}
+
+// Decimal string for HubSpot number properties and query strings.
+function minorToDecimalString(minor, currency) {
+  return fromMinor(minor, currency).toFixed(currencyExponent(currency));
+}
+
+function formatMoney(minor, currency, locale = "en-US") {
+  if (isNaN(minor)) return "—";
+  const code = normalizeCurrency(currency);
+  const digits = currencyExponent(code);
+
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: code.toUpperCase(),
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(fromMinor(minor, code));
+}
+
+function minimumCharge(currency) {
+  return MINIMUM_CHARGES[normalizeCurrency(currency)] ?? DEFAULT_MINIMUM_CHARGE;
+}
+
+// Reads an amount stored on a record: `amountMinor` when present, otherwise
+// a decimal `amount` written before amounts moved to minor units.
+function readMinor(record, currency) {
+  if (record.amountMinor !== undefined && record.amountMinor !== null) {
+    const n = Number(record.amountMinor);
+    return Number.isInteger(n) ? n : NaN;
+  }
+  return toMinor(record.amount, currency);
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  DEAL_CURRENCY_PROPERTY,
+  ZERO_DECIMAL_CURRENCIES,
+  normalizeCurrency,
+  dealCurrency,
+  currencyExponent,
+  toMinor,
+  fromMinor,
+  minorToDecimalString,
+  formatMoney,
+  minimumCharge,
+  readMinor,
+};
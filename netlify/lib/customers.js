@@ -0,0 +1,66 @@
+// netlify/lib/customers.js
+// The Stripe Customer behind each HubSpot contact who pays through the
+// portal. It's created on the contact's first checkout and its id kept on the
+// contact (STRIPE_CUSTOMER_PROPERTY, see stripe.js), so every payment, saved
+// card and receipt of theirs belongs to one customer, which the portal's
+// "Manage billing" link opens in Stripe's Customer Portal.
+//
+// Payer links without a contact have no customer: Checkout collects their
+// details each time instead.
+
+const { STRIPE_CUSTOMER_PROPERTY } = require("./stripe");
+const { getContactById, updateContact } = require("./hubspot");
+
+// The contact's Stripe Customer id, or "" when they haven't paid yet
+async function customerIdFor(contactId, { cached = false } = {}) {
+  if (!contactId) return "";
+  const contact = await getContactById(contactId, { cached });
+  return contact?.properties?.[STRIPE_CUSTOMER_PROPERTY] || "";
+}
+
+// The contact's Stripe Customer id, creating the customer (and storing it on
+// the contact in place of the old id) when they have none, or the stored one
+// was deleted in Stripe or never existed in this account (a test-mode id
+// left on the contact, say). Returns "" without a contact.
+async function customerForContact(stripe, contactId) {
+  if (!contactId) return "";
+  const contact = await getContactById(contactId);
+  if (!contact) return "";
+
+  const props = contact.properties || {};
+  const stored = props[STRIPE_CUSTOMER_PROPERTY] || "";
+  if (stored) {
+    const customer = await existingCustomer(stripe, stored);
+    if (customer) return customer.id;
+  }
+
+  const name = [props.firstname, props.lastname].filter(Boolean).join(" ");
+  // Two checkouts started at once get the same customer
+  const customer = await stripe.customers.create(
+    {
+      email: props.email || undefined,
+      name: name || undefined,
+      metadata: { hubspotContactId: contact.id },
+    },
+    { idempotencyKey: `customer-${contact.id}-${stored}` }
+  );
+  await updateContact(contact.id, { [STRIPE_CUSTOMER_PROPERTY]: customer.id });
+  return customer.id;
+}
+
+// The customer behind `id`, or null when Stripe has no such customer or it
+// was deleted
+async function existingCustomer(stripe, id) {
+  try {
+    const customer = await stripe.customers.retrieve(id);
+    return customer.deleted ? null : customer;
+  } catch (err) {
+    if (err.code === "resource_missing") return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  customerIdFor,
+  customerForContact,
+};
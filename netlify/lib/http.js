@@ -0,0 +1,69 @@
+// netlify/lib/http.js
+
+// `html` may be a template result; the body has to be a plain string
+function htmlResponse(statusCode, html) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+    body: String(html),
+  };
+}
+
+function textResponse(statusCode, text) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+    body: text,
+  };
+}
+
+function jsonResponse(statusCode, data) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify(data),
+  };
+}
+
+function pdfResponse(filename, buffer, { download = true } = {}) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${
+        download ? "attachment" : "inline"
+      }; filename="${filename}"`,
+    },
+    body: buffer.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
+function csvResponse(filename, csv) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+    body: csv,
+  };
+}
+
+// Netlify hands us the body base64-encoded for some content types; webhook
+// signatures must be checked against the exact bytes Stripe sent.
+function rawBody(event) {
+  if (!event.body) return "";
+  return event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+}
+
+module.exports = {
+  htmlResponse,
+  textResponse,
+  jsonResponse,
+  pdfResponse,
+  csvResponse,
+  rawBody,
+};
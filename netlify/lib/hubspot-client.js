@@ -0,0 +1,227 @@
+// netlify/lib/hubspot-client.js
+// HTTP layer under the HubSpot helpers: request timeouts, retries with
+// exponential backoff that honour Retry-After, a short-lived read cache and a
+// count of the calls each function invocation makes.
+//
+// Each call, retries included, has to finish within HUBSPOT_DEADLINE_MS so a
+// struggling HubSpot fails the request before Netlify's 10 second function
+// limit kills it: attempts are cut short at the deadline, and a retry that
+// couldn't get a reply in before it isn't made.
+//
+// Tuning (all optional):
+//   HUBSPOT_TIMEOUT_MS         – per-attempt timeout (default 10000)
+//   HUBSPOT_MAX_RETRIES        – retries after the first attempt (default 3)
+//   HUBSPOT_DEADLINE_MS        – time for the whole call (default 8000)
+//   HUBSPOT_CACHE_TTL_SECONDS  – lifetime of cached reads (default 30; 0 = off)
+//
+// Tests and the local dev server swap in an in-memory HubSpot with
+// setHubSpotTransport().
+
+const HUBSPOT_BASE = "https://api.hubapi.com";
+
+const TIMEOUT_MS = Number(process.env.HUBSPOT_TIMEOUT_MS) || 10000;
+const MAX_RETRIES = Number(process.env.HUBSPOT_MAX_RETRIES ?? 3);
+const DEADLINE_MS = Number(process.env.HUBSPOT_DEADLINE_MS) || 8000;
+const CACHE_TTL_MS =
+  Number(process.env.HUBSPOT_CACHE_TTL_SECONDS ?? 30) * 1000;
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// A retry with less time than this left before the deadline isn't made
+const MIN_ATTEMPT_MS = 1000;
+
+/* =========================================================
+   CALL STATS
+========================================================= */
+
+let stats = { calls: 0, retries: 0, cacheHits: 0 };
+
+function hubSpotStats() {
+  return { ...stats };
+}
+
+// Wraps a function handler so each invocation logs how many HubSpot calls it
+// made. Netlify runs one invocation at a time per instance, so a module-level
+// counter is enough.
+function withHubSpotStats(name, handler) {
+  return async (...args) => {
+    stats = { calls: 0, retries: 0, cacheHits: 0 };
+    try {
+      return await handler(...args);
+    } finally {
+      if (stats.calls || stats.cacheHits) {
+        console.log(
+          `HubSpot [${name}]: ${stats.calls} calls, ${stats.retries} retries, ${stats.cacheHits} cache hits`
+        );
+      }
+    }
+  };
+}
+
+/* =========================================================
+   REQUESTS
+========================================================= */
+
+let transport = null;
+
+// Anything with fetch's signature, called with the full api.hubapi.com URL;
+// null restores the global fetch.
+function setHubSpotTransport(next) {
+  transport = next;
+}
+
+// Rate limits (429) are always retried: HubSpot rejected the request before
+// doing anything. Server errors and timeouts are only retried for requests
+// that are safe to repeat; pass `idempotent: true` for POSTs that only read
+// (searches, batch reads).
+async function hubSpotFetch(path, { idempotent, ...options } = {}) {
+  const method = (options.method || "GET").toUpperCase();
+  const safeToRepeat = idempotent ?? method !== "POST";
+  const endpoint = path.split("?")[0];
+  const deadline = Date.now() + DEADLINE_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    stats.calls++;
+    let res;
+
+    try {
+      res = await (transport || fetch)(`${HUBSPOT_BASE}${path}`, {
+        ...options,
+        signal: AbortSignal.timeout(
+          Math.max(1, Math.min(TIMEOUT_MS, deadline - Date.now()))
+        ),
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.HUBSPOT_PRIVATE_APP_TOKEN}`,
+          ...(options.headers || {}),
+        },
+      });
+    } catch (err) {
+      // Timeouts and network failures
+      const wait = safeToRepeat ? retryDelay(attempt, deadline) : null;
+      if (wait !== null) {
+        console.warn("HubSpot request failed, retrying:", method, endpoint, err);
+        await pause(wait);
+        continue;
+      }
+      throw hubSpotError(`HubSpot request failed: ${err.message}`, 0);
+    }
+
+    if (res.ok) {
+      return res.status === 204 ? {} : res.json();
+    }
+
+    const retryable =
+      res.status === 429 || (safeToRepeat && res.status >= 500);
+    const wait = retryable
+      ? retryDelay(attempt, deadline, res.headers.get("retry-after"))
+      : null;
+    if (wait !== null) {
+      console.warn("HubSpot", res.status, "– retrying:", method, endpoint);
+      await pause(wait);
+      continue;
+    }
+
+    const body = await res.text();
+    console.error("HubSpot error:", res.status, body);
+    throw hubSpotError(`HubSpot API error ${res.status}`, res.status);
+  }
+}
+
+function hubSpotError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// True when HubSpot was rate limiting, failing or unreachable even after
+// retries, as opposed to rejecting the request itself.
+function isHubSpotUnavailable(err) {
+  return (
+    err?.status !== undefined &&
+    (err.status === 0 || err.status === 429 || err.status >= 500)
+  );
+}
+
+// How long to wait before retrying: Retry-After (seconds or an HTTP date)
+// when HubSpot sends one, otherwise an exponential backoff with jitter. Null
+// when there's no retry left, or no time for one before the deadline.
+function retryDelay(attempt, deadline, header) {
+  if (attempt >= MAX_RETRIES) return null;
+
+  let ms = BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS;
+  if (header) {
+    const seconds = Number(header);
+    const date = Date.parse(header);
+    if (!isNaN(seconds)) ms = seconds * 1000;
+    else if (!isNaN(date)) ms = date - Date.now();
+  }
+  ms = Math.min(Math.max(ms, 0), BACKOFF_MAX_MS);
+
+  if (Date.now() + ms + MIN_ATTEMPT_MS > deadline) return null;
+  stats.retries++;
+  return ms;
+}
+
+function pause(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* =========================================================
+   READ CACHE
+========================================================= */
+
+// Per-instance and short-lived, so it only ever serves page views; anything
+// that reads a deal to change it (checkout, webhooks, scheduled jobs) must
+// read fresh. Writes through the helpers drop the cached copy. Callers get
+// their own copy, so tacking properties onto a result can't leak into the
+// cache.
+const cache = new Map();
+
+// The cached value for `key`, or undefined when missing or expired
+function readCache(key) {
+  const hit = cache.get(key);
+  if (!hit || hit.expires <= Date.now()) return undefined;
+
+  stats.cacheHits++;
+  return structuredClone(hit.value);
+}
+
+function writeCache(key, value) {
+  if (CACHE_TTL_MS <= 0 || !value) return;
+  cache.set(key, {
+    value: structuredClone(value),
+    expires: Date.now() + CACHE_TTL_MS,
+  });
+}
+
+async function cachedRead(key, read) {
+  const hit = readCache(key);
+  if (hit !== undefined) return hit;
+
+  const value = await read();
+  writeCache(key, value);
+  return value;
+}
+
+function invalidateCached(key) {
+  cache.delete(key);
+}
+
+function clearHubSpotCache() {
+  cache.clear();
+}
+
+module.exports = {
+  HUBSPOT_BASE,
+  setHubSpotTransport,
+  hubSpotFetch,
+  isHubSpotUnavailable,
+  readCache,
+  writeCache,
+  cachedRead,
+  invalidateCached,
+  clearHubSpotCache,
+  hubSpotStats,
+  withHubSpotStats,
+};
@@ -0,0 +1,379 @@
+// netlify/lib/hubspot.js
+// Thin HubSpot CRM helpers shared by the portal and webhook functions.
+//
+// Contact and deal reads accept { cached: true } to use the short-lived read
+// cache (see hubspot-client.js). Only page views should: anything that reads
+// a deal in order to charge or update it reads fresh.
+
+const {
+  LEDGER_FIELD,
+  LEGACY_PAYMENT_FIELDS,
+  OVERPAYMENT_FIELD,
+} = require("./payments");
+const { DEAL_CURRENCY_PROPERTY } = require("./currency");
+const {
+  PLAN_FIELD,
+  PLAN_STATUS_FIELD,
+  PLAN_CUTOFF_PROPERTY,
+} = require("./plans");
+const { pricingProperties } = require("./pricing");
+const { ADJUSTMENTS_FIELD } = require("./adjustments");
+const { PROMO_CODES_FIELD, promoProperties } = require("./promo-codes");
+const { BALANCE_DUE_PROPERTY, REMINDERS_SENT_FIELD } = require("./reminders");
+const { OPEN_SESSIONS_FIELD } = require("./checkout");
+const { SCHEDULE_FIELD } = require("./milestones");
+const { CONTACT_LANGUAGE_PROPERTY } = require("./i18n");
+const { STRIPE_CUSTOMER_PROPERTY } = require("./stripe");
+const {
+  hubSpotFetch,
+  readCache,
+  writeCache,
+  cachedRead,
+  invalidateCached,
+} = require("./hubspot-client");
+
+// Contact-to-deal association label for parents and sponsors who pay for a
+// student; they get the payer view of the deal instead of the family view.
+const PAYER_ASSOCIATION_LABEL = process.env.PAYER_ASSOCIATION_LABEL || "Payer";
+
+// HubSpot-defined association types for email engagements
+const EMAIL_TO_CONTACT = 198;
+const EMAIL_TO_DEAL = 210;
+// ...and for notes on deals
+const NOTE_TO_DEAL = 214;
+
+const CONTACT_PROPERTIES = [
+  "email",
+  "firstname",
+  "lastname",
+  CONTACT_LANGUAGE_PROPERTY,
+  STRIPE_CUSTOMER_PROPERTY,
+];
+
+const DEAL_PROPERTIES = [
+  "dealname",
+  "amount",
+  DEAL_CURRENCY_PROPERTY,
+  "total_amount_paid",
+  LEDGER_FIELD,
+  OVERPAYMENT_FIELD,
+  ADJUSTMENTS_FIELD,
+  PROMO_CODES_FIELD,
+  ...LEGACY_PAYMENT_FIELDS,
+  PLAN_FIELD,
+  PLAN_STATUS_FIELD,
+  PLAN_CUTOFF_PROPERTY,
+  BALANCE_DUE_PROPERTY,
+  SCHEDULE_FIELD,
+  REMINDERS_SENT_FIELD,
+  OPEN_SESSIONS_FIELD,
+  ...pricingProperties(),
+  ...promoProperties(),
+];
+
+// A single record, or null when HubSpot has no such record (404)
+async function readRecord(path) {
+  try {
+    return await hubSpotFetch(path);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function findContactByEmail(email) {
+  const body = {
+    filterGroups: [
+      { filters: [{ propertyName: "email", operator: "EQ", value: email }] },
+    ],
+    properties: CONTACT_PROPERTIES,
+    limit: 1,
+  };
+
+  const data = await hubSpotFetch("/crm/v3/objects/contacts/search", {
+    method: "POST",
+    body: JSON.stringify(body),
+    idempotent: true,
+  });
+
+  if (!data.results || data.results.length === 0) return null;
+  return { id: data.results[0].id, properties: data.results[0].properties || {} };
+}
+
+async function getContactById(contactId, { cached = false } = {}) {
+  const read = async () => {
+    const data = await readRecord(
+      `/crm/v3/objects/contacts/${contactId}?properties=${CONTACT_PROPERTIES.join(",")}`
+    );
+
+    if (!data || !data.id) return null;
+    return { id: data.id, properties: data.properties || {} };
+  };
+
+  return cached ? cachedRead(`contact:${contactId}`, read) : read();
+}
+
+// The contact's deals split by role: { dealIds, payerDealIds }
+async function getDealAccessForContact(contactId) {
+  const assoc = await hubSpotFetch(
+    `/crm/v4/objects/contacts/${contactId}/associations/deals`
+  );
+
+  const payerLabel = PAYER_ASSOCIATION_LABEL.toLowerCase();
+  const dealIds = [];
+  const payerDealIds = [];
+
+  (assoc.results || []).forEach((r) => {
+    if (!r.toObjectId) return;
+    const isPayer = (r.associationTypes || []).some(
+      (t) => (t.label || "").toLowerCase() === payerLabel
+    );
+    (isPayer ? payerDealIds : dealIds).push(String(r.toObjectId));
+  });
+
+  return { dealIds, payerDealIds };
+}
+
+async function getContactIdsForDeal(dealId) {
+  const assoc = await hubSpotFetch(
+    `/crm/v4/objects/deals/${dealId}/associations/contacts`
+  );
+
+  return (
+    assoc.results?.map((r) => r.toObjectId).filter(Boolean).map(String) || []
+  );
+}
+
+async function getDealsByIds(dealIds, email, { cached = false } = {}) {
+  if (!dealIds || dealIds.length === 0) return [];
+
+  const hits = {};
+  if (cached) {
+    dealIds.forEach((id) => {
+      const deal = readCache(`deal:${id}`);
+      if (deal) hits[id] = deal;
+    });
+  }
+
+  const missing = dealIds.filter((id) => !hits[id]);
+  if (missing.length > 0) {
+    const batch = await hubSpotFetch("/crm/v3/objects/deals/batch/read", {
+      method: "POST",
+      body: JSON.stringify({
+        properties: DEAL_PROPERTIES,
+        inputs: missing.map((id) => ({ id })),
+      }),
+      idempotent: true,
+    });
+
+    (batch.results || []).forEach((d) => {
+      const deal = { id: d.id, properties: d.properties || {} };
+      writeCache(`deal:${d.id}`, deal);
+      hits[d.id] = deal;
+    });
+  }
+
+  return dealIds
+    .filter((id) => hits[id])
+    .map((id) => ({
+      id: hits[id].id,
+      properties: { ...hits[id].properties, email },
+    }));
+}
+
+async function getDealById(dealId, { cached = false } = {}) {
+  if (cached) {
+    const hit = readCache(`deal:${dealId}`);
+    if (hit) return hit;
+  }
+
+  const data = await readRecord(
+    `/crm/v3/objects/deals/${dealId}?properties=${encodeURIComponent(
+      DEAL_PROPERTIES.join(",")
+    )}`
+  );
+
+  if (!data || !data.id) return null;
+  const deal = { id: data.id, properties: data.properties || {} };
+  // Fresh reads refresh the cache too, so a page view right after a
+  // checkout sees the same amounts
+  writeCache(`deal:${deal.id}`, deal);
+  return deal;
+}
+
+// One page of a deal search. `after` is the cursor from the previous page;
+// the returned `after` is null on the last page.
+async function searchDealsPage(
+  filterGroups,
+  { properties = DEAL_PROPERTIES, sorts, after, limit = 100 } = {}
+) {
+  const data = await hubSpotFetch("/crm/v3/objects/deals/search", {
+    method: "POST",
+    body: JSON.stringify({ filterGroups, properties, sorts, limit, after }),
+    idempotent: true,
+  });
+
+  return {
+    deals: (data.results || []).map((d) => ({
+      id: d.id,
+      properties: d.properties || {},
+    })),
+    after: data.paging?.next?.after || null,
+  };
+}
+
+// Runs a deal search and follows the paging cursor to the end.
+async function searchDeals(filterGroups, properties = DEAL_PROPERTIES, sorts) {
+  const deals = [];
+  let after;
+
+  do {
+    const page = await searchDealsPage(filterGroups, { properties, sorts, after });
+    deals.push(...page.deals);
+    after = page.after;
+  } while (after);
+
+  return deals;
+}
+
+// Deal pipelines with their stages: [{ id, label, stages: [{ id, label }] }]
+async function getDealPipelines() {
+  const data = await hubSpotFetch("/crm/v3/pipelines/deals");
+  return (data.results || []).map((pl) => ({
+    id: pl.id,
+    label: pl.label,
+    stages: (pl.stages || []).map((st) => ({ id: st.id, label: st.label })),
+  }));
+}
+
+async function updateContact(contactId, properties) {
+  invalidateCached(`contact:${contactId}`);
+  return hubSpotFetch(`/crm/v3/objects/contacts/${contactId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ properties }),
+  });
+}
+
+async function updateDeal(dealId, properties) {
+  invalidateCached(`deal:${dealId}`);
+  return hubSpotFetch(`/crm/v3/objects/deals/${dealId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ properties }),
+  });
+}
+
+// Records a sent email as an engagement on the contact's (and the deal's)
+// timeline.
+async function logEmailOnTimeline({
+  contactId,
+  dealId,
+  to,
+  subject,
+  text,
+  html,
+}) {
+  const associations = [
+    { id: contactId, typeId: EMAIL_TO_CONTACT },
+    { id: dealId, typeId: EMAIL_TO_DEAL },
+  ]
+    .filter((a) => a.id)
+    .map((a) => ({
+      to: { id: a.id },
+      types: [
+        { associationCategory: "HUBSPOT_DEFINED", associationTypeId: a.typeId },
+      ],
+    }));
+
+  return hubSpotFetch("/crm/v3/objects/emails", {
+    method: "POST",
+    body: JSON.stringify({
+      properties: {
+        hs_timestamp: new Date().toISOString(),
+        hs_email_direction: "EMAIL",
+        hs_email_status: "SENT",
+        hs_email_subject: subject,
+        hs_email_text: text,
+        hs_email_html: html,
+        hs_email_headers: JSON.stringify({
+          from: { email: process.env.MAIL_FROM },
+          to: [{ email: to }],
+        }),
+      },
+      associations,
+    }),
+  });
+}
+
+// A note on the deal's timeline. `body` is HTML.
+async function createDealNote(dealId, { body, timestamp }) {
+  return hubSpotFetch("/crm/v3/objects/notes", {
+    method: "POST",
+    body: JSON.stringify({
+      properties: {
+        hs_timestamp: timestamp || new Date().toISOString(),
+        hs_note_body: body,
+      },
+      associations: [
+        {
+          to: { id: dealId },
+          types: [
+            {
+              associationCategory: "HUBSPOT_DEFINED",
+              associationTypeId: NOTE_TO_DEAL,
+            },
+          ],
+        },
+      ],
+    }),
+  });
+}
+
+// The deal's most recent notes, newest first: [{ id, body, timestamp }]
+async function getDealNotes(dealId, { limit = 100 } = {}) {
+  const data = await hubSpotFetch("/crm/v3/objects/notes/search", {
+    method: "POST",
+    body: JSON.stringify({
+      filterGroups: [
+        {
+          filters: [
+            {
+              propertyName: "associations.deal",
+              operator: "EQ",
+              value: String(dealId),
+            },
+          ],
+        },
+      ],
+      properties: ["hs_note_body", "hs_timestamp"],
+      sorts: [{ propertyName: "hs_timestamp", direction: "DESCENDING" }],
+      limit,
+    }),
+    idempotent: true,
+  });
+
+  return (data.results || []).map((note) => ({
+    id: note.id,
+    body: note.properties?.hs_note_body || "",
+    timestamp: note.properties?.hs_timestamp || "",
+  }));
+}
+
+module.exports = {
+  DEAL_PROPERTIES,
+  PAYER_ASSOCIATION_LABEL,
+  hubSpotFetch,
+  findContactByEmail,
+  getContactById,
+  getDealAccessForContact,
+  getContactIdsForDeal,
+  getDealsByIds,
+  getDealById,
+  searchDealsPage,
+  searchDeals,
+  getDealPipelines,
+  updateContact,
+  updateDeal,
+  logEmailOnTimeline,
+  createDealNote,
+  getDealNotes,
+};
@@ -0,0 +1,143 @@
+// netlify/lib/i18n.js
+// Portal translations. Messages live in netlify/config/messages/<locale>.json;
+// English is complete and the other catalogs fall back to it key by key.
+//
+// The locale is, in order: a `lang` query parameter, the contact's HubSpot
+// language property (CONTACT_LANGUAGE_PROPERTY, default hs_language), the
+// browser's Accept-Language header, then English. A region in the chosen tag
+// (pt-BR, es-MX) is kept for number and date formatting.
+
+const { escapeHtml } = require("./util");
+const { raw } = require("./templates");
+
+const CATALOGS = {
+  en: require("../config/messages/en.json"),
+  es: require("../config/messages/es.json"),
+  fr: require("../config/messages/fr.json"),
+  de: require("../config/messages/de.json"),
+  pt: require("../config/messages/pt.json"),
+};
+
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const CONTACT_LANGUAGE_PROPERTY =
+  process.env.CONTACT_LANGUAGE_PROPERTY || "hs_language";
+
+// Formatting tags for a bare language code
+const INTL_DEFAULTS = { en: "en-US" };
+
+/* =========================================================
+   DETECTION
+========================================================= */
+
+// { locale, intl } for a language tag like "pt-BR" or "fr", or null when the
+// language isn't supported
+function matchLocale(tag) {
+  const clean = String(tag || "").trim().replace(/_/g, "-");
+  const locale = clean.split("-")[0].toLowerCase();
+  if (!SUPPORTED_LOCALES.includes(locale)) return null;
+
+  let intl = INTL_DEFAULTS[locale] || locale;
+  if (clean.includes("-")) {
+    try {
+      intl = Intl.getCanonicalLocales(clean)[0];
+    } catch {
+      // Keep the default for a malformed region
+    }
+  }
+  return { locale, intl };
+}
+
+// Tags from an Accept-Language header, most preferred first
+function acceptedLanguages(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return { tag, q: q ? Number(q.trim().slice(2)) : 1, i };
+    })
+    .filter((lang) => lang.tag && lang.tag !== "*" && lang.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map((lang) => lang.tag);
+}
+
+// `override` is true when the locale came from the `lang` parameter, so links
+// the page builds should carry it along.
+function resolveLocale({ lang, contactLanguage, acceptLanguage } = {}) {
+  const fromParam = matchLocale(lang);
+  if (fromParam) return { ...fromParam, override: true };
+
+  const candidates = [contactLanguage, ...acceptedLanguages(acceptLanguage)];
+  for (const tag of candidates) {
+    const match = matchLocale(tag);
+    if (match) return { ...match, override: false };
+  }
+
+  return { locale: DEFAULT_LOCALE, intl: INTL_DEFAULTS.en, override: false };
+}
+
+/* =========================================================
+   MESSAGES
+========================================================= */
+
+function lookup(catalog, key) {
+  return key
+    .split(".")
+    .reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// Plural messages are { one, other, ... } keyed by Intl.PluralRules category
+function messageFor(locale, key, count, intl = locale) {
+  let message = lookup(CATALOGS[locale] || {}, key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const category =
+      count === undefined ? "other" : new Intl.PluralRules(intl).select(count);
+    message = message[category] ?? message.other;
+  }
+  return String(message);
+}
+
+function interpolate(message, vars) {
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] === undefined ? match : String(vars[name])
+  );
+}
+
+// The translation helpers for one request:
+//   text(key, vars) – plain text, for titles, JSON and Stripe
+//   t(key, vars)    – HTML-escaped text, values included, as template markup
+//   html(key, vars) – escaped message with `vars` inserted as given markup
+//   has(key)        – whether the catalogs define `key`
+function i18nFor({ locale, intl, override = false } = resolveLocale()) {
+  const text = (key, vars = {}) =>
+    interpolate(messageFor(locale, key, vars.count, intl), vars);
+
+  return {
+    locale,
+    intl,
+    override,
+    text,
+    t: (key, vars = {}) => raw(escapeHtml(text(key, vars))),
+    html: (key, vars = {}) =>
+      raw(
+        interpolate(escapeHtml(messageFor(locale, key, vars.count, intl)), vars)
+      ),
+    has: (key) => lookup(CATALOGS[DEFAULT_LOCALE], key) !== undefined,
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  CONTACT_LANGUAGE_PROPERTY,
+  matchLocale,
+  acceptedLanguages,
+  resolveLocale,
+  messageFor,
+  i18nFor,
+};
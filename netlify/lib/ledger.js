@@ -0,0 +1,61 @@
+// netlify/lib/ledger.js
+// Writes to a deal's payment ledger. HubSpot has no conditional update, so
+// two writers that read the deal at the same moment (the webhook, the
+// instalment run, reconcile --fix) would each write back a ledger without
+// the other's entry. updateLedger builds its change from a fresh read, reads
+// the deal back after writing, and builds and writes again when an entry it
+// wrote was lost, much as startPayment does for open checkouts.
+
+const { parseLedger } = require("./payments");
+const { getDealById, updateDeal } = require("./hubspot");
+
+const WRITE_ATTEMPTS = 3;
+
+// `change(p)` gets the deal's current properties and returns
+// { update, result }: the properties to write (none when there's nothing to
+// do) and what to hand back. It may be called again with newer properties,
+// so it mustn't have side effects. Returns { result, properties }, the
+// latter as written. Throws when the deal is gone or the write keeps losing.
+async function updateLedger(dealId, change) {
+  for (let attempt = 1; ; attempt++) {
+    const deal = await getDealById(dealId);
+    if (!deal) throw new Error(`Deal ${dealId} not found`);
+    const p = deal.properties || {};
+
+    const { update, result } = await change(p);
+    if (!update || Object.keys(update).length === 0) {
+      return { result, properties: p };
+    }
+
+    await updateDeal(dealId, update);
+    const written = { ...p, ...update };
+    const fresh = await getDealById(dealId);
+    if (keepsEntries(fresh?.properties || {}, entriesAdded(p, written))) {
+      return { result, properties: written };
+    }
+
+    if (attempt >= WRITE_ATTEMPTS) {
+      throw new Error(`Deal ${dealId}: ledger write lost to another ${attempt} times`);
+    }
+    console.warn(`Deal ${dealId}: ledger write lost to another, writing again`);
+  }
+}
+
+// The ledger entries `next` has that `p` didn't (new or changed), as keys
+function entriesAdded(p, next) {
+  const before = new Set(parseLedger(p).map(entryKey));
+  return parseLedger(next)
+    .map(entryKey)
+    .filter((key) => !before.has(key));
+}
+
+function keepsEntries(p, keys) {
+  const stored = new Set(parseLedger(p).map(entryKey));
+  return keys.every((key) => stored.has(key));
+}
+
+function entryKey(entry) {
+  return JSON.stringify(entry);
+}
+
+module.exports = { updateLedger };
@@ -0,0 +1,69 @@
+// netlify/lib/mailer.js
+// Outbound email. MAIL_TRANSPORT picks the transport:
+//   smtp (default) – SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS; point
+//                    SMTP_HOST at a local catcher (e.g. MailHog) to test
+//   log            – logs each message instead of sending it
+// MAIL_FROM is required either way. Tests can swap in their own transport with
+// setMailTransport().
+
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+function transportName() {
+  return (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+}
+
+function isMailConfigured() {
+  if (!process.env.MAIL_FROM) return false;
+  if (transporter) return true;
+  return transportName() === "log" || Boolean(process.env.SMTP_HOST);
+}
+
+function createTransport() {
+  if (transportName() === "log") {
+    return {
+      async sendMail(message) {
+        console.log("Mail (not sent):", message.to, "–", message.subject);
+        return { messageId: `log-${Date.now()}`, message };
+      },
+    };
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+}
+
+function getTransporter() {
+  if (!transporter) transporter = createTransport();
+  return transporter;
+}
+
+// Anything with a nodemailer-style sendMail(message); null restores the
+// configured transport.
+function setMailTransport(transport) {
+  transporter = transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  if (!isMailConfigured()) {
+    throw new Error("Mail not configured. Set SMTP_HOST and MAIL_FROM.");
+  }
+
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = { isMailConfigured, setMailTransport, sendMail };
@@ -0,0 +1,201 @@
+// netlify/lib/milestones.js
+// The payment schedule a deal is held to: milestones such as the application
+// fee, the deposit, a second instalment and the final balance, each with an
+// amount and a due date. The portal's buttons pay the next unpaid milestone,
+// and its timeline shows each one as paid, processing, due, overdue or
+// upcoming.
+//
+// A deal's milestones come from its `payment_schedule` property (a JSON
+// array, for one-off arrangements), else the `milestones` of its pricing rule
+// (see pricing.js), else the rule's application fee and deposit target
+// followed by the balance. Each milestone looks like
+//
+//   { "id": "second", "label": "Second instalment", "percent": 25,
+//     "dueDaysBeforeStart": 90 }
+//
+// with one of `amount` (major units of the deal currency), `percent` (of the
+// tuition after adjustments) or `rest: true` (whatever is left), and
+// optionally `dueDate` (YYYY-MM-DD) or `dueDaysBeforeStart` (days before the
+// program start date). Milestones without a due date are due on booking, and
+// the balance is due on the deal's balance due date (see reminders.js).
+// Whatever the milestones leave uncovered becomes a final balance milestone.
+//
+// Payments are applied to the milestones in order, so paying more than a
+// milestone asks for counts towards the next one. What a part payment leaves
+// on a milestone is owed with the next one instead when it's less than the
+// pricing rule's minimum payment, as it's too small to charge on its own.
+
+const { dealBalance } = require("./payments");
+const { pricingFor } = require("./pricing");
+const { planCutoffFor, addDays, todayIso } = require("./plans");
+const { balanceDueDateFor } = require("./reminders");
+const { toMinor } = require("./currency");
+const { safeNumber, hubSpotDate } = require("./util");
+
+const SCHEDULE_FIELD = "payment_schedule";
+
+const MILESTONE_STATUS = {
+  PAID: "paid",
+  PROCESSING: "processing",
+  OVERDUE: "overdue",
+  DUE: "due",
+  UPCOMING: "upcoming",
+};
+
+// The milestone for whatever the others leave
+const BALANCE_MILESTONE = "balance";
+
+// Checkout payment types that aren't milestones, so can't be used as ids
+const RESERVED_IDS = ["remaining", "custom", "instalment", "plan"];
+
+const MILESTONE_LABELS = {
+  appfee: "Application Fee",
+  deposit: "Program Deposit",
+  [BALANCE_MILESTONE]: "Remaining Program Balance",
+};
+
+function milestoneLabel(milestone) {
+  return milestone.label || MILESTONE_LABELS[milestone.id] || milestone.id;
+}
+
+// The deal's own schedule, or null to use the pricing rules
+function parseScheduleProperty(p) {
+  if (!p[SCHEDULE_FIELD]) return null;
+  try {
+    const list = JSON.parse(p[SCHEDULE_FIELD]);
+    return Array.isArray(list) && list.length > 0 ? list : null;
+  } catch (err) {
+    console.error(`Invalid ${SCHEDULE_FIELD}, using the pricing rules:`, err.message);
+    return null;
+  }
+}
+
+// Configured milestones, before amounts and dates are worked out. Rules
+// without milestones keep the application fee and deposit target they had.
+function milestoneConfigFor(p, pricing) {
+  const configured = parseScheduleProperty(p) || pricing.milestones;
+  if (Array.isArray(configured) && configured.length > 0) return configured;
+
+  return [
+    { id: "appfee", amountMinor: pricing.appFee },
+    { id: "deposit", amountMinor: pricing.depositTarget - pricing.appFee },
+    { id: BALANCE_MILESTONE, rest: true },
+  ];
+}
+
+function dueDateFor(config, p) {
+  const fixed = hubSpotDate(config.dueDate);
+  if (fixed) return fixed;
+
+  const start = planCutoffFor(p);
+  if (config.dueDaysBeforeStart !== undefined && start) {
+    return addDays(start, -(Number(config.dueDaysBeforeStart) || 0));
+  }
+  return config.rest ? balanceDueDateFor(p) || "" : "";
+}
+
+// Splits `paid` and `committed` (paid plus processing) across one milestone
+function applyPayments(milestone, paid, committed) {
+  const before = milestone.target - milestone.amount;
+  const covered = (total) => Math.min(Math.max(total - before, 0), milestone.amount);
+
+  milestone.paid = covered(paid);
+  milestone.processing = covered(committed) - milestone.paid;
+  milestone.owing = milestone.amount - milestone.paid - milestone.processing;
+}
+
+// The deal's milestones in order, as { id, label, amount, target, dueDate,
+// balance, paid, processing, owing, status } in minor units, where `target`
+// is the total paid once the milestone is met and `owing` includes any
+// remainder carried from the one before. `next` is the first milestone
+// still owing, or null. Percentages and the balance need the deal's amount;
+// without one only the fixed amounts are listed.
+function dealMilestones(p, today = todayIso()) {
+  const { currency, tuition, totalAdjustments, totalPaid, processing } =
+    dealBalance(p);
+  const pricing = pricingFor(p);
+  const net = tuition - totalAdjustments;
+  const known = !isNaN(net);
+
+  const milestones = [];
+  let target = 0;
+  const add = (config, amount) => {
+    if (isNaN(amount)) return;
+    if (known) amount = Math.min(amount, net - target);
+    if (amount <= 0) return;
+
+    target += amount;
+    milestones.push({
+      id: String(config.id),
+      label: milestoneLabel(config),
+      amount,
+      target,
+      dueDate: dueDateFor(config, p),
+      balance: Boolean(config.rest),
+    });
+  };
+
+  const amountFor = (config) => {
+    if (config.rest) return known ? net - target : NaN;
+    if (config.percent !== undefined) {
+      return known ? Math.round((net * safeNumber(config.percent)) / 100) : NaN;
+    }
+    return config.amountMinor ?? toMinor(safeNumber(config.amount), currency);
+  };
+
+  milestoneConfigFor(p, pricing).forEach((config, i) => {
+    if (!config.id || RESERVED_IDS.includes(String(config.id))) {
+      console.warn(
+        `Skipping payment milestone ${i + 1}: it needs an id other than ${RESERVED_IDS.join(", ")}.`
+      );
+      return;
+    }
+    add(config, amountFor(config));
+  });
+  if (known && target < net) {
+    add({ id: BALANCE_MILESTONE, rest: true }, net - target);
+  }
+
+  const committed = totalPaid + processing;
+  let next = null;
+  let carried = 0;
+  milestones.forEach((milestone, i) => {
+    applyPayments(milestone, totalPaid, committed);
+    milestone.owing += carried;
+    carried = 0;
+
+    const started = milestone.paid + milestone.processing > 0;
+    const last = i === milestones.length - 1;
+    const small = milestone.owing > 0 && milestone.owing < pricing.minPayment;
+    if (started && small && !last) {
+      carried = milestone.owing;
+      milestone.owing = 0;
+    }
+
+    if (milestone.owing === 0) {
+      milestone.status =
+        milestone.processing > 0 ? MILESTONE_STATUS.PROCESSING : MILESTONE_STATUS.PAID;
+    } else if (milestone.dueDate && milestone.dueDate < today) {
+      milestone.status = MILESTONE_STATUS.OVERDUE;
+    } else {
+      milestone.status = next ? MILESTONE_STATUS.UPCOMING : MILESTONE_STATUS.DUE;
+    }
+    if (milestone.owing > 0 && !next) next = milestone;
+  });
+
+  return { currency, committed, milestones, next };
+}
+
+// What is still owed up to and including `milestone`
+function owingThrough(milestone, committed) {
+  return Math.max(0, milestone.target - committed);
+}
+
+module.exports = {
+  SCHEDULE_FIELD,
+  MILESTONE_STATUS,
+  BALANCE_MILESTONE,
+  milestoneLabel,
+  dealMilestones,
+  owingThrough,
+};
@@ -0,0 +1,405 @@
+// netlify/lib/payments.js
+// Card fees and the payment ledger stored on each deal.
+//
+// The ledger lives in the `payment_ledger` deal property as a JSON array of
+// entries: { amountMinor, currency, method, txn, date, status, kind,
+// original, paidBy }. `date` is an ISO 8601 timestamp and `amountMinor` is the
+// base amount (card fee excluded) in minor units of the deal currency. Refunds
+// and disputes are negative entries with their own `kind`, pointing at the
+// payment they reverse through `original`. `paidBy` ({ name, email, role,
+// contactId }) records who paid through the portal. Older deals keep payments in the fixed
+// payment_1..payment_5 slots as "amount, txnId, date" strings; those are still
+// read but never written. Their total_amount_paid was kept by hand and can be
+// more than the slots add up to (once all five were used, or for wires), so
+// the first ledger write carries the difference as an opening entry.
+//
+// Every amount this module returns is in integer minor units.
+
+const { safeNumber } = require("./util");
+const {
+  dealCurrency,
+  normalizeCurrency,
+  toMinor,
+  readMinor,
+  minorToDecimalString,
+} = require("./currency");
+const { parseAdjustments, sumAdjustments } = require("./adjustments");
+
+const LEDGER_FIELD = "payment_ledger";
+
+// Amount paid beyond the balance (decimal, 0 when none), kept up to date with
+// the ledger so staff can find deals that need a refund
+const OVERPAYMENT_FIELD = "overpayment_amount";
+
+const LEGACY_PAYMENT_FIELDS = [
+  "payment_1",
+  "payment_2",
+  "payment_3",
+  "payment_4",
+  "payment_5",
+];
+
+// Bank debits sit in "processing" until they settle (or fail) days later.
+// A reversed entry is a withdrawal that was undone, e.g. a dispute we won.
+const PAYMENT_STATUS = {
+  SUCCEEDED: "succeeded",
+  PROCESSING: "processing",
+  FAILED: "failed",
+  REVERSED: "reversed",
+};
+
+const ENTRY_KINDS = {
+  PAYMENT: "payment",
+  REFUND: "refund",
+  DISPUTE: "dispute",
+};
+
+// Only these statuses count towards the amount paid
+const COUNTED_STATUSES = [PAYMENT_STATUS.SUCCEEDED];
+
+const PAYMENT_METHODS = {
+  CARD: "card",
+  BANK: "us_bank_account",
+};
+
+// Method of the opening entry for payments only the legacy rollup counted
+const OPENING_BALANCE_METHOD = "opening_balance";
+
+// Rate charged on card payments before it moved into the pricing rules; only
+// used to back the fee out of sessions that predate the base-amount stamp.
+const LEGACY_CARD_FEE_RATE = 0.035;
+
+// Card fee for a base amount; the rate comes from the deal's pricing rules
+function feeFor(baseMinor, method, rate) {
+  return method === PAYMENT_METHODS.CARD ? Math.round(baseMinor * rate) : 0;
+}
+
+// The base-amount share of part of a charged total (e.g. a partial refund),
+// so the card fee portion is never counted as tuition.
+function baseShare(chargedPart, chargedTotal, base) {
+  if (!chargedTotal) return 0;
+  return Math.min(base, Math.round((chargedPart * base) / chargedTotal));
+}
+
+// ACH debits need a US bank account, so they're only offered on USD deals
+function offersBankPayments(currency) {
+  return normalizeCurrency(currency) === "usd";
+}
+
+/* =========================================================
+   READING
+========================================================= */
+
+function parseLedger(p) {
+  const currency = dealCurrency(p);
+  const raw = p[LEDGER_FIELD];
+  if (!raw || !String(raw).trim()) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    console.error("Unreadable payment ledger:", err.message);
+    return [];
+  }
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .map((e) => ({
+      amount: readMinor(e, e.currency || currency),
+      currency: normalizeCurrency(e.currency || currency),
+      method: e.method || "",
+      txn: e.txn || "",
+      date: e.date || "",
+      status: e.status || PAYMENT_STATUS.SUCCEEDED,
+      kind: e.kind || ENTRY_KINDS.PAYMENT,
+      original: e.original || "",
+      paidBy: e.paidBy || null,
+    }))
+    .filter((e) => !isNaN(e.amount));
+}
+
+function parseLegacyPayments(p) {
+  const currency = dealCurrency(p);
+  const payments = [];
+
+  LEGACY_PAYMENT_FIELDS.forEach((key) => {
+    const raw = p[key];
+    if (!raw) return;
+
+    // Expected: "amount, txnId, date"
+    const parts = raw.split(",").map((s) => s.trim());
+    if (!parts[0]) return;
+
+    const amount = toMinor(parts[0], currency);
+    const txn = parts[1] || "";
+    const date = parts[2] || "";
+
+    if (!isNaN(amount)) {
+      payments.push({
+        amount,
+        currency,
+        method: "",
+        txn,
+        date,
+        status: PAYMENT_STATUS.SUCCEEDED,
+        kind: ENTRY_KINDS.PAYMENT,
+        original: "",
+        legacy: true,
+      });
+    }
+  });
+
+  return payments;
+}
+
+// Legacy slots first (they predate the ledger), skipping any transaction the
+// ledger already holds.
+function parsePayments(p) {
+  const ledger = parseLedger(p);
+  const inLedger = new Set(ledger.map((e) => e.txn).filter(Boolean));
+  const legacy = parseLegacyPayments(p).filter(
+    (e) => !e.txn || !inLedger.has(e.txn)
+  );
+
+  return [...legacy, ...ledger];
+}
+
+function hasLedger(p) {
+  return parseLedger(p).length > 0;
+}
+
+function sumPayments(payments, statuses = COUNTED_STATUSES) {
+  return payments
+    .filter((pay) => statuses.includes(pay.status || PAYMENT_STATUS.SUCCEEDED))
+    .reduce((sum, pay) => sum + pay.amount, 0);
+}
+
+// Once a deal has ledger entries the ledger is authoritative. Before that,
+// prefer the HubSpot rollup and fall back to summing the legacy slots.
+function totalPaidFor(p, payments = parsePayments(p)) {
+  if (hasLedger(p)) return sumPayments(payments);
+
+  const rollup = toMinor(safeNumber(p.total_amount_paid), dealCurrency(p));
+  return !isNaN(rollup) ? rollup : sumPayments(payments);
+}
+
+// `remaining` is tuition less scholarships/credits and settled payments;
+// `payable` is what may still be charged: the remaining balance less any bank
+// payments that are still processing.
+function dealBalance(p) {
+  const currency = dealCurrency(p);
+  const tuition = toMinor(safeNumber(p.amount), currency);
+  const adjustments = parseAdjustments(p);
+  const totalAdjustments = sumAdjustments(adjustments);
+  const payments = parsePayments(p);
+  const totalPaid = totalPaidFor(p, payments);
+  const processing = sumPayments(payments, [PAYMENT_STATUS.PROCESSING]);
+  const remaining =
+    !isNaN(tuition) && !isNaN(totalPaid)
+      ? tuition - totalAdjustments - totalPaid
+      : NaN;
+  const payable = !isNaN(remaining) ? remaining - processing : NaN;
+
+  return {
+    currency,
+    tuition,
+    adjustments,
+    totalAdjustments,
+    payments,
+    totalPaid,
+    processing,
+    remaining,
+    payable,
+  };
+}
+
+function findPayment(p, txn) {
+  return parsePayments(p).find((pay) => pay.txn === txn) || null;
+}
+
+// Refunds and disputes reduce the amount paid; this is their (positive) total
+function totalRefunded(payments) {
+  return -sumPayments(payments.filter((pay) => pay.kind !== ENTRY_KINDS.PAYMENT));
+}
+
+// The base (pre-fee) amount of a Checkout Session, in minor units. It is
+// stamped on the session at creation (as a decimal `baseAmount` before
+// amounts moved to minor units); older sessions fall back to backing the
+// card fee out of the charged total. The embedded form's PaymentIntents are
+// always stamped.
+function sessionBaseAmount(session) {
+  const metadata = session.metadata || {};
+  const stamped = readMinor(
+    { amountMinor: metadata.baseAmountMinor, amount: metadata.baseAmount },
+    session.currency
+  );
+  if (!isNaN(stamped)) return stamped;
+
+  const total = session.amount_total || 0;
+  if (metadata.paymentMethod === PAYMENT_METHODS.BANK) return total;
+  return Math.round(total / (1 + LEGACY_CARD_FEE_RATE));
+}
+
+const METHOD_LABELS = {
+  [PAYMENT_METHODS.CARD]: "Card",
+  [PAYMENT_METHODS.BANK]: "Bank (ACH)",
+  wire: "Wire transfer",
+  [OPENING_BALANCE_METHOD]: "Earlier payments",
+};
+
+const STATUS_LABELS = {
+  [PAYMENT_STATUS.SUCCEEDED]: "Paid",
+  [PAYMENT_STATUS.PROCESSING]: "Processing",
+  [PAYMENT_STATUS.FAILED]: "Failed",
+};
+
+const REVERSAL_LABELS = {
+  [ENTRY_KINDS.REFUND]: {
+    [PAYMENT_STATUS.SUCCEEDED]: "Refunded",
+    [PAYMENT_STATUS.REVERSED]: "Refund cancelled",
+  },
+  [ENTRY_KINDS.DISPUTE]: {
+    [PAYMENT_STATUS.SUCCEEDED]: "Disputed",
+    [PAYMENT_STATUS.REVERSED]: "Dispute won",
+  },
+};
+
+function methodLabel(method) {
+  return METHOD_LABELS[method] || method || "—";
+}
+
+function statusLabel(status, kind = ENTRY_KINDS.PAYMENT) {
+  const labels = REVERSAL_LABELS[kind] || STATUS_LABELS;
+  return labels[status || PAYMENT_STATUS.SUCCEEDED] || status;
+}
+
+/* =========================================================
+   WRITING
+========================================================= */
+
+// Deal properties that append `entry` (with `amount` in minor units) to the
+// ledger and refresh the total_amount_paid rollup.
+function ledgerUpdateWith(p, entry) {
+  const ledger = [
+    ...parseLedger(p),
+    {
+      amount: Math.round(entry.amount),
+      currency: normalizeCurrency(entry.currency || dealCurrency(p)),
+      method: entry.method || "",
+      txn: entry.txn || "",
+      date: entry.date || new Date().toISOString(),
+      status: entry.status || PAYMENT_STATUS.SUCCEEDED,
+      kind: entry.kind || ENTRY_KINDS.PAYMENT,
+      original: entry.original || "",
+      paidBy: entry.paidBy || null,
+    },
+  ];
+
+  return ledgerProperties(p, ledger);
+}
+
+// Deal properties that apply `changes` (e.g. a new status) to the ledger
+// entry for `txn`, or null when the ledger has no such entry.
+function ledgerUpdateFor(p, txn, changes) {
+  const ledger = parseLedger(p);
+  const entry = ledger.find((e) => e.txn === txn);
+  if (!entry) return null;
+
+  Object.assign(entry, changes);
+  return ledgerProperties(p, ledger);
+}
+
+// What a legacy deal's hand-kept total_amount_paid counts beyond its slots,
+// as a ledger entry, or null when there's nothing to carry (or the deal has a
+// ledger already, which carried it when it was started).
+function openingBalanceEntry(p) {
+  if (hasLedger(p)) return null;
+
+  const currency = dealCurrency(p);
+  const rollup = toMinor(safeNumber(p.total_amount_paid), currency);
+  const carried = rollup - sumPayments(parseLegacyPayments(p));
+  if (isNaN(carried) || carried <= 0) return null;
+
+  return {
+    amount: carried,
+    currency,
+    method: OPENING_BALANCE_METHOD,
+    txn: "",
+    date: new Date().toISOString(),
+    status: PAYMENT_STATUS.SUCCEEDED,
+    kind: ENTRY_KINDS.PAYMENT,
+    original: "",
+    paidBy: null,
+  };
+}
+
+// Serialises parsed ledger entries back to the stored shape, starting the
+// ledger with the legacy opening entry if it needs one. HubSpot rollups are
+// decimal amounts in the deal currency.
+function ledgerProperties(p, ledger) {
+  const currency = dealCurrency(p);
+  const opening = openingBalanceEntry(p);
+  const entries = opening ? [opening, ...ledger] : ledger;
+  // Plain payments are stored without the kind/original fields
+  const stored = entries.map(({ amount, kind, original, paidBy, ...rest }) => ({
+    amountMinor: amount,
+    ...rest,
+    ...(kind && kind !== ENTRY_KINDS.PAYMENT ? { kind, original } : {}),
+    ...(paidBy ? { paidBy } : {}),
+  }));
+
+  const next = { ...p, [LEDGER_FIELD]: JSON.stringify(stored) };
+  const payments = parsePayments(next);
+  return {
+    ...overpaymentProperties(next),
+    [LEDGER_FIELD]: next[LEDGER_FIELD],
+    total_amount_paid: minorToDecimalString(sumPayments(payments), currency),
+    total_amount_processing: minorToDecimalString(
+      sumPayments(payments, [PAYMENT_STATUS.PROCESSING]),
+      currency
+    ),
+    total_amount_refunded: minorToDecimalString(
+      totalRefunded(payments),
+      currency
+    ),
+  };
+}
+
+// Flags (or clears) an overpayment. Call with the deal's properties after a
+// change to its payments or adjustments.
+function overpaymentProperties(p) {
+  const { currency, remaining } = dealBalance(p);
+  if (isNaN(remaining)) return {};
+  return {
+    [OVERPAYMENT_FIELD]: minorToDecimalString(Math.max(0, -remaining), currency),
+  };
+}
+
+module.exports = {
+  LEDGER_FIELD,
+  OVERPAYMENT_FIELD,
+  LEGACY_PAYMENT_FIELDS,
+  PAYMENT_STATUS,
+  COUNTED_STATUSES,
+  PAYMENT_METHODS,
+  ENTRY_KINDS,
+  feeFor,
+  baseShare,
+  offersBankPayments,
+  parseLedger,
+  parseLegacyPayments,
+  parsePayments,
+  sumPayments,
+  totalPaidFor,
+  dealBalance,
+  findPayment,
+  totalRefunded,
+  sessionBaseAmount,
+  methodLabel,
+  statusLabel,
+  ledgerUpdateWith,
+  ledgerUpdateFor,
+  ledgerProperties,
+  overpaymentProperties,
+};
@@ -0,0 +1,226 @@
+// netlify/lib/plans.js
+// Instalment payment plans.
+//
+// A plan splits the remaining balance into monthly card charges that must all
+// fall on or before a cutoff date read from a deal property (the program start
+// date by default; override with PAYMENT_PLAN_CUTOFF_PROPERTY). The schedule is
+// stored as JSON in the `payment_plan` deal property, mirrored by a searchable
+// `payment_plan_status` so the scheduled charger can find active plans.
+// Instalment amounts are integer minor units of the plan's currency.
+
+const { readMinor } = require("./currency");
+const { hubSpotDate } = require("./util");
+
+const PLAN_FIELD = "payment_plan";
+const PLAN_STATUS_FIELD = "payment_plan_status";
+const PLAN_CUTOFF_PROPERTY =
+  process.env.PAYMENT_PLAN_CUTOFF_PROPERTY || "program_start_date";
+
+const MIN_INSTALMENTS = 2;
+const MAX_INSTALMENTS = 12;
+
+// Days to wait before each retry of a failed charge; once these run out the
+// plan is marked past_due and the family is asked to pay manually.
+const RETRY_DELAYS_DAYS = [3, 5, 7];
+
+const PLAN_STATUS = {
+  ACTIVE: "active",
+  PAST_DUE: "past_due",
+  COMPLETED: "completed",
+};
+
+const INSTALMENT_STATUS = {
+  SCHEDULED: "scheduled",
+  PAID: "paid",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+/* =========================================================
+   DATES
+========================================================= */
+
+function todayIso(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Adds calendar months to a YYYY-MM-DD date, clamping to the month's end
+// (Jan 31 + 1 month = Feb 28/29).
+function addMonths(isoDate, months) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function planCutoffFor(p) {
+  return hubSpotDate(p[PLAN_CUTOFF_PROPERTY]);
+}
+
+/* =========================================================
+   SCHEDULES
+========================================================= */
+
+// Splits in minor units so the instalments always add back up to the
+// balance; the last instalment absorbs any rounding remainder.
+function buildSchedule(remaining, count, startDate = todayIso()) {
+  const each = Math.floor(remaining / count);
+
+  return Array.from({ length: count }, (_, i) => ({
+    n: i + 1,
+    amount: i === count - 1 ? remaining - each * (count - 1) : each,
+    due: addMonths(startDate, i),
+    status: INSTALMENT_STATUS.SCHEDULED,
+    attempts: 0,
+  }));
+}
+
+// Every instalment count whose last charge lands on or before the cutoff and
+// whose instalments stay at or above the minimum payment.
+function planOptions(
+  remaining,
+  cutoff,
+  { minAmount = 0, startDate = todayIso() } = {}
+) {
+  if (!cutoff || isNaN(remaining) || remaining <= 0) return [];
+
+  const options = [];
+  for (let count = MIN_INSTALMENTS; count <= MAX_INSTALMENTS; count++) {
+    const schedule = buildSchedule(remaining, count, startDate);
+    const last = schedule[schedule.length - 1];
+    if (last.due > cutoff) break;
+    if (schedule[0].amount < minAmount) break;
+    options.push({ count, schedule });
+  }
+  return options;
+}
+
+/* =========================================================
+   STORED PLANS
+========================================================= */
+
+function parsePlan(p) {
+  const raw = p[PLAN_FIELD];
+  if (!raw || !String(raw).trim()) return null;
+
+  let plan;
+  try {
+    plan = JSON.parse(raw);
+  } catch (err) {
+    console.error("Unreadable payment plan:", err.message);
+    return null;
+  }
+  if (!plan || !Array.isArray(plan.instalments)) return null;
+
+  plan.instalments = plan.instalments.map(({ amountMinor, ...inst }) => ({
+    ...inst,
+    amount: readMinor({ amountMinor, amount: inst.amount }, plan.currency),
+  }));
+  return plan;
+}
+
+function planProperties(plan) {
+  const stored = {
+    ...plan,
+    instalments: plan.instalments.map(({ amount, ...inst }) => ({
+      ...inst,
+      amountMinor: amount,
+    })),
+  };
+
+  return {
+    [PLAN_FIELD]: JSON.stringify(stored),
+    [PLAN_STATUS_FIELD]: plan.status,
+  };
+}
+
+// A past_due plan no longer charges, so the family may replace it.
+function isPlanActive(plan) {
+  return Boolean(plan) && plan.status === PLAN_STATUS.ACTIVE;
+}
+
+// Instalments the charger should attempt today: scheduled ones that have come
+// due, and failed ones whose retry date has arrived.
+function dueInstalments(plan, today = todayIso()) {
+  if (!plan || plan.status !== PLAN_STATUS.ACTIVE) return [];
+
+  return plan.instalments.filter(
+    (inst) =>
+      (inst.status === INSTALMENT_STATUS.SCHEDULED && inst.due <= today) ||
+      (inst.status === INSTALMENT_STATUS.FAILED &&
+        inst.retryOn &&
+        inst.retryOn <= today)
+  );
+}
+
+// Records a failed attempt. Returns true when retries are exhausted.
+function markInstalmentFailed(inst, message, today = todayIso()) {
+  inst.attempts = (inst.attempts || 0) + 1;
+  inst.status = INSTALMENT_STATUS.FAILED;
+  inst.lastError = message;
+
+  const delay = RETRY_DELAYS_DAYS[inst.attempts - 1];
+  inst.retryOn = delay ? addDays(today, delay) : null;
+  return !delay;
+}
+
+function markInstalmentPaid(inst, txn, amount, today = todayIso()) {
+  inst.attempts = (inst.attempts || 0) + 1;
+  inst.status = INSTALMENT_STATUS.PAID;
+  inst.amount = amount;
+  inst.txn = txn;
+  inst.paidOn = today;
+  delete inst.retryOn;
+  delete inst.lastError;
+}
+
+function refreshPlanStatus(plan) {
+  const open = plan.instalments.some(
+    (inst) =>
+      inst.status === INSTALMENT_STATUS.SCHEDULED ||
+      inst.status === INSTALMENT_STATUS.FAILED
+  );
+  const exhausted = plan.instalments.some(
+    (inst) => inst.status === INSTALMENT_STATUS.FAILED && !inst.retryOn
+  );
+
+  plan.status = !open
+    ? PLAN_STATUS.COMPLETED
+    : exhausted
+    ? PLAN_STATUS.PAST_DUE
+    : PLAN_STATUS.ACTIVE;
+  return plan;
+}
+
+module.exports = {
+  PLAN_FIELD,
+  PLAN_STATUS_FIELD,
+  PLAN_CUTOFF_PROPERTY,
+  MIN_INSTALMENTS,
+  MAX_INSTALMENTS,
+  RETRY_DELAYS_DAYS,
+  PLAN_STATUS,
+  INSTALMENT_STATUS,
+  todayIso,
+  addMonths,
+  addDays,
+  planCutoffFor,
+  buildSchedule,
+  planOptions,
+  parsePlan,
+  planProperties,
+  isPlanActive,
+  dueInstalments,
+  markInstalmentFailed,
+  markInstalmentPaid,
+  refreshPlanStatus,
+};
@@ -0,0 +1,71 @@
+// netlify/lib/portal-links.js
+// Issues signed portal links for a HubSpot contact and emails them, and
+// contact-free "pay for this student" links for a single deal.
+
+const { createAccessToken, verifyAccessToken, buildPortalLink, portalBaseUrl } =
+  require("./access");
+const { getDealAccessForContact } = require("./hubspot");
+const { sendMail } = require("./mailer");
+const { escapeHtml } = require("./util");
+
+async function issuePortalLink(contact, baseUrl = portalBaseUrl()) {
+  const { dealIds, payerDealIds } = await getDealAccessForContact(contact.id);
+  const token = createAccessToken({
+    contactId: contact.id,
+    email: contact.properties?.email || "",
+    dealIds,
+    payerDealIds,
+  });
+
+  return {
+    url: buildPortalLink(token, baseUrl),
+    token,
+    dealIds,
+    payerDealIds,
+    expiresAt: verifyAccessToken(token).expiresAt,
+  };
+}
+
+// Anyone holding this link can pay towards the deal, entering their own
+// details at checkout, but sees nothing beyond the balance.
+function issuePayerLink(dealId, baseUrl = portalBaseUrl()) {
+  const token = createAccessToken({ payerDealIds: [dealId] });
+
+  return {
+    url: buildPortalLink(token, baseUrl),
+    token,
+    expiresAt: verifyAccessToken(token).expiresAt,
+  };
+}
+
+async function emailPortalLink(contact, baseUrl) {
+  const to = contact.properties?.email;
+  if (!to) throw new Error(`Contact ${contact.id} has no email address`);
+
+  const link = await issuePortalLink(contact, baseUrl);
+  const name = contact.properties?.firstname || "there";
+  const expires = link.expiresAt.toISOString().slice(0, 10);
+
+  await sendMail({
+    to,
+    subject: "Your Pacific Discovery payment portal link",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Use the link below to view your program balance and make payments:",
+      link.url,
+      "",
+      `This link is personal to you and expires on ${expires}.`,
+    ].join("\n"),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Use the link below to view your program balance and make payments:</p>
+      <p><a href="${escapeHtml(link.url)}">Open my payment portal</a></p>
+      <p>This link is personal to you and expires on ${escapeHtml(expires)}.</p>
+    `,
+  });
+
+  return link;
+}
+
+module.exports = { issuePortalLink, issuePayerLink, emailPortalLink };
@@ -0,0 +1,119 @@
+// netlify/lib/pricing.js
+// Per-deal pricing rules: application fee, deposit, payment milestones,
+// minimum payment and card fee rate.
+//
+// Rules come from netlify/config/pricing-rules.json (or the PRICING_RULES env
+// var, which replaces the file without a redeploy of code). Each rule matches
+// on HubSpot deal properties and the first match wins; unmatched deals use the
+// defaults. Amounts are in major units of the deal currency, and `currencies`
+// can give different amounts for other currencies:
+//
+//   {
+//     "id": "summer-2027",
+//     "match": { "pipeline": "12345", "program_season": ["Summer 2027"] },
+//     "appFee": 150,
+//     "depositTarget": 1000,
+//     "currencies": { "aud": { "appFee": 225, "depositTarget": 1500 } }
+//   }
+//
+// A rule can instead give the program's whole payment schedule as
+// `milestones` (see milestones.js); without them the schedule is the
+// application fee, the rest of the deposit target, then the balance.
+//
+// `cardFeeRate` is what a credit card pays at most: surcharge.js lowers it
+// (to nothing for debit and prepaid cards) where card rules or local laws
+// require.
+
+const bundledRules = require("../config/pricing-rules.json");
+const { DEFAULT_CURRENCY, dealCurrency, toMinor } = require("./currency");
+
+const AMOUNT_FIELDS = [
+  "appFee",
+  "depositTarget",
+  "minPayment",
+];
+
+function loadRules(raw = process.env.PRICING_RULES) {
+  if (!raw) return bundledRules;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error("Invalid PRICING_RULES, using the bundled rules:", err.message);
+    return bundledRules;
+  }
+}
+
+const RULES = loadRules();
+
+// Deal properties the rules match on, so HubSpot reads can include them
+function pricingProperties(rules = RULES) {
+  const names = new Set();
+  (rules.rules || []).forEach((rule) =>
+    Object.keys(rule.match || {}).forEach((name) => names.add(name))
+  );
+  return [...names];
+}
+
+function matchesRule(rule, p) {
+  const match = rule.match || {};
+  const keys = Object.keys(match);
+  if (keys.length === 0) return false;
+
+  return keys.every((key) => {
+    const actual = String(p[key] ?? "").trim().toLowerCase();
+    const wanted = [].concat(match[key]).map((v) => String(v).trim().toLowerCase());
+    return actual !== "" && wanted.includes(actual);
+  });
+}
+
+function findRule(p, rules = RULES) {
+  return (rules.rules || []).find((rule) => matchesRule(rule, p)) || null;
+}
+
+// Layers defaults, default currency overrides, the matching rule and its
+// currency overrides, then converts amounts to minor units.
+function pricingFor(p, rules = RULES) {
+  const currency = dealCurrency(p);
+  const rule = findRule(p, rules);
+  const defaults = rules.defaults || {};
+
+  const layers = [
+    defaults,
+    defaults.currencies?.[currency],
+    rule,
+    rule?.currencies?.[currency],
+  ].filter(Boolean);
+  const merged = Object.assign({}, ...layers);
+
+  const hasCurrencyAmounts =
+    currency === DEFAULT_CURRENCY ||
+    Boolean(defaults.currencies?.[currency] || rule?.currencies?.[currency]);
+  if (!hasCurrencyAmounts) {
+    console.warn(`No pricing for ${currency}; using the default amounts as ${currency}.`);
+  }
+
+  const pricing = {
+    version: rules.version || "",
+    ruleId: rule?.id || "default",
+    currency,
+    cardFeeRate: Number(merged.cardFeeRate) || 0,
+  };
+  AMOUNT_FIELDS.forEach((field) => {
+    pricing[field] = toMinor(merged[field] ?? 0, currency);
+  });
+  // The minimum payment falls back to the application fee
+  if (merged.minPayment === undefined) pricing.minPayment = pricing.appFee;
+  // Left as configured; milestones.js works out their amounts per deal
+  if (merged.milestones) pricing.milestones = merged.milestones;
+
+  return pricing;
+}
+
+module.exports = {
+  RULES,
+  loadRules,
+  pricingProperties,
+  matchesRule,
+  findRule,
+  pricingFor,
+};
@@ -0,0 +1,153 @@
+// netlify/lib/promo-codes.js
+// Promo codes families can enter in the portal. A valid code is recorded as a
+// discount adjustment on the deal, so checkout is built from the reduced
+// balance.
+//
+// Codes come from netlify/config/promo-codes.json (or the PROMO_CODES env
+// var). Each code takes either `amountOff` (major units of `currency`) or
+// `percentOff` (of tuition), plus optional limits:
+//
+//   {
+//     "code": "EARLYBIRD27",
+//     "label": "Early-bird discount",
+//     "amountOff": 500,
+//     "currency": "usd",
+//     "expiresAt": "2027-01-31",
+//     "maxUses": 100,
+//     "match": { "program_season": "Summer 2027" }
+//   }
+//
+// `match` works like the pricing rules' match. Codes used on a deal are also
+// listed in the `promo_codes_applied` property so uses can be counted with a
+// HubSpot search.
+
+const bundledCodes = require("../config/promo-codes.json");
+const { dealCurrency, normalizeCurrency, toMinor } = require("./currency");
+const { matchesRule } = require("./pricing");
+const { ADJUSTMENT_TYPES, findAdjustment } = require("./adjustments");
+
+const PROMO_CODES_FIELD = "promo_codes_applied";
+
+function loadCodes(raw = process.env.PROMO_CODES) {
+  if (!raw) return bundledCodes;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error("Invalid PROMO_CODES, using the bundled codes:", err.message);
+    return bundledCodes;
+  }
+}
+
+const CODES = loadCodes();
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function hasPromoCodes(codes = CODES) {
+  return (codes.codes || []).length > 0;
+}
+
+function findPromoCode(code, codes = CODES) {
+  const wanted = normalizeCode(code);
+  if (!wanted) return null;
+  return (codes.codes || []).find((c) => normalizeCode(c.code) === wanted) || null;
+}
+
+// Deal properties the codes' eligibility rules match on
+function promoProperties(codes = CODES) {
+  const names = new Set();
+  (codes.codes || []).forEach((c) =>
+    Object.keys(c.match || {}).forEach((name) => names.add(name))
+  );
+  return [...names];
+}
+
+function promoAdjustmentId(code) {
+  return `promo:${normalizeCode(code)}`;
+}
+
+function promoError(code, error) {
+  return { ok: false, code, error };
+}
+
+// Checks a code against a deal. `uses` is how many deals already applied it.
+// Returns { ok: true, amount } with the discount in minor units (capped at
+// what is still payable) or { ok: false, code, error } with a message for the
+// family.
+function validatePromoCode(
+  promo,
+  p,
+  { payable, uses = 0, today = new Date().toISOString().slice(0, 10) } = {}
+) {
+  if (!promo) return promoError("invalid", "That promo code isn't valid.");
+
+  const code = normalizeCode(promo.code);
+  const currency = dealCurrency(p);
+
+  if (promo.expiresAt && today > promo.expiresAt) {
+    return promoError("expired", "That promo code has expired.");
+  }
+  if (promo.maxUses && uses >= promo.maxUses) {
+    return promoError("fully_redeemed", "That promo code has been fully redeemed.");
+  }
+  if (Object.keys(promo.match || {}).length > 0 && !matchesRule(promo, p)) {
+    return promoError("not_applicable", "That promo code doesn't apply to this program.");
+  }
+  if (findAdjustment(p, promoAdjustmentId(code))) {
+    return promoError("already_applied", "That promo code has already been applied.");
+  }
+  if (isNaN(payable) || payable <= 0) {
+    return promoError("no_balance", "There is no balance left to discount.");
+  }
+
+  let amount = NaN;
+  if (promo.percentOff) {
+    const tuition = toMinor(p.amount, currency);
+    amount = Math.round((tuition * Number(promo.percentOff)) / 100);
+  } else if (promo.amountOff) {
+    if (normalizeCurrency(promo.currency) !== currency) {
+      return promoError("not_applicable", "That promo code doesn't apply to this program.");
+    }
+    amount = toMinor(promo.amountOff, currency);
+  }
+  if (isNaN(amount) || amount <= 0) {
+    return promoError("invalid", "That promo code isn't valid.");
+  }
+
+  return { ok: true, amount: Math.min(amount, payable) };
+}
+
+// The adjustment entry a validated code adds to the deal
+function promoAdjustment(promo, amount, date = new Date().toISOString()) {
+  const code = normalizeCode(promo.code);
+  return {
+    id: promoAdjustmentId(code),
+    type: ADJUSTMENT_TYPES.DISCOUNT,
+    label: promo.label || `Promo code ${code}`,
+    amount,
+    code,
+    date,
+  };
+}
+
+// Space-separated so HubSpot's CONTAINS_TOKEN search can find each code
+function promoCodesUpdateWith(p, code) {
+  const applied = String(p[PROMO_CODES_FIELD] || "").split(/\s+/).filter(Boolean);
+  return {
+    [PROMO_CODES_FIELD]: [...applied, normalizeCode(code)].join(" "),
+  };
+}
+
+module.exports = {
+  PROMO_CODES_FIELD,
+  CODES,
+  loadCodes,
+  normalizeCode,
+  hasPromoCodes,
+  findPromoCode,
+  promoProperties,
+  validatePromoCode,
+  promoAdjustment,
+  promoCodesUpdateWith,
+};
@@ -0,0 +1,437 @@
+// netlify/lib/reconcile.js
+// Matches what Stripe collected against the payments recorded on each deal,
+// the check finance used to do by exporting charges and reading payment_N
+// and total_amount_paid by hand.
+//
+// Stripe side: PaymentIntents created in the window that carry a deal ID,
+// directly (instalments, newer Checkout payments) or through their Checkout
+// Session (older ones). Intents that never collected anything are skipped,
+// and so are payments with no deal ID at all, which aren't the portal's.
+// HubSpot side: every deal with recorded payments, plus any deal a Stripe
+// payment names.
+//
+// Issue types:
+//   missing_record   – Stripe took the payment; the deal doesn't have it
+//   amount_mismatch  – recorded for a different amount; `feeIncluded` marks
+//                      the card fee recorded as tuition
+//   orphan_payment   – names a deal HubSpot doesn't have
+//   duplicate_record – one Stripe payment recorded more than once, on one
+//                      deal or several
+//   total_mismatch   – total_amount_paid disagrees with the payments listed
+// Amounts are minor units of the issue's currency.
+//
+// Fix mode only writes missing records, the one case with a clear answer;
+// the rest need a person.
+
+const {
+  LEDGER_FIELD,
+  LEGACY_PAYMENT_FIELDS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  ENTRY_KINDS,
+  parseLedger,
+  parseLegacyPayments,
+  parsePayments,
+  sumPayments,
+  findPayment,
+  sessionBaseAmount,
+  ledgerUpdateWith,
+} = require("./payments");
+const {
+  PAYMENT_ELEMENT_FLOW,
+  openSessionsUpdateWithout,
+} = require("./checkout");
+const { ACCESS_ROLES } = require("./access");
+const {
+  searchDeals,
+  getDealsByIds,
+  getDealById,
+} = require("./hubspot");
+const { updateLedger } = require("./ledger");
+const {
+  dealCurrency,
+  normalizeCurrency,
+  toMinor,
+  readMinor,
+  minorToDecimalString,
+} = require("./currency");
+const { csvCell } = require("./admin-report");
+
+const ISSUE_TYPES = {
+  MISSING: "missing_record",
+  AMOUNT_MISMATCH: "amount_mismatch",
+  ORPHAN: "orphan_payment",
+  DUPLICATE: "duplicate_record",
+  TOTAL_MISMATCH: "total_mismatch",
+};
+
+// Stripe statuses of intents that have collected (or are collecting) money
+const COLLECTED_STATUSES = {
+  succeeded: PAYMENT_STATUS.SUCCEEDED,
+  processing: PAYMENT_STATUS.PROCESSING,
+};
+
+const STRIPE_PAGE_SIZE = 100;
+
+/* =========================================================
+   STRIPE
+========================================================= */
+
+// Follows a Stripe list to the end
+async function listAll(list, params) {
+  const items = [];
+  let startingAfter;
+
+  for (;;) {
+    const page = await list({
+      ...params,
+      limit: STRIPE_PAGE_SIZE,
+      starting_after: startingAfter,
+    });
+    items.push(...page.data);
+    if (!page.has_more || page.data.length === 0) return items;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+}
+
+// Portal payments taken since `since` (a Date), as
+// { txn, sessionId, dealId, base, charged, currency, method, status, date,
+//   paidBy }. `base` excludes the card fee; `charged` is what Stripe took.
+async function stripePaymentsSince(stripe, since) {
+  const created = { gte: Math.floor(since.getTime() / 1000) };
+  const [sessions, intents] = await Promise.all([
+    listAll((params) => stripe.checkout.sessions.list(params), {
+      created,
+      status: "complete",
+    }),
+    listAll((params) => stripe.paymentIntents.list(params), { created }),
+  ]);
+
+  const sessionFor = new Map(
+    sessions
+      .filter((s) => s.mode === "payment" && s.payment_intent)
+      .map((s) => [s.payment_intent, s])
+  );
+
+  return intents
+    .filter((intent) => COLLECTED_STATUSES[intent.status])
+    .map((intent) => stripePayment(intent, sessionFor.get(intent.id)))
+    .filter((payment) => payment.dealId);
+}
+
+function stripePayment(intent, session) {
+  const metadata = { ...session?.metadata, ...intent.metadata };
+  const currency = normalizeCurrency(intent.currency);
+  const stamped = readMinor(
+    { amountMinor: intent.metadata?.baseAmountMinor },
+    currency
+  );
+
+  let base = intent.amount;
+  if (session) base = sessionBaseAmount(session);
+  else if (!isNaN(stamped)) base = stamped;
+
+  const details = session?.customer_details || {};
+  return {
+    txn: intent.id,
+    sessionId: session?.id || "",
+    dealId: metadata.dealId ? String(metadata.dealId) : "",
+    base,
+    charged: intent.amount,
+    currency,
+    method: metadata.paymentMethod || PAYMENT_METHODS.CARD,
+    status: COLLECTED_STATUSES[intent.status],
+    date: new Date(intent.created * 1000).toISOString(),
+    // Checkout and the embedded form record who paid; instalments don't
+    paidBy:
+      session || metadata.paymentFlow === PAYMENT_ELEMENT_FLOW
+        ? {
+            name: details.name || "",
+            email: details.email || session?.customer_email || intent.receipt_email || "",
+            role: metadata.payerRole || ACCESS_ROLES.FAMILY,
+            contactId: metadata.contactId || "",
+          }
+        : null,
+  };
+}
+
+/* =========================================================
+   HUBSPOT
+========================================================= */
+
+// Deals with anything recorded, so a payment recorded twice is found wherever
+// the second copy went, plus the deals Stripe names. Map of ID to properties.
+async function dealsToReconcile(payments) {
+  const hasProperty = (propertyName) => ({
+    filters: [{ propertyName, operator: "HAS_PROPERTY" }],
+  });
+  const recorded = await searchDeals([
+    hasProperty(LEDGER_FIELD),
+    hasProperty(LEGACY_PAYMENT_FIELDS[0]),
+    {
+      filters: [
+        { propertyName: "total_amount_paid", operator: "GT", value: "0" },
+      ],
+    },
+  ]);
+  const deals = new Map(
+    recorded.map((deal) => [deal.id, deal.properties || {}])
+  );
+
+  const named = [...new Set(payments.map((pay) => pay.dealId))].filter(
+    (id) => !deals.has(id)
+  );
+  for (const deal of await getDealsByIds(named)) {
+    const { email, ...properties } = deal.properties;
+    deals.set(deal.id, properties);
+  }
+  return deals;
+}
+
+/* =========================================================
+   MATCHING
+========================================================= */
+
+// `payments` from stripePaymentsSince; `deals` maps deal IDs to properties.
+// Returns the issues found, in the shape described at the top.
+function reconcilePayments(payments, deals) {
+  const issues = [];
+
+  // Older payments were recorded against their session ID
+  const txnFor = new Map(
+    payments
+      .filter((pay) => pay.sessionId)
+      .map((pay) => [pay.sessionId, pay.txn])
+  );
+
+  // Every recorded payment by the Stripe transaction it's for
+  const records = new Map();
+  deals.forEach((p, dealId) => {
+    parsePayments(p)
+      .filter((entry) => entry.kind === ENTRY_KINDS.PAYMENT && entry.txn)
+      .forEach((entry) => {
+        const txn = txnFor.get(entry.txn) || entry.txn;
+        if (!records.has(txn)) records.set(txn, []);
+        records.get(txn).push({ dealId, entry });
+      });
+  });
+
+  payments.forEach((pay) => {
+    const issue = {
+      dealId: pay.dealId,
+      txn: pay.txn,
+      currency: pay.currency,
+      expected: pay.base,
+      charged: pay.charged,
+      status: pay.status,
+    };
+
+    if (!deals.has(pay.dealId)) {
+      issues.push({ type: ISSUE_TYPES.ORPHAN, ...issue });
+      return;
+    }
+
+    const found = records.get(pay.txn) || [];
+    const here = found.find((r) => r.dealId === pay.dealId);
+    if (!here) {
+      const elsewhere = found.map((r) => r.dealId);
+      issues.push({
+        type: ISSUE_TYPES.MISSING,
+        ...issue,
+        ...(elsewhere.length > 0 ? { recordedOn: elsewhere } : {}),
+      });
+      return;
+    }
+
+    const recorded = here.entry.amount;
+    if (recorded !== pay.base) {
+      issues.push({
+        type: ISSUE_TYPES.AMOUNT_MISMATCH,
+        ...issue,
+        recorded,
+        feeIncluded: recorded === pay.charged && pay.charged !== pay.base,
+      });
+    }
+  });
+
+  records.forEach((found, txn) => {
+    if (found.length < 2) return;
+    issues.push({
+      type: ISSUE_TYPES.DUPLICATE,
+      dealId: found[0].dealId,
+      txn,
+      currency: found[0].entry.currency,
+      recorded: found[0].entry.amount,
+      count: found.length,
+      recordedOn: [...new Set(found.map((r) => r.dealId))],
+    });
+  });
+
+  deals.forEach((p, dealId) => {
+    const rollup = String(p.total_amount_paid ?? "").trim();
+    if (!rollup) return;
+
+    const currency = dealCurrency(p);
+    const recorded = toMinor(rollup, currency);
+    // The rollup is written from the ledger once there is one
+    const listed =
+      parseLedger(p).length > 0
+        ? sumPayments(parsePayments(p))
+        : sumPayments(parseLegacyPayments(p));
+    if (!isNaN(recorded) && recorded !== listed) {
+      issues.push({
+        type: ISSUE_TYPES.TOTAL_MISMATCH,
+        dealId,
+        txn: "",
+        currency,
+        expected: listed,
+        recorded,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/* =========================================================
+   FIXING
+========================================================= */
+
+// Records the missing payments found by reconcilePayments through
+// updateLedger, so a payment the webhook recorded in the meantime isn't added
+// twice and one it records while we write isn't lost. Payments recorded on
+// another deal are left for a person to move. Marks each issue it wrote with
+// `fixed: true`.
+async function fixMissingRecords(issues, payments) {
+  const byTxn = new Map(payments.map((pay) => [pay.txn, pay]));
+  const byDeal = new Map();
+  issues
+    .filter((issue) => issue.type === ISSUE_TYPES.MISSING && !issue.recordedOn)
+    .forEach((issue) => {
+      if (!byDeal.has(issue.dealId)) byDeal.set(issue.dealId, []);
+      byDeal.get(issue.dealId).push(issue);
+    });
+
+  let fixed = 0;
+  for (const [dealId, missing] of byDeal) {
+    if (!(await getDealById(dealId))) continue;
+
+    const { result: written } = await updateLedger(dealId, (current) => {
+      let p = current;
+      let update = {};
+      const added = missing.filter((issue) => {
+        const pay = byTxn.get(issue.txn);
+        const recorded =
+          findPayment(p, pay.txn) ||
+          (pay.sessionId && findPayment(p, pay.sessionId));
+        if (recorded) return false;
+
+        update = {
+          ...update,
+          ...ledgerUpdateWith(p, {
+            amount: pay.base,
+            currency: pay.currency,
+            method: pay.method,
+            txn: pay.txn,
+            date: pay.date,
+            status: pay.status,
+            paidBy: pay.paidBy,
+          }),
+          // The embedded form tracks its PaymentIntent rather than a session
+          ...openSessionsUpdateWithout(p, pay.sessionId || pay.txn),
+        };
+        p = { ...p, ...update };
+        return true;
+      });
+      return { update, result: added };
+    });
+
+    written.forEach((issue) => {
+      issue.fixed = true;
+    });
+    fixed += written.length;
+  }
+
+  return fixed;
+}
+
+/* =========================================================
+   RUNNING
+========================================================= */
+
+// The whole check: Stripe payments since `since`, the deals they belong to,
+// and (with `fix`) the missing records written.
+async function runReconciliation(stripe, { since, fix = false }) {
+  const payments = await stripePaymentsSince(stripe, since);
+  const deals = await dealsToReconcile(payments);
+  const issues = reconcilePayments(payments, deals);
+  const fixed = fix ? await fixMissingRecords(issues, payments) : 0;
+
+  return {
+    since: since.toISOString(),
+    payments: payments.length,
+    deals: deals.size,
+    issues,
+    fixed,
+  };
+}
+
+// Issue counts by type, for logs and the report email
+function summarizeIssues(issues) {
+  const counts = Object.fromEntries(
+    Object.values(ISSUE_TYPES).map((type) => [type, 0])
+  );
+  issues.forEach((issue) => counts[issue.type]++);
+  return counts;
+}
+
+function issuesToCsv(issues) {
+  const header = [
+    "Issue",
+    "Deal ID",
+    "Transaction",
+    "Currency",
+    "Stripe (base)",
+    "Stripe (charged)",
+    "Recorded",
+    "Notes",
+  ];
+
+  const lines = issues.map((issue) => {
+    const amount = (minor) =>
+      Number.isInteger(minor) ? minorToDecimalString(minor, issue.currency) : "";
+    const notes = [
+      issue.feeIncluded ? "card fee recorded as tuition" : "",
+      issue.count ? `recorded ${issue.count} times` : "",
+      issue.recordedOn ? `recorded on deal ${issue.recordedOn.join(", ")}` : "",
+      issue.status === PAYMENT_STATUS.PROCESSING ? "still processing" : "",
+      issue.fixed ? "fixed" : "",
+    ].filter(Boolean);
+
+    return [
+      issue.type,
+      issue.dealId,
+      issue.txn,
+      String(issue.currency || "").toUpperCase(),
+      amount(issue.expected),
+      amount(issue.charged),
+      amount(issue.recorded),
+      notes.join("; "),
+    ];
+  });
+
+  return [header, ...lines]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  stripePaymentsSince,
+  dealsToReconcile,
+  reconcilePayments,
+  fixMissingRecords,
+  runReconciliation,
+  summarizeIssues,
+  issuesToCsv,
+};
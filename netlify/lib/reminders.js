@@ -0,0 +1,152 @@
+// netlify/lib/reminders.js
+// Balance reminder emails.
+//
+// Each deal's balance is due on the date in the `balance_due_date` deal
+// property (override with BALANCE_DUE_DATE_PROPERTY), falling back to the
+// payment plan cutoff (the program start date). Reminders go out at
+// REMINDER_DAYS_BEFORE days before that date (default 30,14,3) and once more
+// after it has passed.
+//
+// Sent reminders are recorded in the `payment_reminders_sent` deal property as
+// space-separated "<dueDate>:<stage>:<contactId>" keys, so each contact gets
+// each stage once; moving the due date starts the sequence again.
+
+const { planCutoffFor, addDays } = require("./plans");
+const { formatMoney } = require("./currency");
+const { formatDate, hubSpotDate, escapeHtml } = require("./util");
+
+const BALANCE_DUE_PROPERTY =
+  process.env.BALANCE_DUE_DATE_PROPERTY || "balance_due_date";
+const REMINDERS_SENT_FIELD = "payment_reminders_sent";
+
+const OVERDUE_STAGE = "overdue";
+
+const REMINDER_DAYS_BEFORE = (process.env.REMINDER_DAYS_BEFORE || "30,14,3")
+  .split(",")
+  .map((d) => parseInt(d, 10))
+  .filter((d) => d >= 0)
+  .sort((a, b) => a - b);
+
+// Overdue reminders stop this many days after the due date; staff follow up
+// by hand after that.
+const OVERDUE_WINDOW_DAYS =
+  Number(process.env.REMINDER_OVERDUE_WINDOW_DAYS) || 30;
+
+function balanceDueDateFor(p) {
+  return hubSpotDate(p[BALANCE_DUE_PROPERTY]) || planCutoffFor(p);
+}
+
+function daysBetween(fromIso, toIso) {
+  return Math.round(
+    (Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) /
+      86400000
+  );
+}
+
+// The reminder due today: the nearest offset already reached, so a missed
+// run (or a due date set late) sends one reminder rather than a backlog.
+// Returns { stage, daysLeft } or null when no reminder is due yet.
+function reminderStageFor(dueDate, today, daysBefore = REMINDER_DAYS_BEFORE) {
+  if (!dueDate) return null;
+
+  const daysLeft = daysBetween(today, dueDate);
+  if (daysLeft < 0) {
+    return -daysLeft <= OVERDUE_WINDOW_DAYS
+      ? { stage: OVERDUE_STAGE, daysLeft }
+      : null;
+  }
+
+  const offset = daysBefore.find((d) => daysLeft <= d);
+  return offset === undefined ? null : { stage: `due_${offset}`, daysLeft };
+}
+
+// Due dates worth searching for today: [earliest, latest] as YYYY-MM-DD
+function reminderSearchWindow(today, daysBefore = REMINDER_DAYS_BEFORE) {
+  return [
+    addDays(today, -OVERDUE_WINDOW_DAYS),
+    addDays(today, Math.max(0, ...daysBefore)),
+  ];
+}
+
+function reminderKey(dueDate, stage, contactId) {
+  return `${dueDate}:${stage}:${contactId}`;
+}
+
+function sentReminderKeys(p) {
+  return String(p[REMINDERS_SENT_FIELD] || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function remindersUpdateWith(p, key) {
+  const keys = sentReminderKeys(p);
+  if (!keys.includes(key)) keys.push(key);
+  return { [REMINDERS_SENT_FIELD]: keys.join(" ") };
+}
+
+/* =========================================================
+   TEMPLATES
+========================================================= */
+
+function reminderEmail({
+  stage,
+  daysLeft,
+  name,
+  programName,
+  amount,
+  currency,
+  dueDate,
+  url,
+}) {
+  const balance = formatMoney(amount, currency);
+  const due = formatDate(dueDate);
+  const overdue = stage === OVERDUE_STAGE;
+
+  const subject = overdue
+    ? `Payment overdue – ${programName}`
+    : `Payment reminder – ${programName}`;
+
+  const lead = overdue
+    ? `Your remaining balance of ${balance} for ${programName} was due on ${due} and is now overdue.`
+    : daysLeft === 0
+    ? `Your remaining balance of ${balance} for ${programName} is due today.`
+    : `Your remaining balance of ${balance} for ${programName} is due on ${due} (in ${daysLeft} day${daysLeft === 1 ? "" : "s"}).`;
+
+  const action =
+    "You can pay in full, pay part of it or set up a payment plan through your portal:";
+
+  return {
+    subject,
+    text: [
+      `Hi ${name || "there"},`,
+      "",
+      lead,
+      "",
+      action,
+      url,
+      "",
+      "If you've already paid, thank you – please ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>Hi ${escapeHtml(name || "there")},</p>
+      <p>${escapeHtml(lead)}</p>
+      <p>${escapeHtml(action)}</p>
+      <p><a href="${escapeHtml(url)}">Open my payment portal</a></p>
+      <p>If you've already paid, thank you – please ignore this email.</p>
+    `,
+  };
+}
+
+module.exports = {
+  BALANCE_DUE_PROPERTY,
+  REMINDERS_SENT_FIELD,
+  REMINDER_DAYS_BEFORE,
+  OVERDUE_STAGE,
+  balanceDueDateFor,
+  reminderStageFor,
+  reminderSearchWindow,
+  reminderKey,
+  sentReminderKeys,
+  remindersUpdateWith,
+  reminderEmail,
+};
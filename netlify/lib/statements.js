@@ -0,0 +1,211 @@
+// netlify/lib/statements.js
+// Payment receipts and dated per-deal statements (data + PDF rendering).
+// The HTML versions are rendered by the portal alongside its other pages.
+
+const PDFDocument = require("pdfkit");
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  dealBalance,
+  findPayment,
+  sessionBaseAmount,
+  methodLabel,
+  statusLabel,
+} = require("./payments");
+const { adjustmentDescription } = require("./adjustments");
+const { dealCurrency, normalizeCurrency, formatMoney } = require("./currency");
+const { formatDate } = require("./util");
+
+const ORGANISATION = "Pacific Discovery";
+
+/* =========================================================
+   RECEIPTS
+========================================================= */
+
+// Everything a receipt shows for a completed Checkout Session, or a
+// PaymentIntent from the portal's embedded form. The webhook may not have
+// recorded the payment yet, so the new balance is projected from the
+// payment when the ledger doesn't hold it. Amounts are minor units.
+function buildReceipt(session, deal) {
+  const p = deal.properties || {};
+  const intent = session.object === "payment_intent";
+  const txn = session.payment_intent || session.id;
+  const base = sessionBaseAmount(session);
+  const total = (intent ? session.amount : session.amount_total) || 0;
+  const processing = intent
+    ? session.status !== "succeeded"
+    : session.payment_status !== "paid";
+
+  const { payable } = dealBalance(p);
+  const recorded = Boolean(findPayment(p, txn));
+
+  return {
+    programName: p.dealname || "Program Payment",
+    dealId: deal.id,
+    currency: normalizeCurrency(session.currency || dealCurrency(p)),
+    txn,
+    date: new Date((session.created || Date.now() / 1000) * 1000).toISOString(),
+    email:
+      session.customer_details?.email ||
+      session.customer_email ||
+      session.receipt_email ||
+      "",
+    method: session.metadata?.paymentMethod || PAYMENT_METHODS.CARD,
+    base,
+    fee: Math.max(0, total - base),
+    total,
+    status: processing ? PAYMENT_STATUS.PROCESSING : PAYMENT_STATUS.SUCCEEDED,
+    remaining: recorded ? payable : payable - base,
+  };
+}
+
+/* =========================================================
+   STATEMENTS
+========================================================= */
+
+function buildStatement(deal, { asOf = new Date(), email = "" } = {}) {
+  const p = deal.properties || {};
+  const {
+    currency,
+    tuition,
+    adjustments,
+    totalAdjustments,
+    payments,
+    totalPaid,
+    processing,
+    remaining,
+  } = dealBalance(p);
+  const date = asOf.toISOString().slice(0, 10);
+
+  return {
+    reference: `PD-${deal.id}-${date.replace(/-/g, "")}`,
+    date,
+    programName: p.dealname || "Program",
+    dealId: deal.id,
+    email: email || p.email || "",
+    currency,
+    tuition,
+    adjustments,
+    totalAdjustments,
+    payments,
+    totalPaid,
+    processing,
+    remaining,
+  };
+}
+
+function statementFilename(statement) {
+  return `statement-${statement.reference}.pdf`;
+}
+
+// Renders the statement to a PDF buffer using pdfkit's built-in Helvetica.
+function renderStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(18).text(`${ORGANISATION} – Payment Statement`);
+    doc.moveDown(0.5);
+    doc.font("Helvetica").fontSize(10).fillColor("#4b5563");
+    doc.text(`Statement date: ${formatDate(statement.date)}`);
+    doc.text(`Reference: ${statement.reference}`);
+    if (statement.email) doc.text(`Account: ${statement.email}`);
+    doc.moveDown();
+
+    doc.fillColor("#111827").font("Helvetica-Bold").fontSize(13);
+    doc.text(statement.programName);
+    doc.moveDown(0.5);
+
+    const money = (minor) => formatMoney(minor, statement.currency);
+
+    doc.font("Helvetica").fontSize(11);
+    summaryLine(doc, "Program tuition", money(statement.tuition));
+    if (statement.totalAdjustments > 0) {
+      summaryLine(
+        doc,
+        "Scholarships & credits",
+        `-${money(statement.totalAdjustments)}`
+      );
+    }
+    summaryLine(doc, "Paid to date", money(statement.totalPaid));
+    if (statement.processing > 0) {
+      summaryLine(doc, "Processing", money(statement.processing));
+    }
+    doc.font("Helvetica-Bold");
+    summaryLine(doc, "Balance due", money(statement.remaining));
+    doc.moveDown();
+
+    const columns = [
+      { label: "Date", x: 50, width: 100 },
+      { label: "Method", x: 150, width: 90 },
+      { label: "Status", x: 240, width: 80 },
+      { label: "Transaction ID", x: 320, width: 160 },
+      { label: "Amount", x: 480, width: 82, align: "right" },
+    ];
+
+    doc.font("Helvetica-Bold").fontSize(9).fillColor("#4b5563");
+    tableRow(doc, columns, columns.map((c) => c.label.toUpperCase()));
+    doc.font("Helvetica").fillColor("#111827");
+
+    if (statement.payments.length === 0 && statement.adjustments.length === 0) {
+      doc.text("No payments have been recorded yet.", 50);
+    }
+    statement.payments.forEach((pay) => {
+      tableRow(doc, columns, [
+        formatDate(pay.date),
+        methodLabel(pay.method),
+        statusLabel(pay.status, pay.kind),
+        pay.txn || "",
+        money(pay.amount),
+      ]);
+    });
+    statement.adjustments.forEach((adj) => {
+      tableRow(doc, columns, [
+        formatDate(adj.date),
+        adjustmentDescription(adj),
+        "Applied",
+        adj.code,
+        `-${money(adj.amount)}`,
+      ]);
+    });
+
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor("#6b7280");
+    doc.text(
+      "Amounts exclude card transaction fees. Only settled payments count towards the amount paid.",
+      50
+    );
+
+    doc.end();
+  });
+}
+
+function summaryLine(doc, label, value) {
+  const y = doc.y;
+  doc.text(label, 50, y, { width: 250 });
+  doc.text(value, 300, y, { width: 262, align: "right" });
+}
+
+function tableRow(doc, columns, values) {
+  const y = doc.y;
+  let bottom = y;
+  columns.forEach((col, i) => {
+    doc.text(String(values[i] ?? ""), col.x, y, {
+      width: col.width - 6,
+      align: col.align || "left",
+    });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.y = bottom + 4;
+  doc.x = 50;
+}
+
+module.exports = {
+  buildReceipt,
+  buildStatement,
+  statementFilename,
+  renderStatementPdf,
+};
@@ -0,0 +1,53 @@
+// netlify/lib/stripe.js
+// The Stripe client, created on first use from STRIPE_SECRET_KEY. Tests and
+// the local dev server swap in an in-memory Stripe with setStripeClient().
+//
+// STRIPE_PUBLISHABLE_KEY turns on the portal's embedded payment form; without
+// it every payment goes through the hosted Checkout page.
+//
+// STRIPE_CUSTOMER_PROPERTY names the HubSpot contact property that holds the
+// contact's Stripe Customer id (see customers.js); it defaults to
+// stripe_customer_id. STRIPE_BILLING_PORTAL_CONFIGURATION picks the Customer
+// Portal configuration the "Manage billing" link opens, else Stripe's default.
+
+const STRIPE_CUSTOMER_PROPERTY =
+  process.env.STRIPE_CUSTOMER_PROPERTY || "stripe_customer_id";
+
+let client = null;
+
+function isStripeConfigured() {
+  return Boolean(client || process.env.STRIPE_SECRET_KEY);
+}
+
+function getStripe() {
+  if (!client) client = require("stripe")(process.env.STRIPE_SECRET_KEY);
+  return client;
+}
+
+// Anything with the parts of the Stripe SDK the functions use; null restores
+// the real client.
+function setStripeClient(next) {
+  client = next;
+}
+
+function stripePublishableKey() {
+  return process.env.STRIPE_PUBLISHABLE_KEY || "";
+}
+
+function isPaymentElementEnabled() {
+  return isStripeConfigured() && Boolean(stripePublishableKey());
+}
+
+function billingPortalConfiguration() {
+  return process.env.STRIPE_BILLING_PORTAL_CONFIGURATION || "";
+}
+
+module.exports = {
+  STRIPE_CUSTOMER_PROPERTY,
+  isStripeConfigured,
+  getStripe,
+  setStripeClient,
+  stripePublishableKey,
+  isPaymentElementEnabled,
+  billingPortalConfiguration,
+};
@@ -0,0 +1,120 @@
+// netlify/lib/surcharge.js
+// Which card payments may carry the card fee, and at what rate. The rate
+// itself comes from the pricing rules (cardFeeRate, see pricing.js); these
+// rules keep it within what card networks and local laws allow once the card
+// is known.
+//
+// Rules come from netlify/config/surcharge-rules.json (or the SURCHARGE_RULES
+// env var, which replaces the file):
+//
+//   {
+//     "unknownCard": "waive",
+//     "exemptFunding": ["debit", "prepaid", "unknown"],
+//     "regions": [
+//       { "id": "us-colorado", "countries": ["US"], "states": ["CO"], "maxRate": 0.02 },
+//       { "id": "us", "countries": ["US"], "maxRate": 0.03 }
+//     ]
+//   }
+//
+// Cards whose funding (Stripe's card.funding) is listed in `exemptFunding`
+// pay no fee. Otherwise the first region matching where the payer is caps
+// the rate at its `maxRate` (0 where surcharges are banned). A region
+// without `states` covers the whole country. Where the payer is comes from
+// the card's billing address, or the country that issued the card without
+// one.
+//
+// Hosted Checkout (which the API, and the portal without
+// STRIPE_PUBLISHABLE_KEY, always use) only sees the card once it has been
+// charged, so `unknownCard` decides what it charges: "waive" (no fee, also
+// when the setting is missing) or "charge" (the full rate, whatever the
+// card), which finance has to turn on.
+//
+// These rules encode legal requirements; check changes to them with finance
+// before deploying.
+
+const bundledRules = require("../config/surcharge-rules.json");
+
+const CARD_FEE_REASONS = {
+  STANDARD: "standard",
+  EXEMPT_CARD: "exempt_card",
+  REGION_CAP: "region_cap",
+  UNKNOWN_CARD: "unknown_card",
+};
+
+const UNKNOWN_CARD_POLICIES = { WAIVE: "waive", CHARGE: "charge" };
+
+function loadSurchargeRules(raw = process.env.SURCHARGE_RULES) {
+  if (!raw) return bundledRules;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error("Invalid SURCHARGE_RULES, using the bundled rules:", err.message);
+    return bundledRules;
+  }
+}
+
+const RULES = loadSurchargeRules();
+
+const code = (value) => String(value || "").trim().toUpperCase();
+
+// { funding, country, state } for a card PaymentMethod (or a
+// ConfirmationToken's payment_method_preview), else null
+function cardDetailsFor(paymentMethod) {
+  const card = paymentMethod?.card;
+  if (!card) return null;
+
+  const address = paymentMethod.billing_details?.address || {};
+  return {
+    funding: String(card.funding || "unknown").toLowerCase(),
+    country: code(address.country || card.country),
+    state: address.country ? code(address.state) : "",
+  };
+}
+
+function regionFor(card, rules = RULES) {
+  return (
+    (rules.regions || []).find((region) => {
+      const states = (region.states || []).map(code);
+      return (
+        (region.countries || []).map(code).includes(card.country) &&
+        (states.length === 0 || states.includes(card.state))
+      );
+    }) || null
+  );
+}
+
+// The rate `card` pays out of the pricing `rate`, as { rate, reason, region }
+// where reason is one of CARD_FEE_REASONS and region the capping region's
+// id. `card` is null while the card isn't known.
+function cardFeeRateFor(rate, card, rules = RULES) {
+  if (!card) {
+    return rules.unknownCard === UNKNOWN_CARD_POLICIES.CHARGE
+      ? { rate, reason: CARD_FEE_REASONS.STANDARD, region: "" }
+      : { rate: 0, reason: CARD_FEE_REASONS.UNKNOWN_CARD, region: "" };
+  }
+
+  if ((rules.exemptFunding || []).includes(card.funding)) {
+    return { rate: 0, reason: CARD_FEE_REASONS.EXEMPT_CARD, region: "" };
+  }
+
+  const region = regionFor(card, rules);
+  const cap = Number(region?.maxRate);
+  if (region && !isNaN(cap) && cap < rate) {
+    return {
+      rate: Math.max(0, cap),
+      reason: CARD_FEE_REASONS.REGION_CAP,
+      region: region.id || "",
+    };
+  }
+  return { rate, reason: CARD_FEE_REASONS.STANDARD, region: region?.id || "" };
+}
+
+module.exports = {
+  CARD_FEE_REASONS,
+  UNKNOWN_CARD_POLICIES,
+  RULES,
+  loadSurchargeRules,
+  cardDetailsFor,
+  regionFor,
+  cardFeeRateFor,
+};
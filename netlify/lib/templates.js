@@ -0,0 +1,76 @@
+// netlify/lib/templates.js
+// Auto-escaping for the page templates in netlify/templates.
+//
+//   html`<p>${value}</p>`  – values are HTML-escaped unless they are already
+//                            html`` results (or raw()); arrays are joined and
+//                            null, undefined and booleans render as nothing
+//   js`const X = ${value};` – values become JavaScript literals, safe inside
+//                            an inline <script>
+//   raw(str)               – marks trusted markup, e.g. escaped translations
+//
+// Results behave as strings (toString), so they can be returned straight
+// from a handler.
+
+const { escapeHtml } = require("./util");
+
+const SAFE = Symbol("safe html");
+
+function raw(value) {
+  return {
+    [SAFE]: true,
+    html: String(value ?? ""),
+    toString() {
+      return this.html;
+    },
+  };
+}
+
+function isSafe(value) {
+  return Boolean(value && value[SAFE]);
+}
+
+function toHtml(value) {
+  if (value === null || value === undefined || typeof value === "boolean") {
+    return "";
+  }
+  if (Array.isArray(value)) return value.map(toHtml).join("");
+  if (isSafe(value)) return value.html;
+  return escapeHtml(String(value));
+}
+
+function interleave(strings, values, convert) {
+  return strings.reduce(
+    (out, str, i) => out + convert(values[i - 1]) + str
+  );
+}
+
+function html(strings, ...values) {
+  return raw(interleave(strings, values, toHtml));
+}
+
+// JSON is valid JavaScript; the characters that could close the <script>
+// element or break a string literal are escaped as well.
+function jsValue(value) {
+  return (JSON.stringify(value) ?? "undefined")
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+// The code is taken as written (String.raw), so regex escapes like \w survive
+function js(strings, ...values) {
+  return raw(interleave(strings.raw, values, jsValue));
+}
+
+// Colours from the brand config end up in a <style> block; anything that
+// isn't a plain colour value is dropped rather than escaped.
+function cssColor(value, fallback) {
+  const color = String(value || "").trim();
+  return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%/]+\)|[a-z]+)$/i.test(color)
+    ? color
+    : fallback;
+}
+
+module.exports = { html, js, raw, isSafe, jsValue, cssColor };
@@ -0,0 +1,60 @@
+// netlify/lib/util.js
+
+function safeNumber(val) {
+  if (val === null || val === undefined || val === "") return NaN;
+  const num = Number(val);
+  return isNaN(num) ? NaN : num;
+}
+
+function num(val) {
+  const n = Number(val);
+  return isNaN(n) ? NaN : n;
+}
+
+// 0.035 -> "3.5%"
+function formatPercent(rate) {
+  return `${Number((rate * 100).toFixed(2))}%`;
+}
+
+// ISO timestamps from the ledger render as dates; legacy free-text dates
+// are shown as entered.
+function formatDate(val, locale = "en-US") {
+  if (!val) return "";
+  if (!/^\d{4}-\d{2}-\d{2}/.test(val)) return String(val);
+
+  const d = new Date(val);
+  if (isNaN(d.getTime())) return String(val);
+  return d.toLocaleDateString(locale, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// HubSpot date properties arrive as YYYY-MM-DD or as epoch milliseconds.
+// Returns YYYY-MM-DD, or null when unset or unreadable.
+function hubSpotDate(raw) {
+  if (!raw) return null;
+
+  const d = /^\d+$/.test(String(raw)) ? new Date(Number(raw)) : new Date(raw);
+  return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = {
+  safeNumber,
+  num,
+  formatPercent,
+  formatDate,
+  hubSpotDate,
+  escapeHtml,
+ };
@@ -0,0 +1,257 @@
+// netlify/templates/admin.js
+// The staff dashboard's pages. Unlike the portal they're unbranded and in
+// English; amounts, dates and links arrive ready to show.
+
+const { html } = require("../lib/templates");
+const { DEPOSIT_STATUS } = require("../lib/admin-report");
+
+// rows: { name, hubSpotUrl, stage, activityUrl, tuition, paid, processing,
+//   remaining, overpaid, adjustments, depositStatus, depositLabel, dueDate,
+//   overdue, lastPaymentDate }
+// pipelines and filters: { value, label, selected }
+function dashboardPage({ user, q, rows, pipelines, filters, csvUrl, nextUrl }) {
+  const tableRows =
+    rows.length > 0
+      ? rows.map(
+          (row) => html`
+            <tr${row.overdue && html` class="overdue"`}>
+              <td>${
+                row.hubSpotUrl
+                  ? html`<a href="${row.hubSpotUrl}" target="_blank" rel="noopener noreferrer">${row.name}</a>`
+                  : row.name
+              }<div class="meta">${row.stage} · <a href="${row.activityUrl}">Activity</a></div></td>
+              <td class="num">${row.tuition}</td>
+              <td class="num">${row.paid}${
+                row.processing && html`<div class="meta">+${row.processing} processing</div>`
+              }</td>
+              <td class="num"><strong>${row.remaining}</strong>${
+                row.overpaid && html` <span class="badge overpaid">Overpaid</span>`
+              }${row.adjustments && html`<div class="meta">after ${row.adjustments} credits</div>`}</td>
+              <td><span class="badge ${row.depositStatus}">${row.depositLabel}</span></td>
+              <td>${row.dueDate}${row.overdue && html` <span class="badge overdue">Overdue</span>`}</td>
+              <td>${row.lastPaymentDate || "—"}</td>
+            </tr>`
+        )
+      : html`<tr><td colspan="7" class="empty-row">No deals match these filters.</td></tr>`;
+
+  return adminPage(
+    "Payments admin",
+    html`<h1>Outstanding balances</h1>
+    <p class="subtitle">Signed in as ${user}. Overdue means the balance is still owed after its due date, or a payment plan has failed.</p>
+
+    <form class="filters" method="get">
+      <input name="q" type="search" placeholder="Program name" value="${q}" />
+      <select name="pipeline">
+        <option value="">All pipelines</option>
+        ${options(pipelines)}
+      </select>
+      <select name="filter">${options(filters)}</select>
+      <button class="btn" type="submit">Filter</button>
+      <a class="btn secondary" href="${csvUrl}">Export CSV</a>
+    </form>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Program</th>
+          <th class="num">Tuition</th>
+          <th class="num">Paid</th>
+          <th class="num">Remaining</th>
+          <th>Deposit</th>
+          <th>Balance due</th>
+          <th>Last payment</th>
+        </tr>
+      </thead>
+      <tbody>${tableRows}</tbody>
+    </table>
+
+    <div class="pager">
+      <span>${rows.length} deal${rows.length === 1 ? "" : "s"} on this page</span>
+      ${nextUrl && html`<a class="btn secondary" href="${nextUrl}">Next page →</a>`}
+    </div>`
+  );
+}
+
+// events: { at, summary, details, contactId, role, ipHash }, newest first
+function activityPage({ dealId, events, backUrl, jsonUrl }) {
+  const rows =
+    events.length > 0
+      ? events.map(
+          (entry) => html`
+            <tr>
+              <td>${entry.at}</td>
+              <td>${entry.summary}<div class="meta">${entry.details}</div></td>
+              <td>${entry.contactId || "—"}<div class="meta">${entry.role}</div></td>
+              <td><code>${entry.ipHash || "—"}</code></td>
+            </tr>`
+        )
+      : html`<tr><td colspan="4" class="empty-row">No activity recorded for this deal.</td></tr>`;
+
+  return adminPage(
+    `Deal ${dealId} activity`,
+    html`<h1>Activity for deal ${dealId}</h1>
+    <p class="subtitle">Portal views, checkouts and payment events, newest first (times in UTC).</p>
+
+    <p class="filters">
+      <a class="btn secondary" href="${backUrl}">← All deals</a>
+      <a class="btn secondary" href="${jsonUrl}">JSON</a>
+    </p>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Time</th>
+          <th>Event</th>
+          <th>Contact</th>
+          <th>IP (hashed)</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`
+  );
+}
+
+function options(choices) {
+  return choices.map(
+    ({ value, label, selected }) =>
+      html`<option value="${value}"${selected && " selected"}>${label}</option>`
+  );
+}
+
+// `content` is markup, e.g. html`<h1>...</h1>`
+function adminPage(title, content) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${title}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <style>
+    :root {
+      font-family: system-ui, -apple-system, BlinkMacSystemFont, "SF Pro Text",
+        "Segoe UI", sans-serif;
+      color: #0f172a;
+      background-color: #f8fafc;
+    }
+    body {
+      margin: 0;
+    }
+    .container {
+      max-width: 1180px;
+      margin: 32px auto;
+      padding: 24px;
+      background: #ffffff;
+      border-radius: 16px;
+      box-shadow: 0 18px 45px rgba(15, 23, 42, 0.12);
+    }
+    h1 {
+      margin: 0 0 4px;
+      font-size: 1.5rem;
+      font-weight: 650;
+    }
+    .subtitle {
+      margin: 0 0 20px;
+      color: #6b7280;
+    }
+    .filters {
+      display: flex;
+      gap: 10px;
+      flex-wrap: wrap;
+      align-items: center;
+      margin-bottom: 16px;
+    }
+    .filters input,
+    .filters select {
+      padding: 8px 10px;
+      border-radius: 8px;
+      border: 1px solid #d1d5db;
+      font-size: 0.95rem;
+    }
+    .btn {
+      display: inline-block;
+      padding: 8px 16px;
+      border-radius: 999px;
+      border: none;
+      background: #4f46e5;
+      color: #fff;
+      font-weight: 650;
+      font-size: 0.9rem;
+      text-decoration: none;
+      cursor: pointer;
+    }
+    .btn.secondary {
+      background: #eef2ff;
+      color: #3730a3;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9rem;
+    }
+    th,
+    td {
+      padding: 10px 8px;
+      border-bottom: 1px solid #e5e7eb;
+      text-align: left;
+      vertical-align: top;
+    }
+    th {
+      font-size: 0.75rem;
+      text-transform: uppercase;
+      letter-spacing: 0.04em;
+      color: #6b7280;
+    }
+    .num {
+      text-align: right;
+      white-space: nowrap;
+    }
+    .meta {
+      font-size: 0.8rem;
+      color: #6b7280;
+    }
+    tr.overdue td {
+      background: #fef2f2;
+    }
+    .badge {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 999px;
+      font-size: 0.75rem;
+      font-weight: 600;
+      background: #f3f4f6;
+      color: #374151;
+    }
+    .badge.${DEPOSIT_STATUS.PAID} {
+      background: #dcfce7;
+      color: #166534;
+    }
+    .badge.${DEPOSIT_STATUS.NOT_PAID},
+    .badge.overdue,
+    .badge.overpaid {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+    .empty-row {
+      text-align: center;
+      color: #6b7280;
+    }
+    .pager {
+      margin-top: 16px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      color: #6b7280;
+      font-size: 0.9rem;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${content}
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { dashboardPage, activityPage };
@@ -0,0 +1,128 @@
+// netlify/templates/custom-payment.js
+// Validation, fee preview and checkout redirect for the custom amount card.
+// When the embedded payment form is on the page the payment opens there
+// instead (see payment-element.js).
+//
+// The input is in major units; min and max arrive in minor units and every
+// comparison and fee is worked out in minor units, as on the server. `rate`
+// is the card fee rate charged (see cardFeeTerms in checkout.js): 0 when
+// cards pay none, and with `feeVaries` what a credit card pays. Messages
+// arrive translated, with their placeholders filled in the browser.
+
+const { html, js } = require("../lib/templates");
+
+function customPaymentScript({
+  dealId,
+  token,
+  lang,
+  min,
+  max,
+  rate,
+  feeVaries,
+  currency,
+  exponent,
+  locale,
+  messages,
+}) {
+  return html`<script>
+${js`(function(){
+  const MIN = ${min};
+  const MAX = ${max};
+  const RATE = ${rate};
+  const FEE_VARIES = ${Boolean(feeVaries)};
+  const CURRENCY = ${currency.toUpperCase()};
+  const EXP = ${exponent};
+  const SCALE = Math.pow(10, EXP);
+  const LOCALE = ${locale};
+  const LANG = ${lang || ""};
+  const DEAL_ID = ${String(dealId)};
+  const TOKEN = ${String(token || "")};
+  const MESSAGES = ${messages};
+
+  const input = document.getElementById('customAmount');
+  const calc  = document.getElementById('customCalc');
+  const err   = document.getElementById('customError');
+  const btn   = document.getElementById('customPayBtn');
+  const bankBtn = document.getElementById('customBankBtn');
+
+  function fmt(minor){
+    return (minor / SCALE).toLocaleString(LOCALE,{style:'currency', currency:CURRENCY, minimumFractionDigits:EXP, maximumFractionDigits:EXP});
+  }
+
+  function escape(s){
+    return String(s).replace(/[&<>"']/g, function(c){ return '&#' + c.charCodeAt(0) + ';'; });
+  }
+
+  function fill(message, vars){
+    return message.replace(/\{(\w+)\}/g, function(m, name){
+      return vars && name in vars ? vars[name] : m;
+    });
+  }
+
+  // Plain text, for textContent
+  function text(key, vars){
+    return fill(MESSAGES[key], vars);
+  }
+
+  // Escaped message with vars inserted as given markup, for innerHTML
+  function markup(key, vars){
+    return fill(escape(MESSAGES[key]), vars);
+  }
+
+  function total(minor){
+    return '<strong>' + escape(text('total', { amount: fmt(minor) })) + '</strong>';
+  }
+
+  function amountMinor(){
+    const v = parseFloat(input.value);
+    return Number.isNaN(v) ? NaN : Math.round(v * SCALE);
+  }
+
+  function setState(message, html, enabled){
+    err.textContent = message || '';
+    calc.innerHTML = html || '';
+    btn.disabled = !enabled;
+    if (bankBtn) bankBtn.disabled = !enabled;
+  }
+
+  function validateAndRender(){
+    const v = amountMinor();
+    if (Number.isNaN(v)) return setState(text('enterAmount'), '', false);
+    if (v < MIN) return setState(text('minimum', { amount: fmt(MIN) }), '', false);
+    if (v > MAX) return setState(text('maximum'), '', false);
+
+    const fee = Math.round(v * RATE);
+    let card = RATE > 0
+      ? markup('cardBreakdown', { base: escape(fmt(v)), fee: escape(fmt(fee)), total: total(v + fee) })
+      : markup('cardNoFee', { total: total(v) });
+    if (RATE > 0 && FEE_VARIES) card += '<br />' + markup('cardFeeVaries');
+    const bank = bankBtn ? '<br />' + markup('bankBreakdown', { total: total(v) }) : '';
+    setState('', card + bank, true);
+  }
+
+  input.addEventListener('input', validateAndRender);
+  validateAndRender();
+
+  function pay(method){
+    const v = amountMinor();
+    if (Number.isNaN(v) || v < MIN || v > MAX) return;
+
+    const qs = new URLSearchParams();
+    qs.set('checkout','1');
+    qs.set('type','custom');
+    qs.set('method', method);
+    qs.set('amount', (v / SCALE).toFixed(EXP));
+    qs.set('dealId', DEAL_ID);
+    qs.set('token', TOKEN);
+    if (LANG) qs.set('lang', LANG);
+    if (window.startEmbeddedPayment && window.startEmbeddedPayment(qs)) return;
+    window.location.search = qs.toString();
+  }
+
+  btn.addEventListener('click', function(){ pay('card'); });
+  if (bankBtn) bankBtn.addEventListener('click', function(){ pay('bank'); });
+})();`}
+</script>`;
+}
+
+module.exports = { customPaymentScript };
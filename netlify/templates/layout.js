@@ -0,0 +1,80 @@
+// netlify/templates/layout.js
+// The page shell: brand header, the page's content and a footer with the
+// support contact and legal links.
+
+const { html, raw } = require("../lib/templates");
+const styles = require("./styles");
+
+function brandVariables(colors) {
+  return raw(`:root {
+  --brand-primary: ${colors.primary};
+  --brand-primary-soft: ${colors.primarySoft};
+  --brand-primary-border: ${colors.primaryBorder};
+  --brand-text: ${colors.text};
+  --brand-background: ${colors.background};
+}`);
+}
+
+function brandHeader(brand) {
+  const mark = brand.logoUrl
+    ? html`<img src="${brand.logoUrl}" alt="${brand.name}" height="${brand.logoHeight}" />`
+    : brand.name;
+  if (!mark) return "";
+
+  return html`
+  <header class="brand-header">
+    ${brand.website ? html`<a href="${brand.website}">${mark}</a>` : html`<a>${mark}</a>`}
+  </header>`;
+}
+
+function brandFooter(brand, i18n) {
+  const { supportEmail, supportPhone, legalLinks } = brand;
+
+  return html`
+  <footer class="brand-footer">
+    ${
+      supportEmail &&
+      html`<div>${i18n.html("footer.email", {
+        email: html`<a href="mailto:${supportEmail}">${supportEmail}</a>`,
+      })}</div>`
+    }
+    ${
+      supportPhone &&
+      html`<div>${i18n.html("footer.phone", {
+        phone: html`<a href="tel:${supportPhone.replace(/[^\d+]/g, "")}">${supportPhone}</a>`,
+      })}</div>`
+    }
+    ${
+      legalLinks.length > 0 &&
+      html`<div class="legal-links">
+      ${legalLinks.map(
+        (link) =>
+          html`<a href="${link.url}" target="_blank" rel="noopener noreferrer">${i18n.t(`footer.${link.key}`)}</a>`
+      )}
+    </div>`
+    }
+  </footer>`;
+}
+
+// `body` is the page content, usually wrapped in a .container
+function layout({ title, body, brand, i18n }) {
+  return html`<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${title}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+${brandVariables(brand.colors)}
+${raw(styles)}
+  </style>
+</head>
+<body>
+  ${brandHeader(brand)}
+  ${body}
+  ${brandFooter(brand, i18n)}
+</body>
+</html>`;
+}
+
+module.exports = { layout };
@@ -0,0 +1,34 @@
+// netlify/templates/message.js
+// Short pages with a heading and a message: errors, confirmations and the
+// form that emails a fresh portal link.
+
+const { html } = require("../lib/templates");
+const { layout } = require("./layout");
+
+// `content` is markup, e.g. html`<p>...</p>` or a translation from i18n.t
+function messagePage({ title, content, brand, i18n }) {
+  return layout({
+    title,
+    brand,
+    i18n,
+    body: html`<div class="container"><h1>${title}</h1>${content}</div>`,
+  });
+}
+
+function linkRequestPage({ message, lang, brand, i18n }) {
+  return messagePage({
+    title: i18n.text("link.title"),
+    brand,
+    i18n,
+    content: html`
+      <p class="subtitle">${message}</p>
+      <form class="link-form" method="get">
+        <input name="email" type="email" required placeholder="${i18n.text("link.emailPlaceholder")}" />
+        ${lang && html`<input type="hidden" name="lang" value="${lang}" />`}
+        <button type="submit">${i18n.t("link.submit")}</button>
+      </form>
+    `,
+  });
+}
+
+module.exports = { messagePage, linkRequestPage };
@@ -0,0 +1,321 @@
+// netlify/templates/payment-element.js
+// The embedded payment form: Stripe's Payment Element, with Apple Pay and
+// Google Pay where the browser offers them, in place of the redirect to
+// Checkout.
+//
+// The pay buttons and the custom amount card hand their Checkout query to
+// window.startEmbeddedPayment, which asks the server for a PaymentIntent
+// (intent=1) and mounts the form with its fee breakdown. Where the card fee
+// depends on the card, the entered card is checked first (quote=1, from a
+// ConfirmationToken) and its fee shown; the server then confirms the payment
+// with that same token (pay=1), so the card charged is the card quoted. A
+// payment that completes without a redirect refreshes the remaining balance
+// in place.
+// Whenever the form can't be used (Stripe.js blocked, the server declining)
+// the browser goes on to Checkout as before.
+
+const { html, js } = require("../lib/templates");
+
+const STRIPE_JS = "https://js.stripe.com/v3/";
+
+function paymentElementPanel(i18n) {
+  return html`
+      <div id="embeddedPayment" class="embedded-payment" hidden>
+        <h3>${i18n.t("embedded.heading")}</h3>
+        <div id="embeddedBreakdown" class="fee"></div>
+        <div id="paymentElement"></div>
+        <div id="embeddedError" class="error" role="alert"></div>
+        <div class="embedded-actions">
+          <button id="embeddedPayBtn" class="btn" type="button" disabled>${i18n.t("embedded.loading")}</button>
+          <button id="embeddedCancelBtn" class="btn secondary" type="button">${i18n.t("embedded.cancel")}</button>
+        </div>
+        <a id="embeddedHosted" class="hosted-link" href="#">${i18n.t("embedded.hosted")}</a>
+      </div>
+      <div id="embeddedNotice" class="notice" hidden></div>`;
+}
+
+// `config`: { publishableKey, locale, color, messages }
+function paymentElementScript(config) {
+  return html`<script src="${STRIPE_JS}"></script>
+<script>
+${js`(function(){
+  const CONFIG = ${config};
+  const MESSAGES = CONFIG.messages;
+
+  const panel  = document.getElementById('embeddedPayment');
+  const layout = document.querySelector('.payment-layout');
+  const breakdown = document.getElementById('embeddedBreakdown');
+  const err    = document.getElementById('embeddedError');
+  const payBtn = document.getElementById('embeddedPayBtn');
+  const cancelBtn = document.getElementById('embeddedCancelBtn');
+  const hostedLink = document.getElementById('embeddedHosted');
+  const notice = document.getElementById('embeddedNotice');
+
+  let stripe = null;
+  let elements = null;
+  let element = null;
+  let current = null;
+  let query = null;
+  let quote = null;
+  let confirmation = null;
+
+  function escape(s){
+    return String(s).replace(/[&<>"']/g, function(c){ return '&#' + c.charCodeAt(0) + ';'; });
+  }
+
+  function fill(message, vars){
+    return message.replace(/\{(\w+)\}/g, function(m, name){
+      return vars && name in vars ? vars[name] : m;
+    });
+  }
+
+  function text(key, vars){
+    return fill(MESSAGES[key], vars);
+  }
+
+  function markup(key, vars){
+    return fill(escape(MESSAGES[key]), vars);
+  }
+
+  // The same payment on Stripe's hosted page
+  function hosted(qs){
+    const next = new URLSearchParams(qs);
+    next.delete('intent');
+    next.set('checkout', '1');
+    window.location.search = next.toString();
+  }
+
+  function close(){
+    if (element) element.destroy();
+    element = null;
+    elements = null;
+    current = null;
+    panel.hidden = true;
+    layout.hidden = false;
+  }
+
+  function open(qs){
+    query = new URLSearchParams(qs);
+    query.delete('checkout');
+    query.set('intent', '1');
+
+    close();
+    layout.hidden = true;
+    panel.hidden = false;
+    err.textContent = '';
+    breakdown.innerHTML = '';
+    payBtn.disabled = true;
+    payBtn.textContent = text('loading');
+
+    fetch('?' + query.toString(), { headers: { Accept: 'application/json' } })
+      .then(function(res){
+        return res.json().then(function(body){ return { status: res.status, body: body }; });
+      })
+      .then(function(r){
+        if (r.body.intentId) return mount(r.body);
+        // Refusals the family can act on are shown; anything else goes to Checkout
+        if (r.body.error && r.status < 500 && r.status !== 404) {
+          err.textContent = r.body.error.message || text('failed');
+          payBtn.textContent = text('failed');
+          return;
+        }
+        hosted(query);
+      })
+      .catch(function(){ hosted(query); });
+  }
+
+  function mount(intent){
+    current = intent;
+    stripe = stripe || window.Stripe(CONFIG.publishableKey);
+    // Created for the amount rather than the intent, so the card can be
+    // checked (and its fee added) before the payment is confirmed
+    elements = stripe.elements({
+      mode: 'payment',
+      amount: intent.amount,
+      currency: intent.currency,
+      paymentMethodTypes: [intent.method],
+      locale: CONFIG.locale,
+      appearance: { theme: 'stripe', variables: { colorPrimary: CONFIG.color } },
+    });
+    element = elements.create('payment', {
+      wallets: { applePay: 'auto', googlePay: 'auto' },
+    });
+    element.on('ready', function(){ payBtn.disabled = false; });
+    // Another card may carry another fee
+    element.on('change', function(){ if (quote) reset(); });
+    element.mount('#paymentElement');
+    reset();
+  }
+
+  function showCharge(charge, varies){
+    const total = '<strong>' + escape(text('total', { amount: charge.display.total })) + '</strong>';
+    if (current.method !== 'card') {
+      breakdown.innerHTML = markup('bankBreakdown', { total: total });
+    } else if (charge.fee > 0) {
+      breakdown.innerHTML = markup('cardBreakdown', { base: escape(charge.display.base), fee: escape(charge.display.fee), total: total })
+        + (varies ? '<br />' + markup('cardFeeVaries') : '');
+    } else {
+      breakdown.innerHTML = markup(quote ? 'noCardFee' : 'cardNoFee', { total: total });
+    }
+  }
+
+  // Back to the fee a credit card pays, until a card has been checked
+  function reset(){
+    quote = null;
+    confirmation = null;
+    showCharge(current, current.feeVaries);
+    payBtn.textContent = current.feeVaries ? text('review') : text('pay', { amount: current.display.total });
+  }
+
+  function fail(error){
+    err.textContent = (error && error.message) || text('failed');
+    payBtn.disabled = false;
+  }
+
+  function pay(){
+    if (!current) return;
+    payBtn.disabled = true;
+    err.textContent = '';
+    if (current.feeVaries && !quote) review();
+    else confirm();
+  }
+
+  // The card's own fee, worked out on the server from a ConfirmationToken
+  function review(){
+    elements.submit()
+      .then(function(result){
+        if (result.error) throw result.error;
+        return stripe.createConfirmationToken({ elements: elements });
+      })
+      .then(function(result){
+        if (result.error) throw result.error;
+        const qs = new URLSearchParams(query);
+        qs.delete('intent');
+        qs.set('quote', '1');
+        qs.set('payment_intent', current.intentId);
+        qs.set('confirmation_token', result.confirmationToken.id);
+        return fetch('?' + qs.toString(), { headers: { Accept: 'application/json' } })
+          .then(function(res){
+            return res.json().then(function(body){
+              if (!res.ok) throw body.error;
+              return { token: result.confirmationToken, charge: body };
+            });
+          });
+      })
+      .then(function(r){
+        quote = r.charge;
+        confirmation = r.token;
+        // The wallets' payment sheets show the amount the form was given
+        elements.update({ amount: quote.total });
+        showCharge(quote, false);
+        // A card without a fee pays what was shown already
+        if (quote.fee === 0) return confirm();
+        payBtn.textContent = text('pay', { amount: quote.display.total });
+        payBtn.disabled = false;
+      })
+      .catch(fail);
+  }
+
+  // Stripe only leaves the page when the payment needs it (3-D Secure,
+  // bank authorisation); it then returns to the receipt page
+  function confirm(){
+    const intent = current;
+    const confirming = confirmation
+      ? confirmQuoted(intent)
+      : elements.submit().then(function(result){
+          if (result.error) return result;
+          return stripe.confirmPayment({
+            elements: elements,
+            clientSecret: intent.clientSecret,
+            confirmParams: { return_url: intent.returnUrl },
+            redirect: 'if_required',
+          });
+        });
+
+    confirming.then(function(result){
+      if (result.quote) return requote(result.quote, result.error);
+      if (result.error) {
+        // Another try may use another card
+        if (quote) reset();
+        return fail(result.error);
+      }
+      return refresh(intent);
+    });
+  }
+
+  // The quoted card is charged on the server, with the token it was quoted
+  // from; the browser only steps in for 3-D Secure
+  function confirmQuoted(intent){
+    const qs = new URLSearchParams(query);
+    qs.delete('intent');
+    qs.set('pay', '1');
+    qs.set('payment_intent', intent.intentId);
+    qs.set('confirmation_token', confirmation.id);
+    qs.set('total', String(quote.total));
+    return fetch('?' + qs.toString(), { method: 'POST', headers: { Accept: 'application/json' } })
+      .then(function(res){
+        return res.json().then(function(body){
+          if (!res.ok) return { error: body.error || {}, quote: body.quote };
+          if (body.status !== 'requires_action') return {};
+          return stripe.handleNextAction({ clientSecret: body.clientSecret });
+        });
+      })
+      .catch(function(error){ return { error: error }; });
+  }
+
+  // The card's fee changed since it was shown: show the new one to pay
+  function requote(charge, error){
+    quote = charge;
+    elements.update({ amount: quote.total });
+    showCharge(quote, false);
+    payBtn.textContent = text('pay', { amount: quote.display.total });
+    fail(error);
+  }
+
+  // The new balance, from the receipt for the payment just made
+  function refresh(intent){
+    return fetch(intent.receiptUrl + '&format=json', { headers: { Accept: 'application/json' } })
+      .then(function(res){
+        if (!res.ok) throw new Error('receipt ' + res.status);
+        return res.json();
+      })
+      .then(function(receipt){
+        const remaining = document.querySelector('.summary-card.highlight .value');
+        if (remaining) remaining.textContent = receipt.display.remaining;
+        document.querySelectorAll('.notice.in-progress').forEach(function(n){ n.remove(); });
+
+        close();
+        layout.hidden = true;
+        const message = text(receipt.status === 'processing' ? 'submitted' : 'paid', { amount: receipt.display.total });
+        notice.innerHTML = escape(message) + ' <a href="' + escape(receipt.receiptUrl) + '">' + escape(text('viewReceipt')) + '</a>';
+        notice.hidden = false;
+      })
+      .catch(function(){ window.location.href = intent.receiptUrl; });
+  }
+
+  payBtn.addEventListener('click', pay);
+  cancelBtn.addEventListener('click', close);
+  hostedLink.addEventListener('click', function(e){
+    e.preventDefault();
+    if (query) hosted(query);
+  });
+
+  // qs: the Checkout query a pay button would have opened. Returns false when
+  // the form can't be used, leaving the caller to go to Checkout.
+  window.startEmbeddedPayment = function(qs){
+    if (!window.Stripe || !panel || !layout) return false;
+    open(qs);
+    return true;
+  };
+
+  document.querySelectorAll('.pay-buttons a.btn').forEach(function(link){
+    link.addEventListener('click', function(e){
+      const qs = new URLSearchParams(link.getAttribute('href').replace(/^\?/, ''));
+      if (window.startEmbeddedPayment(qs)) e.preventDefault();
+    });
+  });
+})();`}
+</script>`;
+}
+
+module.exports = { paymentElementPanel, paymentElementScript };
@@ -0,0 +1,375 @@
+// netlify/templates/portal.js
+// The deal portal: balance summary, payment schedule, ways to pay, payment
+// plans and history.
+// Amounts and dates arrive formatted; sections that don't apply arrive empty
+// (null, "" or []) and are left out.
+
+const { html } = require("../lib/templates");
+const { layout } = require("./layout");
+const { customPaymentScript } = require("./custom-payment");
+const { paymentElementPanel, paymentElementScript } = require("./payment-element");
+
+function summaryCard(label, value, { highlight = false, extra = "" } = {}) {
+  return html`
+        <div class="summary-card${highlight ? " highlight" : ""}">
+          <div class="label">${label}</div>
+          <div class="value">${value}</div>
+          ${extra}
+        </div>`;
+}
+
+function summaryGrid({ payer, summary }, i18n) {
+  return html`
+      <div class="summary-grid">
+        ${
+          !payer && [
+            summaryCard(i18n.t("portal.tuition"), summary.tuition),
+            summary.adjustments &&
+              summaryCard(i18n.t("portal.adjustments"), `−${summary.adjustments}`),
+            summaryCard(i18n.t("portal.paid"), summary.paid),
+            summary.processing &&
+              summaryCard(i18n.t("portal.processing"), summary.processing),
+          ]
+        }
+        ${summaryCard(i18n.t("portal.remaining"), summary.remaining, {
+          highlight: true,
+          extra:
+            summary.dueDate &&
+            html`<div class="due">${i18n.t("portal.dueBy", { date: summary.dueDate })}</div>`,
+        })}
+      </div>`;
+}
+
+// Checkouts started but not yet paid or expired. Whoever started one can
+// pick it up again (an embedded form's payment has no page to return to, so
+// from the form); everyone else is told to wait for it.
+function inProgressNotice(session, i18n) {
+  return html`
+      <div class="notice in-progress">
+        ${i18n.t(session.mine ? "portal.inProgress" : "portal.inProgressOther", {
+          amount: session.amount,
+          minutes: i18n.text("portal.minutes", { count: session.minutes }),
+        })}
+        ${session.mine && session.url && html`<a href="${session.url}">${i18n.t("portal.continuePayment")}</a>`}
+      </div>`;
+}
+
+// The deal's milestones as a timeline.
+// rows: { name, amount, due, status, owing }
+function milestoneTimeline(rows, i18n) {
+  return html`
+    <div class="section milestone-section">
+      <h2>${i18n.t("schedule.heading")}</h2>
+      <ol class="milestones">${rows.map(
+        (row) => html`
+        <li class="milestone milestone-${row.status}">
+          <div class="milestone-name">${row.name}</div>
+          <div class="milestone-amount">
+            ${row.amount}${row.owing && html` · ${i18n.t("schedule.owing", { amount: row.owing })}`}
+          </div>
+          <div class="milestone-date">
+            ${row.due ? i18n.t("schedule.dueOn", { date: row.due }) : i18n.t("schedule.onBooking")}
+          </div>
+          <div class="milestone-status">${i18n.t(`schedule.statuses.${row.status}`)}</div>
+        </li>`
+      )}</ol>
+    </div>
+  `;
+}
+
+function breakdownTotal(amount, i18n) {
+  return html`<strong>${i18n.t("pay.total", { amount })}</strong>`;
+}
+
+// `fee` is empty when cards pay none; with `feeVaries` it's what a credit
+// card pays, and the button shows the amount before any fee
+function payBlock(block, i18n) {
+  return html`
+    <div class="pay-block">
+      <div class="pay-label">${
+        block.name
+          ? i18n.t("pay.milestone", { name: block.name })
+          : i18n.t(`pay.${block.type}`)
+      } (${block.base})</div>
+      <div class="pay-buttons">
+        <a class="btn" href="${block.href}&amp;method=card">
+          ${i18n.t("pay.card", { amount: block.feeVaries ? block.base : block.total })}
+        </a>
+        ${
+          block.bank &&
+          html`<a class="btn secondary" href="${block.href}&amp;method=bank">
+          ${i18n.t("pay.bank", { amount: block.base })}
+        </a>`
+        }
+      </div>
+      <div class="fee">
+        ${
+          block.fee
+            ? i18n.html("pay.cardBreakdown", {
+                base: html`${block.base}`,
+                fee: html`${block.fee}`,
+                total: breakdownTotal(block.total, i18n),
+              })
+            : i18n.html("pay.cardNoFee", { total: breakdownTotal(block.total, i18n) })
+        }
+        ${block.feeVaries && html`<br />${i18n.t("pay.cardFeeVaries")}`}
+        ${
+          block.bank &&
+          html`<br />${i18n.html("pay.bankBreakdown", {
+            total: breakdownTotal(block.base, i18n),
+          })}`
+        }
+      </div>
+    </div>
+  `;
+}
+
+function customCard(custom, i18n) {
+  return html`
+          <div class="custom-card">
+            <h3>${i18n.t("portal.customHeading")}</h3>
+            <p class="sub">${i18n.t("portal.customLimits", { amount: custom.minLabel })}</p>
+
+            <input id="customAmount" type="number" min="${custom.min}" max="${custom.max}" step="${custom.step}" placeholder="${custom.min}" />
+            <div id="customError" class="error"></div>
+            <div id="customCalc" class="calc"></div>
+
+            <button id="customPayBtn" disabled type="button">${i18n.t("portal.payByCard")}</button>
+            ${custom.bank && html`<button id="customBankBtn" class="secondary" disabled type="button">${i18n.t("portal.payByBank")}</button>`}
+          </div>
+        `;
+}
+
+// Posted, since applying a code changes the deal; the deal and token go in
+// the action's query string like every other portal request
+function promoForm(form, i18n) {
+  const query = new URLSearchParams({ promo: "1", dealId: form.dealId, token: form.token });
+  if (form.lang) query.set("lang", form.lang);
+
+  return html`
+      <form class="promo-form" method="post" action="?${query.toString()}">
+        <label for="promoCode">${i18n.t("portal.promoLabel")}</label>
+        <input id="promoCode" name="code" type="text" autocomplete="off" value="${form.code}" />
+        <button class="btn secondary small" type="submit">${i18n.t("portal.promoApply")}</button>
+      </form>`;
+}
+
+// rows: { n, due, amount, status }
+function planSchedule(schedule, i18n) {
+  return html`
+    <div class="section plan-section">
+      <h2>${i18n.t("plan.heading")}</h2>
+      ${
+        schedule.pastDue
+          ? html`<div class="notice warning">${i18n.t("plan.pastDue")}</div>`
+          : html`<p class="subtitle">${i18n.t("plan.intro")}</p>`
+      }
+      <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>${i18n.t("plan.due")}</th>
+              <th>${i18n.t("portal.amount")}</th>
+              <th>${i18n.t("portal.status")}</th>
+            </tr>
+          </thead>
+          <tbody>${schedule.rows.map(
+            (row) => html`
+        <tr>
+          <td>${row.n}</td>
+          <td>${row.due}</td>
+          <td>${row.amount}</td>
+          <td>${row.status}</td>
+        </tr>`
+          )}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+// cards: { count, amount, fee, first, last, href }
+function planOptions(options, i18n) {
+  return html`
+    <div class="section plan-section">
+      <h2>${i18n.t("plan.setupHeading")}</h2>
+      <p class="subtitle">
+        ${i18n.t("plan.setupIntro", { date: options.cutoff })}
+      </p>
+      <div class="plan-grid">${options.cards.map(
+        (card) => html`
+        <a class="plan-option" href="${card.href}">
+          <div class="plan-count">${i18n.t("plan.count", { count: card.count })}</div>
+          <div class="plan-amount">${i18n.t(
+            card.feeVaries ? "plan.eachAmountUpTo" : "plan.eachAmount",
+            { amount: card.amount, fee: card.fee }
+          )}</div>
+          <div class="plan-dates">${card.first} – ${card.last}</div>
+        </a>`
+      )}</div>
+    </div>
+  `;
+}
+
+// An active plan shows only its schedule; a past-due one stays above the
+// options for a replacement plan.
+function planSection(plan, i18n) {
+  return html`${plan.schedule && planSchedule(plan.schedule, i18n)}${
+    plan.saved
+      ? html`<div class="notice">${i18n.t("plan.saved")}</div>`
+      : plan.options && planOptions(plan.options, i18n)
+  }`;
+}
+
+// A "pay for this student" link the family can pass on to a parent or sponsor
+function payerLinkSection(payerLink, i18n) {
+  return html`
+    <div class="section payer-link-section">
+      <h2>${i18n.t("payerLink.heading")}</h2>
+      <p class="subtitle">${i18n.t("payerLink.intro")}</p>
+      <input class="payer-link" type="text" readonly value="${payerLink}" onclick="this.select()" />
+    </div>
+  `;
+}
+
+// `rate` is empty when cards pay no fee; `feeVaries` when only credit cards
+// pay it
+function disclaimer({ rate, feeVaries, bank, wireUrl }, i18n) {
+  const cardNote = !rate
+    ? i18n.t("portal.noCardFeeNote")
+    : i18n.t(feeVaries ? "portal.creditCardFeeNote" : "portal.cardFeeNote", { rate });
+
+  return html`
+      <div class="payment-disclaimer info">
+        <strong>${i18n.t("portal.paymentNote")}</strong>
+        ${cardNote}
+        ${bank && i18n.t("portal.bankNoFee")}
+        ${
+          wireUrl &&
+          html`${i18n.t("portal.wireIntro")}
+        <a href="${wireUrl}" target="_blank" rel="noopener noreferrer">
+          ${i18n.t("portal.wireLink")}
+        </a>.`
+        }
+      </div>`;
+}
+
+// payments: { refund, amount, date, method, paidBy, status, txn }
+// adjustments: { amount, date, description, code }
+function historySection({ payments, adjustments }, i18n) {
+  const rows =
+    payments.length > 0 || adjustments.length > 0
+      ? [
+          payments.map(
+            (pay) => html`
+            <tr${pay.refund && html` class="refund-row"`}>
+              <td>${pay.amount}</td>
+              <td>${pay.date}</td>
+              <td>${pay.method}${pay.paidBy && html`<div class="paid-by">${i18n.t("portal.paidBy", { name: pay.paidBy })}</div>`}</td>
+              <td>${pay.status}</td>
+              <td class="mono">${pay.txn}</td>
+            </tr>`
+          ),
+          adjustments.map(
+            (adj) => html`
+            <tr>
+              <td>−${adj.amount}</td>
+              <td>${adj.date}</td>
+              <td>${adj.description}</td>
+              <td>${i18n.t("portal.applied")}</td>
+              <td class="mono">${adj.code}</td>
+            </tr>`
+          ),
+        ]
+      : html`<tr><td colspan="5" class="empty-row">${i18n.t("portal.noPayments")}</td></tr>`;
+
+  return html`
+      <div class="section">
+        <h2>${i18n.t("portal.historyHeading")}</h2>
+        <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>${i18n.t("portal.amount")}</th>
+                <th>${i18n.t("portal.date")}</th>
+                <th>${i18n.t("portal.method")}</th>
+                <th>${i18n.t("portal.status")}</th>
+                <th>${i18n.t("portal.transactionId")}</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>`;
+}
+
+function portalPage(view) {
+  const { brand, i18n, payer } = view;
+
+  const body = html`
+    <div class="container">
+      <div class="header-row">
+        <div>
+          <h1>${view.programName}</h1>
+          <p class="subtitle">${i18n.t(payer ? "portal.payerSubtitle" : "portal.subtitle")}</p>
+        </div>
+        ${
+          (view.statementHref || view.billingHref) &&
+          html`
+        <div class="header-actions">${
+          view.statementHref &&
+          html`
+          <a class="btn secondary small" href="${view.statementHref}">${i18n.t("portal.viewStatement")}</a>
+          <a class="btn secondary small" href="${view.statementHref}&amp;format=pdf">${i18n.t("portal.downloadPdf")}</a>`
+        }${
+          view.billingHref &&
+          html`
+          <a class="btn secondary small" href="${view.billingHref}">${i18n.t("portal.manageBilling")}</a>`
+        }
+        </div>`
+        }
+      </div>
+
+      ${summaryGrid(view, i18n)}
+
+      ${
+        view.processingNotice &&
+        html`<div class="notice">${i18n.t("portal.processingNotice", {
+          amount: view.processingNotice,
+        })}</div>`
+      }
+      ${view.inProgress.map((session) => inProgressNotice(session, i18n))}
+      ${view.promoApplied && html`<div class="notice">${i18n.t("portal.promoApplied")}</div>`}
+      ${view.promoError && html`<div class="notice warning">${view.promoError}</div>`}
+
+      ${view.milestones.length > 0 && milestoneTimeline(view.milestones, i18n)}
+
+      <div class="payment-layout">
+        <div class="actions">
+          ${view.payBlocks.map((block) => payBlock(block, i18n))}
+          ${view.paidInFull && html`<div class="paid-in-full">${i18n.t("portal.paidInFull")}</div>`}
+        </div>
+
+        ${view.custom && customCard(view.custom, i18n)}
+      </div>
+      ${view.embedded && paymentElementPanel(i18n)}
+
+      ${view.promoForm && promoForm(view.promoForm, i18n)}
+
+      ${view.plan && planSection(view.plan, i18n)}
+      ${view.payerLink && payerLinkSection(view.payerLink, i18n)}
+
+      ${disclaimer(view.disclaimer, i18n)}
+
+      ${view.history && historySection(view.history, i18n)}
+    </div>
+
+    ${view.custom && customPaymentScript(view.custom.script)}
+    ${view.embedded && paymentElementScript(view.embedded)}
+  `;
+
+  return layout({ title: i18n.text("titles.summary"), body, brand, i18n });
+}
+
+module.exports = { portalPage };
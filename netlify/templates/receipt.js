@@ -0,0 +1,47 @@
+// netlify/templates/receipt.js
+// Receipt Stripe returns to after a completed Checkout. Amounts and the date
+// arrive formatted.
+
+const { html } = require("../lib/templates");
+const { layout } = require("./layout");
+
+function receiptPage({ receipt, portalUrl, brand, i18n }) {
+  const { processing } = receipt;
+
+  const body = html`
+    <div class="container">
+      <div class="header-row">
+        <div>
+          <h1>${i18n.t(processing ? "receipt.submitted" : "receipt.received")}</h1>
+          <p class="subtitle">${receipt.programName}</p>
+        </div>
+        <div class="header-actions no-print">
+          <button class="btn secondary small" type="button" onclick="window.print()">${i18n.t("receipt.print")}</button>
+        </div>
+      </div>
+
+      ${processing && html`<div class="notice">${i18n.t("receipt.processing")}</div>`}
+
+      <div class="table-wrapper">
+        <table class="receipt-table">
+          <tbody>
+            <tr><th>${i18n.t("receipt.date")}</th><td>${receipt.date}</td></tr>
+            ${receipt.email && html`<tr><th>${i18n.t("receipt.billingEmail")}</th><td>${receipt.email}</td></tr>`}
+            <tr><th>${i18n.t("receipt.method")}</th><td>${receipt.method}</td></tr>
+            <tr><th>${i18n.t("receipt.transactionId")}</th><td class="mono">${receipt.txn}</td></tr>
+            <tr><th>${i18n.t("receipt.amount")}</th><td>${receipt.base}</td></tr>
+            <tr><th>${i18n.t("receipt.fee")}</th><td>${receipt.fee}</td></tr>
+            <tr><th>${i18n.t("receipt.total")}</th><td><strong>${receipt.total}</strong></td></tr>
+            <tr><th>${i18n.t(processing ? "receipt.remainingOnceCleared" : "receipt.remaining")}</th><td>${receipt.remaining}</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <p class="no-print"><a class="btn" href="${portalUrl}">${i18n.t("receipt.back")}</a></p>
+    </div>
+  `;
+
+  return layout({ title: i18n.text("titles.receipt"), body, brand, i18n });
+}
+
+module.exports = { receiptPage };
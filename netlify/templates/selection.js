@@ -0,0 +1,38 @@
+// netlify/templates/selection.js
+// Chooser shown when a link covers more than one deal.
+
+const { html } = require("../lib/templates");
+const { layout } = require("./layout");
+
+// Each program: { name, href, amount (formatted, or ""), payer }
+function selectionPage({ programs, brand, i18n }) {
+  const cards = programs.map(
+    (program) => html`
+        <a href="${program.href}" class="program-card">
+          <div class="program-name">${program.name}</div>
+          ${
+            program.payer
+              ? html`<div class="program-amount">${i18n.t("selection.payerNote")}</div>`
+              : program.amount &&
+                html`<div class="program-amount">${i18n.t("selection.tuition", { amount: program.amount })}</div>`
+          }
+          <div class="program-view">${i18n.t(program.payer ? "selection.payerAction" : "selection.view")}</div>
+        </a>
+      `
+  );
+
+  return layout({
+    title: i18n.text("titles.select"),
+    brand,
+    i18n,
+    body: html`
+      <div class="container">
+        <h1>${i18n.t("selection.heading")}</h1>
+        <p>${i18n.t("selection.intro")}</p>
+        <div class="program-grid">${cards}</div>
+      </div>
+    `,
+  });
+}
+
+module.exports = { selectionPage };
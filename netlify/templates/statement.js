@@ -0,0 +1,96 @@
+// netlify/templates/statement.js
+// Printable statement for one deal. Statements are formal documents and, like
+// the PDF, stay in English. Amounts and dates arrive formatted.
+
+const { html } = require("../lib/templates");
+const { layout } = require("./layout");
+
+function summaryCard(label, value, highlight = false) {
+  return html`
+        <div class="summary-card${highlight ? " highlight" : ""}">
+          <div class="label">${label}</div>
+          <div class="value">${value}</div>
+        </div>`;
+}
+
+// payments: { refund, date, method, paidBy, status, txn, amount }
+// adjustments: { date, description, code, amount }
+function statementPage({ statement, portalUrl, pdfUrl, brand, i18n }) {
+  const rows =
+    statement.payments.length > 0 || statement.adjustments.length > 0
+      ? [
+          statement.payments.map(
+            (pay) => html`
+            <tr${pay.refund && html` class="refund-row"`}>
+              <td>${pay.date}</td>
+              <td>${pay.method}${pay.paidBy && html`<div class="paid-by">Paid by ${pay.paidBy}</div>`}</td>
+              <td>${pay.status}</td>
+              <td class="mono">${pay.txn}</td>
+              <td class="num">${pay.amount}</td>
+            </tr>`
+          ),
+          statement.adjustments.map(
+            (adj) => html`
+            <tr>
+              <td>${adj.date}</td>
+              <td>${adj.description}</td>
+              <td>Applied</td>
+              <td class="mono">${adj.code}</td>
+              <td class="num">−${adj.amount}</td>
+            </tr>`
+          ),
+        ]
+      : html`<tr><td colspan="5" class="empty-row">No payments have been recorded yet.</td></tr>`;
+
+  const body = html`
+    <div class="container">
+      <div class="header-row">
+        <div>
+          <h1>Payment statement</h1>
+          <p class="subtitle">
+            ${statement.programName}<br />
+            Statement date: ${statement.date} · Reference ${statement.reference}
+            ${statement.email && html`<br />Account: ${statement.email}`}
+          </p>
+        </div>
+        <div class="header-actions no-print">
+          <button class="btn secondary small" type="button" onclick="window.print()">Print</button>
+          <a class="btn secondary small" href="${pdfUrl}">Download PDF</a>
+        </div>
+      </div>
+
+      <div class="summary-grid">
+        ${summaryCard("Program Tuition", statement.tuition)}
+        ${statement.totalAdjustments && summaryCard("Scholarships & credits", `−${statement.totalAdjustments}`)}
+        ${summaryCard("Paid to date", statement.totalPaid)}
+        ${statement.processing && summaryCard("Processing", statement.processing)}
+        ${summaryCard("Balance due", statement.remaining, true)}
+      </div>
+
+      <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Method</th>
+              <th>Status</th>
+              <th>Transaction ID</th>
+              <th class="num">Amount</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+
+      <p class="subtitle statement-note">
+        Amounts exclude card transaction fees. Only settled payments count towards the amount paid.
+      </p>
+
+      <p class="no-print"><a class="btn" href="${portalUrl}">Back to payment overview</a></p>
+    </div>
+  `;
+
+  return layout({ title: "Payment Statement", body, brand, i18n });
+}
+
+module.exports = { statementPage };
@@ -0,0 +1,606 @@
+// netlify/templates/styles.js
+// Stylesheet shared by every portal page. Brand colours come in as CSS
+// variables set by the layout.
+
+module.exports = `
+:root {
+  font-family: system-ui, -apple-system, BlinkMacSystemFont, "SF Pro Text",
+    "Segoe UI", sans-serif;
+  color: var(--brand-text);
+  background-color: #f8fafc;
+}
+body {
+  margin: 0;
+  background: radial-gradient(circle at top left, var(--brand-background), #f9fafb);
+}
+.container {
+  max-width: 820px;
+  margin: 40px auto;
+  padding: 24px;
+  background: #ffffff;
+  border-radius: 16px;
+  box-shadow: 0 18px 45px rgba(15, 23, 42, 0.12);
+}
+h1 {
+  margin: 0 0 4px;
+  font-size: 1.5rem;
+  font-weight: 650;
+  color: var(--brand-text);
+}
+h2 {
+  font-size: 1.1rem;
+  margin: 0 0 12px;
+  font-weight: 650;
+  color: #111827;
+}
+.subtitle {
+  margin: 0 0 20px;
+  color: #6b7280;
+  font-size: 0.95rem;
+}
+
+.summary-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 12px;
+  margin-bottom: 22px;
+}
+.summary-card {
+  padding: 14px 16px;
+  border-radius: 14px;
+  border: 1px solid #e5e7eb;
+  background: linear-gradient(to bottom right, #ffffff, #f9fafb);
+}
+.summary-card.highlight {
+  border-color: var(--brand-primary);
+  background: radial-gradient(circle at top left, var(--brand-primary-soft), #f9fafb);
+}
+.label {
+  font-size: 0.75rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  color: #6b7280;
+  margin-bottom: 4px;
+}
+.value {
+  font-size: 1.15rem;
+  font-weight: 700;
+  color: #111827;
+}
+.due {
+  margin-top: 4px;
+  font-size: 0.8rem;
+  color: #4b5563;
+}
+
+.payment-layout {
+  display: grid;
+  grid-template-columns: 1fr 320px;
+  gap: 28px;
+  align-items: start;
+  margin-top: 8px;
+}
+@media (max-width: 900px) {
+  .payment-layout {
+    grid-template-columns: 1fr;
+  }
+}
+
+.pay-block {
+  margin-bottom: 18px;
+}
+.btn {
+  display: inline-block;
+  padding: 10px 18px;
+  border-radius: 999px;
+  background: var(--brand-primary);
+  color: #fff;
+  text-decoration: none;
+  font-weight: 650;
+  font-size: 0.95rem;
+}
+.btn.secondary {
+  background: #ffffff;
+  color: var(--brand-primary);
+  box-shadow: inset 0 0 0 1px var(--brand-primary-border);
+}
+.pay-label {
+  font-weight: 650;
+  margin-bottom: 8px;
+}
+.pay-buttons {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+}
+.fee {
+  margin-top: 6px;
+  font-size: 0.86rem;
+  color: #4b5563;
+}
+
+.custom-card {
+  border: 1px solid #e5e7eb;
+  border-radius: 14px;
+  padding: 18px;
+  background: #fafafa;
+  position: sticky;
+  top: 24px;
+}
+@media (max-width: 900px) {
+  .custom-card {
+    position: static;
+  }
+}
+.custom-card h3 {
+  margin: 0 0 6px;
+  font-size: 1.05rem;
+}
+.custom-card .sub {
+  margin: 0 0 10px;
+  color: #6b7280;
+  font-size: 0.9rem;
+}
+.custom-card input {
+  width: 100%;
+  box-sizing: border-box;
+  padding: 10px 12px;
+  border-radius: 10px;
+  border: 1px solid #d1d5db;
+  font-size: 1rem;
+  outline: none;
+}
+.custom-card input:focus {
+  border-color: var(--brand-primary);
+  box-shadow: 0 0 0 3px color-mix(in srgb, var(--brand-primary) 14%, transparent);
+}
+.custom-card button {
+  margin-top: 10px;
+  width: 100%;
+  padding: 10px 12px;
+  border-radius: 10px;
+  border: none;
+  background: #111827;
+  color: #fff;
+  font-weight: 650;
+  cursor: pointer;
+}
+.custom-card button.secondary {
+  background: #ffffff;
+  color: #111827;
+  border: 1px solid #d1d5db;
+}
+.custom-card button:disabled {
+  opacity: 0.55;
+  cursor: not-allowed;
+}
+.error {
+  margin-top: 6px;
+  font-size: 0.86rem;
+  color: #b91c1c;
+  min-height: 1.1em;
+}
+.calc {
+  margin-top: 6px;
+  font-size: 0.86rem;
+  color: #374151;
+  min-height: 1.1em;
+}
+
+/* Info callout */
+.payment-disclaimer.info {
+  margin: 28px 0 20px;
+  padding: 14px 16px;
+  border-radius: 12px;
+  background: #eff6ff;
+  border: 1px solid #bfdbfe;
+  color: #1e3a8a;
+  font-size: 0.92rem;
+  line-height: 1.45;
+}
+.payment-disclaimer.info a {
+  color: #1d4ed8;
+  font-weight: 650;
+  text-decoration: underline;
+}
+
+.table-wrapper {
+  border-radius: 12px;
+  border: 1px solid #e5e7eb;
+  overflow: hidden;
+  background: #ffffff;
+}
+table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.9rem;
+}
+thead {
+  background: #f9fafb;
+}
+th, td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #e5e7eb;
+  text-align: left;
+}
+th {
+  font-weight: 650;
+  color: #4b5563;
+  font-size: 0.8rem;
+  text-transform: uppercase;
+  letter-spacing: 0.06em;
+}
+tbody tr:last-child td {
+  border-bottom: none;
+}
+.empty-row {
+  text-align: center;
+  color: #9ca3af;
+  font-style: italic;
+}
+.mono {
+  font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas,
+    "Liberation Mono", "Courier New", monospace;
+  font-size: 0.82rem;
+}
+
+/* Deal selection cards */
+.program-grid {
+  display: grid;
+  grid-template-columns: 1fr;
+  gap: 12px;
+  margin-top: 16px;
+}
+.program-card {
+  display: block;
+  padding: 14px 16px;
+  border-radius: 12px;
+  border: 1px solid #e5e7eb;
+  background: #ffffff;
+  text-decoration: none;
+  color: inherit;
+  transition: box-shadow 0.15s ease, transform 0.15s ease,
+    border-color 0.15s ease;
+}
+.program-card:hover {
+  transform: translateY(-1px);
+  border-color: var(--brand-primary);
+  box-shadow: 0 12px 24px rgba(15, 23, 42, 0.12);
+}
+.program-name {
+  font-weight: 650;
+  margin-bottom: 4px;
+}
+.program-amount {
+  color: #6b7280;
+  font-size: 0.92rem;
+  margin-bottom: 8px;
+}
+.program-view {
+  color: var(--brand-primary);
+  font-weight: 650;
+  font-size: 0.92rem;
+}
+
+/* Link request form */
+.link-form {
+  display: flex;
+  gap: 10px;
+  flex-wrap: wrap;
+}
+.link-form input {
+  flex: 1 1 240px;
+  padding: 10px 12px;
+  border-radius: 10px;
+  border: 1px solid #d1d5db;
+  font-size: 1rem;
+  outline: none;
+}
+.link-form input:focus {
+  border-color: var(--brand-primary);
+  box-shadow: 0 0 0 3px color-mix(in srgb, var(--brand-primary) 14%, transparent);
+}
+.link-form button {
+  padding: 10px 18px;
+  border-radius: 999px;
+  border: none;
+  background: var(--brand-primary);
+  color: #fff;
+  font-weight: 650;
+  font-size: 0.95rem;
+  cursor: pointer;
+}
+
+.refund-row td {
+  color: #b91c1c;
+}
+
+/* Promo codes */
+.promo-form {
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+  margin-top: 20px;
+  font-size: 0.9rem;
+  color: #4b5563;
+}
+.promo-form input[type="text"] {
+  padding: 6px 10px;
+  border-radius: 8px;
+  border: 1px solid #d1d5db;
+  font-size: 0.9rem;
+  text-transform: uppercase;
+}
+
+/* Payers */
+.payer-link-section {
+  margin-top: 28px;
+}
+.payer-link {
+  width: 100%;
+  box-sizing: border-box;
+  padding: 8px 10px;
+  border-radius: 8px;
+  border: 1px solid #d1d5db;
+  font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+  font-size: 0.8rem;
+  color: #374151;
+}
+.paid-by {
+  font-size: 0.8rem;
+  color: #6b7280;
+}
+
+/* Payment schedule */
+.milestone-section {
+  margin-top: 28px;
+}
+.milestones {
+  list-style: none;
+  margin: 0;
+  padding: 0 0 0 18px;
+  border-left: 2px solid #e5e7eb;
+}
+.milestone {
+  position: relative;
+  display: grid;
+  grid-template-columns: 1fr auto;
+  gap: 2px 12px;
+  padding: 10px 0 10px 12px;
+}
+.milestone::before {
+  content: "";
+  position: absolute;
+  left: -25px;
+  top: 14px;
+  width: 12px;
+  height: 12px;
+  border-radius: 50%;
+  background: #ffffff;
+  border: 2px solid #d1d5db;
+}
+.milestone-name {
+  font-weight: 650;
+}
+.milestone-amount,
+.milestone-date {
+  color: #6b7280;
+  font-size: 0.88rem;
+}
+.milestone-status {
+  grid-column: 2;
+  grid-row: 1;
+  font-size: 0.85rem;
+  font-weight: 600;
+  color: #6b7280;
+}
+.milestone-paid::before,
+.milestone-processing::before {
+  background: #16a34a;
+  border-color: #16a34a;
+}
+.milestone-paid .milestone-status {
+  color: #15803d;
+}
+.milestone-due::before {
+  border-color: var(--brand-primary);
+}
+.milestone-due .milestone-status {
+  color: var(--brand-primary);
+}
+.milestone-overdue::before {
+  background: #dc2626;
+  border-color: #dc2626;
+}
+.milestone-overdue .milestone-status {
+  color: #b91c1c;
+}
+
+/* Embedded payment form */
+.embedded-payment {
+  max-width: 480px;
+  margin-top: 8px;
+  border: 1px solid #e5e7eb;
+  border-radius: 14px;
+  padding: 18px;
+  background: #fafafa;
+}
+.embedded-payment[hidden],
+.payment-layout[hidden] {
+  display: none;
+}
+.embedded-payment h3 {
+  margin: 0 0 6px;
+  font-size: 1.05rem;
+}
+.embedded-payment .fee {
+  margin: 0 0 14px;
+}
+.embedded-actions {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-top: 14px;
+}
+.embedded-actions button {
+  border: none;
+  cursor: pointer;
+}
+.embedded-actions button:disabled {
+  opacity: 0.55;
+  cursor: not-allowed;
+}
+.hosted-link {
+  display: inline-block;
+  margin-top: 12px;
+  font-size: 0.86rem;
+  color: #4b5563;
+}
+
+/* Payment plans */
+.plan-section {
+  margin-top: 28px;
+}
+.plan-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 12px;
+}
+.plan-option {
+  display: block;
+  padding: 14px 16px;
+  border-radius: 12px;
+  border: 1px solid #e5e7eb;
+  background: #ffffff;
+  text-decoration: none;
+  color: inherit;
+  transition: box-shadow 0.15s ease, border-color 0.15s ease;
+}
+.plan-option:hover {
+  border-color: var(--brand-primary);
+  box-shadow: 0 12px 24px rgba(15, 23, 42, 0.12);
+}
+.plan-count {
+  font-weight: 650;
+  margin-bottom: 4px;
+}
+.plan-amount,
+.plan-dates {
+  color: #6b7280;
+  font-size: 0.88rem;
+}
+.notice {
+  margin: 20px 0;
+  padding: 12px 14px;
+  border-radius: 12px;
+  background: #f0fdf4;
+  border: 1px solid #bbf7d0;
+  color: #14532d;
+  font-size: 0.92rem;
+}
+.notice.warning {
+  background: #fffbeb;
+  border-color: #fde68a;
+  color: #78350f;
+}
+
+/* Header actions, receipts + statements */
+.header-row {
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 16px;
+  flex-wrap: wrap;
+}
+.header-actions {
+  display: flex;
+  gap: 8px;
+  flex-wrap: wrap;
+}
+.btn.small {
+  padding: 6px 14px;
+  font-size: 0.85rem;
+  border: none;
+  cursor: pointer;
+}
+.receipt-table th {
+  width: 40%;
+  background: #f9fafb;
+}
+.num {
+  text-align: right;
+}
+.statement-note {
+  margin-top: 16px;
+  font-size: 0.85rem;
+}
+@media print {
+  body {
+    background: #ffffff;
+  }
+  .container {
+    box-shadow: none;
+    margin: 0;
+    max-width: none;
+  }
+  .no-print {
+    display: none !important;
+  }
+}
+
+.paid-in-full {
+  padding: 12px 14px;
+  border-radius: 12px;
+  border: 1px solid #e5e7eb;
+  background: #f9fafb;
+  color: #111827;
+  font-weight: 650;
+}
+
+/* Brand header + footer */
+.brand-header,
+.brand-footer {
+  max-width: 820px;
+  margin: 0 auto;
+  padding: 0 24px;
+  box-sizing: border-box;
+}
+.brand-header {
+  padding-top: 24px;
+}
+.brand-header a {
+  display: inline-block;
+  color: var(--brand-text);
+  font-weight: 700;
+  font-size: 1.1rem;
+  text-decoration: none;
+}
+.brand-header img {
+  display: block;
+  max-width: 240px;
+}
+.brand-header + .container {
+  margin-top: 16px;
+}
+.brand-footer {
+  margin-bottom: 40px;
+  color: #6b7280;
+  font-size: 0.85rem;
+  line-height: 1.6;
+}
+.brand-footer a {
+  color: inherit;
+}
+.brand-footer .legal-links {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 4px 16px;
+}
+@media print {
+  .brand-footer .legal-links {
+    display: none;
+  }
+}
+`;
@@ -0,0 +1,187 @@
+// scripts/dev-server.js
+// Runs the functions locally against the in-memory HubSpot and Stripe from
+// the test suite, seeded with test/fixtures/crm.json. Nothing leaves the
+// machine, and everything resets on restart.
+//
+//   npm run dev            (PORT=8888 by default)
+//
+// Serves the functions at /.netlify/functions/<name> and the JSON API at
+// /api/*, as Netlify does, and prints a portal link for each fixture
+// contact. Checkout redirects to a stand-in payment page that completes the
+// session and delivers the webhook, so the ledger, receipts and plans can be
+// walked through end to end. Mail goes to the console.
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.PORT) || 8888;
+const ORIGIN = `http://localhost:${PORT}`;
+
+// Before the harness fills in the rest, so links point here
+process.env.URL ??= ORIGIN;
+
+const { useFakes, tokenFor, fixtures } = require("../test/support/harness");
+const { buildPortalLink } = require("../netlify/lib/access");
+const { formatMoney } = require("../netlify/lib/currency");
+const { escapeHtml } = require("../netlify/lib/util");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..", "netlify", "functions");
+const CHECKOUT_PATH = "/_checkout";
+
+const { stripe, mail } = useFakes({
+  checkoutBaseUrl: `${ORIGIN}${CHECKOUT_PATH}`,
+});
+
+const handlers = {};
+function handlerFor(name) {
+  const file = path.join(FUNCTIONS_DIR, `${name}.js`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) return null;
+  handlers[name] ??= require(file).handler;
+  return handlers[name];
+}
+
+/* =========================================================
+   FUNCTIONS
+========================================================= */
+
+async function invoke(name, req, url, body) {
+  const handler = handlerFor(name);
+  if (!handler) return { statusCode: 404, body: `No function named ${name}.` };
+
+  return handler({
+    httpMethod: req.method,
+    rawUrl: url.toString(),
+    path: url.pathname,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    headers: req.headers,
+    body: body.length > 0 ? body.toString("utf8") : null,
+    isBase64Encoded: false,
+  });
+}
+
+function send(res, { statusCode = 200, headers = {}, body = "", isBase64Encoded }) {
+  res.writeHead(statusCode, headers);
+  res.end(isBase64Encoded ? Buffer.from(body, "base64") : body);
+}
+
+/* =========================================================
+   STAND-IN CHECKOUT
+========================================================= */
+
+// GET shows the session; POST pays or cancels it. Paying delivers
+// checkout.session.completed to the webhook before returning to the portal.
+async function checkoutPage(req, url, body) {
+  const id = url.pathname.split("/").pop();
+  const session = stripe.sessions.get(id);
+  if (!session) return { statusCode: 404, body: "No such Checkout Session." };
+
+  if (req.method === "POST") {
+    const action = new URLSearchParams(body.toString("utf8")).get("action");
+    if (action !== "pay" || session.status !== "open") {
+      return {
+        statusCode: 303,
+        headers: { Location: session.cancel_url },
+        body: "",
+      };
+    }
+
+    const event = stripe.complete(id);
+    const delivered = await handlerFor("stripe-webhook")({
+      httpMethod: "POST",
+      rawUrl: `${ORIGIN}/.netlify/functions/stripe-webhook`,
+      headers: { "stripe-signature": "dev" },
+      body: JSON.stringify(event),
+      isBase64Encoded: false,
+    });
+    console.log(`Webhook ${event.type}: ${delivered.statusCode} ${delivered.body}`);
+
+    const success = session.success_url.replace("{CHECKOUT_SESSION_ID}", id);
+    return { statusCode: 303, headers: { Location: success }, body: "" };
+  }
+
+  const amount =
+    session.amount_total === null
+      ? "Save a card for a payment plan"
+      : formatMoney(session.amount_total, session.currency);
+  const bank = session.metadata.paymentMethod === "us_bank_account";
+
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8" /><title>Test checkout</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto;">
+  <p><strong>Local test checkout</strong> – no money moves.</p>
+  <h1>${escapeHtml(amount)}</h1>
+  <p>
+    ${escapeHtml(session.mode)} session <code>${escapeHtml(id)}</code>
+    (${escapeHtml(session.status)})
+    ${bank ? "<br />Bank payments stay processing, as they do in Stripe." : ""}
+  </p>
+  <form method="post">
+    <button name="action" value="pay">Pay</button>
+    <button name="action" value="cancel">Cancel</button>
+  </form>
+</body>
+</html>`,
+  };
+}
+
+/* =========================================================
+   SERVER
+========================================================= */
+
+async function route(req, url, body) {
+  if (url.pathname === "/") {
+    return {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+      body: fs.readFileSync(path.join(__dirname, "..", "index.html"), "utf8"),
+    };
+  }
+  if (url.pathname.startsWith(`${CHECKOUT_PATH}/pay/`)) {
+    return checkoutPage(req, url, body);
+  }
+  if (url.pathname === "/api" || url.pathname.startsWith("/api/")) {
+    return invoke("api", req, url, body);
+  }
+
+  const fn = /^\/\.netlify\/functions\/([^/]+)/.exec(url.pathname);
+  if (fn) return invoke(fn[1], req, url, body);
+
+  return { statusCode: 404, body: "Not found." };
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", async () => {
+    const url = new URL(req.url, ORIGIN);
+    try {
+      send(res, await route(req, url, Buffer.concat(chunks)));
+    } catch (err) {
+      console.error(req.method, url.pathname, err);
+      send(res, { statusCode: 500, body: "Dev server error; see the console." });
+    }
+    console.log(req.method, `${url.pathname}${url.search.slice(0, 60)}`, res.statusCode);
+  });
+});
+
+// Mail is kept by the harness; show it instead
+setInterval(() => {
+  while (mail.length > 0) {
+    const message = mail.shift();
+    console.log(`\nMail to ${message.to}: ${message.subject}\n${message.text}\n`);
+  }
+}, 500).unref();
+
+server.listen(PORT, () => {
+  const portal = `${ORIGIN}/.netlify/functions/payments`;
+  console.log(`Payments dev server on ${ORIGIN} with fake HubSpot and Stripe.\n`);
+  fixtures.contacts.forEach((contact) => {
+    const { firstname, lastname, email } = contact.properties;
+    console.log(`${firstname} ${lastname} <${email}>`);
+    console.log(`  ${buildPortalLink(tokenFor(contact.id), portal)}\n`);
+  });
+});
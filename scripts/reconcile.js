@@ -0,0 +1,65 @@
+// scripts/reconcile.js
+// Compares Stripe payments with the payments recorded on each deal, against
+// the live accounts in STRIPE_SECRET_KEY and HUBSPOT_PRIVATE_APP_TOKEN:
+//
+//   npm run reconcile -- [--days=35] [--csv] [--fix]
+//
+// Prints a summary and the issues found (as CSV with --csv). --fix writes the
+// payments missing from their deals; everything else is left for a person.
+// See netlify/lib/reconcile.js for what each issue means.
+
+const { isStripeConfigured, getStripe } = require("../netlify/lib/stripe");
+const {
+  runReconciliation,
+  summarizeIssues,
+  issuesToCsv,
+} = require("../netlify/lib/reconcile");
+
+const DEFAULT_DAYS = 35;
+
+function parseArgs(argv) {
+  const args = { days: DEFAULT_DAYS, csv: false, fix: false };
+  argv.forEach((arg) => {
+    const [flag, value] = arg.split("=");
+    if (flag === "--days" && Number(value) > 0) args.days = Number(value);
+    else if (flag === "--csv") args.csv = true;
+    else if (flag === "--fix") args.fix = true;
+    else throw new Error(`Unknown option ${arg}`);
+  });
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!isStripeConfigured() || !process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
+    throw new Error("Set STRIPE_SECRET_KEY and HUBSPOT_PRIVATE_APP_TOKEN.");
+  }
+
+  const since = new Date(Date.now() - args.days * 24 * 60 * 60 * 1000);
+  const report = await runReconciliation(getStripe(), { since, fix: args.fix });
+
+  if (args.csv) {
+    console.log(issuesToCsv(report.issues));
+    return;
+  }
+
+  console.log(
+    `Stripe payments since ${report.since.slice(0, 10)}: ${report.payments}`
+  );
+  console.log(`Deals checked: ${report.deals}`);
+  Object.entries(summarizeIssues(report.issues)).forEach(([type, count]) =>
+    console.log(`  ${type.padEnd(18)} ${count}`)
+  );
+  if (args.fix) console.log(`Missing records written: ${report.fixed}`);
+
+  report.issues.forEach((issue) => {
+    const { type, dealId, txn, ...rest } = issue;
+    console.log(`\n${type} – deal ${dealId || "?"} ${txn}`);
+    console.log(`  ${JSON.stringify(rest)}`);
+  });
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
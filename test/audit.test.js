@@ -0,0 +1,356 @@
+// test/audit.test.js
+// What the portal, API and webhook record in the audit trail, and the sinks
+// it can be written to and read back from.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { FAMILY, PAYER, useFakes, tokenFor, eventFor, get } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const payments = require("../netlify/functions/payments");
+const api = require("../netlify/functions/api");
+const webhook = require("../netlify/functions/stripe-webhook");
+const admin = require("../netlify/functions/admin");
+const {
+  AUDIT_EVENTS,
+  setAuditSink,
+  hashIp,
+  recordAudit,
+  flushAudit,
+  auditEventsForDeal,
+  isAuditQueryable,
+} = require("../netlify/lib/audit");
+const { setHubSpotTransport } = require("../netlify/lib/hubspot-client");
+
+const CLIENT_IP = { "x-nf-client-connection-ip": "203.0.113.7" };
+
+function portal(query) {
+  return get(query, { headers: CLIENT_IP });
+}
+
+function pick(entry, keys) {
+  return Object.fromEntries(keys.map((key) => [key, entry[key]]));
+}
+
+// Points the audit trail at AUDIT_SINK=<name> for one test
+function withSink(name, env, fn) {
+  const vars = { AUDIT_SINK: name, ...env };
+  return async () => {
+    const saved = Object.keys(vars).map((key) => [key, process.env[key]]);
+    Object.assign(process.env, vars);
+    setAuditSink(null);
+    try {
+      await fn();
+    } finally {
+      saved.forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+      setAuditSink(null);
+    }
+  };
+}
+
+/* =========================================================
+   WHAT IS RECORDED
+========================================================= */
+
+test("a portal view records the deal, contact, balance and a hashed IP", async () => {
+  const { audit } = useFakes();
+  const res = await portal({ dealId: "101", token: tokenFor(FAMILY) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(audit.length, 1);
+  const [entry] = audit;
+  assert.equal(entry.type, AUDIT_EVENTS.PORTAL_VIEWED);
+  assert.equal(entry.dealId, "101");
+  assert.equal(entry.contactId, FAMILY);
+  assert.equal(entry.role, "family");
+  assert.equal(entry.amount, 650000);
+  assert.equal(entry.currency, "usd");
+  assert.equal(entry.ipHash, hashIp("203.0.113.7"));
+  assert.ok(!JSON.stringify(entry).includes("203.0.113.7"));
+  assert.ok(!isNaN(Date.parse(entry.at)));
+});
+
+test("the program list records each deal offered", async () => {
+  const { audit } = useFakes();
+  await portal({ token: tokenFor(FAMILY) });
+
+  assert.deepEqual(
+    audit.map((e) => [e.type, e.dealId]).sort(),
+    [
+      [AUDIT_EVENTS.DEALS_LISTED, "101"],
+      [AUDIT_EVENTS.DEALS_LISTED, "102"],
+    ]
+  );
+});
+
+test("checkouts record the session, and reuse says so", async () => {
+  const { audit, stripe } = useFakes();
+  const token = tokenFor(PAYER);
+  await portal({ checkout: "1", token, dealId: "101", type: "appfee" });
+  await portal({ checkout: "1", token, dealId: "101", type: "appfee" });
+
+  const [sessionId] = stripe.sessions.keys();
+  const keys = [
+    "type",
+    "dealId",
+    "contactId",
+    "role",
+    "amount",
+    "method",
+    "paymentType",
+    "sessionId",
+    "reused",
+  ];
+  assert.deepEqual(
+    audit.map((entry) => pick(entry, keys)),
+    [false, true].map((reused) => ({
+      type: AUDIT_EVENTS.CHECKOUT_STARTED,
+      dealId: "101",
+      contactId: PAYER,
+      role: "payer",
+      amount: 25000,
+      method: "card",
+      paymentType: "appfee",
+      sessionId,
+      reused,
+    }))
+  );
+});
+
+test("refused checkouts record why", async () => {
+  const { audit } = useFakes();
+  const token = tokenFor(FAMILY);
+  await portal({ checkout: "1", token, dealId: "101", type: "custom", amount: "10" });
+  await portal({ checkout: "1", token, dealId: "201", type: "appfee" });
+  await portal({ checkout: "1", token, type: "appfee" });
+
+  assert.deepEqual(
+    audit.map((e) => [e.type, e.dealId, e.code]),
+    [
+      [AUDIT_EVENTS.CHECKOUT_REJECTED, "101", "amount_below_minimum"],
+      [AUDIT_EVENTS.CHECKOUT_REJECTED, "201", "deal_not_found"],
+      [AUDIT_EVENTS.CHECKOUT_REJECTED, "", "missing_deal"],
+    ]
+  );
+  assert.equal(audit[0].requestedAmount, "10");
+});
+
+test("API checkouts are recorded with their channel", async () => {
+  const { audit } = useFakes();
+  const res = await quietly(() =>
+    api.handler(
+      eventFor("/api/v1/deals/101/checkout-sessions", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${tokenFor(FAMILY)}`, ...CLIENT_IP },
+        body: { type: "deposit", method: "bank" },
+      })
+    )
+  );
+
+  assert.equal(res.statusCode, 201);
+  const [entry] = audit;
+  assert.equal(entry.type, AUDIT_EVENTS.CHECKOUT_STARTED);
+  assert.equal(entry.channel, "api");
+  assert.equal(entry.method, "us_bank_account");
+  assert.equal(entry.ipHash, hashIp("203.0.113.7"));
+});
+
+test("webhook outcomes are recorded against the session's deal", async () => {
+  const { audit, stripe } = useFakes();
+  await portal({ checkout: "1", token: tokenFor(FAMILY), dealId: "101", type: "appfee" });
+  const [sessionId] = stripe.sessions.keys();
+
+  const res = await quietly(() =>
+    webhook.handler(
+      eventFor("/.netlify/functions/stripe-webhook", {
+        method: "POST",
+        headers: { "stripe-signature": "test" },
+        body: stripe.complete(sessionId),
+      })
+    )
+  );
+
+  assert.equal(res.statusCode, 200);
+  const entry = audit.at(-1);
+  assert.equal(entry.type, AUDIT_EVENTS.WEBHOOK_PROCESSED);
+  assert.equal(entry.stripeEvent, "checkout.session.completed");
+  assert.equal(entry.result, "succeeded");
+  assert.equal(entry.dealId, "101");
+  assert.equal(entry.contactId, FAMILY);
+  assert.equal(entry.amount, 25000);
+  assert.equal(entry.sessionId, sessionId);
+});
+
+test("a sink that fails doesn't fail the request", async () => {
+  useFakes();
+  setAuditSink({
+    async write() {
+      throw new Error("disk full");
+    },
+  });
+
+  const res = await portal({ dealId: "101", token: tokenFor(FAMILY) });
+  assert.equal(res.statusCode, 200);
+});
+
+/* =========================================================
+   SINKS
+========================================================= */
+
+test(
+  "the file sink appends JSON lines and reads them back per deal",
+  withSink(
+    "file",
+    { AUDIT_LOG_FILE: path.join(os.tmpdir(), `audit-${process.pid}.jsonl`) },
+    async () => {
+      const file = process.env.AUDIT_LOG_FILE;
+      try {
+        await recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, { dealId: "101", amount: 1 });
+        await recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, { dealId: "102", amount: 2 });
+        await recordAudit(AUDIT_EVENTS.CHECKOUT_STARTED, { dealId: "101", amount: 3 });
+
+        assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 3);
+        const events = await auditEventsForDeal("101");
+        assert.deepEqual(events.map((e) => e.amount), [3, 1]);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  )
+);
+
+test(
+  "the HubSpot sink writes timeline notes and reads them back per deal",
+  withSink("hubspot", {}, async () => {
+    const { hubspot } = useFakes();
+    setAuditSink(null);
+
+    await recordAudit(AUDIT_EVENTS.CHECKOUT_REJECTED, {
+      dealId: "101",
+      code: "amount_below_minimum",
+      requestedAmount: `<script>"10"</script>`,
+    });
+    await recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, { dealId: "102" });
+    await flushAudit();
+
+    assert.equal(hubspot.store.notes.length, 2);
+    const [note] = hubspot.store.notes;
+    assert.equal(note.associations[0].to.id, "101");
+    assert.match(note.properties.hs_note_body, /^<p><strong>Payments audit<\/strong>/);
+    assert.ok(!note.properties.hs_note_body.includes("<script>"));
+
+    const events = await auditEventsForDeal("101");
+    assert.equal(events.length, 1);
+    assert.equal(events[0].code, "amount_below_minimum");
+    assert.equal(events[0].requestedAmount, `<script>"10"</script>`);
+  })
+);
+
+test(
+  "HubSpot notes don't hold up the request, and failed ones are only logged",
+  withSink("hubspot", {}, async () => {
+    const { hubspot } = useFakes();
+    setAuditSink(null);
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    setHubSpotTransport(async (url, init) => {
+      await gate;
+      return url.includes("/notes") ? new Response("{}", { status: 400 }) : hubspot.fetch(url, init);
+    });
+
+    const entry = await recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, { dealId: "101" });
+    assert.equal(entry.dealId, "101");
+
+    release();
+    await quietly(() => flushAudit());
+    assert.equal(hubspot.store.notes.length, 0);
+  })
+);
+
+test(
+  "a handler returns only once its HubSpot notes are written",
+  withSink("hubspot", {}, async () => {
+    const { hubspot } = useFakes();
+    setAuditSink(null);
+    // Notes land well after the page is ready
+    setHubSpotTransport(async (url, init) => {
+      if (url.includes("/notes")) await new Promise((resolve) => setTimeout(resolve, 50));
+      return hubspot.fetch(url, init);
+    });
+
+    const res = await portal({ dealId: "101", token: tokenFor(FAMILY) });
+    assert.equal(res.statusCode, 200);
+    assert.equal(hubspot.store.notes.length, 1);
+  })
+);
+
+test(
+  "the file sink logs instead on Netlify, where files don't last",
+  withSink(
+    "file",
+    {
+      AUDIT_LOG_FILE: path.join(os.tmpdir(), `audit-lambda-${process.pid}.jsonl`),
+      AWS_LAMBDA_FUNCTION_NAME: "payments",
+    },
+    async () => {
+      const file = process.env.AUDIT_LOG_FILE;
+      try {
+        await quietly(() => recordAudit(AUDIT_EVENTS.PORTAL_VIEWED, { dealId: "101" }));
+        assert.equal(fs.existsSync(file), false);
+        assert.equal(isAuditQueryable(), false);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  )
+);
+
+test(
+  "the log sink can't be queried",
+  withSink("log", {}, async () => {
+    assert.equal(await auditEventsForDeal("101"), null);
+  })
+);
+
+test("staff read a deal's activity on the admin dashboard", async () => {
+  const saved = process.env.ADMIN_USERS;
+  process.env.ADMIN_USERS = "staff:pass";
+  try {
+    useFakes();
+    await portal({ dealId: "101", token: tokenFor(FAMILY) });
+    await portal({ dealId: "102", token: tokenFor(FAMILY) });
+
+    const activity = (format) =>
+      quietly(() =>
+        admin.handler(
+          eventFor(`/.netlify/functions/admin?activity=101&format=${format}`, {
+            headers: {
+              Authorization: `Basic ${Buffer.from("staff:pass").toString("base64")}`,
+            },
+          })
+        )
+      );
+
+    const json = await activity("json");
+    assert.equal(json.statusCode, 200);
+    const body = JSON.parse(json.body);
+    assert.equal(body.dealId, "101");
+    assert.deepEqual(body.events.map((e) => e.type), [AUDIT_EVENTS.PORTAL_VIEWED]);
+
+    const page = await activity("html");
+    assert.equal(page.statusCode, 200);
+    assert.match(page.body, /Activity for deal 101/);
+    assert.match(page.body, /portal\.viewed · \$6,500\.00/);
+  } finally {
+    if (saved === undefined) delete process.env.ADMIN_USERS;
+    else process.env.ADMIN_USERS = saved;
+  }
+});
@@ -0,0 +1,170 @@
+// test/checkout.test.js
+// Which payment buttons a deal gets and what each one charges.
+// With the bundled rules the schedule is a $250 application fee, the rest of a
+// $2,500 deposit, then the balance; $250 minimum payment, 3.5% card fee.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { paymentOptions, checkoutAmount, chargeFor } = require("../netlify/lib/checkout");
+
+const ledger = (...amountsMinor) =>
+  JSON.stringify(
+    amountsMinor.map((amountMinor, i) => ({ amountMinor, txn: `pi_${i + 1}` }))
+  );
+
+const buttons = (p) =>
+  paymentOptions(p).options.map(({ type, amount }) => [type, amount]);
+
+test("nothing paid: application fee and the whole balance", () => {
+  assert.deepEqual(buttons({ amount: "6500" }), [
+    ["appfee", 25000],
+    ["remaining", 650000],
+  ]);
+});
+
+test("once anything is paid the deposit replaces the application fee", () => {
+  assert.deepEqual(buttons({ amount: "6500", payment_ledger: ledger(25000) }), [
+    ["deposit", 225000],
+    ["remaining", 625000],
+  ]);
+});
+
+test("the deposit button goes once the deposit is paid", () => {
+  assert.deepEqual(buttons({ amount: "6500", payment_ledger: ledger(225000) }), [
+    ["deposit", 25000],
+    ["remaining", 425000],
+  ]);
+  // Less than the minimum payment left on it is paid with the balance
+  assert.deepEqual(buttons({ amount: "6500", payment_ledger: ledger(225001) }), [
+    ["remaining", 424999],
+  ]);
+  assert.deepEqual(buttons({ amount: "6500", payment_ledger: ledger(250000) }), [
+    ["remaining", 400000],
+  ]);
+});
+
+test("a deal smaller than the deposit pays its balance instead", () => {
+  assert.deepEqual(buttons({ amount: "2000", payment_ledger: ledger(25000) }), [
+    ["remaining", 175000],
+  ]);
+  assert.deepEqual(paymentOptions({ amount: "2000", payment_ledger: ledger(200000) }).options, []);
+});
+
+test("processing bank payments count as committed", () => {
+  const p = {
+    amount: "6500",
+    payment_ledger: JSON.stringify([
+      { amountMinor: 25000, txn: "pi_1", method: "us_bank_account", status: "processing" },
+    ]),
+  };
+
+  assert.deepEqual(buttons(p), [
+    ["deposit", 225000],
+    ["remaining", 625000],
+  ]);
+});
+
+test("failed payments don't count towards anything", () => {
+  const p = {
+    amount: "6500",
+    payment_ledger: JSON.stringify([{ amountMinor: 25000, txn: "pi_1", status: "failed" }]),
+  };
+
+  assert.deepEqual(buttons(p), [
+    ["appfee", 25000],
+    ["remaining", 650000],
+  ]);
+});
+
+test("paid in full: no balance button and no custom payment", () => {
+  const options = paymentOptions({ amount: "3000", payment_ledger: ledger(300000) });
+
+  assert.deepEqual(options.options, []);
+  assert.equal(options.custom, null);
+});
+
+test("a deal without an amount gets only the application fee", () => {
+  const options = paymentOptions({});
+
+  assert.deepEqual(options.options, [{ type: "appfee", amount: 25000 }]);
+  assert.equal(options.custom, null);
+});
+
+test("bank payments are offered on USD deals only", () => {
+  assert.deepEqual(paymentOptions({ amount: "100" }).methods, ["card", "us_bank_account"]);
+  assert.deepEqual(
+    paymentOptions({ amount: "100", deal_currency_code: "EUR" }).methods,
+    ["card"]
+  );
+});
+
+test("custom payments range from the minimum to the payable balance", () => {
+  const p = { amount: "6500", payment_ledger: ledger(50000) };
+  assert.deepEqual(paymentOptions(p).custom, { min: 25000, max: 600000 });
+});
+
+/* =========================================================
+   CHECKOUT AMOUNTS
+========================================================= */
+
+test("checkout amounts follow the buttons", () => {
+  const p = { amount: "6500", payment_ledger: ledger(25000) };
+
+  assert.equal(checkoutAmount(p, "appfee").code, "no_balance_due");
+  assert.equal(checkoutAmount(p, "deposit").base, 225000);
+  assert.equal(checkoutAmount(p, "deposit").label, "Program Deposit");
+  assert.equal(checkoutAmount(p, "remaining").base, 625000);
+  // Anything unrecognised pays the balance
+  assert.deepEqual(checkoutAmount(p, "bogus"), {
+    ok: true,
+    type: "remaining",
+    base: 625000,
+    label: "Remaining Program Balance",
+  });
+});
+
+test("custom amounts are checked against the minimum and the balance", () => {
+  const p = { amount: "6500" };
+
+  assert.equal(checkoutAmount(p, "custom", "300.005").base, 30001);
+  assert.equal(checkoutAmount(p, "custom", "abc").code, "invalid_amount");
+  assert.equal(checkoutAmount(p, "custom", "").code, "invalid_amount");
+  assert.equal(checkoutAmount(p, "custom", "249.99").code, "amount_below_minimum");
+  assert.equal(checkoutAmount(p, "custom", "6500").base, 650000);
+  assert.equal(checkoutAmount(p, "custom", "6500.01").code, "amount_above_balance");
+});
+
+test("nothing is charged below Stripe's minimum", () => {
+  const p = { amount: "6500", payment_ledger: ledger(649999) };
+
+  assert.deepEqual(buttons(p), []);
+  assert.deepEqual(checkoutAmount(p, "remaining"), {
+    ok: false,
+    code: "amount_below_minimum",
+    error: "Minimum payment is $0.50.",
+    minimum: 50,
+  });
+
+  const fifty = { ...p, payment_ledger: ledger(649950) };
+  assert.equal(checkoutAmount(fifty, "remaining").base, 50);
+  const pounds = { ...p, deal_currency_code: "GBP", payment_ledger: ledger(649970) };
+  assert.equal(checkoutAmount(pounds, "remaining").base, 30);
+});
+
+test("nothing can be charged on a settled deal", () => {
+  const p = { amount: "3000", payment_ledger: ledger(300000) };
+
+  assert.equal(checkoutAmount(p, "remaining").code, "no_balance_due");
+  assert.equal(checkoutAmount(p, "deposit").code, "no_balance_due");
+  assert.equal(checkoutAmount(p, "custom", "250").code, "amount_above_balance");
+});
+
+test("the card fee is added on top; bank payments have none", () => {
+  assert.deepEqual(chargeFor(25000, "card", 0.035), { base: 25000, fee: 875, total: 25875 });
+  assert.deepEqual(chargeFor(25000, "us_bank_account", 0.035), {
+    base: 25000,
+    fee: 0,
+    total: 25000,
+  });
+});
@@ -0,0 +1,186 @@
+// test/customers.test.js
+// The Stripe Customer each contact pays as: created on their first checkout,
+// kept on the HubSpot contact, and opened in Stripe's Customer Portal from
+// the portal's "Manage billing" link.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  FAMILY,
+  FAMILY_FR,
+  PAYER,
+  useFakes,
+  tokenFor,
+  get,
+  checkout,
+} = require("./support/harness");
+const { issuePayerLink } = require("../netlify/lib/portal-links");
+const { AUDIT_EVENTS } = require("../netlify/lib/audit");
+
+const storedCustomer = (hubspot, contactId) =>
+  hubspot.store.contacts.get(contactId).properties.stripe_customer_id;
+
+const sessionParams = (stripe) =>
+  stripe.calls.filter((c) => c.method === "checkout.sessions.create").map((c) => c.params);
+
+/* =========================================================
+   CHECKOUT
+========================================================= */
+
+test("the first checkout creates the contact's customer, later ones reuse it", async () => {
+  const { stripe, hubspot } = useFakes();
+  await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  await checkout(FAMILY, { dealId: "102", type: "remaining" });
+
+  const creates = stripe.calls.filter((c) => c.method === "customers.create");
+  assert.equal(creates.length, 1);
+  assert.deepEqual(creates[0].params, {
+    email: "alex.rivera@example.com",
+    name: "Alex Rivera",
+    metadata: { hubspotContactId: FAMILY },
+  });
+
+  const customer = storedCustomer(hubspot, FAMILY);
+  assert.match(customer, /^cus_test_/);
+  assert.deepEqual(
+    sessionParams(stripe).map((p) => [p.customer, p.customer_email]),
+    [
+      [customer, undefined],
+      [customer, undefined],
+    ]
+  );
+});
+
+test("a customer deleted in Stripe is replaced", async () => {
+  const { stripe, hubspot } = useFakes();
+  await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  const first = storedCustomer(hubspot, FAMILY);
+  await stripe.customers.del(first);
+
+  await checkout(FAMILY, { dealId: "101", type: "remaining" });
+  const second = storedCustomer(hubspot, FAMILY);
+  assert.notEqual(second, first);
+  assert.equal(sessionParams(stripe)[1].customer, second);
+});
+
+test("a customer id Stripe doesn't know is replaced", async () => {
+  const { stripe, hubspot } = useFakes();
+  // e.g. left on the contact by a test-mode account
+  hubspot.store.contacts.get(FAMILY).properties.stripe_customer_id = "cus_stale";
+
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  assert.equal(res.statusCode, 302);
+  const customer = storedCustomer(hubspot, FAMILY);
+  assert.match(customer, /^cus_test_/);
+  assert.equal(sessionParams(stripe)[0].customer, customer);
+});
+
+test("embedded payments are made as the customer too", async () => {
+  const { stripe, hubspot } = useFakes();
+  process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_offline";
+  try {
+    const res = await get({ intent: "1", token: tokenFor(FAMILY), dealId: "101", type: "appfee" });
+    const intent = await stripe.paymentIntents.retrieve(JSON.parse(res.body).intentId);
+    assert.equal(intent.customer, storedCustomer(hubspot, FAMILY));
+  } finally {
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+  }
+});
+
+test("a plan isn't set up while Stripe can't give the family a customer", async () => {
+  const { stripe, hubspot } = useFakes();
+  hubspot.store.deals.get("102").properties.program_start_date = "2099-01-01";
+  stripe.customers.create = async () => {
+    throw new Error("Stripe is down");
+  };
+
+  const res = await get({ plan: "1", instalments: "3", dealId: "102", token: tokenFor(FAMILY) });
+  assert.equal(res.statusCode, 503);
+  assert.match(res.body, /try again in a minute/);
+  assert.equal(sessionParams(stripe).length, 0);
+});
+
+test("payer links without a contact check out by email", async () => {
+  const { stripe } = useFakes();
+  const { token } = issuePayerLink("101");
+  await get({ checkout: "1", token, dealId: "101", type: "remaining" });
+
+  assert.equal(stripe.calls.filter((c) => c.method === "customers.create").length, 0);
+  assert.equal(sessionParams(stripe)[0].customer, undefined);
+});
+
+test("checkout goes ahead by email when the customer can't be set up", async () => {
+  const { stripe, hubspot } = useFakes();
+  stripe.customers.create = async () => {
+    throw new Error("Stripe is down");
+  };
+
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  assert.equal(res.statusCode, 302);
+  const [params] = sessionParams(stripe);
+  assert.equal(params.customer, undefined);
+  assert.equal(params.customer_email, "alex.rivera@example.com");
+  assert.equal(storedCustomer(hubspot, FAMILY), undefined);
+});
+
+/* =========================================================
+   MANAGE BILLING
+========================================================= */
+
+test("Manage billing appears once the contact has paid", async () => {
+  const { hubspot } = useFakes();
+  const before = await get({ dealId: "101", token: tokenFor(FAMILY) });
+  assert.doesNotMatch(before.body, /billing=1/);
+
+  await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  const after = await get({ dealId: "101", token: tokenFor(FAMILY) });
+  assert.match(
+    after.body,
+    /<a class="btn secondary small" href="\?billing=1&amp;dealId=101&amp;token=[^"]+">Manage billing<\/a>/
+  );
+
+  // Payers manage their own billing, not the family's
+  await checkout(PAYER, { dealId: "101", type: "appfee" });
+  const payer = await get({ dealId: "101", token: tokenFor(PAYER) });
+  assert.match(payer.body, /billing=1/);
+  assert.notEqual(storedCustomer(hubspot, PAYER), storedCustomer(hubspot, FAMILY));
+});
+
+test("Manage billing opens the Customer Portal for the contact's customer", async () => {
+  const { stripe, hubspot, audit } = useFakes();
+  await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+  const res = await get({ billing: "1", dealId: "101", token: tokenFor(FAMILY), lang: "fr" });
+  assert.equal(res.statusCode, 302);
+
+  const { params } = stripe.calls.find((c) => c.method === "billingPortal.sessions.create");
+  assert.match(res.headers.Location, /^https:\/\/checkout\.stripe\.test\/billing\/bps_test_/);
+  assert.equal(params.customer, storedCustomer(hubspot, FAMILY));
+  assert.equal(params.locale, "fr");
+  const back = new URL(params.return_url);
+  assert.equal(back.searchParams.get("dealId"), "101");
+  assert.equal(back.searchParams.get("token"), tokenFor(FAMILY));
+  assert.equal(back.searchParams.get("lang"), "fr");
+
+  const [entry] = audit.filter((e) => e.type === AUDIT_EVENTS.BILLING_OPENED);
+  assert.equal(entry.dealId, "101");
+  assert.equal(entry.contactId, FAMILY);
+});
+
+test("Manage billing needs a customer and a deal of the contact's", async () => {
+  useFakes();
+  const none = await get({ billing: "1", dealId: "101", token: tokenFor(FAMILY) });
+  assert.equal(none.statusCode, 404);
+  assert.match(none.body, /once you've made a payment/);
+
+  await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  const other = await get({ billing: "1", dealId: "201", token: tokenFor(FAMILY) });
+  assert.equal(other.statusCode, 404);
+
+  const unsigned = await get({ billing: "1", dealId: "101" });
+  assert.equal(unsigned.statusCode, 401);
+
+  const stranger = await get({ billing: "1", dealId: "201", token: tokenFor(FAMILY_FR) });
+  assert.equal(stranger.statusCode, 404);
+});
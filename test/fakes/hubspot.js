@@ -0,0 +1,218 @@
+// test/fakes/hubspot.js
+// In-memory HubSpot behind the fetch signature hubspot-client.js calls, so
+// the real helpers in netlify/lib/hubspot.js run unchanged against it:
+//
+//   const hubspot = createFakeHubSpot(require("../fixtures/crm.json"));
+//   setHubSpotTransport(hubspot.fetch);
+//
+// Seed data is { contacts, deals, associations } with associations as
+// { contactId, dealId, label }. Only the endpoints the functions use are
+// implemented; anything else answers 404.
+
+const { HUBSPOT_BASE } = require("../../netlify/lib/hubspot-client");
+
+function createFakeHubSpot({ contacts = [], deals = [], associations = [] } = {}) {
+  const store = {
+    contacts: new Map(contacts.map((c) => [String(c.id), clone(c)])),
+    deals: new Map(deals.map((d) => [String(d.id), clone(d)])),
+    associations: associations.map((a) => ({
+      contactId: String(a.contactId),
+      dealId: String(a.dealId),
+      label: a.label || "",
+    })),
+    emails: [],
+    notes: [],
+    pipelines: [
+      {
+        id: "default",
+        label: "Sales Pipeline",
+        stages: [
+          { id: "appointmentscheduled", label: "Enrolled" },
+          { id: "closedwon", label: "Closed won" },
+        ],
+      },
+    ],
+  };
+  const requests = [];
+  let nextId = 1000;
+
+  const routes = [
+    ["POST", /^\/crm\/v3\/objects\/contacts\/search$/, (m, body) =>
+      search([...store.contacts.values()], body)],
+    ["GET", /^\/crm\/v3\/objects\/contacts\/(\w+)$/, ([, id]) =>
+      store.contacts.get(id) || notFound()],
+    ["PATCH", /^\/crm\/v3\/objects\/contacts\/(\w+)$/, ([, id], body) =>
+      update(store.contacts, id, body)],
+    ["GET", /^\/crm\/v4\/objects\/contacts\/(\w+)\/associations\/deals$/, ([, id]) =>
+      associated("contactId", id, "dealId")],
+    ["GET", /^\/crm\/v4\/objects\/deals\/(\w+)\/associations\/contacts$/, ([, id]) =>
+      associated("dealId", id, "contactId")],
+    ["POST", /^\/crm\/v3\/objects\/deals\/batch\/read$/, (m, body) => ({
+      results: body.inputs
+        .map(({ id }) => store.deals.get(String(id)))
+        .filter(Boolean),
+    })],
+    ["POST", /^\/crm\/v3\/objects\/deals\/search$/, (m, body) =>
+      search([...store.deals.values()], body)],
+    ["GET", /^\/crm\/v3\/objects\/deals\/(\w+)$/, ([, id]) =>
+      store.deals.get(id) || notFound()],
+    ["PATCH", /^\/crm\/v3\/objects\/deals\/(\w+)$/, ([, id], body) =>
+      update(store.deals, id, body)],
+    ["GET", /^\/crm\/v3\/pipelines\/deals$/, () => ({ results: store.pipelines })],
+    ["POST", /^\/crm\/v3\/objects\/emails$/, (m, body) => {
+      const email = { id: String(nextId++), ...body };
+      store.emails.push(email);
+      return email;
+    }],
+    ["POST", /^\/crm\/v3\/objects\/notes$/, (m, body) => {
+      const note = { id: String(nextId++), ...body };
+      store.notes.push(note);
+      return note;
+    }],
+    // Searched by "associations.deal", as HubSpot allows for engagements
+    ["POST", /^\/crm\/v3\/objects\/notes\/search$/, (m, body) =>
+      search(
+        store.notes.map((note) => ({
+          id: note.id,
+          properties: {
+            ...note.properties,
+            "associations.deal": String(note.associations?.[0]?.to.id ?? ""),
+          },
+        })),
+        body
+      )],
+  ];
+
+  function associated(from, id, to) {
+    return {
+      results: store.associations
+        .filter((a) => a[from] === id)
+        .map((a) => ({
+          toObjectId: Number(a[to]),
+          associationTypes: a.label
+            ? [{ category: "USER_DEFINED", label: a.label }]
+            : [{ category: "HUBSPOT_DEFINED", label: null }],
+        })),
+    };
+  }
+
+  function update(records, id, { properties }) {
+    const record = records.get(id);
+    if (!record) return notFound();
+    Object.entries(properties).forEach(([key, value]) => {
+      record.properties[key] = value === null ? "" : String(value);
+    });
+    return record;
+  }
+
+  async function fetch(url, init = {}) {
+    const { pathname } = new URL(url);
+    const method = (init.method || "GET").toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    requests.push({ method, path: pathname, body });
+
+    if (!url.startsWith(HUBSPOT_BASE)) return respond(404, {});
+    for (const [verb, pattern, handle] of routes) {
+      const match = verb === method && pattern.exec(pathname);
+      if (match) {
+        const result = handle(match, body);
+        return result === NOT_FOUND
+          ? respond(404, { message: "resource not found" })
+          : respond(200, clone(result));
+      }
+    }
+    return respond(404, { message: `No fake for ${method} ${pathname}` });
+  }
+
+  return { fetch, store, requests };
+}
+
+const NOT_FOUND = Symbol("not found");
+
+function notFound() {
+  return NOT_FOUND;
+}
+
+function respond(status, data) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/* =========================================================
+   SEARCH
+========================================================= */
+
+// CRM search: any filter group may match, every filter in a group must
+function search(records, { filterGroups = [], sorts = [], limit = 100, after } = {}) {
+  const matches = records.filter(
+    (record) =>
+      filterGroups.length === 0 ||
+      filterGroups.some((group) =>
+        (group.filters || []).every((filter) => matchesFilter(record, filter))
+      )
+  );
+
+  const [sort] = sorts;
+  if (sort) {
+    const dir = sort.direction === "DESCENDING" ? -1 : 1;
+    matches.sort(
+      (a, b) =>
+        dir *
+        String(a.properties[sort.propertyName] ?? "").localeCompare(
+          String(b.properties[sort.propertyName] ?? ""),
+          undefined,
+          { numeric: true }
+        )
+    );
+  }
+
+  const start = Number(after) || 0;
+  const page = matches.slice(start, start + limit);
+  const next = start + limit < matches.length ? String(start + limit) : null;
+  return {
+    total: matches.length,
+    results: page,
+    ...(next ? { paging: { next: { after: next } } } : {}),
+  };
+}
+
+function matchesFilter(record, { propertyName, operator, value, values }) {
+  const actual = record.properties[propertyName] ?? "";
+  const num = (v) => (/^\d{4}-\d{2}-\d{2}/.test(v) ? Date.parse(v) : Number(v));
+
+  switch (operator) {
+    case "EQ":
+      return String(actual).toLowerCase() === String(value).toLowerCase();
+    case "NEQ":
+      return String(actual).toLowerCase() !== String(value).toLowerCase();
+    case "IN":
+      return values.map(String).includes(String(actual));
+    case "HAS_PROPERTY":
+      return actual !== "";
+    case "NOT_HAS_PROPERTY":
+      return actual === "";
+    case "CONTAINS_TOKEN":
+      return String(actual)
+        .toLowerCase()
+        .split(/[\s;,]+/)
+        .includes(String(value).toLowerCase());
+    case "GT":
+      return actual !== "" && num(actual) > num(value);
+    case "GTE":
+      return actual !== "" && num(actual) >= num(value);
+    case "LT":
+      return actual !== "" && num(actual) < num(value);
+    case "LTE":
+      return actual !== "" && num(actual) <= num(value);
+    default:
+      throw new Error(`Fake HubSpot doesn't support ${operator} filters`);
+  }
+}
+
+module.exports = { createFakeHubSpot };
@@ -0,0 +1,395 @@
+// test/fakes/stripe.js
+// In-memory Stripe with the parts of the SDK the functions call, installed
+// with setStripeClient():
+//
+//   const stripe = createFakeStripe();
+//   setStripeClient(stripe);
+//
+// Sessions are created "open"; complete() pays one and returns the
+// checkout.session.completed event the webhook would receive. confirm() does
+// the same for an embedded form's PaymentIntent, and confirmationToken()
+// stands in for the token Stripe.js creates from the card entered. Cards
+// default to a US credit card. Webhook signatures aren't checked:
+// constructEvent just parses the body.
+// Every call is recorded in `calls` as { method, params, options }.
+
+function createFakeStripe({ baseUrl = "https://checkout.stripe.test" } = {}) {
+  const sessions = new Map();
+  const customers = new Map();
+  const paymentIntents = new Map();
+  const setupIntents = new Map();
+  const paymentMethods = new Map();
+  const confirmationTokens = new Map();
+  const idempotent = new Map();
+  const calls = [];
+  let seq = 0;
+
+  const nextId = (prefix) => `${prefix}_test_${String(++seq).padStart(6, "0")}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function record(method, params, options) {
+    calls.push({ method, params, options });
+  }
+
+  function missing(kind, id) {
+    const err = new Error(`No such ${kind}: '${id}'`);
+    err.type = "StripeInvalidRequestError";
+    err.statusCode = 404;
+    err.code = "resource_missing";
+    return err;
+  }
+
+  // Stripe replays the first response for a repeated idempotency key
+  function once(options, create) {
+    const key = options?.idempotencyKey;
+    if (key && idempotent.has(key)) return idempotent.get(key);
+    const result = create();
+    if (key) idempotent.set(key, result);
+    return result;
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // A card payment method's details, with a billing address when `state`
+  // (or `billingCountry`) is given
+  function cardMethod({ funding = "credit", country = "US", state, billingCountry } = {}) {
+    const address = state || billingCountry
+      ? { country: billingCountry || country, state: state || null }
+      : null;
+    return {
+      type: "card",
+      card: { brand: "visa", funding, country, last4: "4242" },
+      billing_details: { address },
+    };
+  }
+
+  // Newest first, with the created[gte] filter and starting_after cursor
+  function listPage(items, { created, limit = 10, starting_after } = {}) {
+    const sorted = [...items]
+      .filter((item) => !created?.gte || item.created >= created.gte)
+      .sort((a, b) => b.created - a.created || b.id.localeCompare(a.id));
+    const start = starting_after
+      ? sorted.findIndex((item) => item.id === starting_after) + 1
+      : 0;
+    return {
+      object: "list",
+      data: clone(sorted.slice(start, start + limit)),
+      has_more: start + limit < sorted.length,
+    };
+  }
+
+  const checkoutSessions = {
+    async create(params, options) {
+      record("checkout.sessions.create", params, options);
+      return clone(
+        once(options, () => {
+          const id = nextId("cs");
+          const amount = (params.line_items || []).reduce(
+            (sum, item) =>
+              sum + (item.price_data?.unit_amount || 0) * (item.quantity || 1),
+            0
+          );
+          const session = {
+            id,
+            object: "checkout.session",
+            mode: params.mode,
+            status: "open",
+            payment_status: "unpaid",
+            url: `${baseUrl}/pay/${id}`,
+            amount_total: params.mode === "payment" ? amount : null,
+            currency:
+              params.currency ||
+              params.line_items?.[0]?.price_data?.currency ||
+              null,
+            customer: params.customer || null,
+            customer_email: params.customer_email || null,
+            customer_details: null,
+            expires_at: params.expires_at || now() + 24 * 60 * 60,
+            metadata: params.metadata || {},
+            payment_intent: null,
+            setup_intent: null,
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            created: now(),
+          };
+          sessions.set(id, session);
+          return session;
+        })
+      );
+    },
+
+    async retrieve(id) {
+      record("checkout.sessions.retrieve", { id });
+      if (!sessions.has(id)) throw missing("checkout.session", id);
+      return clone(sessions.get(id));
+    },
+
+    async expire(id) {
+      record("checkout.sessions.expire", { id });
+      const session = sessions.get(id);
+      if (!session) throw missing("checkout.session", id);
+      if (session.status !== "open") {
+        throw new Error(`Only open sessions can be expired (${session.status})`);
+      }
+      session.status = "expired";
+      return clone(session);
+    },
+
+    async list(params = {}) {
+      record("checkout.sessions.list", params);
+      const data = [...sessions.values()].filter(
+        (s) =>
+          (!params.payment_intent || s.payment_intent === params.payment_intent) &&
+          (!params.status || s.status === params.status)
+      );
+      return listPage(data, params);
+    },
+  };
+
+  const stripe = {
+    calls,
+    sessions,
+    paymentIntents: {
+      async create(params, options) {
+        record("paymentIntents.create", params, options);
+        return clone(
+          once(options, () => {
+            const id = nextId("pi");
+            const intent = {
+              id,
+              object: "payment_intent",
+              status: params.confirm ? "succeeded" : "requires_payment_method",
+              client_secret: `${id}_secret_test`,
+              created: now(),
+              ...params,
+              metadata: params.metadata || {},
+            };
+            paymentIntents.set(intent.id, intent);
+            return intent;
+          })
+        );
+      },
+
+      async list(params = {}) {
+        record("paymentIntents.list", params);
+        return listPage([...paymentIntents.values()], params);
+      },
+
+      async retrieve(id) {
+        record("paymentIntents.retrieve", { id });
+        if (!paymentIntents.has(id)) throw missing("payment_intent", id);
+        return clone(paymentIntents.get(id));
+      },
+
+      // Metadata is merged, as in Stripe
+      async update(id, params) {
+        record("paymentIntents.update", { id, ...params });
+        const intent = paymentIntents.get(id);
+        if (!intent) throw missing("payment_intent", id);
+        Object.assign(intent, params, {
+          metadata: { ...intent.metadata, ...params.metadata },
+        });
+        return clone(intent);
+      },
+
+      // Confirmed with a ConfirmationToken (see confirmationToken()), whose
+      // card is saved as the payment method. Bank payments are left
+      // processing, as in Stripe.
+      async confirm(id, params = {}) {
+        record("paymentIntents.confirm", { id, ...params });
+        const intent = paymentIntents.get(id);
+        if (!intent) throw missing("payment_intent", id);
+        const token = confirmationTokens.get(params.confirmation_token);
+        if (!token) throw missing("confirmation_token", params.confirmation_token);
+        if (["succeeded", "processing", "canceled"].includes(intent.status)) {
+          throw new Error(`This PaymentIntent can't be confirmed (${intent.status})`);
+        }
+        const paymentMethod = {
+          id: nextId("pm"),
+          object: "payment_method",
+          ...token.payment_method_preview,
+        };
+        paymentMethods.set(paymentMethod.id, paymentMethod);
+        const bank = intent.metadata.paymentMethod === "us_bank_account";
+        Object.assign(intent, {
+          payment_method: paymentMethod.id,
+          status: bank ? "processing" : "succeeded",
+        });
+        return clone(intent);
+      },
+
+      async cancel(id) {
+        record("paymentIntents.cancel", { id });
+        const intent = paymentIntents.get(id);
+        if (!intent) throw missing("payment_intent", id);
+        if (["succeeded", "processing", "canceled"].includes(intent.status)) {
+          throw new Error(`This PaymentIntent can't be canceled (${intent.status})`);
+        }
+        intent.status = "canceled";
+        return clone(intent);
+      },
+
+      // Understands the status and metadata["key"] clauses joined by AND
+      async search({ query }) {
+        record("paymentIntents.search", { query });
+        const clauses = [...query.matchAll(/(\w+)(?:\["(\w+)"\])?:"([^"]*)"/g)];
+        const data = [...paymentIntents.values()].filter((pi) =>
+          clauses.every(([, field, key, value]) =>
+            String(field === "metadata" ? pi.metadata?.[key] : pi[field]) === value
+          )
+        );
+        return { object: "search_result", data: clone(data) };
+      },
+    },
+    checkout: { sessions: checkoutSessions },
+    customers: {
+      async create(params, options) {
+        record("customers.create", params, options);
+        return clone(
+          once(options, () => {
+            const customer = { id: nextId("cus"), object: "customer", ...params };
+            customers.set(customer.id, customer);
+            return customer;
+          })
+        );
+      },
+
+      async retrieve(id) {
+        record("customers.retrieve", { id });
+        if (!customers.has(id)) throw missing("customer", id);
+        return clone(customers.get(id));
+      },
+
+      // Stripe keeps a stub of deleted customers
+      async del(id) {
+        record("customers.del", { id });
+        if (!customers.has(id)) throw missing("customer", id);
+        customers.set(id, { id, object: "customer", deleted: true });
+        return clone(customers.get(id));
+      },
+    },
+    billingPortal: {
+      sessions: {
+        async create(params) {
+          record("billingPortal.sessions.create", params);
+          if (!customers.has(params.customer)) throw missing("customer", params.customer);
+          const id = nextId("bps");
+          return {
+            id,
+            object: "billing_portal.session",
+            url: `${baseUrl}/billing/${id}`,
+            ...params,
+          };
+        },
+      },
+    },
+    paymentMethods: {
+      async retrieve(id) {
+        record("paymentMethods.retrieve", { id });
+        if (!paymentMethods.has(id)) throw missing("payment_method", id);
+        return clone(paymentMethods.get(id));
+      },
+    },
+    confirmationTokens: {
+      async retrieve(id) {
+        record("confirmationTokens.retrieve", { id });
+        if (!confirmationTokens.has(id)) throw missing("confirmation_token", id);
+        return clone(confirmationTokens.get(id));
+      },
+    },
+    setupIntents: {
+      async retrieve(id) {
+        record("setupIntents.retrieve", { id });
+        if (!setupIntents.has(id)) throw missing("setup_intent", id);
+        return clone(setupIntents.get(id));
+      },
+    },
+    webhooks: {
+      constructEvent(body) {
+        return JSON.parse(Buffer.isBuffer(body) ? body.toString("utf8") : body);
+      },
+    },
+
+    // Pays an open session: a PaymentIntent for payment mode, a saved card
+    // (see cardMethod for `card`) for setup mode. Bank payments complete
+    // unpaid, as in Stripe.
+    complete(id, { name = "Test Payer", email, card } = {}) {
+      const session = sessions.get(id);
+      if (!session) throw missing("checkout.session", id);
+      session.status = "complete";
+
+      if (session.mode === "setup") {
+        const paymentMethod = { id: nextId("pm"), object: "payment_method", ...cardMethod(card) };
+        paymentMethods.set(paymentMethod.id, paymentMethod);
+        const setupIntent = {
+          id: nextId("seti"),
+          object: "setup_intent",
+          payment_method: paymentMethod.id,
+        };
+        setupIntents.set(setupIntent.id, setupIntent);
+        session.setup_intent = setupIntent.id;
+      } else {
+        const bank = session.metadata.paymentMethod === "us_bank_account";
+        session.payment_status = bank ? "unpaid" : "paid";
+        const intent = {
+          id: nextId("pi"),
+          object: "payment_intent",
+          amount: session.amount_total,
+          currency: session.currency,
+          status: bank ? "processing" : "succeeded",
+          metadata: session.metadata,
+          created: now(),
+        };
+        paymentIntents.set(intent.id, intent);
+        session.payment_intent = intent.id;
+      }
+      session.customer_details = {
+        name,
+        email: email || session.customer_email || "",
+      };
+
+      return {
+        id: nextId("evt"),
+        type: "checkout.session.completed",
+        created: now(),
+        data: { object: clone(session) },
+      };
+    },
+
+    // The ConfirmationToken Stripe.js creates for the card entered in the
+    // embedded form (see cardMethod for `card`); returns its id
+    confirmationToken(card) {
+      const token = {
+        id: nextId("ctoken"),
+        object: "confirmation_token",
+        payment_method_preview: cardMethod(card),
+      };
+      confirmationTokens.set(token.id, token);
+      return token.id;
+    },
+
+    // Pays a PaymentIntent as the embedded form would, returning the
+    // payment_intent.* event the webhook would receive. Bank payments are
+    // left processing, as in Stripe.
+    confirm(id, { email } = {}) {
+      const intent = paymentIntents.get(id);
+      if (!intent) throw missing("payment_intent", id);
+      const bank = intent.metadata.paymentMethod === "us_bank_account";
+      intent.status = bank ? "processing" : "succeeded";
+      if (email) intent.receipt_email = email;
+
+      return {
+        id: nextId("evt"),
+        type: `payment_intent.${intent.status}`,
+        created: now(),
+        data: { object: clone(intent) },
+      };
+    },
+  };
+
+  return stripe;
+}
+
+module.exports = { createFakeStripe };
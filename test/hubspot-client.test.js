@@ -0,0 +1,67 @@
+// test/hubspot-client.test.js
+// Retries against a HubSpot that is slow or rate limiting: every call,
+// retries included, ends within HUBSPOT_DEADLINE_MS.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the client loads, before the harness's no-retry default
+process.env.HUBSPOT_MAX_RETRIES = "3";
+process.env.HUBSPOT_DEADLINE_MS = "1500";
+
+require("./support/harness");
+const { quietly } = require("./support/quietly");
+const {
+  setHubSpotTransport,
+  hubSpotFetch,
+  isHubSpotUnavailable,
+} = require("../netlify/lib/hubspot-client");
+
+// A transport answering each call with the next of `replies` (the last one
+// repeats); a reply of "hang" never answers until the call is aborted
+function scripted(replies) {
+  const calls = [];
+  setHubSpotTransport(async (url, init) => {
+    const reply = replies[Math.min(calls.length, replies.length - 1)];
+    calls.push(url);
+    if (reply === "hang") {
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => reject(init.signal.reason));
+      });
+    }
+    const [status, headers = {}] = reply;
+    return new Response(JSON.stringify({ ok: status === 200 }), { status, headers });
+  });
+  return calls;
+}
+
+test("rate limits are retried while there's time", async () => {
+  const calls = scripted([[429, { "retry-after": "0" }], [200]]);
+  assert.deepEqual(await quietly(() => hubSpotFetch("/crm/v3/objects/deals/1")), { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test("a retry that couldn't finish before the deadline isn't made", async () => {
+  const calls = scripted([[429, { "retry-after": "5" }]]);
+  const started = Date.now();
+
+  const err = await quietly(() => hubSpotFetch("/crm/v3/objects/deals/1")).catch((e) => e);
+  assert.equal(err.status, 429);
+  assert.ok(isHubSpotUnavailable(err));
+  assert.equal(calls.length, 1);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("a hanging request is cut off at the deadline, not the attempt timeout", async () => {
+  const calls = scripted(["hang"]);
+  const started = Date.now();
+  // AbortSignal.timeout's timer doesn't keep the process alive on its own
+  const keepAlive = setInterval(() => {}, 1000);
+
+  const err = await quietly(() => hubSpotFetch("/crm/v3/objects/deals/1"))
+    .catch((e) => e)
+    .finally(() => clearInterval(keepAlive));
+  assert.equal(err.status, 0);
+  assert.equal(calls.length, 1);
+  assert.ok(Date.now() - started < 3000);
+});
@@ -0,0 +1,71 @@
+// test/ledger.test.js
+// Ledger writes that race another writer on the same deal: the one that
+// loses reads the deal again and writes its entry on top of the other's.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { useFakes } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const { setHubSpotTransport } = require("../netlify/lib/hubspot-client");
+const { findPayment, ledgerUpdateWith } = require("../netlify/lib/payments");
+const { updateLedger } = require("../netlify/lib/ledger");
+
+const entry = (txn) => ({ amount: 10000, currency: "usd", method: "card", txn });
+
+// Another writer's stale ledger lands just after each of ours, `times` times
+function clobberAfterWrites(hubspot, dealId, times) {
+  const stale = hubspot.store.deals.get(dealId).properties;
+  const theirs = ledgerUpdateWith(stale, entry("pi_theirs"));
+  let left = times;
+  setHubSpotTransport(async (url, init = {}) => {
+    const res = await hubspot.fetch(url, init);
+    if (init.method === "PATCH" && url.includes(`/deals/${dealId}`) && left > 0) {
+      left--;
+      Object.assign(hubspot.store.deals.get(dealId).properties, theirs);
+    }
+    return res;
+  });
+}
+
+const addEntry = (txn) => (p) =>
+  findPayment(p, txn)
+    ? { result: "already_recorded" }
+    : { update: ledgerUpdateWith(p, entry(txn)), result: "recorded" };
+
+test("a write lost to another writer is made again on top of theirs", async () => {
+  const { hubspot } = useFakes();
+  clobberAfterWrites(hubspot, "101", 1);
+
+  const { result, properties } = await quietly(() => updateLedger("101", addEntry("pi_ours")));
+  assert.equal(result, "recorded");
+
+  const stored = hubspot.store.deals.get("101").properties;
+  assert.ok(findPayment(stored, "pi_ours"));
+  assert.ok(findPayment(stored, "pi_theirs"));
+  assert.equal(properties.payment_ledger, stored.payment_ledger);
+});
+
+test("an entry already on the ledger isn't written again", async () => {
+  const { hubspot } = useFakes();
+  await updateLedger("101", addEntry("pi_ours"));
+  const before = hubspot.requests.length;
+
+  const { result } = await updateLedger("101", addEntry("pi_ours"));
+  assert.equal(result, "already_recorded");
+  assert.equal(
+    hubspot.requests.slice(before).filter((r) => r.method === "PATCH").length,
+    0
+  );
+});
+
+test("a write that keeps losing gives up", async () => {
+  const { hubspot } = useFakes();
+  clobberAfterWrites(hubspot, "101", Infinity);
+
+  await assert.rejects(
+    quietly(() => updateLedger("101", addEntry("pi_ours"))),
+    /ledger write lost to another 3 times/
+  );
+  await assert.rejects(updateLedger("999", addEntry("pi_ours")), /Deal 999 not found/);
+});
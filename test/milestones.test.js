@@ -0,0 +1,218 @@
+// test/milestones.test.js
+// Payment schedules: how milestones are worked out for a deal, how payments
+// count towards them, and the buttons and timeline they drive.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { useFakes, tokenFor, eventFor } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const payments = require("../netlify/functions/payments");
+const { dealMilestones } = require("../netlify/lib/milestones");
+const { paymentOptions, checkoutAmount } = require("../netlify/lib/checkout");
+
+const TODAY = "2026-10-19";
+
+const ledger = (...entries) =>
+  JSON.stringify(
+    entries.map((entry, i) => ({
+      txn: `pi_${i + 1}`,
+      ...(typeof entry === "number" ? { amountMinor: entry } : entry),
+    }))
+  );
+
+// A $10,000 program starting on 1 March 2027 with its own schedule
+const PROGRAM = {
+  amount: "10000",
+  program_start_date: "2027-03-01",
+  payment_schedule: JSON.stringify([
+    { id: "appfee", amount: 250 },
+    { id: "deposit", amount: 1750, dueDate: "2026-10-01" },
+    { id: "second", label: "Second instalment", percent: 40, dueDaysBeforeStart: 90 },
+    { id: "final", label: "Final balance", rest: true, dueDaysBeforeStart: 30 },
+  ]),
+};
+
+const summary = (p, today = TODAY) =>
+  dealMilestones(p, today).milestones.map(({ id, amount, dueDate, status, owing }) => ({
+    id,
+    amount,
+    dueDate,
+    status,
+    owing,
+  }));
+
+/* =========================================================
+   SCHEDULES
+========================================================= */
+
+test("without a schedule: the application fee, the deposit, then the balance", () => {
+  const p = { amount: "6500", balance_due_date: "2027-01-15" };
+
+  assert.deepEqual(summary(p), [
+    { id: "appfee", amount: 25000, dueDate: "", status: "due", owing: 25000 },
+    { id: "deposit", amount: 225000, dueDate: "", status: "upcoming", owing: 225000 },
+    { id: "balance", amount: 400000, dueDate: "2027-01-15", status: "upcoming", owing: 400000 },
+  ]);
+});
+
+test("a deal's schedule sets amounts, percentages and due dates", () => {
+  assert.deepEqual(summary(PROGRAM), [
+    { id: "appfee", amount: 25000, dueDate: "", status: "due", owing: 25000 },
+    { id: "deposit", amount: 175000, dueDate: "2026-10-01", status: "overdue", owing: 175000 },
+    { id: "second", amount: 400000, dueDate: "2026-12-01", status: "upcoming", owing: 400000 },
+    { id: "final", amount: 400000, dueDate: "2027-01-30", status: "upcoming", owing: 400000 },
+  ]);
+});
+
+test("percentages are of the tuition after adjustments, and the balance is added", () => {
+  const p = {
+    amount: "10000",
+    payment_adjustments: JSON.stringify([
+      { id: "adj_1", type: "scholarship", amountMinor: 100000, date: "2026-09-01" },
+    ]),
+    payment_schedule: JSON.stringify([{ id: "half", percent: 50 }]),
+  };
+  const { milestones } = dealMilestones(p, TODAY);
+
+  assert.deepEqual(
+    milestones.map((m) => [m.id, m.amount]),
+    [
+      ["half", 450000],
+      ["balance", 450000],
+    ]
+  );
+});
+
+test("milestones stop at the tuition", () => {
+  const p = {
+    amount: "1000",
+    payment_schedule: JSON.stringify([
+      { id: "appfee", amount: 250 },
+      { id: "deposit", amount: 2250 },
+      { id: "late", amount: 500 },
+    ]),
+  };
+
+  assert.deepEqual(
+    dealMilestones(p, TODAY).milestones.map((m) => [m.id, m.amount]),
+    [
+      ["appfee", 25000],
+      ["deposit", 75000],
+    ]
+  );
+});
+
+test("without the deal's amount only the fixed amounts are known", () => {
+  const { milestones } = dealMilestones({ payment_schedule: PROGRAM.payment_schedule }, TODAY);
+  assert.deepEqual(milestones.map((m) => m.id), ["appfee", "deposit"]);
+});
+
+test("an invalid schedule or id falls back to what is valid", () => {
+  const invalid = quietly(() =>
+    dealMilestones({ amount: "6500", payment_schedule: "[{" }, TODAY)
+  );
+  assert.deepEqual(invalid.milestones.map((m) => m.id), ["appfee", "deposit", "balance"]);
+
+  const reserved = quietly(() =>
+    dealMilestones(
+      {
+        amount: "6500",
+        payment_schedule: JSON.stringify([{ id: "remaining", amount: 100 }, { amount: 100 }]),
+      },
+      TODAY
+    )
+  );
+  assert.deepEqual(reserved.milestones.map((m) => m.id), ["balance"]);
+});
+
+/* =========================================================
+   PAYMENTS
+========================================================= */
+
+test("payments fill the milestones in order", () => {
+  const p = {
+    ...PROGRAM,
+    payment_ledger: ledger(25000, 100000, {
+      amountMinor: 100000,
+      method: "us_bank_account",
+      status: "processing",
+    }),
+  };
+
+  assert.deepEqual(summary(p), [
+    { id: "appfee", amount: 25000, dueDate: "", status: "paid", owing: 0 },
+    { id: "deposit", amount: 175000, dueDate: "2026-10-01", status: "processing", owing: 0 },
+    { id: "second", amount: 400000, dueDate: "2026-12-01", status: "due", owing: 375000 },
+    { id: "final", amount: 400000, dueDate: "2027-01-30", status: "upcoming", owing: 400000 },
+  ]);
+
+  // Once its date has passed the part still owing is overdue
+  assert.equal(summary(p, "2026-12-02")[2].status, "overdue");
+});
+
+test("a remainder below the minimum payment is owed with the next milestone", () => {
+  // $1,999.99 paid leaves a cent of the deposit
+  assert.deepEqual(summary({ ...PROGRAM, payment_ledger: ledger(199999) }), [
+    { id: "appfee", amount: 25000, dueDate: "", status: "paid", owing: 0 },
+    { id: "deposit", amount: 175000, dueDate: "2026-10-01", status: "paid", owing: 0 },
+    { id: "second", amount: 400000, dueDate: "2026-12-01", status: "due", owing: 400001 },
+    { id: "final", amount: 400000, dueDate: "2027-01-30", status: "upcoming", owing: 400000 },
+  ]);
+  // The minimum itself is still charged on its own
+  const { next } = dealMilestones({ ...PROGRAM, payment_ledger: ledger(175000) });
+  assert.deepEqual([next.id, next.owing], ["deposit", 25000]);
+});
+
+test("the buttons pay the next milestone, then the balance", () => {
+  const buttons = (p) => paymentOptions(p).options.map(({ type, amount }) => [type, amount]);
+
+  assert.deepEqual(buttons({ ...PROGRAM, payment_ledger: ledger(200000) }), [
+    ["second", 400000],
+    ["remaining", 800000],
+  ]);
+  assert.deepEqual(buttons({ ...PROGRAM, payment_ledger: ledger(650000) }), [
+    ["remaining", 350000],
+  ]);
+});
+
+test("paying a later milestone covers what is owed before it", () => {
+  const p = { ...PROGRAM, payment_ledger: ledger(25000) };
+
+  assert.deepEqual(checkoutAmount(p, "second"), {
+    ok: true,
+    type: "second",
+    base: 575000,
+    label: "Second instalment",
+  });
+  // The balance milestone is the remaining balance
+  assert.equal(checkoutAmount(p, "final").type, "remaining");
+  assert.equal(checkoutAmount(p, "final").base, 975000);
+});
+
+/* =========================================================
+   PORTAL
+========================================================= */
+
+test("the portal shows the schedule and a button for the next milestone", async () => {
+  const { hubspot } = useFakes();
+  Object.assign(hubspot.store.deals.get("101").properties, {
+    payment_schedule: PROGRAM.payment_schedule,
+    program_start_date: "2027-03-01",
+    payment_ledger: ledger(200000),
+  });
+
+  const res = await quietly(() =>
+    payments.handler(
+      eventFor(`/.netlify/functions/payments?dealId=101&token=${tokenFor("1")}`)
+    )
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /<h2>Payment schedule<\/h2>/);
+  assert.match(res.body, /class="milestone milestone-paid"[\s\S]*Application fee/);
+  assert.match(res.body, /class="milestone milestone-due"[\s\S]*Second instalment/);
+  // 40% of the deal's $6,500
+  assert.match(res.body, /Pay Second instalment \(\$2,600\.00\)/);
+  assert.match(res.body, /type=second/);
+});
@@ -0,0 +1,475 @@
+// test/payment-element.test.js
+// The portal's embedded payment form: the PaymentIntents it pays, the
+// webhook events that record them, and the receipt it refreshes the balance
+// from.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  FAMILY,
+  FAMILY_FR,
+  PAYER,
+  useFakes,
+  tokenFor,
+  eventFor,
+  get,
+} = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const payments = require("../netlify/functions/payments");
+const webhook = require("../netlify/functions/stripe-webhook");
+const { parsePayments } = require("../netlify/lib/payments");
+const { parseOpenSessions } = require("../netlify/lib/checkout");
+const { AUDIT_EVENTS } = require("../netlify/lib/audit");
+
+process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_offline";
+
+async function startIntent(query, contactId = FAMILY) {
+  const res = await get({ intent: "1", token: tokenFor(contactId), dealId: "101", ...query });
+  return { res, body: JSON.parse(res.body) };
+}
+
+// What the form asks for once a card (see the fake's cardMethod) is entered
+async function quoteFor(intentId, card, stripe, contactId = FAMILY, dealId = "101") {
+  const res = await get({
+    quote: "1",
+    token: tokenFor(contactId),
+    dealId,
+    payment_intent: intentId,
+    confirmation_token: stripe.confirmationToken(card),
+  });
+  return { res, body: JSON.parse(res.body) };
+}
+
+// Paying with the card behind `confirmationToken`, at the total shown for it
+async function payWith(intentId, confirmationToken, total, contactId = FAMILY) {
+  const path = `/.netlify/functions/payments?${new URLSearchParams({
+    pay: "1",
+    token: tokenFor(contactId),
+    dealId: "101",
+    payment_intent: intentId,
+    confirmation_token: confirmationToken,
+    total: String(total),
+  })}`;
+  const res = await quietly(() => payments.handler(eventFor(path, { method: "POST" })));
+  return { res, body: JSON.parse(res.body) };
+}
+
+function deliver(stripeEvent) {
+  return quietly(() =>
+    webhook.handler(
+      eventFor("/.netlify/functions/stripe-webhook", {
+        method: "POST",
+        headers: { "stripe-signature": "test" },
+        body: stripeEvent,
+      })
+    )
+  ).then((res) => JSON.parse(res.body).result);
+}
+
+function intentEvent(type, intent) {
+  return { id: `evt_${type}`, type, created: 1790000000, data: { object: intent } };
+}
+
+/* =========================================================
+   PORTAL
+========================================================= */
+
+test("the portal carries the embedded form once a publishable key is set", async () => {
+  useFakes();
+  const res = await get({ dealId: "101", token: tokenFor(FAMILY) });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /<div id="embeddedPayment" class="embedded-payment" hidden>/);
+  assert.match(res.body, /<script src="https:\/\/js\.stripe\.com\/v3\/"><\/script>/);
+  assert.match(res.body, /"publishableKey":"pk_test_offline"/);
+  assert.match(res.body, /applePay: 'auto', googlePay: 'auto'/);
+});
+
+test("without a publishable key payments go to Checkout", async () => {
+  useFakes();
+  delete process.env.STRIPE_PUBLISHABLE_KEY;
+  try {
+    const page = await get({ dealId: "101", token: tokenFor(FAMILY) });
+    assert.doesNotMatch(page.body, /embeddedPayment/);
+
+    const { res, body } = await startIntent({ type: "appfee" });
+    assert.equal(res.statusCode, 404);
+    assert.equal(body.error.code, "not_enabled");
+  } finally {
+    process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_offline";
+  }
+});
+
+/* =========================================================
+   INTENTS
+========================================================= */
+
+test("an intent carries a credit card's fee breakdown and holds the balance", async () => {
+  const { stripe, hubspot } = useFakes();
+  const { res, body } = await startIntent({ type: "appfee" });
+
+  assert.equal(res.statusCode, 201);
+  assert.match(res.headers["Content-Type"], /^application\/json/);
+  assert.deepEqual(
+    { base: body.base, fee: body.fee, total: body.total, method: body.method },
+    { base: 25000, fee: 875, total: 25875, method: "card" }
+  );
+  assert.deepEqual(body.display, { base: "$250.00", fee: "$8.75", total: "$258.75" });
+  assert.equal(body.feeVaries, true);
+  // The server confirms cards whose fee depends on the card
+  assert.equal(body.clientSecret, undefined);
+  assert.match(body.returnUrl, /^https:\/\/payments\.test\/\.netlify\/functions\/payments\?receipt=1&token=/);
+  assert.equal(body.receiptUrl, `${body.returnUrl}&payment_intent=${body.intentId}`);
+
+  // The fee is only added once the card is known
+  const intent = await stripe.paymentIntents.retrieve(body.intentId);
+  assert.equal(intent.amount, 25000);
+  assert.equal(body.amount, 25000);
+  assert.equal(body.currency, "usd");
+  assert.deepEqual(intent.payment_method_types, ["card"]);
+  assert.equal(intent.metadata.paymentFlow, "payment_element");
+  assert.equal(intent.metadata.baseAmountMinor, "25000");
+
+  const [entry] = parseOpenSessions(hubspot.store.deals.get("101").properties);
+  assert.equal(entry.id, body.intentId);
+  assert.equal(entry.kind, "intent");
+  assert.equal(entry.base, 25000);
+});
+
+test("bank payments have no fee", async () => {
+  useFakes();
+  const { body } = await startIntent({ type: "appfee", method: "bank" });
+
+  assert.equal(body.method, "us_bank_account");
+  assert.equal(body.fee, 0);
+  assert.equal(body.total, 25000);
+  assert.equal(body.feeVaries, false);
+  assert.equal(body.clientSecret, `${body.intentId}_secret_test`);
+});
+
+/* =========================================================
+   CARD FEES
+========================================================= */
+
+test("a credit card is quoted the fee, and the intent charges what was shown", async () => {
+  const { stripe, audit } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const { res, body: quote } = await quoteFor(body.intentId, { funding: "credit" }, stripe);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    { base: quote.base, fee: quote.fee, total: quote.total, reason: quote.reason },
+    { base: 25000, fee: 750, total: 25750, reason: "region_cap" }
+  );
+  assert.deepEqual(quote.display, { base: "$250.00", fee: "$7.50", total: "$257.50" });
+
+  const intent = await stripe.paymentIntents.retrieve(body.intentId);
+  assert.equal(intent.amount, quote.total);
+  assert.equal(intent.metadata.cardFeeMinor, "750");
+  assert.equal(intent.metadata.cardFeeReason, "region_cap");
+  assert.equal(intent.metadata.baseAmountMinor, "25000");
+
+  const [entry] = audit.filter((e) => e.type === AUDIT_EVENTS.CARD_FEE_QUOTED);
+  assert.equal(entry.paymentIntent, body.intentId);
+  assert.equal(entry.cardFee, 750);
+  assert.equal(entry.region, "us");
+});
+
+test("debit and prepaid cards pay no fee", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  for (const funding of ["debit", "prepaid"]) {
+    const { body: quote } = await quoteFor(body.intentId, { funding }, stripe);
+    assert.equal(quote.fee, 0);
+    assert.equal(quote.reason, "exempt_card");
+    assert.equal((await stripe.paymentIntents.retrieve(body.intentId)).amount, 25000);
+  }
+});
+
+test("the card's billing region caps the fee", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  const quebec = await quoteFor(body.intentId, { country: "CA", state: "QC" }, stripe);
+  assert.equal(quebec.body.fee, 0);
+  const ontario = await quoteFor(body.intentId, { country: "CA", state: "ON" }, stripe);
+  assert.equal(ontario.body.fee, 600);
+  const uk = await quoteFor(body.intentId, { country: "GB" }, stripe);
+  assert.equal(uk.body.fee, 0);
+
+  assert.equal((await stripe.paymentIntents.retrieve(body.intentId)).amount, 25000);
+});
+
+test("quotes are refused for other families and paid intents", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  const other = await quoteFor(body.intentId, {}, stripe, FAMILY_FR);
+  assert.equal(other.res.statusCode, 404);
+
+  stripe.confirm(body.intentId);
+  const paid = await quoteFor(body.intentId, {}, stripe);
+  assert.equal(paid.res.statusCode, 409);
+  assert.equal(paid.body.error.code, "payment_already_made");
+
+  const noToken = await get({ quote: "1", payment_intent: body.intentId });
+  assert.equal(noToken.statusCode, 401);
+});
+
+test("quotes need an intent of the link's own deal and a real card", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  const unknown = await quoteFor("pi_nope", {}, stripe);
+  assert.equal(unknown.res.statusCode, 404);
+  assert.equal(unknown.body.error.code, "payment_not_found");
+
+  // The family's other deal, and the payer of this one, can't touch it
+  const otherDeal = await quoteFor(body.intentId, {}, stripe, FAMILY, "102");
+  assert.equal(otherDeal.res.statusCode, 404);
+  const payer = await quoteFor(body.intentId, {}, stripe, PAYER);
+  assert.equal(payer.res.statusCode, 404);
+
+  const badToken = await get({
+    quote: "1",
+    token: tokenFor(FAMILY),
+    dealId: "101",
+    payment_intent: body.intentId,
+    confirmation_token: "ctoken_nope",
+  });
+  assert.equal(badToken.statusCode, 400);
+  assert.equal(JSON.parse(badToken.body).error.code, "invalid_confirmation_token");
+
+  assert.equal((await stripe.paymentIntents.retrieve(body.intentId)).amount, 25000);
+});
+
+test("the server pays with the card it quoted", async () => {
+  const { stripe, audit } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const confirmationToken = stripe.confirmationToken({ funding: "credit" });
+  await get({
+    quote: "1",
+    token: tokenFor(FAMILY),
+    dealId: "101",
+    payment_intent: body.intentId,
+    confirmation_token: confirmationToken,
+  });
+
+  const { res, body: paid } = await payWith(body.intentId, confirmationToken, 25750);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(paid, { status: "succeeded" });
+
+  const { params } = stripe.calls.find((c) => c.method === "paymentIntents.confirm");
+  assert.equal(params.confirmation_token, confirmationToken);
+  assert.match(params.return_url, new RegExp(`receipt=1&.*payment_intent=${body.intentId}$`));
+  assert.equal((await stripe.paymentIntents.retrieve(body.intentId)).amount, 25750);
+
+  const [entry] = audit.filter((e) => e.type === AUDIT_EVENTS.CARD_PAYMENT_CONFIRMED);
+  assert.equal(entry.charged, 25750);
+  assert.equal(entry.cardFee, 750);
+});
+
+test("a card that isn't the one quoted is charged its own fee or refused", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const { body: debit } = await quoteFor(body.intentId, { funding: "debit" }, stripe);
+  assert.equal(debit.total, 25000);
+
+  // The browser shows the debit card's total but pays with a credit card
+  const credit = stripe.confirmationToken({ funding: "credit" });
+  const { res, body: refused } = await payWith(body.intentId, credit, debit.total);
+  assert.equal(res.statusCode, 409);
+  assert.equal(refused.error.code, "card_fee_changed");
+  assert.equal(refused.quote.total, 25750);
+  assert.equal(stripe.calls.filter((c) => c.method === "paymentIntents.confirm").length, 0);
+
+  const again = await payWith(body.intentId, credit, refused.quote.total);
+  assert.equal(again.res.statusCode, 200);
+  assert.equal((await stripe.paymentIntents.retrieve(body.intentId)).amount, 25750);
+});
+
+test("paying is a POST, and declines come back for the payer", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const confirmationToken = stripe.confirmationToken({ funding: "credit" });
+
+  const viaGet = await get({
+    pay: "1",
+    token: tokenFor(FAMILY),
+    payment_intent: body.intentId,
+    confirmation_token: confirmationToken,
+    total: "25750",
+  });
+  assert.equal(viaGet.statusCode, 405);
+
+  stripe.paymentIntents.confirm = async () => {
+    const err = new Error("Your card was declined.");
+    err.type = "StripeCardError";
+    err.code = "card_declined";
+    throw err;
+  };
+  const { res, body: declined } = await payWith(body.intentId, confirmationToken, 25750);
+  assert.equal(res.statusCode, 402);
+  assert.deepEqual(declined.error, { code: "card_declined", message: "Your card was declined." });
+
+  const other = await payWith(body.intentId, confirmationToken, 25750, FAMILY_FR);
+  assert.equal(other.res.statusCode, 404);
+});
+
+test("asking again reuses the intent, and switching to Checkout cancels it", async () => {
+  const { stripe, hubspot } = useFakes();
+  const first = await startIntent({ type: "appfee" });
+  const again = await startIntent({ type: "appfee" });
+
+  assert.equal(again.res.statusCode, 200);
+  assert.equal(again.body.reused, true);
+  assert.equal(again.body.intentId, first.body.intentId);
+
+  const hosted = await get({
+    checkout: "1",
+    token: tokenFor(FAMILY),
+    dealId: "101",
+    type: "appfee",
+  });
+  assert.equal(hosted.statusCode, 302);
+  assert.equal((await stripe.paymentIntents.retrieve(first.body.intentId)).status, "canceled");
+
+  const open = parseOpenSessions(hubspot.store.deals.get("101").properties);
+  assert.deepEqual(open.map((s) => s.kind || "session"), ["session"]);
+});
+
+test("refusals come back as JSON", async () => {
+  useFakes();
+
+  const noToken = await get({ intent: "1", dealId: "101", type: "appfee" });
+  assert.equal(noToken.statusCode, 401);
+  assert.equal(JSON.parse(noToken.body).error.code, "invalid_token");
+
+  const small = await startIntent({ type: "custom", amount: "10" });
+  assert.equal(small.res.statusCode, 400);
+  assert.equal(small.body.error.code, "amount_below_minimum");
+  assert.match(small.body.error.message, /\$250\.00/);
+
+  const bank = await startIntent({ dealId: "201", type: "remaining", method: "bank" }, FAMILY_FR);
+  assert.equal(bank.res.statusCode, 400);
+  assert.equal(bank.body.error.code, "method_unavailable");
+});
+
+/* =========================================================
+   WEBHOOK
+========================================================= */
+
+test("the webhook records an embedded payment and releases its hold", async () => {
+  const { stripe, hubspot } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  const event = stripe.confirm(body.intentId, { email: "alex.rivera@example.com" });
+  assert.equal(await deliver(event), "succeeded");
+  assert.equal(await deliver(event), "already_recorded");
+
+  const p = hubspot.store.deals.get("101").properties;
+  const [entry] = parsePayments(p);
+  assert.equal(entry.txn, body.intentId);
+  assert.equal(entry.amount, 25000);
+  assert.equal(entry.status, "succeeded");
+  assert.equal(entry.paidBy.email, "alex.rivera@example.com");
+  assert.equal(entry.paidBy.contactId, FAMILY);
+  assert.deepEqual(parseOpenSessions(p), []);
+});
+
+test("a bank payment processes, then a returned debit fails it", async () => {
+  const { stripe, hubspot, mail } = useFakes();
+  const { body } = await startIntent({ type: "appfee", method: "bank" });
+
+  const processing = stripe.confirm(body.intentId);
+  assert.equal(processing.type, "payment_intent.processing");
+  assert.equal(await deliver(processing), "processing");
+
+  const failed = { ...processing.data.object, status: "requires_payment_method" };
+  assert.equal(await deliver(intentEvent("payment_intent.payment_failed", failed)), "failed");
+
+  const [entry] = parsePayments(hubspot.store.deals.get("101").properties);
+  assert.equal(entry.status, "failed");
+  assert.equal(mail.length, 1);
+  assert.equal(mail[0].subject, "Your bank payment could not be completed");
+});
+
+test("a declined card leaves the intent open for another try", async () => {
+  const { stripe, hubspot } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const intent = await stripe.paymentIntents.retrieve(body.intentId);
+
+  assert.equal(
+    await deliver(intentEvent("payment_intent.payment_failed", intent)),
+    "not_recorded"
+  );
+  const p = hubspot.store.deals.get("101").properties;
+  assert.deepEqual(parsePayments(p), []);
+  assert.equal(parseOpenSessions(p).length, 1);
+});
+
+test("a cancelled intent stops holding the balance", async () => {
+  const { stripe, hubspot } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  const intent = await stripe.paymentIntents.cancel(body.intentId);
+
+  assert.equal(
+    await deliver(intentEvent("payment_intent.canceled", intent)),
+    "session_closed"
+  );
+  assert.deepEqual(parseOpenSessions(hubspot.store.deals.get("101").properties), []);
+});
+
+test("other PaymentIntents are left to their own events", async () => {
+  const { stripe, hubspot } = useFakes();
+  await get({ checkout: "1", token: tokenFor(FAMILY), dealId: "101", type: "appfee" });
+  const [sessionId] = stripe.sessions.keys();
+  stripe.complete(sessionId);
+  const intent = await stripe.paymentIntents.retrieve(stripe.sessions.get(sessionId).payment_intent);
+
+  assert.equal(await deliver(intentEvent("payment_intent.succeeded", intent)), "ignored");
+  assert.deepEqual(parsePayments(hubspot.store.deals.get("101").properties), []);
+});
+
+/* =========================================================
+   RECEIPTS
+========================================================= */
+
+test("the receipt projects the new balance before the webhook arrives", async () => {
+  const { stripe } = useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+  await quoteFor(body.intentId, { funding: "credit" }, stripe);
+  stripe.confirm(body.intentId);
+
+  const res = await quietly(() =>
+    payments.handler(eventFor(`${body.receiptUrl}&format=json`))
+  );
+  assert.equal(res.statusCode, 200);
+  const receipt = JSON.parse(res.body);
+  assert.equal(receipt.txn, body.intentId);
+  assert.equal(receipt.status, "succeeded");
+  assert.equal(receipt.total, 25750);
+  assert.equal(receipt.remaining, 625000);
+  assert.deepEqual(receipt.display, { total: "$257.50", remaining: "$6,250.00" });
+
+  const page = await quietly(() => payments.handler(eventFor(body.receiptUrl)));
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /\$257\.50/);
+});
+
+test("a redirect that didn't end in a payment says so", async () => {
+  useFakes();
+  const { body } = await startIntent({ type: "appfee" });
+
+  const page = await quietly(() => payments.handler(eventFor(body.receiptUrl)));
+  assert.match(page.body, /Payment not completed/);
+  assert.match(page.body, /<a href="[^"]*dealId=101[^"]*">Back to your payment portal<\/a>/);
+
+  const json = await quietly(() =>
+    payments.handler(eventFor(`${body.receiptUrl}&format=json`))
+  );
+  assert.equal(json.statusCode, 409);
+  assert.equal(JSON.parse(json.body).error.code, "payment_not_completed");
+});
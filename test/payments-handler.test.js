@@ -0,0 +1,388 @@
+// test/payments-handler.test.js
+// The portal function end to end against the HubSpot and Stripe fakes: how
+// a request is routed, and what a checkout request has to get past before
+// anyone is sent to Stripe.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  FAMILY,
+  FAMILY_FR,
+  PAYER,
+  useFakes,
+  tokenFor,
+  get,
+  checkout,
+} = require("./support/harness");
+const { setHubSpotTransport } = require("../netlify/lib/hubspot-client");
+const { setStripeClient } = require("../netlify/lib/stripe");
+const { createAccessToken } = require("../netlify/lib/access");
+const { i18nFor, resolveLocale } = require("../netlify/lib/i18n");
+const { formatMoney } = require("../netlify/lib/currency");
+
+const en = i18nFor();
+
+// Restores env vars a test removes
+function withoutEnv(name, fn) {
+  return async () => {
+    const saved = process.env[name];
+    delete process.env[name];
+    try {
+      await fn();
+    } finally {
+      process.env[name] = saved;
+    }
+  };
+}
+
+/* =========================================================
+   ROUTING
+========================================================= */
+
+test(
+  "without a HubSpot token nothing is served",
+  withoutEnv("HUBSPOT_PRIVATE_APP_TOKEN", async () => {
+    useFakes();
+    const res = await get({ token: tokenFor(FAMILY) });
+
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body, /HUBSPOT_PRIVATE_APP_TOKEN/);
+  })
+);
+
+test(
+  "without a link secret nothing is served",
+  withoutEnv("PORTAL_LINK_SECRET", async () => {
+    useFakes();
+    const res = await get({});
+
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body, /PORTAL_LINK_SECRET/);
+  })
+);
+
+test("no token asks for an email address", async () => {
+  const { hubspot } = useFakes();
+  const res = await get({});
+
+  assert.equal(res.statusCode, 401);
+  assert.ok(res.body.includes(String(en.t("link.prompt"))));
+  assert.equal(hubspot.requests.length, 0);
+});
+
+test("a tampered or expired token is treated as expired", async () => {
+  useFakes();
+  const [payload] = tokenFor(FAMILY).split(".");
+  const expired = createAccessToken({ contactId: FAMILY, dealIds: ["101"], ttlSeconds: -1 });
+
+  for (const token of [`${payload}.forged`, expired]) {
+    const res = await get({ token });
+    assert.equal(res.statusCode, 401);
+    assert.ok(res.body.includes(String(en.t("link.expired"))));
+  }
+});
+
+test("an email address gets a link mailed to it, if it's a contact", async () => {
+  const { mail } = useFakes();
+
+  const known = await get({ email: "alex.rivera@example.com" });
+  const unknown = await get({ email: "nobody@example.com" });
+
+  // Same page either way, so the form can't be used to probe for accounts
+  assert.equal(known.statusCode, 200);
+  assert.equal(unknown.statusCode, 200);
+  assert.ok(known.body.includes(String(en.t("link.sentTitle"))));
+  assert.deepEqual(mail.map((message) => message.to), ["alex.rivera@example.com"]);
+});
+
+test(
+  "link requests are turned away when mail isn't set up",
+  withoutEnv("MAIL_FROM", async () => {
+    const { mail } = useFakes();
+    const res = await get({ email: "alex.rivera@example.com" });
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(mail.length, 0);
+  })
+);
+
+test("a contact with several programs chooses one", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY) });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.includes(String(en.t("selection.heading"))));
+  assert.match(res.body, /Costa Rica Summer 2027/);
+  assert.match(res.body, /Patagonia Semester Fall 2027/);
+  assert.match(res.body, /dealId=101&amp;token=/);
+});
+
+test("a contact with one program goes straight to it, in their language", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY_FR) });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /<html lang="fr">/);
+  assert.match(res.body, /New Zealand Gap Year 2027/);
+  // AUD deals have no bank payments
+  assert.doesNotMatch(res.body, /method=bank/);
+});
+
+test("?lang= beats the contact's language", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY_FR), lang: "de" });
+
+  assert.match(res.body, /<html lang="de">/);
+});
+
+test("the deal portal shows the balance and the payment buttons", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY), dealId: "102" });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /Patagonia Semester Fall 2027/);
+  // $14,800 less $1,000 paid
+  assert.match(res.body, /\$13,800\.00/);
+  assert.match(res.body, /type=deposit/);
+  assert.match(res.body, /type=remaining/);
+  assert.doesNotMatch(res.body, /type=appfee/);
+  assert.match(res.body, /pi_fixture_0002/);
+});
+
+test("plan options show the most a credit card's fee can be", async () => {
+  const { hubspot } = useFakes();
+  hubspot.store.deals.get("102").properties.program_start_date = "2099-01-01";
+  const res = await get({ token: tokenFor(FAMILY), dealId: "102" });
+
+  // $13,800 in three: instalments are charged their card's own fee
+  assert.match(res.body, /<div class="plan-amount">\$4,600\.00 \+ up to \$161\.00 fee each<\/div>/);
+});
+
+test("deals outside the token are not found", async () => {
+  const { hubspot } = useFakes();
+  const res = await get({ token: tokenFor(FAMILY), dealId: "201" });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(
+    hubspot.requests.filter((r) => r.path.endsWith("/deals/201")).length,
+    0
+  );
+});
+
+test("payers get the pay-only view, without statements", async () => {
+  useFakes();
+  const token = tokenFor(PAYER);
+
+  const portal = await get({ token });
+  assert.equal(portal.statusCode, 200);
+  assert.ok(portal.body.includes(String(en.t("portal.payerSubtitle"))));
+  assert.doesNotMatch(portal.body, /statement=1/);
+
+  const statement = await get({ token, dealId: "101", statement: "1" });
+  assert.equal(statement.statusCode, 404);
+});
+
+test("families can open their statement", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY), dealId: "102", statement: "1" });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /pi_fixture_0002/);
+});
+
+test("a receipt needs the Checkout Session it's for", async () => {
+  const { stripe } = useFakes();
+  const token = tokenFor(FAMILY);
+
+  const missing = await get({ token, receipt: "1" });
+  assert.equal(missing.statusCode, 400);
+
+  // A session for someone else's deal
+  const other = await stripe.checkout.sessions.create({
+    mode: "payment",
+    metadata: { dealId: "201" },
+  });
+  const foreign = await get({ token, receipt: "1", session_id: other.id });
+  assert.equal(foreign.statusCode, 404);
+});
+
+test("a receipt for a payment Stripe doesn't know is not found", async () => {
+  useFakes();
+  const token = tokenFor(FAMILY);
+
+  const session = await get({ token, receipt: "1", session_id: "cs_test_unknown" });
+  assert.equal(session.statusCode, 404);
+  assert.ok(session.body.includes(String(en.t("errors.receiptNotFound"))));
+
+  const intent = await get({ token, receipt: "1", payment_intent: "pi_unknown", format: "json" });
+  assert.equal(intent.statusCode, 404);
+  assert.equal(JSON.parse(intent.body).error.code, "receipt_not_found");
+});
+
+test("HubSpot being down shows the busy page", async () => {
+  useFakes();
+  setHubSpotTransport(async () => new Response("{}", { status: 503 }));
+
+  const res = await get({ token: tokenFor(FAMILY), dealId: "101" });
+  assert.equal(res.statusCode, 503);
+  assert.ok(res.body.includes(String(en.t("errors.busyTitle"))));
+});
+
+/* =========================================================
+   CHECKOUT
+========================================================= */
+
+test("checkout needs a valid link", async () => {
+  useFakes();
+  const res = await get({ checkout: "1", dealId: "101", token: "nope" });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body, en.text("errors.linkInvalid"));
+});
+
+test(
+  "checkout needs Stripe",
+  withoutEnv("STRIPE_SECRET_KEY", async () => {
+    useFakes();
+    setStripeClient(null);
+    const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body, /STRIPE_SECRET_KEY/);
+  })
+);
+
+test("checkout needs a deal the link covers", async () => {
+  const { stripe } = useFakes();
+
+  const missing = await checkout(FAMILY, { type: "appfee" });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body, en.text("errors.missingDeal"));
+
+  const foreign = await checkout(FAMILY, { dealId: "201", type: "appfee" });
+  assert.equal(foreign.statusCode, 404);
+  assert.equal(foreign.body, en.text("errors.dealNotFound"));
+
+  assert.equal(stripe.calls.length, 0);
+});
+
+test("a deal that's gone from HubSpot is not found", async () => {
+  const { hubspot } = useFakes();
+  hubspot.store.deals.delete("101");
+
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  assert.equal(res.statusCode, 404);
+});
+
+test("bank payments are refused on non-USD deals", async () => {
+  const { stripe } = useFakes();
+  const res = await checkout(FAMILY_FR, {
+    dealId: "201",
+    type: "appfee",
+    method: "bank",
+    lang: "en",
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body, en.text("errors.bankUsdOnly"));
+  assert.equal(stripe.calls.length, 0);
+});
+
+test("custom amounts are validated, in the link's language", async () => {
+  useFakes();
+
+  const invalid = await checkout(FAMILY, { dealId: "101", type: "custom", amount: "lots" });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body, en.text("checkout.invalid_amount"));
+
+  const low = await checkout(FAMILY, { dealId: "101", type: "custom", amount: "10" });
+  assert.equal(low.statusCode, 400);
+  assert.equal(low.body, en.text("checkout.amount_below_minimum", { amount: "$250.00" }));
+
+  const high = await checkout(FAMILY, { dealId: "101", type: "custom", amount: "6500.01" });
+  assert.equal(high.statusCode, 400);
+
+  const french = await checkout(FAMILY_FR, { dealId: "201", type: "custom", amount: "10" });
+  assert.equal(french.statusCode, 400);
+  const fr = i18nFor(resolveLocale({ lang: "fr" }));
+  assert.equal(
+    french.body,
+    fr.text("checkout.amount_below_minimum", {
+      amount: formatMoney(25000, "aud", fr.intl),
+    })
+  );
+});
+
+test("a valid checkout redirects to a Stripe session for the amount", async () => {
+  const { stripe, hubspot } = useFakes();
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+  assert.equal(res.statusCode, 302);
+  const [create] = stripe.calls.filter((c) => c.method === "checkout.sessions.create");
+  const { params, options } = create;
+  assert.equal(res.headers.Location, stripe.sessions.values().next().value.url);
+
+  assert.equal(params.mode, "payment");
+  assert.deepEqual(params.payment_method_types, ["card"]);
+  assert.equal(params.line_items[0].price_data.currency, "usd");
+  // Checkout can't tell a debit card from a credit card, so the bundled
+  // rules waive the card fee there
+  assert.equal(params.line_items.length, 1);
+  assert.equal(params.line_items[0].price_data.unit_amount, 25000);
+  // Paid as the contact's Stripe Customer, which carries their email
+  assert.equal(params.customer, hubspot.store.contacts.get(FAMILY).properties.stripe_customer_id);
+  assert.equal(params.customer_email, undefined);
+  assert.equal(params.locale, "en");
+  assert.deepEqual(params.metadata, {
+    dealId: "101",
+    contactId: FAMILY,
+    paymentType: "appfee",
+    paymentMethod: "card",
+    payerRole: "family",
+    baseAmountMinor: "25000",
+  });
+  assert.match(params.success_url, /receipt=1&token=.+&session_id=\{CHECKOUT_SESSION_ID\}$/);
+  assert.match(params.cancel_url, /dealId=101&token=/);
+  assert.match(options.idempotencyKey, /^checkout-101-[0-9a-f]{64}$/);
+
+  // The session holds the balance until it's paid or expires
+  const open = JSON.parse(hubspot.store.deals.get("101").properties.open_checkout_sessions);
+  assert.deepEqual(
+    open.map(({ type, method, base, contactId }) => ({ type, method, base, contactId })),
+    [{ type: "appfee", method: "card", base: 25000, contactId: FAMILY }]
+  );
+});
+
+test("bank checkouts on USD deals have no card fee", async () => {
+  const { stripe } = useFakes();
+  const res = await checkout(FAMILY, { dealId: "102", type: "remaining", method: "bank" });
+
+  assert.equal(res.statusCode, 302);
+  const { params } = stripe.calls.find((c) => c.method === "checkout.sessions.create");
+  assert.deepEqual(params.payment_method_types, ["us_bank_account"]);
+  assert.equal(params.line_items[0].price_data.unit_amount, 1380000);
+});
+
+test("clicking pay again reuses the open session", async () => {
+  const { stripe } = useFakes();
+
+  const first = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+  const second = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+  assert.equal(second.statusCode, 302);
+  assert.equal(second.headers.Location, first.headers.Location);
+  assert.equal(stripe.sessions.size, 1);
+});
+
+test("someone else's checkout for the whole balance blocks a second one", async () => {
+  const { stripe } = useFakes();
+
+  const family = await checkout(FAMILY, { dealId: "101", type: "remaining" });
+  assert.equal(family.statusCode, 302);
+
+  const payer = await checkout(PAYER, { dealId: "101", type: "remaining" });
+  assert.equal(payer.statusCode, 409);
+  assert.ok(payer.body.includes(String(en.t("checkout.payment_in_progress"))));
+  assert.equal(stripe.sessions.size, 1);
+});
@@ -0,0 +1,202 @@
+// test/payments.test.js
+// Reading payments off a deal: the ledger, the legacy payment_N slots and
+// how the two combine.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PAYMENT_STATUS,
+  ENTRY_KINDS,
+  parsePayments,
+  dealBalance,
+  ledgerUpdateWith,
+  ledgerUpdateFor,
+} = require("../netlify/lib/payments");
+const { quietly } = require("./support/quietly");
+
+const ledger = (...entries) => JSON.stringify(entries);
+
+test("a deal with no payments has none", () => {
+  assert.deepEqual(parsePayments({}), []);
+  assert.deepEqual(parsePayments({ payment_ledger: "  ", payment_1: "" }), []);
+});
+
+test("ledger entries are read in minor units with defaults filled in", () => {
+  const [pay] = parsePayments({
+    deal_currency_code: "USD",
+    payment_ledger: ledger({ amountMinor: 25000, txn: "pi_1", date: "2026-05-02" }),
+  });
+
+  assert.deepEqual(pay, {
+    amount: 25000,
+    currency: "usd",
+    method: "",
+    txn: "pi_1",
+    date: "2026-05-02",
+    status: PAYMENT_STATUS.SUCCEEDED,
+    kind: ENTRY_KINDS.PAYMENT,
+    original: "",
+    paidBy: null,
+  });
+});
+
+test("decimal ledger amounts from before minor units are converted", () => {
+  const payments = parsePayments({
+    deal_currency_code: "jpy",
+    payment_ledger: ledger(
+      { amount: "30000", txn: "pi_1" },
+      { amount: 12.5, currency: "usd", txn: "pi_2" }
+    ),
+  });
+
+  assert.deepEqual(
+    payments.map((pay) => [pay.amount, pay.currency]),
+    [
+      [30000, "jpy"],
+      [1250, "usd"],
+    ]
+  );
+});
+
+test("ledger entries without a readable amount are dropped", () => {
+  const payments = parsePayments({
+    payment_ledger: ledger(
+      { amountMinor: 100.5, txn: "pi_fraction" },
+      { amount: "lots", txn: "pi_text" },
+      { txn: "pi_missing" },
+      { amountMinor: 5000, txn: "pi_ok" }
+    ),
+  });
+
+  assert.deepEqual(payments.map((pay) => pay.txn), ["pi_ok"]);
+});
+
+test("an unreadable or non-array ledger counts as empty", () => {
+  quietly(() => {
+    assert.deepEqual(parsePayments({ payment_ledger: "{not json" }), []);
+  });
+  assert.deepEqual(parsePayments({ payment_ledger: '{"amountMinor":100}' }), []);
+});
+
+test("legacy slots are parsed from 'amount, txn, date'", () => {
+  const payments = parsePayments({
+    payment_1: "250, pi_old_1, 2026-01-10",
+    payment_3: " 1000.50 ,pi_old_3 ",
+  });
+
+  assert.deepEqual(
+    payments.map(({ amount, txn, date, legacy }) => ({ amount, txn, date, legacy })),
+    [
+      { amount: 25000, txn: "pi_old_1", date: "2026-01-10", legacy: true },
+      { amount: 100050, txn: "pi_old_3", date: "", legacy: true },
+    ]
+  );
+});
+
+test("legacy slots without an amount or with a bad one are skipped", () => {
+  const payments = parsePayments({
+    payment_1: ", pi_no_amount, 2026-01-10",
+    payment_2: "n/a, pi_bad, 2026-01-11",
+    payment_4: "300",
+  });
+
+  assert.deepEqual(payments.map((pay) => [pay.amount, pay.txn]), [[30000, ""]]);
+});
+
+test("legacy payments come first and are skipped once the ledger has them", () => {
+  const payments = parsePayments({
+    payment_1: "250, pi_moved, 2026-01-10",
+    payment_2: "500, pi_only_legacy, 2026-02-10",
+    payment_3: "100, , 2026-03-10",
+    payment_ledger: ledger(
+      { amountMinor: 25000, txn: "pi_moved", date: "2026-01-10T00:00:00Z" },
+      { amountMinor: 75000, txn: "pi_new" }
+    ),
+  });
+
+  assert.deepEqual(
+    payments.map((pay) => [pay.txn, Boolean(pay.legacy)]),
+    [
+      ["pi_only_legacy", true],
+      ["", true],
+      ["pi_moved", false],
+      ["pi_new", false],
+    ]
+  );
+});
+
+test("refunds and processing payments keep their kind and status", () => {
+  const p = {
+    amount: "1000",
+    payment_ledger: ledger(
+      { amountMinor: 50000, txn: "pi_1" },
+      { amountMinor: -10000, txn: "re_1", kind: "refund", original: "pi_1" },
+      { amountMinor: 20000, txn: "pi_2", method: "us_bank_account", status: "processing" }
+    ),
+  };
+
+  const payments = parsePayments(p);
+  assert.equal(payments[1].kind, ENTRY_KINDS.REFUND);
+  assert.equal(payments[1].original, "pi_1");
+  assert.equal(payments[2].status, PAYMENT_STATUS.PROCESSING);
+
+  const { totalPaid, processing, remaining, payable } = dealBalance(p);
+  assert.equal(totalPaid, 40000);
+  assert.equal(processing, 20000);
+  assert.equal(remaining, 60000);
+  assert.equal(payable, 40000);
+});
+
+test("the HubSpot rollup counts as paid until the deal has a ledger", () => {
+  const legacyOnly = { amount: "1000", total_amount_paid: "300", payment_1: "250, pi_1" };
+  assert.equal(dealBalance(legacyOnly).totalPaid, 30000);
+
+  const withLedger = {
+    ...legacyOnly,
+    payment_ledger: ledger({ amountMinor: 10000, txn: "pi_2" }),
+  };
+  assert.equal(dealBalance(withLedger).totalPaid, 35000);
+});
+
+test("the first ledger write carries what the rollup counts beyond the slots", () => {
+  // Five slots used up, then two more payments only the rollup counted
+  const legacy = {
+    amount: "10000",
+    deal_currency_code: "USD",
+    total_amount_paid: "3500",
+    payment_1: "500, pi_1",
+    payment_2: "500, pi_2",
+    payment_3: "500, pi_3",
+    payment_4: "500, pi_4",
+    payment_5: "500, pi_5",
+  };
+  assert.equal(dealBalance(legacy).totalPaid, 350000);
+
+  const update = ledgerUpdateWith(legacy, { amount: 20000, method: "card", txn: "pi_6" });
+  assert.equal(update.total_amount_paid, "3700.00");
+  const next = { ...legacy, ...update };
+  assert.equal(dealBalance(next).totalPaid, 370000);
+
+  const [opening, pay] = parsePayments(next).filter((e) => !e.legacy);
+  assert.equal(opening.amount, 100000);
+  assert.equal(opening.method, "opening_balance");
+  assert.equal(pay.txn, "pi_6");
+
+  // Carried once: later writes build on the ledger
+  const again = ledgerUpdateFor(next, "pi_6", { status: "succeeded" });
+  assert.equal(again.total_amount_paid, "3700.00");
+  const more = ledgerUpdateWith(next, { amount: 10000, method: "card", txn: "pi_7" });
+  assert.equal(more.total_amount_paid, "3800.00");
+});
+
+test("nothing is carried when the rollup is blank or no more than the slots", () => {
+  for (const total_amount_paid of ["", "500", "400"]) {
+    const p = { amount: "10000", total_amount_paid, payment_1: "500, pi_1" };
+    const next = { ...p, ...ledgerUpdateWith(p, { amount: 20000, txn: "pi_2" }) };
+    assert.deepEqual(
+      parsePayments(next).map((e) => e.txn),
+      ["pi_1", "pi_2"]
+    );
+  }
+});
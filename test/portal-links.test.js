@@ -0,0 +1,95 @@
+// test/portal-links.test.js
+// Where links issued outside a request point, and what the endpoints that
+// issue them answer when that isn't configured.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FAMILY, useFakes, tokenFor, eventFor } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const { portalBaseUrl, isPortalUrlConfigured } = require("../netlify/lib/access");
+const { issuePayerLink } = require("../netlify/lib/portal-links");
+const api = require("../netlify/functions/api");
+const portalLink = require("../netlify/functions/portal-link");
+const sendReminders = require("../netlify/functions/send-reminders");
+
+// Runs `fn` with PORTAL_URL and URL set to `env` (unset when missing)
+async function withPortalEnv(env, fn) {
+  const saved = { PORTAL_URL: process.env.PORTAL_URL, URL: process.env.URL };
+  Object.keys(saved).forEach((key) => {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+test("links point at PORTAL_URL, else the site's payments function", async () => {
+  await withPortalEnv({ URL: "https://pay.example.org" }, () => {
+    assert.equal(portalBaseUrl(), "https://pay.example.org/.netlify/functions/payments");
+  });
+  await withPortalEnv(
+    { PORTAL_URL: "https://example.org/pay", URL: "https://pay.example.org" },
+    () => {
+      assert.match(issuePayerLink("101").url, /^https:\/\/example\.org\/pay\?token=/);
+    }
+  );
+});
+
+test("without an absolute portal URL, issuing a link says what to set", async () => {
+  for (const env of [{}, { PORTAL_URL: "/pay" }]) {
+    await withPortalEnv(env, () => {
+      assert.equal(isPortalUrlConfigured(), false);
+      assert.throws(() => issuePayerLink("101"), /Portal URL not configured\. Set PORTAL_URL/);
+    });
+  }
+});
+
+test("endpoints that issue links answer with a config error", async () => {
+  useFakes();
+  const checkout = eventFor("/api/v1/deals/101/checkout-sessions", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor(FAMILY)}` },
+    body: { type: "deposit" },
+  });
+  const link = eventFor("/.netlify/functions/portal-link", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${process.env.PORTAL_LINK_API_KEY}` },
+    body: { payerDealId: "101" },
+  });
+
+  await withPortalEnv({}, async () => {
+    const apiRes = await quietly(() => api.handler(checkout));
+    assert.equal(apiRes.statusCode, 500);
+    assert.equal(JSON.parse(apiRes.body).error.code, "not_configured");
+    assert.match(JSON.parse(apiRes.body).error.message, /PORTAL_URL/);
+
+    const linkRes = await quietly(() => portalLink.handler(link));
+    assert.equal(linkRes.statusCode, 500);
+    assert.match(linkRes.body, /Portal URL not configured/);
+
+    // Before any deal is looked at, rather than failing on each one
+    const remindersRes = await quietly(() => sendReminders.handler({}));
+    assert.equal(remindersRes.statusCode, 500);
+    assert.match(remindersRes.body, /Portal URL not configured/);
+  });
+});
+
+test("an unknown API version is still unknown without a portal URL", async () => {
+  useFakes();
+  const event = eventFor("/api/v2/deals", {
+    headers: { Authorization: `Bearer ${tokenFor(FAMILY)}` },
+  });
+
+  await withPortalEnv({}, async () => {
+    const res = await quietly(() => api.handler(event));
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).error.code, "unknown_version");
+  });
+});
@@ -0,0 +1,199 @@
+// test/pricing.test.js
+// Per-deal pricing rules: matching, layering and currency overrides, and the
+// amounts the portal charges under them.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The portal's rules, read when pricing.js loads; the rule tests pass theirs
+process.env.PRICING_RULES = JSON.stringify({
+  version: "2027-test",
+  defaults: { appFee: 250, depositTarget: 2500, minPayment: 250, cardFeeRate: 0.035 },
+  rules: [
+    {
+      id: "costa-rica",
+      match: { dealname: "Costa Rica Summer 2027" },
+      appFee: 300,
+      minPayment: 400,
+      cardFeeRate: 0.02,
+    },
+  ],
+});
+
+const { FAMILY, useFakes, tokenFor, get, checkout } = require("./support/harness");
+const {
+  loadRules,
+  pricingProperties,
+  matchesRule,
+  findRule,
+  pricingFor,
+} = require("../netlify/lib/pricing");
+const { quietly } = require("./support/quietly");
+
+const RULES = {
+  version: "2027-01",
+  defaults: {
+    appFee: 250,
+    depositTarget: 2500,
+    minPayment: 250,
+    cardFeeRate: 0.035,
+    currencies: { aud: { appFee: 375, depositTarget: 3750 } },
+  },
+  rules: [
+    {
+      id: "gap-year",
+      match: { pipeline: "12345", program_season: ["Gap Year 2027", "Gap Year 2028"] },
+      appFee: 500,
+      depositTarget: 5000,
+      currencies: { aud: { appFee: 750 }, jpy: { appFee: 75000 } },
+    },
+    { id: "summer", match: { program_season: "Summer 2027" }, minPayment: 100 },
+    { id: "no-fee", match: { card_fee_waived: "true" }, cardFeeRate: 0 },
+    { id: "catch-all", match: {} },
+  ],
+};
+
+test("rules match case-insensitively on every property they name", () => {
+  const rule = RULES.rules[0];
+
+  assert.equal(matchesRule(rule, { pipeline: "12345", program_season: " gap year 2028 " }), true);
+  assert.equal(matchesRule(rule, { pipeline: "12345", program_season: "Summer 2027" }), false);
+  assert.equal(matchesRule(rule, { program_season: "Gap Year 2027" }), false);
+});
+
+test("a rule without conditions matches nothing", () => {
+  assert.equal(matchesRule({ match: {} }, { anything: "x" }), false);
+  assert.equal(matchesRule({}, {}), false);
+});
+
+test("the first matching rule wins", () => {
+  const p = { program_season: "Summer 2027", card_fee_waived: "TRUE" };
+  assert.equal(findRule(p, RULES).id, "summer");
+  assert.equal(findRule({ program_season: "Winter" }, RULES), null);
+});
+
+test("unmatched deals get the defaults in minor units", () => {
+  assert.deepEqual(pricingFor({}, RULES), {
+    version: "2027-01",
+    ruleId: "default",
+    currency: "usd",
+    cardFeeRate: 0.035,
+    appFee: 25000,
+    depositTarget: 250000,
+    minPayment: 25000,
+  });
+});
+
+test("a rule overrides only the amounts it sets", () => {
+  const pricing = pricingFor({ program_season: "Summer 2027" }, RULES);
+
+  assert.equal(pricing.ruleId, "summer");
+  assert.equal(pricing.minPayment, 10000);
+  assert.equal(pricing.appFee, 25000);
+
+  assert.equal(pricingFor({ card_fee_waived: "true" }, RULES).cardFeeRate, 0);
+});
+
+test("currency amounts layer: defaults, their currency, the rule, its currency", () => {
+  const gapYear = { pipeline: "12345", program_season: "Gap Year 2027" };
+
+  const aud = pricingFor({ ...gapYear, deal_currency_code: "AUD" }, RULES);
+  assert.equal(aud.appFee, 75000); // the rule's AUD amount
+  assert.equal(aud.depositTarget, 500000); // the rule's amount, as AUD
+  assert.equal(aud.minPayment, 25000);
+
+  const audDefault = pricingFor({ deal_currency_code: "aud" }, RULES);
+  assert.equal(audDefault.appFee, 37500);
+  assert.equal(audDefault.depositTarget, 375000);
+});
+
+test("zero-decimal currencies convert without cents", () => {
+  const pricing = pricingFor(
+    { pipeline: "12345", program_season: "Gap Year 2027", deal_currency_code: "JPY" },
+    RULES
+  );
+  assert.equal(pricing.appFee, 75000);
+});
+
+test("a currency without pricing uses the default amounts", () => {
+  const pricing = quietly(() => pricingFor({ deal_currency_code: "EUR" }, RULES));
+  assert.equal(pricing.currency, "eur");
+  assert.equal(pricing.appFee, 25000);
+});
+
+test("the minimum payment falls back to the application fee", () => {
+  const pricing = pricingFor({}, { defaults: { appFee: 300 } });
+  assert.equal(pricing.minPayment, 30000);
+  assert.equal(pricing.cardFeeRate, 0);
+  assert.equal(pricing.ruleId, "default");
+});
+
+test("rule properties are read from HubSpot with the deal", () => {
+  assert.deepEqual(pricingProperties(RULES), [
+    "pipeline",
+    "program_season",
+    "card_fee_waived",
+  ]);
+  assert.deepEqual(pricingProperties({}), []);
+});
+
+test("PRICING_RULES replaces the bundled rules, unless it doesn't parse", () => {
+  const bundled = loadRules("");
+  assert.deepEqual(loadRules(JSON.stringify(RULES)), RULES);
+
+  assert.equal(quietly(() => loadRules("{oops")), bundled);
+});
+
+/* =========================================================
+   IN THE PORTAL
+========================================================= */
+
+test("a deal's rule sets the fee it's charged", async () => {
+  const { stripe } = useFakes();
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+  assert.equal(res.statusCode, 302);
+  const { params } = stripe.calls.find((c) => c.method === "checkout.sessions.create");
+  assert.deepEqual(
+    params.line_items.map((item) => item.price_data.unit_amount),
+    [30000]
+  );
+});
+
+test("a deal's rule sets its card fee", async () => {
+  const { stripe } = useFakes();
+  process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_offline";
+  try {
+    const query = { token: tokenFor(FAMILY), dealId: "101" };
+    const page = await get(query);
+    assert.match(page.body, /2%/);
+
+    const intent = JSON.parse((await get({ ...query, intent: "1", type: "appfee" })).body);
+    const quote = await get({
+      ...query,
+      quote: "1",
+      payment_intent: intent.intentId,
+      confirmation_token: stripe.confirmationToken({ country: "AU" }),
+    });
+    assert.equal(JSON.parse(quote.body).fee, 600);
+  } finally {
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+  }
+});
+
+test("a deal's rule sets its minimum payment, other deals keep the default", async () => {
+  useFakes();
+  const small = await checkout(FAMILY, { dealId: "101", type: "custom", amount: "300" });
+  assert.equal(small.statusCode, 400);
+  assert.match(small.body, /Minimum payment is \$400\.00/);
+
+  const other = await checkout(FAMILY, { dealId: "102", type: "custom", amount: "300" });
+  assert.equal(other.statusCode, 302);
+});
+
+test("the portal shows the rule's amounts", async () => {
+  useFakes();
+  const res = await get({ token: tokenFor(FAMILY), dealId: "101" });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /\$300\.00/);
+});
@@ -0,0 +1,75 @@
+// test/promo-codes.test.js
+// Promo codes entered in the portal: posted by the family, recorded as a
+// discount on the deal, and never redeemed by a GET.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when promo-codes.js loads
+process.env.PROMO_CODES = JSON.stringify({
+  codes: [{ code: "SAVE500", label: "Early-bird discount", amountOff: 500, currency: "usd" }],
+});
+
+const { FAMILY, PAYER, useFakes, tokenFor, get } = require("./support/harness");
+const { findAdjustment } = require("../netlify/lib/adjustments");
+
+function apply(contactId, code, query = {}) {
+  return get(
+    { promo: "1", dealId: "101", token: tokenFor(contactId), ...query },
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ code }).toString(),
+    }
+  );
+}
+
+test("the portal posts codes to the deal they're for", async () => {
+  useFakes();
+  const res = await get({ dealId: "101", token: tokenFor(FAMILY) });
+  assert.match(
+    res.body,
+    /<form class="promo-form" method="post" action="\?promo=1&amp;dealId=101&amp;token=[^"]+">/
+  );
+});
+
+test("a posted code is applied to the deal", async () => {
+  const { hubspot } = useFakes();
+  const res = await apply(FAMILY, "save500", { lang: "fr" });
+
+  assert.equal(res.statusCode, 302);
+  assert.match(res.headers.Location, /dealId=101.*promoApplied=1.*lang=fr/);
+  const p = hubspot.store.deals.get("101").properties;
+  assert.equal(findAdjustment(p, "promo:SAVE500").amount, 50000);
+  assert.equal(p.promo_codes_applied, "SAVE500");
+});
+
+test("a code that isn't valid shows the portal with the code kept", async () => {
+  useFakes();
+  const res = await apply(FAMILY, "NOPE<b>");
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body, /value="NOPE&lt;b&gt;"/);
+});
+
+test("a GET never redeems a code", async () => {
+  const { hubspot } = useFakes();
+  const res = await get({ promo: "1", dealId: "101", token: tokenFor(FAMILY), code: "SAVE500" });
+
+  assert.equal(res.statusCode, 405);
+  assert.equal(hubspot.store.deals.get("101").properties.promo_codes_applied, undefined);
+});
+
+test("only the family can apply a code, with a valid link", async () => {
+  const { hubspot } = useFakes();
+
+  const payer = await apply(PAYER, "SAVE500");
+  assert.equal(payer.statusCode, 404);
+
+  const unsigned = await get(
+    { promo: "1", dealId: "101" },
+    { method: "POST", body: "code=SAVE500" }
+  );
+  assert.equal(unsigned.statusCode, 401);
+  assert.equal(hubspot.store.deals.get("101").properties.promo_codes_applied, undefined);
+});
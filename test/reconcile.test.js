@@ -0,0 +1,295 @@
+// test/reconcile.test.js
+// Reconciliation of Stripe payments against the deals: the matching rules on
+// their own, then whole runs (and fix mode) against the fakes.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FAMILY, useFakes, tokenFor, eventFor, fixtures } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+const payments = require("../netlify/functions/payments");
+const reconcileFunction = require("../netlify/functions/reconcile-payments");
+const {
+  ISSUE_TYPES,
+  reconcilePayments,
+  runReconciliation,
+  summarizeIssues,
+  issuesToCsv,
+} = require("../netlify/lib/reconcile");
+const { parsePayments, ledgerUpdateWith } = require("../netlify/lib/payments");
+const { parseOpenSessions } = require("../netlify/lib/checkout");
+
+const YESTERDAY = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+// A Stripe payment as stripePaymentsSince returns it
+function stripePayment(overrides) {
+  return {
+    txn: "pi_1",
+    sessionId: "cs_1",
+    dealId: "101",
+    base: 25000,
+    charged: 25875,
+    currency: "usd",
+    method: "card",
+    status: "succeeded",
+    date: "2026-09-01T10:00:00.000Z",
+    paidBy: null,
+    ...overrides,
+  };
+}
+
+// Deal properties with these ledger entries
+function dealWith(...entries) {
+  let p = { amount: "6500", deal_currency_code: "USD" };
+  entries.forEach((entry) => {
+    p = { ...p, ...ledgerUpdateWith(p, { currency: "usd", method: "card", ...entry }) };
+  });
+  return p;
+}
+
+/* =========================================================
+   MATCHING
+========================================================= */
+
+test("a payment recorded for its base amount is fine", () => {
+  const deals = new Map([["101", dealWith({ amount: 25000, txn: "pi_1" })]]);
+  assert.deepEqual(reconcilePayments([stripePayment()], deals), []);
+});
+
+test("payments recorded against their Checkout Session still match", () => {
+  const deals = new Map([["101", dealWith({ amount: 25000, txn: "cs_1" })]]);
+  assert.deepEqual(reconcilePayments([stripePayment()], deals), []);
+});
+
+test("a payment the deal doesn't have is missing", () => {
+  const deals = new Map([["101", dealWith()]]);
+  const [issue] = reconcilePayments([stripePayment()], deals);
+
+  assert.equal(issue.type, ISSUE_TYPES.MISSING);
+  assert.equal(issue.dealId, "101");
+  assert.equal(issue.txn, "pi_1");
+  assert.equal(issue.expected, 25000);
+  assert.equal(issue.recordedOn, undefined);
+});
+
+test("a payment recorded on the wrong deal is missing, and says where it went", () => {
+  const deals = new Map([
+    ["101", dealWith()],
+    ["102", dealWith({ amount: 25000, txn: "pi_1" })],
+  ]);
+  const [issue] = reconcilePayments([stripePayment()], deals);
+
+  assert.equal(issue.type, ISSUE_TYPES.MISSING);
+  assert.deepEqual(issue.recordedOn, ["102"]);
+});
+
+test("the card fee recorded as tuition is an amount mismatch", () => {
+  const deals = new Map([
+    ["101", dealWith({ amount: 25875, txn: "pi_1" }, { amount: 10000, txn: "pi_2" })],
+  ]);
+  const issues = reconcilePayments(
+    [stripePayment(), stripePayment({ txn: "pi_2", sessionId: "", base: 12000, charged: 12420 })],
+    deals
+  );
+
+  assert.deepEqual(
+    issues.map(({ type, txn, recorded, feeIncluded }) => ({ type, txn, recorded, feeIncluded })),
+    [
+      { type: ISSUE_TYPES.AMOUNT_MISMATCH, txn: "pi_1", recorded: 25875, feeIncluded: true },
+      { type: ISSUE_TYPES.AMOUNT_MISMATCH, txn: "pi_2", recorded: 10000, feeIncluded: false },
+    ]
+  );
+});
+
+test("a payment for a deal HubSpot doesn't have is an orphan", () => {
+  const [issue] = reconcilePayments([stripePayment({ dealId: "999" })], new Map());
+  assert.equal(issue.type, ISSUE_TYPES.ORPHAN);
+  assert.equal(issue.dealId, "999");
+});
+
+test("a payment recorded twice is a duplicate, on one deal or across two", () => {
+  const deals = new Map([
+    ["101", dealWith({ amount: 25000, txn: "pi_1" }, { amount: 25000, txn: "cs_1" })],
+    ["102", dealWith({ amount: 5000, txn: "pi_9" })],
+    ["201", dealWith({ amount: 5000, txn: "pi_9" })],
+  ]);
+  const issues = reconcilePayments([stripePayment()], deals).filter(
+    (issue) => issue.type === ISSUE_TYPES.DUPLICATE
+  );
+
+  assert.deepEqual(
+    issues.map(({ txn, count, recordedOn }) => ({ txn, count, recordedOn })),
+    [
+      { txn: "pi_1", count: 2, recordedOn: ["101"] },
+      { txn: "pi_9", count: 2, recordedOn: ["102", "201"] },
+    ]
+  );
+});
+
+test("total_amount_paid has to agree with the payments listed", () => {
+  const ledger = { ...dealWith({ amount: 25000, txn: "pi_1" }), total_amount_paid: "500" };
+  const legacy = {
+    deal_currency_code: "USD",
+    payment_1: "250, ch_old_1, 2024-01-02",
+    payment_2: "100, ch_old_2, 2024-02-02",
+    total_amount_paid: "350",
+  };
+  const issues = reconcilePayments(
+    [],
+    new Map([
+      ["101", ledger],
+      ["102", legacy],
+      ["201", fixtures.deals[2].properties],
+    ])
+  );
+
+  assert.deepEqual(issues, [
+    {
+      type: ISSUE_TYPES.TOTAL_MISMATCH,
+      dealId: "101",
+      txn: "",
+      currency: "usd",
+      expected: 25000,
+      recorded: 50000,
+    },
+  ]);
+});
+
+test("the CSV report has one row per issue, in decimal amounts", () => {
+  const deals = new Map([["101", dealWith({ amount: 25875, txn: "pi_1" })]]);
+  const csv = issuesToCsv(reconcilePayments([stripePayment()], deals));
+
+  assert.equal(
+    csv,
+    [
+      "Issue,Deal ID,Transaction,Currency,Stripe (base),Stripe (charged),Recorded,Notes",
+      "amount_mismatch,101,pi_1,USD,250.00,258.75,258.75,card fee recorded as tuition",
+    ].join("\r\n")
+  );
+});
+
+/* =========================================================
+   RUNS
+========================================================= */
+
+async function payThroughPortal(stripe, query) {
+  await quietly(() =>
+    payments.handler(
+      eventFor(
+        `/.netlify/functions/payments?${new URLSearchParams({
+          checkout: "1",
+          token: tokenFor(FAMILY),
+          ...query,
+        })}`
+      )
+    )
+  );
+  const session = [...stripe.sessions.values()].at(-1);
+  stripe.complete(session.id, { name: "Alex Rivera" });
+  return stripe.sessions.get(session.id);
+}
+
+test("a run finds a payment whose webhook never arrived, and fix records it", async () => {
+  const { stripe, hubspot } = useFakes();
+  const session = await payThroughPortal(stripe, { dealId: "101", type: "appfee" });
+
+  // Not the portal's: no deal ID anywhere
+  await stripe.paymentIntents.create({ amount: 999, currency: "usd", confirm: true });
+  // Never collected
+  await stripe.paymentIntents.create({
+    amount: 5000,
+    currency: "usd",
+    metadata: { dealId: "101" },
+  });
+
+  const report = await runReconciliation(stripe, { since: YESTERDAY });
+  assert.equal(report.payments, 1);
+  assert.deepEqual(summarizeIssues(report.issues), {
+    missing_record: 1,
+    amount_mismatch: 0,
+    orphan_payment: 0,
+    duplicate_record: 0,
+    total_mismatch: 0,
+  });
+  assert.equal(report.fixed, 0);
+  assert.equal(parsePayments(hubspot.store.deals.get("101").properties).length, 0);
+
+  const fixed = await runReconciliation(stripe, { since: YESTERDAY, fix: true });
+  assert.equal(fixed.fixed, 1);
+  assert.equal(fixed.issues[0].fixed, true);
+
+  const p = hubspot.store.deals.get("101").properties;
+  const [entry] = parsePayments(p);
+  assert.equal(entry.txn, session.payment_intent);
+  assert.equal(entry.amount, 25000);
+  assert.equal(entry.status, "succeeded");
+  assert.equal(entry.paidBy.name, "Alex Rivera");
+  assert.equal(p.total_amount_paid, "250.00");
+  assert.deepEqual(parseOpenSessions(p), []);
+
+  const again = await runReconciliation(stripe, { since: YESTERDAY, fix: true });
+  assert.deepEqual(again.issues, []);
+  assert.equal(again.fixed, 0);
+});
+
+test("instalments and bank payments are matched on their own metadata", async () => {
+  const { stripe, hubspot } = useFakes();
+  const bank = await payThroughPortal(stripe, {
+    dealId: "102",
+    type: "custom",
+    amount: "500",
+    method: "bank",
+  });
+  const instalment = await stripe.paymentIntents.create({
+    amount: 51750,
+    currency: "usd",
+    confirm: true,
+    metadata: { dealId: "102", paymentType: "instalment", baseAmountMinor: "50000" },
+  });
+
+  const report = await runReconciliation(stripe, { since: YESTERDAY, fix: true });
+  assert.equal(report.fixed, 2);
+
+  const entries = parsePayments(hubspot.store.deals.get("102").properties);
+  const byTxn = Object.fromEntries(entries.map((e) => [e.txn, e]));
+  assert.equal(byTxn[bank.payment_intent].amount, 50000);
+  assert.equal(byTxn[bank.payment_intent].status, "processing");
+  assert.equal(byTxn[bank.payment_intent].method, "us_bank_account");
+  assert.equal(byTxn[instalment.id].amount, 50000);
+});
+
+test("the scheduled run mails finance the issues it finds", async () => {
+  const { stripe, mail } = useFakes();
+  process.env.RECONCILIATION_EMAIL = "finance@example.test";
+  try {
+    await stripe.paymentIntents.create({
+      amount: 25000,
+      currency: "usd",
+      confirm: true,
+      metadata: { dealId: "999" },
+    });
+    // Older payments are left to the script's longer look back
+    const old = await stripe.paymentIntents.create({
+      amount: 25000,
+      currency: "usd",
+      confirm: true,
+      metadata: { dealId: "998" },
+    });
+    await stripe.paymentIntents.update(old.id, {
+      created: Math.floor(Date.now() / 1000) - 3 * 24 * 60 * 60,
+    });
+
+    const res = await quietly(() => reconcileFunction.handler({}));
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.orphan_payment, 1);
+    assert.equal(body.issues.length, 1);
+
+    assert.equal(mail.length, 1);
+    assert.equal(mail[0].to, "finance@example.test");
+    assert.equal(mail[0].subject, "Payment reconciliation: 1 issue to check");
+    assert.match(mail[0].text, /orphan_payment,999,pi_test_\d+,USD,250\.00/);
+  } finally {
+    delete process.env.RECONCILIATION_EMAIL;
+  }
+});
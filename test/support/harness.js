@@ -0,0 +1,129 @@
+// test/support/harness.js
+// Runs the functions offline: fills in the env vars they refuse to start
+// without, installs fresh HubSpot and Stripe fakes seeded from the fixture
+// deals plus a mail transport and an audit sink that keep what they're given,
+// builds the events Netlify would pass to a handler, and sends them to the
+// portal as the fixture contacts.
+//
+// Require it before any function module, since some settings are read when
+// a module loads.
+
+const TEST_ENV = {
+  URL: "https://payments.test",
+  HUBSPOT_PRIVATE_APP_TOKEN: "test-hubspot-token",
+  HUBSPOT_MAX_RETRIES: "0",
+  STRIPE_SECRET_KEY: "sk_test_offline",
+  STRIPE_WEBHOOK_SECRET: "whsec_test_offline",
+  PORTAL_LINK_SECRET: "test-portal-link-secret",
+  PORTAL_LINK_API_KEY: "test-api-key",
+  MAIL_FROM: "Payments <payments@example.test>",
+};
+
+// Anything already set (e.g. by the dev server's caller) wins. Set before
+// the requires below, as hubspot-client.js reads its tuning on load.
+Object.entries(TEST_ENV).forEach(([key, value]) => {
+  process.env[key] ??= value;
+});
+
+const fixtures = require("../fixtures/crm.json");
+const { createFakeHubSpot } = require("../fakes/hubspot");
+const { createFakeStripe } = require("../fakes/stripe");
+const {
+  setHubSpotTransport,
+  clearHubSpotCache,
+} = require("../../netlify/lib/hubspot-client");
+const { setStripeClient } = require("../../netlify/lib/stripe");
+const { setMailTransport } = require("../../netlify/lib/mailer");
+const { setAuditSink } = require("../../netlify/lib/audit");
+const { createAccessToken } = require("../../netlify/lib/access");
+const { quietly } = require("./quietly");
+
+// The fixture contacts
+const FAMILY = "1"; // deals 101 and 102
+const FAMILY_FR = "2"; // deal 201 (AUD), French speaker
+const PAYER = "3"; // pays for deal 101
+
+// Fresh fakes for each test, so nothing one test writes leaks into the next.
+// `checkoutBaseUrl` is where the fake Checkout Sessions send the browser.
+function useFakes({ seed = fixtures, checkoutBaseUrl } = {}) {
+  const hubspot = createFakeHubSpot(seed);
+  const stripe = createFakeStripe({ baseUrl: checkoutBaseUrl });
+  const mail = [];
+  setHubSpotTransport(hubspot.fetch);
+  setStripeClient(stripe);
+  setMailTransport({
+    async sendMail(message) {
+      mail.push(message);
+      return { messageId: `test-${mail.length}` };
+    },
+  });
+  const audit = [];
+  setAuditSink({
+    async write(entry) {
+      audit.push(entry);
+    },
+    async query(dealId, { limit }) {
+      return audit
+        .filter((entry) => entry.dealId === dealId)
+        .reverse()
+        .slice(0, limit);
+    },
+  });
+  clearHubSpotCache();
+  return { hubspot, stripe, mail, audit };
+}
+
+// A portal token for a fixture contact, with the deals it's associated with
+function tokenFor(contactId, seed = fixtures) {
+  const contact = seed.contacts.find((c) => c.id === String(contactId));
+  const links = seed.associations.filter((a) => a.contactId === String(contactId));
+  return createAccessToken({
+    contactId,
+    email: contact?.properties.email || "",
+    dealIds: links.filter((a) => !a.label).map((a) => a.dealId),
+    payerDealIds: links.filter((a) => a.label).map((a) => a.dealId),
+  });
+}
+
+// A Netlify function event for `path` (with its query string)
+function eventFor(path, { method = "GET", headers = {}, body = null } = {}) {
+  const url = new URL(path, process.env.URL);
+  return {
+    httpMethod: method,
+    rawUrl: url.toString(),
+    path: url.pathname,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    headers: Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+    ),
+    body: body === null || typeof body === "string" ? body : JSON.stringify(body),
+    isBase64Encoded: false,
+  };
+}
+
+// A portal request with `query` as its query string. The payments function
+// is required here rather than above, so a test file's own settings are in
+// place when it loads.
+function get(query, options) {
+  const payments = require("../../netlify/functions/payments");
+  const path = `/.netlify/functions/payments?${new URLSearchParams(query)}`;
+  return quietly(() => payments.handler(eventFor(path, options)));
+}
+
+// A hosted checkout started by one of the fixture contacts
+function checkout(contactId, query) {
+  return get({ checkout: "1", token: tokenFor(contactId), ...query });
+}
+
+module.exports = {
+  TEST_ENV,
+  fixtures,
+  FAMILY,
+  FAMILY_FR,
+  PAYER,
+  useFakes,
+  tokenFor,
+  eventFor,
+  get,
+  checkout,
+};
@@ -0,0 +1,25 @@
+// test/support/quietly.js
+// Runs `fn` with console.error and console.warn silenced, for code that logs
+// the failures a test provokes on purpose. Works for sync and async `fn`.
+
+function quietly(fn) {
+  const { error, warn } = console;
+  const restore = () => Object.assign(console, { error, warn });
+  console.error = () => {};
+  console.warn = () => {};
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (result && typeof result.then === "function") {
+    return result.finally(restore);
+  }
+  restore();
+  return result;
+}
+
+module.exports = { quietly };
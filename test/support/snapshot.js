@@ -0,0 +1,29 @@
+// test/support/snapshot.js
+// File snapshots of rendered pages, kept in test/__snapshots__/<name>.html.
+// A missing snapshot is written on first run; after an intended template
+// change, rerun with UPDATE_SNAPSHOTS=1 and review the diff before committing.
+
+const fs = require("fs");
+const path = require("path");
+const assert = require("node:assert/strict");
+
+const SNAPSHOT_DIR = path.join(__dirname, "..", "__snapshots__");
+
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.html`);
+  const rendered = String(actual);
+
+  if (process.env.UPDATE_SNAPSHOTS === "1" || !fs.existsSync(file)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, rendered);
+    return;
+  }
+
+  assert.equal(
+    rendered,
+    fs.readFileSync(file, "utf8"),
+    `${name} no longer matches its snapshot; rerun with UPDATE_SNAPSHOTS=1 if the change is intended`
+  );
+}
+
+module.exports = { matchSnapshot };
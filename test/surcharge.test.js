@@ -0,0 +1,142 @@
+// test/surcharge.test.js
+// Which cards pay the card fee and at what rate, and how hosted Checkout
+// charges it when the rules charge cards it can't see.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const bundled = require("../netlify/config/surcharge-rules.json");
+
+// This file's portal charges unknown cards; the rule tests pass their rules
+process.env.SURCHARGE_RULES = JSON.stringify({ ...bundled, unknownCard: "charge" });
+
+const {
+  loadSurchargeRules,
+  cardDetailsFor,
+  regionFor,
+  cardFeeRateFor,
+} = require("../netlify/lib/surcharge");
+const { cardFeeTerms } = require("../netlify/lib/checkout");
+const { FAMILY, useFakes, checkout } = require("./support/harness");
+const { quietly } = require("./support/quietly");
+
+const RATE = 0.035;
+const card = (details) => ({ funding: "credit", country: "US", state: "", ...details });
+const rateFor = (details, rules = bundled) => cardFeeRateFor(RATE, card(details), rules);
+
+/* =========================================================
+   RULES
+========================================================= */
+
+test("debit, prepaid and unidentified cards pay no fee", () => {
+  for (const funding of ["debit", "prepaid", "unknown"]) {
+    assert.deepEqual(rateFor({ funding }), { rate: 0, reason: "exempt_card", region: "" });
+  }
+});
+
+test("credit cards pay the rate, capped where they're billed", () => {
+  assert.deepEqual(rateFor({}), { rate: 0.03, reason: "region_cap", region: "us" });
+  assert.deepEqual(rateFor({ state: "CO" }), {
+    rate: 0.02,
+    reason: "region_cap",
+    region: "us-colorado",
+  });
+  assert.equal(rateFor({ state: "CT" }).rate, 0);
+  assert.equal(rateFor({ country: "PR" }).rate, 0);
+  assert.equal(rateFor({ country: "FR" }).rate, 0);
+  assert.equal(rateFor({ country: "GB" }).region, "eea-uk");
+  assert.equal(rateFor({ country: "CA", state: "QC" }).rate, 0);
+  assert.equal(rateFor({ country: "CA", state: "ON" }).rate, 0.024);
+});
+
+test("regions without a lower cap, or none at all, keep the rate", () => {
+  assert.deepEqual(rateFor({ country: "AU" }), { rate: RATE, reason: "standard", region: "" });
+  assert.deepEqual(cardFeeRateFor(0.02, card({}), bundled), {
+    rate: 0.02,
+    reason: "standard",
+    region: "us",
+  });
+});
+
+test("the first matching region wins", () => {
+  const rules = {
+    regions: [
+      { id: "state", countries: ["us"], states: ["ny"], maxRate: 0.01 },
+      { id: "country", countries: ["US"], maxRate: 0.02 },
+    ],
+  };
+  assert.equal(regionFor(card({ state: "NY" }), rules).id, "state");
+  assert.equal(regionFor(card({ state: "NJ" }), rules).id, "country");
+  assert.equal(regionFor(card({ country: "MX" }), rules), null);
+});
+
+test("cards that aren't known yet pay no fee unless the rules charge them", () => {
+  assert.deepEqual(cardFeeRateFor(RATE, null, {}), {
+    rate: 0,
+    reason: "unknown_card",
+    region: "",
+  });
+  assert.deepEqual(cardFeeRateFor(RATE, null, { unknownCard: "waive" }), {
+    rate: 0,
+    reason: "unknown_card",
+    region: "",
+  });
+  assert.deepEqual(cardFeeRateFor(RATE, null, { unknownCard: "charge" }), {
+    rate: RATE,
+    reason: "standard",
+    region: "",
+  });
+});
+
+test("card details come from the billing address, else the issuing country", () => {
+  const pm = {
+    card: { funding: "Credit", country: "US" },
+    billing_details: { address: { country: "ca", state: "qc" } },
+  };
+  assert.deepEqual(cardDetailsFor(pm), { funding: "credit", country: "CA", state: "QC" });
+
+  const noAddress = { card: { funding: "debit", country: "GB" }, billing_details: {} };
+  assert.deepEqual(cardDetailsFor(noAddress), { funding: "debit", country: "GB", state: "" });
+
+  assert.equal(cardDetailsFor({ type: "us_bank_account" }), null);
+  assert.equal(cardFeeRateFor(RATE, cardDetailsFor({ card: {} }), bundled).reason, "exempt_card");
+});
+
+test("SURCHARGE_RULES replaces the bundled rules, unless it doesn't parse", () => {
+  assert.equal(loadSurchargeRules(""), bundled);
+  assert.deepEqual(loadSurchargeRules('{"unknownCard":"charge"}'), { unknownCard: "charge" });
+  assert.equal(quietly(() => loadSurchargeRules("{oops")), bundled);
+});
+
+test("the fee shown before the card is known", () => {
+  assert.deepEqual(cardFeeTerms({ cardFeeRate: RATE }, { cardChecked: true }), {
+    rate: RATE,
+    varies: true,
+  });
+  assert.deepEqual(cardFeeTerms({ cardFeeRate: 0 }, { cardChecked: true }), {
+    rate: 0,
+    varies: false,
+  });
+  // This file's rules charge cards Checkout can't see
+  assert.deepEqual(cardFeeTerms({ cardFeeRate: RATE }), { rate: RATE, varies: false });
+});
+
+/* =========================================================
+   HOSTED CHECKOUT
+========================================================= */
+
+test("Checkout charges the card fee as a line item of its own", async () => {
+  const { stripe } = useFakes();
+  const res = await checkout(FAMILY, { dealId: "101", type: "appfee" });
+
+  assert.equal(res.statusCode, 302);
+  const { params } = stripe.calls.find((c) => c.method === "checkout.sessions.create");
+  assert.deepEqual(
+    params.line_items.map((item) => [item.price_data.product_data.name, item.price_data.unit_amount]),
+    [
+      ["Costa Rica Summer 2027", 25000],
+      ["Card fee", 875],
+    ]
+  );
+  assert.equal(stripe.sessions.get(res.headers.Location.split("/").pop()).amount_total, 25875);
+});
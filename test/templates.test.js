@@ -0,0 +1,581 @@
+// test/templates.test.js
+// Auto-escaping in the template tags, and snapshots of each portal and admin page
+// rendered from fixed view models.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { html, js, raw, jsValue, cssColor } = require("../netlify/lib/templates");
+const { brandFor } = require("../netlify/lib/brand");
+const { i18nFor, resolveLocale } = require("../netlify/lib/i18n");
+const styles = require("../netlify/templates/styles");
+const { messagePage, linkRequestPage } = require("../netlify/templates/message");
+const { selectionPage } = require("../netlify/templates/selection");
+const { portalPage } = require("../netlify/templates/portal");
+const { receiptPage } = require("../netlify/templates/receipt");
+const { statementPage } = require("../netlify/templates/statement");
+const { dashboardPage, activityPage } = require("../netlify/templates/admin");
+const { matchSnapshot } = require("./support/snapshot");
+
+const en = i18nFor();
+const fr = i18nFor(resolveLocale({ lang: "fr" }));
+
+const BRAND = brandFor({
+  name: "Pacific Discovery",
+  website: "https://www.pacificdiscovery.org",
+  logo: { url: "", height: 40 },
+  colors: { primary: "#0f766e" },
+  support: { email: "payments@example.org", phone: "+1 (555) 010-2030" },
+  links: { wireTransfer: "https://example.org/wire" },
+  legal: {
+    privacy: "https://example.org/privacy",
+    terms: "",
+    refunds: "https://example.org/refunds",
+  },
+});
+
+// The shared stylesheet would make every snapshot change with any CSS edit
+function page(rendered) {
+  return String(rendered).replace(styles, "/* netlify/templates/styles.js */");
+}
+
+/* =========================================================
+   ESCAPING
+========================================================= */
+
+test("html`` escapes values", () => {
+  const name = `<script>alert("x")</script> & 'co'`;
+  assert.equal(
+    String(html`<p title="${name}">${name}</p>`),
+    `<p title="&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;co&#39;">` +
+      `&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;co&#39;</p>`
+  );
+});
+
+test("html`` nests results and raw() without escaping them twice", () => {
+  const inner = html`<b>${"a&b"}</b>`;
+  assert.equal(String(html`<p>${inner}${raw("<i>ok</i>")}</p>`), "<p><b>a&amp;b</b><i>ok</i></p>");
+});
+
+test("html`` joins arrays and drops null, undefined and booleans", () => {
+  const items = ["<a>", html`<li>b</li>`, null];
+  assert.equal(
+    String(html`<ul>${items}${undefined}${false}${true}${null}</ul>`),
+    "<ul>&lt;a&gt;<li>b</li></ul>"
+  );
+});
+
+test("html`` keeps zero and empty strings", () => {
+  assert.equal(String(html`[${0}|${""}|${NaN}]`), "[0||NaN]");
+});
+
+test("js`` writes values as literals that can't close the script", () => {
+  const hostile = "</script><script>alert(1)</script>";
+  const out = String(js`const A = ${hostile}; const B = ${{ n: 1, s: "\u2028&" }};`);
+
+  assert.doesNotMatch(out, /<\/script>/i);
+  assert.equal(
+    out,
+    'const A = "\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e"; ' +
+      'const B = {"n":1,"s":"\\u2028\\u0026"};'
+  );
+  // ... and still evaluate to the original values
+  assert.equal(eval(jsValue(hostile)), hostile);
+});
+
+test("js`` leaves the code itself as written", () => {
+  assert.equal(String(js`/\{(\w+)\}/g.test(${"{a}"})`), '/\\{(\\w+)\\}/g.test("{a}")');
+});
+
+test("only plain colour values reach the stylesheet", () => {
+  assert.equal(cssColor("#0F766E", "#000"), "#0F766E");
+  assert.equal(cssColor("rgb(15, 118, 110)", "#000"), "rgb(15, 118, 110)");
+  assert.equal(cssColor("teal", "#000"), "teal");
+  assert.equal(cssColor("red; } body { display:none", "#000"), "#000");
+  assert.equal(cssColor("url(https://evil.test/x.png)", "#000"), "#000");
+  assert.equal(cssColor("", "#000"), "#000");
+});
+
+test("translations are escaped, and their placeholders too", () => {
+  const out = String(en.t("errors.noProgramsForContact", { email: "<b>x</b>" }));
+  assert.match(out, /&lt;b&gt;x&lt;\/b&gt;/);
+
+  const markup = String(
+    en.html("errors.noProgramsForContact", { email: html`<strong>${"a<b"}</strong>` })
+  );
+  assert.match(markup, /<strong>a&lt;b<\/strong>/);
+});
+
+test("deal data can't inject markup into the portal", () => {
+  const out = String(
+    portalPage({
+      ...portalView(),
+      programName: `<img src=x onerror="alert(1)">`,
+      history: {
+        payments: [{ ...PAYMENT, txn: `"><script>alert(2)</script>`, paidBy: "<b>Sam</b>" }],
+        adjustments: [],
+      },
+    })
+  );
+
+  assert.doesNotMatch(out, /<img src=x/);
+  assert.doesNotMatch(out, /<script>alert/);
+  assert.doesNotMatch(out, /<b>Sam<\/b>/);
+  assert.match(out, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+});
+
+/* =========================================================
+   SNAPSHOTS
+========================================================= */
+
+const TOKEN = "eyJjIjoiMSJ9.c2lnbmF0dXJl";
+const DEAL_QUERY = `dealId=102&token=${TOKEN}`;
+
+const PAYMENT = {
+  refund: false,
+  amount: "$750.00",
+  date: "Jun 14, 2026",
+  method: "Card",
+  paidBy: "Alex Rivera",
+  status: "Succeeded",
+  txn: "pi_fixture_0002",
+};
+
+function portalView(overrides = {}) {
+  return {
+    brand: BRAND,
+    i18n: en,
+    programName: "Patagonia Semester Fall 2027",
+    payer: false,
+    statementHref: `?statement=1&${DEAL_QUERY}`,
+    billingHref: `?billing=1&${DEAL_QUERY}`,
+    summary: {
+      tuition: "$14,800.00",
+      adjustments: "$500.00",
+      paid: "$1,000.00",
+      processing: "$300.00",
+      remaining: "$13,300.00",
+      dueDate: "Mar 1, 2027",
+    },
+    processingNotice: "$300.00",
+    inProgress: [
+      {
+        mine: true,
+        amount: "$1,500.00",
+        minutes: 22,
+        url: "https://checkout.stripe.test/pay/cs_1",
+      },
+      { mine: false, amount: "$200.00", minutes: 5, url: "" },
+    ],
+    promoApplied: true,
+    promoError: "",
+    milestones: [
+      { name: "Application fee", amount: "$250.00", due: "", status: "paid", owing: "" },
+      {
+        name: "Deposit",
+        amount: "$2,250.00",
+        due: "Oct 1, 2026",
+        status: "overdue",
+        owing: "$1,500.00",
+      },
+      {
+        name: "Final balance",
+        amount: "$11,800.00",
+        due: "Mar 1, 2027",
+        status: "upcoming",
+        owing: "",
+      },
+    ],
+    payBlocks: [
+      {
+        type: "deposit",
+        base: "$1,500.00",
+        fee: "$52.50",
+        total: "$1,552.50",
+        href: `?checkout=1&type=deposit&${DEAL_QUERY}`,
+        bank: true,
+        feeVaries: false,
+      },
+      {
+        type: "remaining",
+        base: "$13,000.00",
+        fee: "$455.00",
+        total: "$13,455.00",
+        href: `?checkout=1&type=remaining&${DEAL_QUERY}`,
+        bank: true,
+        feeVaries: false,
+      },
+    ],
+    paidInFull: false,
+    custom: {
+      minLabel: "$250.00",
+      min: "250.00",
+      max: "13000.00",
+      step: "0.01",
+      bank: true,
+      script: {
+        dealId: "102",
+        token: TOKEN,
+        lang: "",
+        min: 25000,
+        max: 1300000,
+        rate: 0.035,
+        feeVaries: false,
+        currency: "usd",
+        exponent: 2,
+        locale: "en-US",
+        messages: {
+          enterAmount: en.text("pay.enterAmount"),
+          minimum: en.text("pay.minimum"),
+          maximum: en.text("pay.maximum"),
+          total: en.text("pay.total"),
+          cardBreakdown: en.text("pay.cardBreakdown"),
+          cardNoFee: en.text("pay.cardNoFee"),
+          cardFeeVaries: en.text("pay.cardFeeVaries"),
+          bankBreakdown: en.text("pay.bankBreakdown"),
+        },
+      },
+    },
+    embedded: null,
+    promoForm: { dealId: "102", token: TOKEN, lang: "", code: "" },
+    plan: {
+      schedule: {
+        pastDue: true,
+        rows: [
+          { n: 1, due: "Nov 1, 2026", amount: "$4,433.33", status: "Failed" },
+          { n: 2, due: "Dec 1, 2026", amount: "$4,433.33", status: "Scheduled" },
+        ],
+      },
+      options: {
+        cutoff: "Mar 1, 2027",
+        cards: [
+          {
+            count: 3,
+            amount: "$4,433.33",
+            fee: "$155.17",
+            feeVaries: true,
+            first: "Nov 1, 2026",
+            last: "Jan 1, 2027",
+            href: "?plan=1&count=3",
+          },
+        ],
+      },
+    },
+    payerLink: "https://payments.test/?token=payer-token",
+    disclaimer: { rate: "3.5%", feeVaries: false, bank: true, wireUrl: BRAND.wireTransferUrl },
+    history: {
+      payments: [
+        PAYMENT,
+        {
+          ...PAYMENT,
+          refund: true,
+          amount: "-$100.00",
+          method: "Card",
+          status: "Refunded",
+          paidBy: "",
+          txn: "re_1",
+        },
+      ],
+      adjustments: [
+        {
+          amount: "$500.00",
+          date: "Jul 1, 2026",
+          description: "Scholarship – Early bird",
+          code: "EARLY500",
+        },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+test("snapshot: family portal with every section", () => {
+  matchSnapshot("portal-family", page(portalPage(portalView())));
+});
+
+test("snapshot: payer portal", () => {
+  matchSnapshot(
+    "portal-payer",
+    page(
+      portalPage(
+        portalView({
+          payer: true,
+          statementHref: "",
+          billingHref: "",
+          inProgress: [],
+          promoApplied: false,
+          promoForm: null,
+          plan: null,
+          payerLink: "",
+          history: null,
+        })
+      )
+    )
+  );
+});
+
+test("snapshot: paid in full, in French, without bank payments", () => {
+  matchSnapshot(
+    "portal-paid-fr",
+    page(
+      portalPage(
+        portalView({
+          i18n: fr,
+          summary: {
+            tuition: "18 500,00 $AU",
+            adjustments: "",
+            paid: "18 500,00 $AU",
+            processing: "",
+            remaining: "0,00 $AU",
+            dueDate: "",
+          },
+          processingNotice: "",
+          inProgress: [],
+          promoApplied: false,
+          promoError: "Ce code n'est pas valable.",
+          milestones: [
+            { name: "Frais de dossier", amount: "250,00 $AU", due: "", status: "paid", owing: "" },
+            {
+              name: "Solde final",
+              amount: "18 250,00 $AU",
+              due: "1 mars 2027",
+              status: "paid",
+              owing: "",
+            },
+          ],
+          payBlocks: [],
+          paidInFull: true,
+          custom: null,
+          promoForm: null,
+          plan: { schedule: null, saved: true },
+          payerLink: "",
+          disclaimer: { rate: "3,5 %", feeVaries: true, bank: false, wireUrl: "" },
+          history: { payments: [], adjustments: [] },
+        })
+      )
+    )
+  );
+});
+
+test("snapshot: program selection", () => {
+  matchSnapshot(
+    "selection",
+    page(
+      selectionPage({
+        programs: [
+          {
+            name: "Costa Rica Summer 2027",
+            href: "?dealId=101&token=t",
+            amount: "$6,500.00",
+            payer: false,
+          },
+          {
+            name: "Patagonia Semester Fall 2027",
+            href: "?dealId=102&token=t",
+            amount: "",
+            payer: true,
+          },
+        ],
+        brand: BRAND,
+        i18n: en,
+      })
+    )
+  );
+});
+
+test("snapshot: receipt for a processing bank payment", () => {
+  matchSnapshot(
+    "receipt-processing",
+    page(
+      receiptPage({
+        receipt: {
+          processing: true,
+          programName: "Costa Rica Summer 2027",
+          date: "Oct 19, 2026",
+          email: "alex.rivera@example.com",
+          method: "Bank (ACH)",
+          txn: "pi_test_000002",
+          base: "$6,500.00",
+          fee: "$0.00",
+          total: "$6,500.00",
+          remaining: "$0.00",
+        },
+        portalUrl: "https://payments.test/?dealId=101&token=t",
+        brand: BRAND,
+        i18n: en,
+      })
+    )
+  );
+});
+
+test("snapshot: statement", () => {
+  matchSnapshot(
+    "statement",
+    page(
+      statementPage({
+        statement: {
+          programName: "Patagonia Semester Fall 2027",
+          date: "Oct 19, 2026",
+          reference: "PD-102",
+          email: "alex.rivera@example.com",
+          tuition: "$14,800.00",
+          totalAdjustments: "$500.00",
+          totalPaid: "$1,000.00",
+          processing: "",
+          remaining: "$13,300.00",
+          payments: [
+            {
+              refund: false,
+              date: "Jun 14, 2026",
+              method: "Card",
+              paidBy: "Alex Rivera",
+              status: "Succeeded",
+              txn: "pi_fixture_0002",
+              amount: "$750.00",
+            },
+          ],
+          adjustments: [
+            {
+              date: "Jul 1, 2026",
+              description: "Scholarship – Early bird",
+              code: "EARLY500",
+              amount: "$500.00",
+            },
+          ],
+        },
+        portalUrl: "https://payments.test/?dealId=102&token=t",
+        pdfUrl: "https://payments.test/?dealId=102&token=t&statement=1&format=pdf",
+        brand: BRAND,
+        i18n: en,
+      })
+    )
+  );
+});
+
+test("snapshot: message page and link request form", () => {
+  matchSnapshot(
+    "message",
+    page(
+      messagePage({
+        title: en.text("errors.programNotFoundTitle"),
+        content: html`<p>${en.t("errors.dealNotFound")}</p>`,
+        brand: BRAND,
+        i18n: en,
+      })
+    )
+  );
+  matchSnapshot(
+    "link-request-fr",
+    page(linkRequestPage({ message: fr.text("link.expired"), lang: "fr", brand: BRAND, i18n: fr }))
+  );
+});
+
+/* =========================================================
+   ADMIN
+========================================================= */
+
+function dashboardView(rows) {
+  return {
+    user: "ops@example.org",
+    q: "",
+    rows,
+    pipelines: [
+      { value: "default", label: "Programs", selected: true },
+      { value: "gap", label: "Gap years", selected: false },
+    ],
+    filters: [
+      { value: "all", label: "All deals", selected: false },
+      { value: "overdue", label: "Overdue", selected: true },
+    ],
+    csvUrl: "https://payments.test/admin?pipeline=default&filter=overdue&format=csv",
+    nextUrl: "https://payments.test/admin?pipeline=default&filter=overdue&after=50",
+  };
+}
+
+const DASHBOARD_ROW = {
+  name: "Costa Rica Summer 2027",
+  hubSpotUrl: "https://app.hubspot.com/contacts/123/record/0-3/101",
+  stage: "Enrolled",
+  activityUrl: "https://payments.test/admin?activity=101",
+  tuition: "$6,500.00",
+  paid: "$250.00",
+  processing: "$1,000.00",
+  remaining: "$5,250.00",
+  overpaid: false,
+  adjustments: "",
+  depositStatus: "partial",
+  depositLabel: "Partly paid",
+  dueDate: "May 1, 2027",
+  overdue: true,
+  lastPaymentDate: "Jan 5, 2027",
+};
+
+test("deal data can't inject markup into the admin dashboard", () => {
+  const out = String(
+    dashboardPage({
+      ...dashboardView([{ ...DASHBOARD_ROW, name: `<img src=x onerror="alert(1)">` }]),
+      q: `"><script>`,
+    })
+  );
+  assert.doesNotMatch(out, /<img src=x|"><script>/);
+  assert.match(out, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+});
+
+test("snapshot: admin dashboard", () => {
+  matchSnapshot(
+    "admin-dashboard",
+    dashboardPage(
+      dashboardView([
+        DASHBOARD_ROW,
+        {
+          ...DASHBOARD_ROW,
+          name: "Patagonia Semester Fall 2027",
+          hubSpotUrl: "",
+          activityUrl: "https://payments.test/admin?activity=102",
+          processing: "",
+          remaining: "-$200.00",
+          overpaid: true,
+          adjustments: "$500.00",
+          depositStatus: "paid",
+          depositLabel: "Paid",
+          overdue: false,
+          lastPaymentDate: "",
+        },
+      ])
+    )
+  );
+  matchSnapshot("admin-dashboard-empty", dashboardPage({ ...dashboardView([]), nextUrl: "" }));
+});
+
+test("snapshot: a deal's activity", () => {
+  const view = {
+    dealId: "101",
+    backUrl: "https://payments.test/admin",
+    jsonUrl: "https://payments.test/admin?activity=101&format=json",
+  };
+  matchSnapshot(
+    "admin-activity",
+    activityPage({
+      ...view,
+      events: [
+        {
+          at: "2027-01-05 14:03:22",
+          summary: "checkout.started · $250.00",
+          details: "type: appfee, sessionId: cs_test_1",
+          contactId: "1",
+          role: "family",
+          ipHash: "9f86d081884c",
+        },
+        {
+          at: "2027-01-05 14:01:10",
+          summary: "portal.viewed · $6,500.00",
+          details: `userAgent: <script>alert(1)</script>`,
+          contactId: "",
+          role: "payer_link",
+          ipHash: "",
+        },
+      ],
+    })
+  );
+  matchSnapshot("admin-activity-empty", activityPage({ ...view, events: [] }));
+});